@@ -0,0 +1,72 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/analytics.php
+ * DESCRIÇÃO: Regras compartilhadas dos eventos do funil do
+ *            checkout (js/analytics.js) e dos parâmetros UTM.
+ *            Usado por registrar_evento.php (coletor) e por
+ *            processar_assinatura.php (UTM gravado na assinatura).
+ *
+ *            Os eventos nunca guardam CPF, cartão ou dados pessoais:
+ *            só as propriedades de ANALYTICS_ALLOWED_PROPS, com
+ *            sequências numéricas longas removidas dos textos —
+ *            a mesma higienização feita no navegador.
+ *
+ * USO: require_once __DIR__ . '/analytics.php';
+ *
+ * TABELA: checkout_events (ver README.md)
+ * ============================================================
+ */
+
+const FUNNEL_EVENTS = [
+    'step_viewed', 'plan_selected', 'payment_method_selected',
+    'checkout_submitted', 'checkout_outcome', 'checkout_error', 'field_error',
+    'language_changed',
+];
+
+const ANALYTICS_ALLOWED_PROPS = [
+    'step', 'plan_id', 'plan_name', 'billing_cycle', 'value', 'method',
+    'has_coupon', 'dependents', 'outcome', 'reason', 'field', 'source', 'lang',
+];
+
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+/**
+ * Mantém só as propriedades permitidas e remove dos textos qualquer
+ * sequência que pareça CPF (11 dígitos) ou número de cartão (13 a 19).
+ *
+ * @param array $props Propriedades recebidas
+ * @return array Propriedades higienizadas
+ */
+function higienizarPropriedadesEvento(array $props): array {
+    $clean = [];
+    foreach (ANALYTICS_ALLOWED_PROPS as $key) {
+        $value = $props[$key] ?? null;
+        if ($value === null || is_array($value)) continue;
+
+        if (is_int($value) || is_float($value) || is_bool($value)) {
+            $clean[$key] = $value;
+        } else {
+            $text = preg_replace('/(?:\d[\s.\-]?){11,19}/', '[removido]', (string)$value);
+            $clean[$key] = mb_substr($text, 0, 200);
+        }
+    }
+    return $clean;
+}
+
+/**
+ * Normaliza os parâmetros UTM recebidos do checkout.
+ *
+ * @param mixed $input Objeto "utm" do corpo da requisição
+ * @return array ['utm_source' => string|null, ...] com todas as chaves de UTM_FIELDS
+ */
+function normalizarUtm($input): array {
+    $input = is_array($input) ? $input : [];
+
+    $utm = [];
+    foreach (UTM_FIELDS as $field) {
+        $value = is_string($input[$field] ?? null) ? trim($input[$field]) : '';
+        $utm[$field] = $value !== '' ? mb_substr($value, 0, 150) : null;
+    }
+    return $utm;
+}
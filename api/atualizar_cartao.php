@@ -0,0 +1,98 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/atualizar_cartao.php
+ * MÉTODO:  POST
+ * HEADER:  Authorization: Bearer <token de confirmar_codigo_acesso.php>
+ * CONTENT-TYPE: application/json
+ * BODY: { "card_token": "token do Iugu.createPaymentToken" }
+ *
+ * DESCRIÇÃO:
+ *  Troca o cartão da assinatura na área "Minha assinatura".
+ *  O novo cartão é salvo no cliente da Iugu como forma de
+ *  pagamento padrão, que é a usada nas próximas faturas.
+ *  Assinaturas pagas por boleto ou PIX passam a ser cobradas
+ *  no cartão.
+ *
+ * RETORNO:
+ *  - updated: bool
+ *  - card: { brand, last4, expiry } → cartão que passou a ser o padrão
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/membros.php';
+require __DIR__ . '/clientes_iugu.php';
+
+header('Content-Type: application/json; charset=utf-8');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use POST.');
+}
+
+$profile = exigirSessaoMembro();
+
+$rawBody   = file_get_contents('php://input');
+$body      = json_decode($rawBody ?? '', true);
+$cardToken = trim($body['card_token'] ?? '');
+
+if ($cardToken === '') {
+    responderErro(400, 'card_token_required', 'Token do cartão (card_token) é obrigatório.', ['field' => 'card_number']);
+}
+
+$subscription = buscarAssinaturaMembro($profile['id']);
+
+if (!$subscription || in_array($subscription['status'], MEMBER_CLOSED_STATUSES, true)) {
+    responderErro(409, 'no_active_subscription', 'Você não tem uma assinatura ativa para atualizar o cartão.');
+}
+if ($subscription['payment_method'] === 'payroll' || empty($subscription['iugu_customer_id'])) {
+    responderErro(409, 'payroll_has_no_card', 'Sua assinatura é paga por desconto em folha e não usa cartão.');
+}
+
+$iuguCustomerId = $subscription['iugu_customer_id'];
+
+// ============================================================
+// PASSO 1: Salvar o novo cartão como padrão do cliente na Iugu
+// ============================================================
+$pmRes = iuguCall('POST', "customers/" . rawurlencode($iuguCustomerId) . "/payment_methods", [
+    'description'    => 'Cartão principal',
+    'token'          => $cardToken,
+    'set_as_default' => true,
+]);
+
+if (!$pmRes['ok'] || empty($pmRes['data']['id'])) {
+    responderFalhaIugu(
+        $pmRes, 'card_save_failed', 'Não foi possível salvar o cartão. Confira os dados e tente novamente.',
+        ['profile_id' => $profile['id'], 'iugu_customer_id' => $iuguCustomerId], ['field' => 'card_number']
+    );
+}
+
+// ============================================================
+// PASSO 2: Boleto/PIX -> a assinatura passa a ser cobrada no cartão
+// ============================================================
+if ($subscription['payment_method'] !== 'credit_card' && !empty($subscription['iugu_subscription_id'])) {
+    $subRes = iuguCall('PUT', "subscriptions/" . rawurlencode($subscription['iugu_subscription_id']), [
+        'payable_with' => 'credit_card',
+    ]);
+
+    if ($subRes['ok']) {
+        supabasePatch(
+            "subscriptions?id=eq." . rawurlencode($subscription['id']),
+            ['payment_method' => 'credit_card', 'updated_at' => nowIso()]
+        );
+    }
+}
+
+// --- Retorno final ---
+$card = null;
+foreach (listarCartoesSalvos($iuguCustomerId) as $saved) {
+    if ($saved['id'] === $pmRes['data']['id']) {
+        $card = ['brand' => $saved['brand'], 'last4' => $saved['last4'], 'expiry' => $saved['expiry']];
+        break;
+    }
+}
+
+echo json_encode([
+    'updated' => true,
+    'card'    => $card,
+]);
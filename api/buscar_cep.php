@@ -0,0 +1,44 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/buscar_cep.php
+ * MÉTODO:  GET
+ * PARÂMETRO: ?cep=00000-000
+ *
+ * DESCRIÇÃO:
+ *  Chamado pela Etapa 3 quando o usuário termina de digitar o CEP,
+ *  para preencher automaticamente rua, bairro, cidade e UF.
+ *  O provedor de consulta é definido em CEP_PROVIDER (ver cep.php).
+ *
+ * RETORNO:
+ *  - found: bool
+ *  - address: { zip_code, street, district, city, state } (se encontrado)
+ *
+ *  CEP não encontrado NÃO é erro: o usuário preenche manualmente.
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/cep.php';
+
+header('Content-Type: application/json; charset=utf-8');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use GET.');
+}
+
+$cep = onlyDigits($_GET['cep'] ?? '');
+if (strlen($cep) !== 8) {
+    responderErro(400, 'zip_invalid', 'CEP inválido. Informe os 8 dígitos.', ['field' => 'cep']);
+}
+
+$result = buscarEnderecoPorCep($cep);
+
+if ($result['error'] !== null) {
+    responderErro(502, 'cep_lookup_failed', $result['error']);
+}
+
+echo json_encode([
+    'found'   => $result['found'],
+    'address' => $result['address'],
+]);
@@ -0,0 +1,67 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/cancelar_assinatura.php
+ * MÉTODO:  POST
+ * HEADER:  Authorization: Bearer <token de confirmar_codigo_acesso.php>
+ *
+ * DESCRIÇÃO:
+ *  Cancela a assinatura na área "Minha assinatura".
+ *  1. Suspende a assinatura na Iugu (nenhuma nova fatura é gerada)
+ *  2. Marca a assinatura como "canceled" no banco
+ *  3. Revoga os entitlements e desativa titular + dependentes
+ *     na Alloyal (revogarAcesso em liberar_acesso.php)
+ *
+ *  No desconto em folha não há Iugu: a assinatura cancelada sai
+ *  da exportação do RH a partir do mês seguinte.
+ *
+ * RETORNO:
+ *  - canceled: bool
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/membros.php';
+require __DIR__ . '/liberar_acesso.php';
+
+header('Content-Type: application/json; charset=utf-8');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use POST.');
+}
+
+$profile      = exigirSessaoMembro();
+$subscription = buscarAssinaturaMembro($profile['id']);
+
+if (!$subscription || in_array($subscription['status'], MEMBER_CLOSED_STATUSES, true)) {
+    responderErro(409, 'no_active_subscription', 'Você não tem uma assinatura ativa para cancelar.');
+}
+
+// ============================================================
+// PASSO 1: Suspender a cobrança na Iugu
+// ============================================================
+if (!empty($subscription['iugu_subscription_id'])) {
+    $suspendRes = iuguCall(
+        'POST',
+        "subscriptions/" . rawurlencode($subscription['iugu_subscription_id']) . "/suspend"
+    );
+
+    if (!$suspendRes['ok']) {
+        responderFalhaIugu(
+            $suspendRes, 'cancel_failed', 'Erro ao cancelar a assinatura na Iugu. Tente novamente.',
+            ['subscription_id' => $subscription['id']]
+        );
+    }
+}
+
+// ============================================================
+// PASSO 2: Cancelar no banco e revogar o acesso (entitlements + Alloyal)
+// ============================================================
+$revogacao = revogarAcesso($profile['id'], $subscription['id'], $profile['cpf'], $profile['full_name'] ?? '');
+
+if (!$revogacao['ok']) {
+    registrarErroInterno('access_revoke_failed', ['subscription_id' => $subscription['id']]);
+    responderErro(500, 'access_revoke_failed', 'Assinatura cancelada, mas houve um erro ao encerrar o acesso. Fale com o nosso suporte.', ['retryable' => false]);
+}
+
+echo json_encode(['canceled' => true]);
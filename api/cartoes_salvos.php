@@ -0,0 +1,60 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/cartoes_salvos.php
+ * MÉTODO:  GET
+ * HEADER:  Authorization: Bearer <token da sessão do membro>
+ * PARÂMETRO:
+ *   ?cpf=00000000000   → CPF digitado na Etapa 1 (precisa ser o da sessão)
+ *
+ * DESCRIÇÃO:
+ *  Chamado pela Etapa 4 para usuários que já têm cadastro.
+ *  Se o perfil já assinou antes, lista os cartões salvos no
+ *  cliente da Iugu para oferecer "pagar com o cartão final 1234"
+ *  sem digitar (e tokenizar) o cartão de novo.
+ *
+ *  O CPF não basta para ver os cartões: o usuário confirma antes
+ *  o código enviado ao e-mail do cadastro (enviar_codigo_acesso.php /
+ *  confirmar_codigo_acesso.php) e a sessão criada identifica o perfil.
+ *
+ *  Apenas bandeira, 4 últimos dígitos e validade são expostos —
+ *  os dados completos do cartão ficam somente na Iugu.
+ *
+ * RETORNO:
+ *  - cards: [{ id, brand, last4, expiry, is_default }]
+ *
+ * ERROS: formato comum da API (responderErro): invalid_parameter,
+ *  session_expired (HTTP 401)
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/clientes_iugu.php';
+require __DIR__ . '/membros.php';
+
+header('Content-Type: application/json; charset=utf-8');
+header('Cache-Control: no-store');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use GET.');
+}
+
+$cpf = onlyDigits($_GET['cpf'] ?? '');
+
+if (!validarCPF($cpf)) {
+    responderErro(400, 'invalid_parameter', "Parâmetro 'cpf' é obrigatório.");
+}
+
+$profile = exigirSessaoMembro();
+
+// A sessão aberta nesta aba pode ser de outro CPF: não mistura os cartões
+if ($profile['cpf'] !== $cpf) {
+    echo json_encode(['cards' => []]);
+    exit;
+}
+
+$iuguCustomerId = buscarClienteIuguExistente($profile['id'], $cpf);
+
+echo json_encode([
+    'cards' => $iuguCustomerId ? listarCartoesSalvos($iuguCustomerId) : [],
+]);
@@ -0,0 +1,94 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/cep.php
+ * DESCRIÇÃO: Consulta de endereço por CEP com provedores plugáveis.
+ *            O provedor ativo é escolhido pela variável CEP_PROVIDER
+ *            do .env:
+ *              - "viacep"  → consulta https://viacep.com.br (produção)
+ *              - "fixture" → lê api/fixtures/ceps.json (offline, para
+ *                            desenvolvimento local e testes)
+ *
+ *            Para adicionar um provedor, crie uma função com a mesma
+ *            assinatura de cepProviderViaCep() e registre-a em
+ *            CEP_PROVIDERS.
+ *
+ * USO: require __DIR__ . '/cep.php';
+ *      $res = buscarEnderecoPorCep('70040010');
+ *
+ * RETORNO PADRONIZADO DOS PROVEDORES:
+ *  ['found' => bool, 'address' => ['zip_code', 'street', 'district', 'city', 'state'] | null,
+ *   'error' => string|null]
+ * ============================================================
+ */
+
+const CEP_PROVIDERS = [
+    'viacep'  => 'cepProviderViaCep',
+    'fixture' => 'cepProviderFixture',
+];
+
+/**
+ * Busca o endereço de um CEP usando o provedor configurado.
+ *
+ * @param string $cep CEP com ou sem máscara
+ * @return array Retorno padronizado (ver cabeçalho)
+ */
+function buscarEnderecoPorCep(string $cep): array {
+    $cep = onlyDigits($cep);
+    if (strlen($cep) !== 8) {
+        return ['found' => false, 'address' => null, 'error' => 'CEP inválido. Informe os 8 dígitos.'];
+    }
+
+    $provider = CEP_PROVIDERS[CEP_PROVIDER] ?? null;
+    if (!$provider) {
+        return ['found' => false, 'address' => null, 'error' => 'Provedor de CEP não configurado.'];
+    }
+
+    return $provider($cep);
+}
+
+/**
+ * Provedor ViaCEP (https://viacep.com.br).
+ * Para CEP inexistente, o ViaCEP responde 200 com {"erro": true}.
+ */
+function cepProviderViaCep(string $cep): array {
+    $res = executeCurl("https://viacep.com.br/ws/{$cep}/json/", 'GET', null, ['Accept: application/json']);
+
+    if (!$res['ok'] || !is_array($res['data'])) {
+        return ['found' => false, 'address' => null, 'error' => 'Serviço de CEP indisponível.'];
+    }
+    if (!empty($res['data']['erro'])) {
+        return ['found' => false, 'address' => null, 'error' => null];
+    }
+
+    return [
+        'found'   => true,
+        'address' => [
+            'zip_code' => $cep,
+            'street'   => $res['data']['logradouro'] ?? '',
+            'district' => $res['data']['bairro'] ?? '',
+            'city'     => $res['data']['localidade'] ?? '',
+            'state'    => $res['data']['uf'] ?? '',
+        ],
+        'error'   => null,
+    ];
+}
+
+/**
+ * Provedor offline: lê os CEPs de api/fixtures/ceps.json.
+ * Não faz nenhuma chamada de rede.
+ */
+function cepProviderFixture(string $cep): array {
+    $file = __DIR__ . '/fixtures/ceps.json';
+    $ceps = file_exists($file) ? json_decode(file_get_contents($file), true) : [];
+
+    if (!is_array($ceps) || !isset($ceps[$cep])) {
+        return ['found' => false, 'address' => null, 'error' => null];
+    }
+
+    return [
+        'found'   => true,
+        'address' => array_merge(['zip_code' => $cep], $ceps[$cep]),
+        'error'   => null,
+    ];
+}
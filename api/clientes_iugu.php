@@ -0,0 +1,111 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/clientes_iugu.php
+ * DESCRIÇÃO: Funções compartilhadas para reaproveitar o cliente
+ *            da Iugu (e os cartões salvos nele) de quem já assinou.
+ *            - processar_assinatura.php reusa o cliente em vez de
+ *              criar um novo a cada compra
+ *            - cartoes_salvos.php lista os cartões para a Etapa 4
+ *            - motivoRecusaCartao() traduz a recusa de uma cobrança
+ *              (código LR) em code/mensagem para o checkout
+ *
+ * USO: require_once __DIR__ . '/clientes_iugu.php';
+ *
+ * ORIGEM DO CLIENTE:
+ *  O iugu_customer_id é gravado em subscriptions a cada assinatura.
+ *  Usamos o da assinatura mais recente do perfil e confirmamos na
+ *  Iugu que ele ainda existe e pertence ao mesmo CPF.
+ * ============================================================
+ */
+
+/**
+ * Busca o cliente da Iugu usado na última assinatura do perfil.
+ *
+ * @param string $profileId UUID do perfil
+ * @param string $cpf       CPF do titular (apenas dígitos), conferido com o cliente da Iugu
+ * @return string|null ID do cliente na Iugu, ou null se não houver (ou não for mais válido)
+ */
+function buscarClienteIuguExistente(string $profileId, string $cpf): ?string {
+    if ($profileId === '') return null;
+
+    $subRes = supabaseGet(
+        "subscriptions?profile_id=eq." . rawurlencode($profileId) .
+        "&iugu_customer_id=not.is.null" .
+        "&select=iugu_customer_id&order=created_at.desc&limit=1"
+    );
+    $customerId = $subRes['data'][0]['iugu_customer_id'] ?? null;
+    if (!$customerId) return null;
+
+    // O cliente pode ter sido removido no painel da Iugu
+    $customerRes = iuguCall('GET', "customers/" . rawurlencode($customerId));
+    if (!$customerRes['ok'] || empty($customerRes['data']['id'])) return null;
+
+    if (onlyDigits($customerRes['data']['cpf_cnpj'] ?? '') !== $cpf) return null;
+
+    return $customerId;
+}
+
+/**
+ * Lista os cartões de crédito salvos no cliente da Iugu.
+ * Cartões vencidos não são retornados.
+ *
+ * @param string $iuguCustomerId ID do cliente na Iugu
+ * @return array Lista de ['id', 'brand', 'last4', 'expiry' => 'MM/AA', 'is_default']
+ */
+function listarCartoesSalvos(string $iuguCustomerId): array {
+    $customerRes = iuguCall('GET', "customers/" . rawurlencode($iuguCustomerId));
+    $pmRes       = iuguCall('GET', "customers/" . rawurlencode($iuguCustomerId) . "/payment_methods");
+
+    if (!$pmRes['ok'] || !is_array($pmRes['data'])) return [];
+
+    $defaultId = $customerRes['data']['default_payment_method_id'] ?? null;
+    $thisMonth = (int)date('Ym');
+    $cards     = [];
+
+    foreach ($pmRes['data'] as $pm) {
+        if (($pm['item_type'] ?? 'credit_card') !== 'credit_card') continue;
+
+        $data  = $pm['data'] ?? [];
+        $month = (int)($data['month'] ?? 0);
+        $year  = (int)($data['year'] ?? 0);
+        if ($year < 100) $year += 2000;
+
+        // Cartão vale até o último dia do mês de validade
+        if ($month < 1 || ($year * 100 + $month) < $thisMonth) continue;
+
+        $cards[] = [
+            'id'         => $pm['id'],
+            'brand'      => strtolower($data['brand'] ?? ''),
+            'last4'      => substr(onlyDigits($data['display_number'] ?? ''), -4),
+            'expiry'     => sprintf('%02d/%02d', $month, $year % 100),
+            'is_default' => $pm['id'] === $defaultId,
+        ];
+    }
+
+    return $cards;
+}
+
+// Recusas no cartão com orientação própria, pelo código LR da Iugu
+// (resposta da operadora). Os demais códigos viram card_declined.
+const IUGU_LR_RECUSAS = [
+    '51' => ['code' => 'card_insufficient_funds', 'field' => 'card_number', 'message' => 'Cartão sem limite disponível. Use outro cartão ou pague com PIX.'],
+    '54' => ['code' => 'card_expired',            'field' => 'card_expiry', 'message' => 'Cartão vencido. Confira a validade ou use outro cartão.'],
+    'N7' => ['code' => 'card_invalid_cvv',        'field' => 'card_cvv',    'message' => 'Código de segurança (CVV) inválido. Confira o verso do cartão.'],
+    '14' => ['code' => 'card_invalid_number',     'field' => 'card_number', 'message' => 'Número do cartão inválido. Confira os dígitos.'],
+];
+
+/**
+ * Motivo da recusa de uma cobrança no cartão, para a resposta do
+ * checkout (o campo indicado fica destacado no formulário do cartão).
+ *
+ * @param string|null $lr Código LR da resposta do /charge (ex: "51")
+ * @return array ['code' => string, 'message' => string, 'field' => string]
+ */
+function motivoRecusaCartao(?string $lr): array {
+    return IUGU_LR_RECUSAS[strtoupper(trim((string)$lr))] ?? [
+        'code'    => 'card_declined',
+        'field'   => 'card_number',
+        'message' => 'Pagamento recusado pelo banco emissor do cartão. Use outro cartão ou pague com PIX.',
+    ];
+}
@@ -0,0 +1,163 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/codigos_verificacao.php
+ * DESCRIÇÃO: Códigos de verificação de uso único (6 dígitos)
+ *            enviados por e-mail para comprovar que o usuário
+ *            tem acesso àquele endereço.
+ *
+ * USO: require_once __DIR__ . '/codigos_verificacao.php';
+ *      $res = enviarCodigoVerificacao('convenio', $cpf, $email, $assunto, $texto, ['company_id' => ...]);
+ *      $res = confirmarCodigoVerificacao('convenio', $cpf, $email, '123456');
+ *
+ * TABELA: verification_codes (ver README.md)
+ *   purpose    → finalidade do código (ex: "convenio")
+ *   code_hash  → o código nunca é gravado em texto puro
+ *   context    → dados que a finalidade precisa após a confirmação
+ *
+ * REGRAS:
+ *  - Validade de VERIFICATION_CODE_TTL_MIN minutos
+ *  - No máximo VERIFICATION_CODE_MAX_ATTEMPTS tentativas por código
+ *  - Um novo envio para o mesmo CPF/e-mail só após
+ *    VERIFICATION_CODE_RESEND_SEC segundos
+ * ============================================================
+ */
+
+require_once __DIR__ . '/email.php';
+require_once __DIR__ . '/dados_mascarados.php'; // mascararEmail() para as respostas
+
+const VERIFICATION_CODE_TTL_MIN      = 10;
+const VERIFICATION_CODE_MAX_ATTEMPTS = 5;
+const VERIFICATION_CODE_RESEND_SEC   = 60;
+
+/**
+ * Gera um código, grava o hash e envia por e-mail.
+ * O texto do e-mail recebe o código no lugar de "{codigo}".
+ *
+ * @param string $purpose Finalidade (ex: "convenio")
+ * @param string $cpf     CPF do titular (apenas dígitos)
+ * @param string $email   E-mail que receberá o código
+ * @param string $subject Assunto do e-mail
+ * @param string $body    Texto do e-mail com o marcador {codigo}
+ * @param array  $context Dados devolvidos na confirmação (ex: company_id)
+ * @return array ['ok' => bool, 'code' => string|null, 'error' => string|null]
+ */
+function enviarCodigoVerificacao(string $purpose, string $cpf, string $email, string $subject, string $body, array $context = []): array {
+    $email = strtolower(trim($email));
+
+    // ─── 1. Intervalo mínimo entre envios ────────────────────────────────────
+    $desde = gmdate('Y-m-d\TH:i:s\Z', time() - VERIFICATION_CODE_RESEND_SEC);
+    $recentRes = supabaseGet(
+        "verification_codes?purpose=eq." . rawurlencode($purpose) .
+        "&cpf=eq." . rawurlencode($cpf) .
+        "&email=eq." . rawurlencode($email) .
+        "&created_at=gt." . rawurlencode($desde) .
+        "&select=id&limit=1"
+    );
+    if (!empty($recentRes['data'])) {
+        return ['ok' => false, 'code' => 'verification_code_recently_sent', 'error' => 'Um código acabou de ser enviado. Aguarde um minuto para pedir outro.'];
+    }
+
+    // ─── 2. Gravar o hash do novo código ─────────────────────────────────────
+    $code = str_pad((string)random_int(0, 999999), 6, '0', STR_PAD_LEFT);
+
+    $insertRes = supabasePost('verification_codes', [
+        'id'         => generateUuid(),
+        'purpose'    => $purpose,
+        'cpf'        => $cpf,
+        'email'      => $email,
+        'code_hash'  => password_hash($code, PASSWORD_DEFAULT),
+        'context'    => $context,
+        'attempts'   => 0,
+        'expires_at' => gmdate('Y-m-d\TH:i:s\Z', time() + VERIFICATION_CODE_TTL_MIN * 60),
+        'created_at' => nowIso(),
+    ]);
+    if (!$insertRes['ok']) {
+        return ['ok' => false, 'code' => 'verification_code_failed', 'error' => 'Erro ao gerar o código de verificação.'];
+    }
+
+    // ─── 3. Enviar o e-mail ──────────────────────────────────────────────────
+    $sendRes = enviarEmail($email, $subject, str_replace('{codigo}', $code, $body));
+    if (!$sendRes['ok']) {
+        return ['ok' => false, 'code' => 'email_send_failed', 'error' => $sendRes['error']];
+    }
+    return ['ok' => true, 'code' => null, 'error' => null];
+}
+
+/**
+ * Confere o código digitado contra o último código válido do CPF/e-mail.
+ * Em caso de acerto, o código é consumido e não pode ser reutilizado.
+ *
+ * A tentativa é contada antes da conferência, com uma atualização que
+ * só vale se attempts ainda for o valor lido (attempts=eq.N): palpites
+ * simultâneos não passam de VERIFICATION_CODE_MAX_ATTEMPTS.
+ *
+ * @param string $purpose Finalidade (a mesma usada no envio)
+ * @param string $cpf     CPF do titular (apenas dígitos)
+ * @param string $email   E-mail que recebeu o código
+ * @param string $code    Código digitado
+ * @return array ['valid' => bool, 'code' => string|null, 'message' => string, 'context' => array]
+ */
+function confirmarCodigoVerificacao(string $purpose, string $cpf, string $email, string $code): array {
+    $fail  = fn(string $code, string $message) => ['valid' => false, 'code' => $code, 'message' => $message, 'context' => []];
+    $email = strtolower(trim($email));
+
+    $row = null;
+    for ($i = 0; $i < VERIFICATION_CODE_MAX_ATTEMPTS && !$row; $i++) {
+        $res = supabaseGet(
+            "verification_codes?purpose=eq." . rawurlencode($purpose) .
+            "&cpf=eq." . rawurlencode($cpf) .
+            "&email=eq." . rawurlencode($email) .
+            "&consumed_at=is.null" .
+            "&expires_at=gt." . rawurlencode(nowIso()) .
+            "&select=id,code_hash,context,attempts&order=created_at.desc&limit=1"
+        );
+        if (!$res['ok']) {
+            return $fail('verification_check_failed', 'Não foi possível conferir o código. Tente novamente.');
+        }
+
+        $candidate = $res['data'][0] ?? null;
+        if (!$candidate) {
+            return $fail('verification_code_expired', 'Código expirado ou não solicitado. Peça um novo código.');
+        }
+
+        $attempts = (int)$candidate['attempts'];
+        if ($attempts >= VERIFICATION_CODE_MAX_ATTEMPTS) {
+            return $fail('verification_code_locked', 'Muitas tentativas incorretas. Peça um novo código.');
+        }
+
+        // Se outra tentativa contou antes, nenhuma linha muda e a leitura é refeita
+        $countRes = supabasePatch(
+            "verification_codes?id=eq." . rawurlencode($candidate['id']) . "&attempts=eq.{$attempts}",
+            ['attempts' => $attempts + 1]
+        );
+        if (!$countRes['ok']) {
+            return $fail('verification_check_failed', 'Não foi possível conferir o código. Tente novamente.');
+        }
+        if (!empty($countRes['data'])) {
+            $row = $candidate;
+        }
+    }
+
+    if (!$row) {
+        return $fail('verification_code_locked', 'Muitas tentativas incorretas. Peça um novo código.');
+    }
+
+    if (!password_verify(onlyDigits($code), $row['code_hash'])) {
+        return $fail('verification_code_incorrect', 'Código incorreto. Confira o e-mail e tente novamente.');
+    }
+
+    // consumed_at=is.null: o mesmo código não é aceito por duas requisições
+    $consumeRes = supabasePatch(
+        "verification_codes?id=eq." . rawurlencode($row['id']) . "&consumed_at=is.null",
+        ['consumed_at' => nowIso()]
+    );
+    if (!$consumeRes['ok']) {
+        return $fail('verification_check_failed', 'Não foi possível conferir o código. Tente novamente.');
+    }
+    if (empty($consumeRes['data'])) {
+        return $fail('verification_code_expired', 'Código expirado ou não solicitado. Peça um novo código.');
+    }
+
+    return ['valid' => true, 'code' => null, 'message' => '', 'context' => $row['context'] ?? []];
+}
@@ -42,6 +42,25 @@ define('ALLOYAL_EMPLOYEE_TOKEN',  $_ENV['ALLOYAL_EMPLOYEE_TOKEN'] ?? '');
 // Produto
 define('PRODUCT_ID_CLUBE', $_ENV['PRODUCT_ID_CLUBE'] ?? '');
 
+// Fuso das datas mostradas ao usuário (validade do acesso)
+define('APP_TIMEZONE', 'America/Sao_Paulo');
+
+// Consulta de CEP: "viacep" (produção) ou "fixture" (offline, lê api/fixtures/ceps.json)
+define('CEP_PROVIDER', $_ENV['CEP_PROVIDER'] ?? 'viacep');
+
+// E-mail: "mail" (função mail() do PHP) ou "file" (grava .eml em MAIL_OUTBOX_DIR, para desenvolvimento local)
+define('MAIL_TRANSPORT',  $_ENV['MAIL_TRANSPORT'] ?? 'mail');
+define('MAIL_FROM',       $_ENV['MAIL_FROM'] ?? 'TKS Vantagens <nao-responda@tksvantagens.com.br>');
+define('MAIL_OUTBOX_DIR', rtrim($_ENV['MAIL_OUTBOX_DIR'] ?? __DIR__ . '/../storage/mail', '/'));
+
+// Limite de requisições (ex: consulta de CPF): contadores em arquivo, fora da pasta pública
+define('RATE_LIMIT_DIR', rtrim($_ENV['RATE_LIMIT_DIR'] ?? __DIR__ . '/../storage/ratelimit', '/'));
+
+// Desafio anti-robô: "none" (desligado), "turnstile", "hcaptcha" ou "stub" (local, sem rede)
+define('CAPTCHA_PROVIDER',   $_ENV['CAPTCHA_PROVIDER'] ?? 'none');
+define('CAPTCHA_SITE_KEY',   $_ENV['CAPTCHA_SITE_KEY'] ?? '');
+define('CAPTCHA_SECRET_KEY', $_ENV['CAPTCHA_SECRET_KEY'] ?? '');
+
 // ============================================================
 // FUNÇÕES UTILITÁRIAS
 // ============================================================
@@ -173,6 +192,17 @@ function iuguCall(string $method, string $endpoint, array $payload = []): array
  * Usa as credenciais fixas da TKS Vantagens.
  */
 function alloyalSyncUser(string $cpf, string $fullName): array {
+    return alloyalSyncUsers([['cpf' => $cpf, 'name' => $fullName]]);
+}
+
+/**
+ * Sincroniza vários usuários com a Alloyal/Lecupon em uma única chamada
+ * (ex: titular + dependentes da mesma assinatura).
+ *
+ * @param array $users  Lista de ['cpf' => string, 'name' => string]
+ * @param bool  $active true libera o Clube de Vantagens; false desativa
+ */
+function alloyalSyncUsers(array $users, bool $active = true): array {
     $businessCode = ALLOYAL_BUSINESS_CODE;
     $url = ALLOYAL_BASE_URL . "/businesses/{$businessCode}/authorized_users/sync";
     $headers = [
@@ -182,17 +212,33 @@ function alloyalSyncUser(string $cpf, string $fullName): array {
         'Accept: application/json',
     ];
     $payload = [
-        'authorized_users' => [
-            [
-                'cpf'    => onlyDigits($cpf),
-                'name'   => $fullName,
-                'active' => true,
-            ]
-        ]
+        'authorized_users' => array_map(fn($u) => [
+            'cpf'    => onlyDigits($u['cpf']),
+            'name'   => $u['name'],
+            'active' => $active,
+        ], $users),
     ];
     return executeCurl($url, 'POST', json_encode($payload), $headers);
 }
 
+/**
+ * Desativa um usuário na Alloyal/Lecupon (contraparte de alloyalSyncUser).
+ * Usado quando a assinatura é cancelada e o acesso é revogado.
+ */
+function alloyalDeactivateUser(string $cpf, string $fullName): array {
+    return alloyalDeactivateUsers([['cpf' => $cpf, 'name' => $fullName]]);
+}
+
+/**
+ * Desativa vários usuários na Alloyal/Lecupon em uma única chamada
+ * (ex: titular + dependentes da assinatura cancelada).
+ *
+ * @param array $users Lista de ['cpf' => string, 'name' => string]
+ */
+function alloyalDeactivateUsers(array $users): array {
+    return alloyalSyncUsers($users, false);
+}
+
 /**
  * Gera um UUID v4 aleatório.
  * Usado para criar IDs únicos para registros no banco de dados.
@@ -216,25 +262,131 @@ function nowIso(): string {
     return gmdate('Y-m-d\TH:i:s\Z');
 }
 
+/**
+ * Converte uma data/hora ISO 8601 (ex: retorno do Supabase) para a
+ * data no fuso do usuário (APP_TIMEZONE), no formato YYYY-MM-DD.
+ * As telas exibem só a data, e 02:59 UTC ainda é o dia anterior em Brasília.
+ */
+function dataLocal(string $iso): string {
+    return (new DateTimeImmutable($iso))
+        ->setTimezone(new DateTimeZone(APP_TIMEZONE))
+        ->format('Y-m-d');
+}
+
+// ============================================================
+// RESPOSTAS DE ERRO DA API
+// Todo endpoint responde erros no mesmo formato:
+//   { "error": "...", "code": "...", "retryable": bool, "field": "...", "params": {...} }
+//  - error:     mensagem em português para o usuário (texto padrão;
+//               o checkout traduz pelo code — js/i18n.mjs)
+//  - code:      identificador estável do erro (ex: "card_declined")
+//  - retryable: true se repetir a MESMA requisição pode dar certo
+//               (falha temporária); false se algo precisa mudar antes
+//  - field:     campo do formulário com problema (só quando houver)
+//  - params:    valores usados na mensagem (só quando houver)
+// Respostas da Iugu/Supabase e IDs internos não vão para o
+// navegador: ficam no log do servidor (registrarErroInterno).
+// ============================================================
+
+// Códigos HTTP de falhas temporárias: retryable = true, salvo indicação contrária
+const API_HTTP_RETENTAVEIS = [429, 500, 502, 503, 504];
+
+/**
+ * Responde com um erro no formato comum da API e encerra o script.
+ *
+ * @param int    $httpCode Código HTTP (ex: 400, 409, 502)
+ * @param string $code     Identificador estável do erro
+ * @param string $message  Mensagem em português para o usuário
+ * @param array  $extra    'field', 'params', 'retryable' (no lugar do padrão
+ *                         pelo código HTTP) e demais chaves da resposta
+ *                         (ex: 'retry_after'); valores null são omitidos
+ */
+function responderErro(int $httpCode, string $code, string $message, array $extra = []): void {
+    http_response_code($httpCode);
+    echo json_encode(array_merge([
+        'error'     => $message,
+        'code'      => $code,
+        'retryable' => in_array($httpCode, API_HTTP_RETENTAVEIS, true),
+    ], array_filter($extra, fn($v) => $v !== null)));
+    exit;
+}
+
+/**
+ * Registra no log do servidor (error_log do PHP) os detalhes de uma
+ * falha que não podem ir na resposta.
+ *
+ * @param string     $code     O mesmo code da resposta, para achar o registro
+ * @param array      $contexto IDs e dados úteis para a investigação
+ * @param array|null $res      Retorno de executeCurl() da chamada que falhou
+ */
+function registrarErroInterno(string $code, array $contexto = [], ?array $res = null): void {
+    if ($res !== null) {
+        $contexto['http_code']  = $res['http_code'] ?? null;
+        $contexto['curl_error'] = $res['error'] ?? null;
+        $contexto['response']   = $res['data'] ?? null;
+    }
+    error_log('[api] ' . $code . ' ' . json_encode($contexto, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES));
+}
+
+/**
+ * Indica se a chamada HTTP ficou sem resposta (tempo esgotado ou falha
+ * de conexão) ou recebeu um erro temporário do serviço (429 ou 5xx).
+ *
+ * @param array $res Retorno de executeCurl()
+ * @return bool
+ */
+function falhaTemporaria(array $res): bool {
+    return $res['http_code'] === 0 || $res['http_code'] === 429 || $res['http_code'] >= 500;
+}
+
+/**
+ * Responde à falha de uma chamada à Iugu e encerra o script. A resposta
+ * da Iugu vai para o log; o usuário recebe:
+ *  - iugu_timeout (504, retryable): a Iugu não respondeu a tempo
+ *  - iugu_unavailable (503, retryable): a Iugu respondeu com 429 ou 5xx
+ *  - $code (502, não retryable): a Iugu recusou a requisição
+ *
+ * @param array  $res      Retorno de iuguCall()
+ * @param string $code     Code usado quando a Iugu recusa a requisição
+ * @param string $message  Mensagem desse caso
+ * @param array  $contexto IDs registrados no log junto com a resposta
+ * @param array  $extra    Demais chaves da resposta de recusa (ex: 'field')
+ */
+function responderFalhaIugu(array $res, string $code, string $message, array $contexto = [], array $extra = []): void {
+    registrarErroInterno($code, $contexto, $res);
+
+    if ($res['http_code'] === 0) {
+        responderErro(504, 'iugu_timeout', 'O sistema de pagamento demorou a responder. Tente novamente.');
+    }
+    if (falhaTemporaria($res)) {
+        responderErro(503, 'iugu_unavailable', 'O sistema de pagamento está instável no momento. Tente novamente em instantes.');
+    }
+    responderErro(502, $code, $message, array_merge(['retryable' => false], $extra));
+}
+
 // ============================================================
 // FUNÇÕES DE VALIDAÇÃO DE DADOS
 // Implementam as regras de negócio para os campos do formulário.
 // Usadas como segunda camada de segurança no backend,
-// complementando as validações do frontend (JS).
+// complementando as validações do frontend (js/validacoes.mjs).
+// As duas camadas são conferidas com os mesmos casos de
+// tests/fixtures/validacoes.json (tests/validacoes_fixture.php).
 // ============================================================
 
 /**
  * Valida o CPF usando o algoritmo oficial dos dois dígitos verificadores.
  *
  * Regras:
- *  - Deve ter exatamente 11 dígitos
+ *  - Deve ter exatamente 11 dígitos (a máscara é ignorada)
  *  - Não pode ser uma sequência repetida (ex: 111.111.111-11)
  *  - Os dois dígitos verificadores devem ser matematicamente corretos
  *
- * @param string $cpf CPF apenas com dígitos (sem máscara)
+ * @param string $cpf CPF com ou sem máscara
  * @return bool
  */
 function validarCPF(string $cpf): bool {
+    $cpf = onlyDigits($cpf);
+
     // Deve ter exatamente 11 dígitos
     if (strlen($cpf) !== 11) return false;
 
@@ -262,92 +414,225 @@ function validarCPF(string $cpf): bool {
     return true;
 }
 
+/**
+ * Formato de e-mail aceito (mesmo padrão de EMAIL_REGEX em js/validacoes.mjs):
+ * parte local com os caracteres permitidos e sem pontos nas pontas ou
+ * seguidos, domínio com ao menos um ponto e terminação de 2+ letras.
+ */
+const EMAIL_PATTERN = '/^[A-Za-z0-9!#$%&\'*+\/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&\'*+\/=?^_`{|}~-]+)*@(?:[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?\.)+[A-Za-z]{2,}$/D';
+const EMAIL_MAX_LENGTH = 254;
+
 /**
  * Valida o e-mail.
  *
  * Regras:
- *  - Deve conter o caractere @
- *  - Deve ter um domínio válido após o @ (ex: gmail.com)
- *  - Formato: usuario@dominio.extensao
+ *  - Formato usuario@dominio.extensao (ver EMAIL_PATTERN)
+ *  - No máximo 254 caracteres
+ *  - Espaços nas pontas são ignorados
  *
  * @param string $email
  * @return bool
  */
 function validarEmail(string $email): bool {
-    return filter_var(trim($email), FILTER_VALIDATE_EMAIL) !== false;
+    $email = trim($email);
+    return strlen($email) <= EMAIL_MAX_LENGTH && preg_match(EMAIL_PATTERN, $email) === 1;
+}
+
+/**
+ * Códigos de área (DDD) em uso no Plano de Numeração da Anatel
+ * (mesma lista de DDDS_BRASIL em js/validacoes.mjs).
+ */
+const DDDS_BRASIL = [
+    11, 12, 13, 14, 15, 16, 17, 18, 19,
+    21, 22, 24, 27, 28,
+    31, 32, 33, 34, 35, 37, 38,
+    41, 42, 43, 44, 45, 46, 47, 48, 49,
+    51, 53, 54, 55,
+    61, 62, 63, 64, 65, 66, 67, 68, 69,
+    71, 73, 74, 75, 77, 79,
+    81, 82, 83, 84, 85, 86, 87, 88, 89,
+    91, 92, 93, 94, 95, 96, 97, 98, 99,
+];
+
+/**
+ * Dígitos do telefone sem o código do país. Aceita o número nacional
+ * (DDD + número, com ou sem máscara) ou em E.164 ("+55 61 99618-7769").
+ * Com 12 ou 13 dígitos começando com 55, o 55 só pode ser o código do
+ * país: nenhum número nacional passa de 11 dígitos.
+ */
+function digitosTelefoneNacional(string $phone): string {
+    $digits = onlyDigits($phone);
+    if ((strlen($digits) === 12 || strlen($digits) === 13) && str_starts_with($digits, '55')) {
+        return substr($digits, 2);
+    }
+    return $digits;
 }
 
 /**
- * Valida o telefone celular brasileiro.
+ * Valida o telefone brasileiro, celular ou fixo.
  *
  * Regras:
- *  - Deve ter exatamente 11 dígitos (DDD + 9 + 8 dígitos)
- *  - DDD deve ser um número entre 11 e 99
- *  - O 3º dígito (após o DDD) deve ser 9 (celular)
+ *  - O DDD deve existir no plano de numeração (DDDS_BRASIL)
+ *  - Celular: 9 dígitos após o DDD, começando com 9
+ *  - Fixo: 8 dígitos após o DDD, começando com 2, 3, 4 ou 5
+ *  - Aceita o número com o código do país, que precisa ser +55
+ *
+ * O `code` de cada recusa (também nas validações de nascimento e de
+ * endereço) é o mesmo de js/validacoes.mjs e volta na resposta da API:
+ * o checkout traduz a mensagem por ele.
  *
- * @param string $phone Telefone apenas com dígitos
- * @return array ['valid' => bool, 'message' => string]
+ * @param string $phone Telefone com ou sem máscara
+ * @return array ['valid' => bool, 'code' => string|null, 'message' => string, 'type' => 'mobile'|'landline'|null]
  */
 function validarTelefone(string $phone): array {
-    $digits = preg_replace('/\D+/', '', $phone);
+    $digits   = digitosTelefoneNacional($phone);
+    $invalido = fn(string $code, string $message) => ['valid' => false, 'code' => $code, 'message' => $message, 'type' => null];
+
+    // Com código de país, só o do Brasil
+    if (preg_match('/^\s*\+/', $phone) && !preg_match('/^\s*\+\s*55/', $phone)) {
+        return $invalido('phone_foreign', 'Informe um telefone do Brasil (+55).');
+    }
 
-    if (strlen($digits) < 11) {
-        return ['valid' => false, 'message' => 'Telefone inválido. Informe DDD + 9 dígitos (ex: 61 9 9618-7769).'];
+    if (strlen($digits) < 10) {
+        return $invalido('phone_too_short', 'Telefone inválido. Informe o DDD e o número (ex: (61) 99618-7769).');
     }
     if (strlen($digits) > 11) {
-        return ['valid' => false, 'message' => 'Telefone inválido. Número muito longo.'];
+        return $invalido('phone_too_long', 'Telefone inválido. Número muito longo.');
+    }
+
+    $ddd      = (int)substr($digits, 0, 2);
+    $primeiro = $digits[2]; // 1º dígito após o DDD: 9 = celular, 2 a 5 = fixo
+
+    if (!in_array($ddd, DDDS_BRASIL, true)) {
+        return $invalido('phone_invalid_area_code', 'DDD inválido. Verifique o código de área do telefone.');
     }
 
-    $ddd  = (int)substr($digits, 0, 2);
-    $nono = $digits[2]; // O 3º dígito deve ser 9 para celular
+    if (strlen($digits) === 11) {
+        if ($primeiro !== '9') {
+            return $invalido('phone_mobile_prefix', 'Celular deve começar com 9 após o DDD. Se for telefone fixo, informe só os 8 dígitos do número.');
+        }
+        return ['valid' => true, 'code' => null, 'message' => '', 'type' => 'mobile'];
+    }
 
-    if ($ddd < 11 || $ddd > 99) {
-        return ['valid' => false, 'message' => 'DDD inválido. Informe um DDD entre 11 e 99.'];
+    // 10 dígitos: fixo, ou celular digitado sem o 9 na frente
+    if (in_array($primeiro, ['6', '7', '8', '9'], true)) {
+        return $invalido('phone_missing_nine', 'Celular tem 9 dígitos após o DDD. Acrescente o 9 na frente do número.');
     }
-    if ($nono !== '9') {
-        return ['valid' => false, 'message' => 'Número de celular inválido. O número deve começar com 9 após o DDD.'];
+    if (!in_array($primeiro, ['2', '3', '4', '5'], true)) {
+        return $invalido('phone_invalid_prefix', 'Número de telefone inválido. Verifique os dígitos após o DDD.');
     }
+    return ['valid' => true, 'code' => null, 'message' => '', 'type' => 'landline'];
+}
 
-    return ['valid' => true, 'message' => ''];
+/**
+ * Normaliza o telefone para o formato E.164 (+55 + DDD + número),
+ * formato gravado em profiles.phone.
+ *
+ * @param string $phone Telefone com ou sem máscara
+ * @return string|null Ex: "+5561996187769"; null se o telefone for inválido
+ */
+function telefoneE164(string $phone): ?string {
+    return validarTelefone($phone)['valid'] ? '+55' . digitosTelefoneNacional($phone) : null;
 }
 
 /**
  * Valida a data de nascimento.
  *
  * Regras:
- *  - Deve ser uma data válida
+ *  - Deve ser uma data existente no formato YYYY-MM-DD
  *  - Não pode ser uma data futura
- *  - O usuário deve ter no mínimo 15 anos na data atual do cadastro
+ *  - O usuário deve ter no mínimo 15 anos na data atual do cadastro (titular)
+ *
+ * "Hoje" é o dia no fuso do negócio (APP_TIMEZONE), não o do servidor:
+ * às 22h em Brasília já é o dia seguinte em UTC. A comparação usa só o
+ * dia do calendário, como em js/validacoes.mjs.
  *
- * @param string $birthDate Data no formato YYYY-MM-DD
- * @return array ['valid' => bool, 'message' => string]
+ * @param string                  $birthDate   Data no formato YYYY-MM-DD
+ * @param int                     $idadeMinima Idade mínima exigida (0 para dependentes)
+ * @param DateTimeInterface|null  $hoje        Data de referência (o teste da fixture fixa uma)
+ * @return array ['valid' => bool, 'code' => string|null, 'message' => string, 'params' => array]
  */
-function validarDataNascimento(string $birthDate): array {
+function validarDataNascimento(string $birthDate, int $idadeMinima = 15, ?DateTimeInterface $hoje = null): array {
     if (empty($birthDate)) {
-        return ['valid' => false, 'message' => 'Data de nascimento é obrigatória.'];
+        return ['valid' => false, 'code' => 'birth_date_required', 'message' => 'Data de nascimento é obrigatória.', 'params' => []];
+    }
+
+    // Verifica se é uma data existente no formato YYYY-MM-DD
+    if (!preg_match('/^(\d{4})-(\d{2})-(\d{2})$/D', $birthDate, $m) || !checkdate((int)$m[2], (int)$m[3], (int)$m[1])) {
+        return ['valid' => false, 'code' => 'birth_date_invalid', 'message' => 'Data de nascimento inválida.', 'params' => []];
+    }
+    [$ano, $mes, $dia] = [(int)$m[1], (int)$m[2], (int)$m[3]];
+
+    $hoje = DateTimeImmutable::createFromInterface($hoje ?? new DateTimeImmutable())
+        ->setTimezone(new DateTimeZone(APP_TIMEZONE));
+    [$anoAtual, $mesAtual, $diaAtual] = array_map('intval', explode('-', $hoje->format('Y-m-d')));
+
+    // Não pode ser uma data futura (compara o dia do calendário, AAAAMMDD)
+    if ($ano * 10000 + $mes * 100 + $dia > $anoAtual * 10000 + $mesAtual * 100 + $diaAtual) {
+        return ['valid' => false, 'code' => 'birth_date_future', 'message' => 'A data de nascimento não pode ser uma data futura.', 'params' => []];
+    }
+
+    // Idade completa: se ainda não fez aniversário este ano, subtrai 1
+    $idade = $anoAtual - $ano;
+    if ($mesAtual < $mes || ($mesAtual === $mes && $diaAtual < $dia)) {
+        $idade--;
     }
 
-    // Verifica se é uma data válida no formato YYYY-MM-DD
-    $parts = explode('-', $birthDate);
-    if (count($parts) !== 3 || !checkdate((int)$parts[1], (int)$parts[2], (int)$parts[0])) {
-        return ['valid' => false, 'message' => 'Data de nascimento inválida.'];
+    // Mínimo de 15 anos (titular)
+    if ($idade < $idadeMinima) {
+        return [
+            'valid'   => false,
+            'code'    => 'birth_date_min_age',
+            'message' => "Você deve ter pelo menos {$idadeMinima} anos para se cadastrar.",
+            'params'  => ['min_age' => $idadeMinima],
+        ];
     }
 
-    $nascimento = new DateTime($birthDate);
-    $hoje       = new DateTime();
+    return ['valid' => true, 'code' => null, 'message' => '', 'params' => []];
+}
+
+/**
+ * Unidades federativas aceitas no endereço (27 UFs, mesma lista de
+ * UFS_BRASIL em js/validacoes.mjs).
+ */
+const UFS_BRASIL = [
+    'AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA',
+    'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO',
+];
 
-    // Não pode ser uma data futura
-    if ($nascimento > $hoje) {
-        return ['valid' => false, 'message' => 'A data de nascimento não pode ser uma data futura.'];
+/**
+ * Valida o endereço do titular (exigido para registro de boletos na Iugu).
+ *
+ * Regras:
+ *  - CEP com exatamente 8 dígitos
+ *  - Rua, número, bairro e cidade obrigatórios (número aceita "S/N")
+ *  - UF deve ser uma das 27 unidades federativas
+ *  - Complemento é opcional
+ *
+ * @param array $address ['zip_code', 'street', 'number', 'complement', 'district', 'city', 'state']
+ * @return array ['valid' => bool, 'code' => string|null, 'message' => string, 'field' => string|null]
+ */
+function validarEndereco(array $address): array {
+    $zip = onlyDigits($address['zip_code'] ?? '');
+    if (strlen($zip) !== 8) {
+        return ['valid' => false, 'code' => 'address_zip_code_invalid', 'message' => 'CEP inválido. Informe os 8 dígitos.', 'field' => 'zip_code'];
     }
 
-    // Calcula a idade exata
-    $idade = $hoje->diff($nascimento)->y;
+    $required = [
+        'street'   => 'Informe a rua do endereço.',
+        'number'   => 'Informe o número do endereço (ou S/N).',
+        'district' => 'Informe o bairro do endereço.',
+        'city'     => 'Informe a cidade do endereço.',
+    ];
+    foreach ($required as $field => $message) {
+        if (trim($address[$field] ?? '') === '') {
+            return ['valid' => false, 'code' => "address_{$field}_required", 'message' => $message, 'field' => $field];
+        }
+    }
 
-    // Mínimo de 15 anos
-    if ($idade < 15) {
-        return ['valid' => false, 'message' => 'Você deve ter pelo menos 15 anos para se cadastrar.'];
+    if (!in_array(strtoupper(trim($address['state'] ?? '')), UFS_BRASIL, true)) {
+        return ['valid' => false, 'code' => 'address_state_invalid', 'message' => 'UF inválida.', 'field' => 'state'];
     }
 
-    return ['valid' => true, 'message' => ''];
+    return ['valid' => true, 'code' => null, 'message' => '', 'field' => null];
 }
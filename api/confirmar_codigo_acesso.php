@@ -0,0 +1,90 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/confirmar_codigo_acesso.php
+ * MÉTODO:  POST
+ * CONTENT-TYPE: application/json
+ * BODY: { "cpf": "000.000.000-00", "code": "123456" }
+ *
+ * DESCRIÇÃO:
+ *  Segunda metade do login da área "Minha assinatura".
+ *  Confere o código enviado por enviar_codigo_acesso.php e, se
+ *  estiver correto, cria a sessão do membro (membros.php).
+ *
+ *  O endpoint não é autenticado: as tentativas são limitadas por IP
+ *  e por CPF (limite_requisicoes.php, HTTP 429 + Retry-After), além
+ *  do limite de tentativas de cada código (codigos_verificacao.php).
+ *
+ * RETORNO:
+ *  - authenticated: bool
+ *  - token: string      → enviar em "Authorization: Bearer <token>" (se autenticado)
+ *  - expires_at: string → validade da sessão, ISO 8601 (se autenticado)
+ *  - message: string    → motivo (se não autenticado)
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/membros.php';
+require __DIR__ . '/codigos_verificacao.php';
+require_once __DIR__ . '/limite_requisicoes.php';
+
+// Limites das tentativas (janela deslizante de 15 minutos)
+const VERIFICATION_CHECK_WINDOW_SEC  = 900;
+const VERIFICATION_CHECK_MAX_PER_IP  = 20;
+const VERIFICATION_CHECK_MAX_PER_CPF = 10;
+
+header('Content-Type: application/json; charset=utf-8');
+header('Cache-Control: no-store');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use POST.');
+}
+
+// --- Limite por IP (conta também as tentativas com CPF inválido) ---
+$ipLimit = consumirLimite('member_code_ip', $_SERVER['REMOTE_ADDR'] ?? '', VERIFICATION_CHECK_MAX_PER_IP, VERIFICATION_CHECK_WINDOW_SEC);
+if (!$ipLimit['allowed']) {
+    responderLimiteExcedido($ipLimit['retry_after']);
+}
+
+$rawBody = file_get_contents('php://input');
+$body    = json_decode($rawBody ?? '', true);
+
+$cpf  = onlyDigits($body['cpf'] ?? '');
+$code = onlyDigits($body['code'] ?? '');
+
+if (!validarCPF($cpf) || strlen($code) !== 6) {
+    responderErro(400, 'verification_fields_required', 'Informe o CPF e o código de 6 dígitos.', ['field' => 'code']);
+}
+
+// --- Limite por CPF (o mesmo CPF tentando códigos de vários IPs) ---
+$cpfLimit = consumirLimite('member_code_cpf', $cpf, VERIFICATION_CHECK_MAX_PER_CPF, VERIFICATION_CHECK_WINDOW_SEC);
+if (!$cpfLimit['allowed']) {
+    responderLimiteExcedido($cpfLimit['retry_after']);
+}
+
+$profile = buscarPerfilPorCpf($cpf);
+$email   = strtolower(trim($profile['email_customer'] ?? ''));
+
+if (!$profile || $email === '') {
+    echo json_encode(['authenticated' => false, 'code' => 'verification_code_expired', 'message' => 'Código expirado ou não solicitado. Peça um novo código.']);
+    exit;
+}
+
+$check = confirmarCodigoVerificacao('minha_assinatura', $cpf, $email, $code);
+
+if (!$check['valid']) {
+    echo json_encode(['authenticated' => false, 'code' => $check['code'], 'message' => $check['message']]);
+    exit;
+}
+
+$session = criarSessaoMembro($profile['id']);
+
+if (!$session['ok']) {
+    responderErro(500, 'session_start_failed', 'Erro ao iniciar a sessão. Tente novamente.');
+}
+
+echo json_encode([
+    'authenticated' => true,
+    'token'         => $session['token'],
+    'expires_at'    => $session['expires_at'],
+]);
@@ -0,0 +1,94 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/confirmar_codigo_convenio.php
+ * MÉTODO:  POST
+ * CONTENT-TYPE: application/json
+ * BODY: { "cpf": "000.000.000-00", "email": "fulano@empresa.com.br", "code": "123456" }
+ *
+ * DESCRIÇÃO:
+ *  Segunda metade da opção "Tenho convênio → E-mail corporativo".
+ *  Confere o código enviado por enviar_codigo_convenio.php e, se
+ *  estiver correto, cria o vínculo pendente do CPF com a empresa
+ *  dona do domínio (convenios.php).
+ *
+ *  O endpoint não é autenticado: as tentativas são limitadas por IP
+ *  e por CPF (limite_requisicoes.php, HTTP 429 + Retry-After), além
+ *  do limite de tentativas de cada código (codigos_verificacao.php).
+ *
+ * RETORNO: mesmo formato de validar_codigo_convenio.php
+ *  - eligible: bool
+ *  - company_id, company_name: string (se elegível)
+ *  - code, message: string (se não elegível; ex: "verification_code_incorrect")
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/convenios.php';
+require __DIR__ . '/codigos_verificacao.php';
+require_once __DIR__ . '/limite_requisicoes.php';
+
+// Limites das tentativas (janela deslizante de 15 minutos)
+const VERIFICATION_CHECK_WINDOW_SEC  = 900;
+const VERIFICATION_CHECK_MAX_PER_IP  = 20;
+const VERIFICATION_CHECK_MAX_PER_CPF = 10;
+
+header('Content-Type: application/json; charset=utf-8');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use POST.');
+}
+
+// --- Limite por IP (conta também as tentativas com CPF inválido) ---
+$ipLimit = consumirLimite('company_email_code_ip', $_SERVER['REMOTE_ADDR'] ?? '', VERIFICATION_CHECK_MAX_PER_IP, VERIFICATION_CHECK_WINDOW_SEC);
+if (!$ipLimit['allowed']) {
+    responderLimiteExcedido($ipLimit['retry_after']);
+}
+
+$rawBody = file_get_contents('php://input');
+$body    = json_decode($rawBody ?? '', true);
+
+$cpf   = onlyDigits($body['cpf'] ?? '');
+$email = strtolower(trim($body['email'] ?? ''));
+$code  = onlyDigits($body['code'] ?? '');
+
+if (!validarCPF($cpf) || !validarEmail($email) || strlen($code) !== 6) {
+    responderErro(400, 'verification_fields_required', 'Informe o CPF, o e-mail e o código de 6 dígitos.', ['field' => 'code']);
+}
+
+// --- Limite por CPF (o mesmo CPF tentando códigos de vários IPs) ---
+$cpfLimit = consumirLimite('company_email_code_cpf', $cpf, VERIFICATION_CHECK_MAX_PER_CPF, VERIFICATION_CHECK_WINDOW_SEC);
+if (!$cpfLimit['allowed']) {
+    responderLimiteExcedido($cpfLimit['retry_after']);
+}
+
+$check = confirmarCodigoVerificacao('convenio', $cpf, $email, $code);
+
+if (!$check['valid']) {
+    echo json_encode(['eligible' => false, 'code' => $check['code'], 'message' => $check['message']]);
+    exit;
+}
+
+$companyId = $check['context']['company_id'] ?? '';
+$companyRes = supabaseGet(
+    "companies?id=eq." . rawurlencode($companyId) . "&select=id,name&limit=1"
+);
+$company = $companyRes['data'][0] ?? null;
+
+if (!$company) {
+    echo json_encode(['eligible' => false, 'code' => 'company_not_found', 'message' => 'Empresa conveniada não encontrada.']);
+    exit;
+}
+
+$link = vincularConvenioPendente($cpf, $company['id'], 'email');
+
+if (!$link['ok']) {
+    responderErro(500, $link['code'], $link['error']);
+}
+
+echo json_encode([
+    'eligible'     => true,
+    'company_id'   => $company['id'],
+    'company_name' => $company['name'],
+    'company_slug' => slugTemaEmpresa($company['id']),
+]);
@@ -0,0 +1,137 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/convenios.php
+ * DESCRIÇÃO: Funções compartilhadas de elegibilidade a convênio
+ *            para quem ainda NÃO está em company_members
+ *            (ex: funcionário recém-contratado da empresa parceira).
+ *
+ *            Duas formas de comprovar o vínculo na Etapa 1:
+ *            - Código de acesso da empresa (companies.access_code)
+ *              → validar_codigo_convenio.php
+ *            - E-mail corporativo de um domínio da empresa
+ *              (companies.email_domains) + código enviado ao e-mail
+ *              → enviar_codigo_convenio.php / confirmar_codigo_convenio.php
+ *
+ *            Comprovado o vínculo, é criado um company_members com
+ *            status "pending" (a empresa confirma depois) e o
+ *            checkout libera os planos do contrato da empresa.
+ *
+ * USO: require_once __DIR__ . '/convenios.php';
+ * ============================================================
+ */
+
+/**
+ * Normaliza o código de acesso digitado (maiúsculas, sem espaços).
+ */
+function normalizarCodigoAcesso(string $code): string {
+    return strtoupper(preg_replace('/\s+/', '', $code));
+}
+
+/**
+ * Busca a empresa parceira pelo código de acesso.
+ *
+ * @param string $code Código digitado pelo usuário
+ * @return array|null ['id' => string, 'name' => string] ou null
+ */
+function buscarEmpresaPorCodigo(string $code): ?array {
+    $code = normalizarCodigoAcesso($code);
+    if ($code === '') return null;
+
+    $res = supabaseGet(
+        "companies?access_code=eq." . rawurlencode($code) . "&select=id,name&limit=1"
+    );
+
+    return $res['data'][0] ?? null;
+}
+
+/**
+ * Busca a empresa parceira pelo domínio do e-mail corporativo.
+ * Usa o operador "contém" do PostgREST no array email_domains.
+ *
+ * @param string $email E-mail corporativo
+ * @return array|null ['id' => string, 'name' => string] ou null
+ */
+function buscarEmpresaPorEmail(string $email): ?array {
+    $domain = strtolower(substr(strrchr(trim($email), '@') ?: '', 1));
+    if ($domain === '') return null;
+
+    $res = supabaseGet(
+        "companies?email_domains=cs." . rawurlencode('{' . $domain . '}') . "&select=id,name&limit=1"
+    );
+
+    return $res['data'][0] ?? null;
+}
+
+/**
+ * Slug do tema ativo da empresa (company_branding), usado pelo checkout
+ * para buscar o tema em tema_empresa.php. Só é informado depois que o
+ * vínculo foi comprovado: o tema traz o nome da empresa.
+ *
+ * @param string $companyId UUID da empresa
+ * @return string|null Slug ou null (empresa sem tema ativo)
+ */
+function slugTemaEmpresa(string $companyId): ?string {
+    $res = supabaseGet(
+        "company_branding?company_id=eq." . rawurlencode($companyId) .
+        "&is_active=eq.true&select=slug&limit=1"
+    );
+
+    return $res['data'][0]['slug'] ?? null;
+}
+
+/**
+ * Cria o vínculo pendente do CPF com a empresa.
+ *
+ * company_members.user_id aponta para profiles.id, então um usuário
+ * novo ganha um perfil provisório só com o CPF — processar_assinatura.php
+ * completa esse perfil (nome, e-mail, telefone) ao finalizar.
+ * Se o vínculo já existir (em qualquer status), ele é mantido.
+ *
+ * @param string $cpf       CPF do titular (apenas dígitos)
+ * @param string $companyId UUID da empresa
+ * @param string $method    Como o vínculo foi comprovado: "access_code" ou "email"
+ * @return array ['ok' => bool, 'profile_id' => string|null, 'code' => string|null, 'error' => string|null]
+ */
+function vincularConvenioPendente(string $cpf, string $companyId, string $method): array {
+    // ─── 1. Localizar ou criar o perfil ──────────────────────────────────────
+    $orFilter = "or=(cpf.eq." . rawurlencode($cpf) . ",cpf.eq." . rawurlencode(formatCpf($cpf)) . ")";
+    $profileRes = supabaseGet("profiles?{$orFilter}&select=id&limit=1");
+    $profileId  = $profileRes['data'][0]['id'] ?? null;
+
+    if (!$profileId) {
+        $newProfile = [
+            'id'         => generateUuid(),
+            'cpf'        => $cpf,
+            'created_at' => nowIso(),
+            'updated_at' => nowIso(),
+        ];
+        $createRes = supabasePost('profiles', $newProfile, ['Prefer: return=representation']);
+        if (!$createRes['ok']) {
+            return ['ok' => false, 'profile_id' => null, 'code' => 'profile_save_failed', 'error' => 'Erro ao registrar o CPF.'];
+        }
+        $profileId = $createRes['data'][0]['id'] ?? $newProfile['id'];
+    }
+
+    // ─── 2. Criar o vínculo pendente (se ainda não existir) ─────────────────
+    $memberRes = supabaseGet(
+        "company_members?user_id=eq." . rawurlencode($profileId) .
+        "&company_id=eq." . rawurlencode($companyId) .
+        "&select=company_id&limit=1"
+    );
+
+    if (empty($memberRes['data'])) {
+        $linkRes = supabasePost('company_members', [
+            'user_id'             => $profileId,
+            'company_id'          => $companyId,
+            'status'              => 'pending',
+            'verification_method' => $method,
+            'created_at'          => nowIso(),
+        ]);
+        if (!$linkRes['ok']) {
+            return ['ok' => false, 'profile_id' => $profileId, 'code' => 'company_link_failed', 'error' => 'Erro ao registrar o vínculo com a empresa.'];
+        }
+    }
+
+    return ['ok' => true, 'profile_id' => $profileId, 'code' => null, 'error' => null];
+}
@@ -0,0 +1,235 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/cupons.php
+ * DESCRIÇÃO: Funções compartilhadas de cupons de desconto.
+ *            Centraliza as regras de validação do cupom para que
+ *            validar_cupom.php (pré-visualização na Etapa 4) e
+ *            processar_assinatura.php (aplicação real na Iugu)
+ *            usem exatamente os mesmos critérios.
+ *
+ * USO: require __DIR__ . '/cupons.php';
+ *      $cupom = validarCupom($code, $planId, $cpf);
+ *
+ * TABELA: coupons (ver README.md)
+ *   code            → código digitado pelo usuário (armazenado em MAIÚSCULAS)
+ *   discount_type   → "percent" ou "fixed"
+ *   discount_value  → percentual (0-100) ou valor em reais
+ *   recurrent       → true: desconto em todas as faturas / false: só na primeira
+ *   company_id      → opcional: restringe o cupom aos membros ativos de uma empresa
+ *   plan_ids        → opcional: restringe o cupom a planos específicos
+ *   max_redemptions → opcional: limite de usos (reservados antes da cobrança,
+ *                     reservarUsoCupom)
+ *   valid_from / valid_until → opcional: período de validade
+ * ============================================================
+ */
+
+// Tentativas de atualizar o contador de usos quando outra compra o altera ao mesmo tempo
+const COUPON_REDEMPTION_ATTEMPTS = 5;
+
+/**
+ * Normaliza o código do cupom digitado (sem espaços, em maiúsculas).
+ */
+function normalizarCodigoCupom(string $code): string {
+    return strtoupper(preg_replace('/\s+/', '', $code) ?? '');
+}
+
+/**
+ * Valida um cupom para um plano e calcula o desconto.
+ *
+ * Regras:
+ *  - O cupom deve existir e estar ativo
+ *  - A data atual deve estar dentro de valid_from / valid_until (se definidos)
+ *  - O limite de usos (max_redemptions) não pode ter sido atingido
+ *  - Se o cupom for de uma empresa, só vale para o CPF com vínculo ativo
+ *    com ela (company_members) — o company_id do pedido vem do cliente
+ *    e não serve de prova
+ *  - Se o cupom tiver plan_ids, só vale para esses planos
+ *  - O desconto nunca ultrapassa o preço do plano
+ *
+ * @param string      $code   Código digitado pelo usuário
+ * @param string      $planId UUID do plano selecionado
+ * @param string|null $cpf    CPF do comprador (apenas dígitos); sem ele, cupons de empresa não valem
+ * @return array ['valid' => bool, 'code' => string|null, 'message' => string, 'coupon' => array|null,
+ *                'price_cents' => int, 'discount_cents' => int, 'final_cents' => int]
+ */
+function validarCupom(string $code, string $planId, ?string $cpf = null): array {
+    $invalid = fn(string $code, string $message) => [
+        'valid'          => false,
+        'code'           => $code,
+        'message'        => $message,
+        'coupon'         => null,
+        'price_cents'    => 0,
+        'discount_cents' => 0,
+        'final_cents'    => 0,
+    ];
+
+    $code = normalizarCodigoCupom($code);
+    if ($code === '') {
+        return $invalid('coupon_required', 'Informe o código do cupom.');
+    }
+
+    // ─── 1. Buscar o cupom ───────────────────────────────────────────────────
+    $couponRes = supabaseGet(
+        "coupons?code=eq." . rawurlencode($code) .
+        "&is_active=eq.true" .
+        "&select=id,code,description,discount_type,discount_value,recurrent,company_id,plan_ids," .
+        "max_redemptions,redemptions_count,valid_from,valid_until" .
+        "&limit=1"
+    );
+
+    $coupon = $couponRes['data'][0] ?? null;
+    if (!$couponRes['ok'] || !$coupon) {
+        return $invalid('coupon_not_found', 'Cupom inválido ou inexistente.');
+    }
+
+    // ─── 2. Período de validade ──────────────────────────────────────────────
+    $now = time();
+    if (!empty($coupon['valid_from']) && strtotime($coupon['valid_from']) > $now) {
+        return $invalid('coupon_not_started', 'Este cupom ainda não está válido.');
+    }
+    if (!empty($coupon['valid_until']) && strtotime($coupon['valid_until']) < $now) {
+        return $invalid('coupon_expired', 'Este cupom expirou.');
+    }
+
+    // ─── 3. Limite de usos ───────────────────────────────────────────────────
+    if ($coupon['max_redemptions'] !== null &&
+        (int)$coupon['redemptions_count'] >= (int)$coupon['max_redemptions']) {
+        return $invalid('coupon_limit_reached', 'Este cupom atingiu o limite de utilizações.');
+    }
+
+    // ─── 4. Restrições de empresa e de plano ─────────────────────────────────
+    if (!empty($coupon['company_id']) && ($cpf === null || !cpfMembroAtivoDaEmpresa($cpf, $coupon['company_id']))) {
+        return $invalid('coupon_wrong_company', 'Este cupom não é válido para o seu convênio.');
+    }
+    if (!empty($coupon['plan_ids']) && !in_array($planId, $coupon['plan_ids'], true)) {
+        return $invalid('coupon_wrong_plan', 'Este cupom não é válido para o plano selecionado.');
+    }
+
+    // ─── 5. Calcular o desconto sobre o preço do plano ───────────────────────
+    $planRes = supabaseGet(
+        "plans?id=eq." . rawurlencode($planId) .
+        "&is_active=eq.true&select=id,price&limit=1"
+    );
+
+    if (!$planRes['ok'] || empty($planRes['data'][0])) {
+        return $invalid('plan_not_found', 'Plano não encontrado.');
+    }
+
+    $priceCents = (int)round((float)$planRes['data'][0]['price'] * 100);
+    $value      = (float)$coupon['discount_value'];
+
+    $discountCents = ($coupon['discount_type'] === 'percent')
+        ? (int)round($priceCents * min($value, 100) / 100)
+        : (int)round($value * 100);
+    $discountCents = max(0, min($discountCents, $priceCents));
+
+    return [
+        'valid'          => true,
+        'code'           => null,
+        'message'        => '',
+        'coupon'         => $coupon,
+        'price_cents'    => $priceCents,
+        'discount_cents' => $discountCents,
+        'final_cents'    => $priceCents - $discountCents,
+    ];
+}
+
+/**
+ * Confere se o CPF tem vínculo ativo (company_members.status = active)
+ * com a empresa. Erro no banco conta como sem vínculo: o cupom de
+ * empresa não é aplicado sem a confirmação.
+ *
+ * @param string $cpf       CPF apenas com dígitos
+ * @param string $companyId UUID da empresa do cupom
+ * @return bool
+ */
+function cpfMembroAtivoDaEmpresa(string $cpf, string $companyId): bool {
+    $orFilter   = "or=(cpf.eq." . rawurlencode($cpf) . ",cpf.eq." . rawurlencode(formatCpf($cpf)) . ")";
+    $profileRes = supabaseGet("profiles?{$orFilter}&select=id&limit=1");
+    $profileId  = $profileRes['data'][0]['id'] ?? null;
+    if (!$profileId) return false;
+
+    $memberRes = supabaseGet(
+        "company_members?user_id=eq." . rawurlencode($profileId) .
+        "&company_id=eq." . rawurlencode($companyId) .
+        "&status=eq.active&select=company_id&limit=1"
+    );
+    if (!$memberRes['ok']) {
+        registrarErroInterno('database_error', ['endpoint' => 'cupons', 'company_id' => $companyId], $memberRes);
+    }
+
+    return !empty($memberRes['data'][0]);
+}
+
+/**
+ * Reserva um uso do cupom (incrementa redemptions_count) antes de criar
+ * a assinatura na Iugu, para que compras simultâneas não passem de
+ * max_redemptions. Devolvido por liberarUsoCupom() se a assinatura não
+ * sair ou o cartão for recusado.
+ *
+ * @param array $coupon Cupom validado (validarCupom)
+ * @return array ['ok' => bool, 'code' => string|null, 'error' => string|null]
+ *               code: "coupon_limit_reached" ou "coupon_reservation_failed"
+ */
+function reservarUsoCupom(array $coupon): array {
+    return alterarUsoCupom($coupon['id'], 1);
+}
+
+/**
+ * Devolve o uso reservado por reservarUsoCupom().
+ *
+ * @param array $coupon Cupom validado (validarCupom)
+ * @return array ['ok' => bool, 'code' => string|null, 'error' => string|null]
+ */
+function liberarUsoCupom(array $coupon): array {
+    return alterarUsoCupom($coupon['id'], -1);
+}
+
+/**
+ * Soma $delta ao redemptions_count sem perder atualizações concorrentes.
+ *
+ * O PostgREST não compara duas colunas no filtro, então a atualização
+ * só vale se o contador ainda for o valor lido (redemptions_count=eq.N):
+ * se outra compra contou antes, nenhuma linha muda e a leitura é refeita.
+ */
+function alterarUsoCupom(string $couponId, int $delta): array {
+    $fail = fn(string $code, string $error) => ['ok' => false, 'code' => $code, 'error' => $error];
+    $filter = "coupons?id=eq." . rawurlencode($couponId);
+
+    for ($attempt = 0; $attempt < COUPON_REDEMPTION_ATTEMPTS; $attempt++) {
+        $res = supabaseGet("{$filter}&select=redemptions_count,max_redemptions&limit=1");
+        $row = $res['data'][0] ?? null;
+        if (!$res['ok'] || !$row) {
+            return $fail('coupon_reservation_failed', 'Erro ao consultar o cupom.');
+        }
+
+        $count = (int)$row['redemptions_count'];
+        if ($delta > 0 && $row['max_redemptions'] !== null && $count >= (int)$row['max_redemptions']) {
+            return $fail('coupon_limit_reached', 'Este cupom atingiu o limite de utilizações.');
+        }
+        if ($count + $delta < 0) {
+            return ['ok' => true, 'code' => null, 'error' => null];
+        }
+
+        $updateRes = supabasePatch("{$filter}&redemptions_count=eq.{$count}", [
+            'redemptions_count' => $count + $delta,
+            'updated_at'        => nowIso(),
+        ]);
+        if (!$updateRes['ok']) {
+            return $fail('coupon_reservation_failed', 'Erro ao atualizar o cupom.');
+        }
+        if (!empty($updateRes['data'])) {
+            return ['ok' => true, 'code' => null, 'error' => null];
+        }
+    }
+
+    return $fail('coupon_reservation_failed', 'O cupom está sendo usado em outras compras. Tente novamente.');
+}
+
+/**
+ * Formata um valor em centavos para o padrão R$ 0,00.
+ */
+function formatBrl(int $cents): string {
+    return 'R$ ' . number_format($cents / 100, 2, ',', '.');
+}
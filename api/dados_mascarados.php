@@ -0,0 +1,120 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/dados_mascarados.php
+ * DESCRIÇÃO: Dados pessoais mascarados no pré-preenchimento.
+ *            verificar_cpf.php não é autenticado: para que ele não
+ *            sirva para descobrir os dados de um CPF, devolve nome,
+ *            e-mail, telefone e nascimento parcialmente ocultos
+ *            (ex: "j***@gmail.com", "(61) *****-7769").
+ *
+ *            O usuário confirma (mantém o valor mascarado) ou digita
+ *            um novo. processar_assinatura.php troca os valores que
+ *            voltaram mascarados pelos do perfil salvo do mesmo CPF
+ *            (mesclarDadosMascarados).
+ *
+ * USO: require_once __DIR__ . '/dados_mascarados.php';
+ * ============================================================
+ */
+
+// Campo do checkout → coluna em profiles
+const MASKED_PROFILE_FIELDS = [
+    'full_name'  => 'full_name',
+    'email'      => 'email_customer',
+    'phone'      => 'phone',
+    'birth_date' => 'birth_date',
+];
+
+/**
+ * "João da Silva" → "João d* S****": o primeiro nome e a inicial dos demais.
+ */
+function mascararNome(string $name): string {
+    $parts = preg_split('/\s+/', trim($name)) ?: [];
+    foreach ($parts as $i => $part) {
+        if ($i === 0) continue;
+        $parts[$i] = mb_substr($part, 0, 1) . str_repeat('*', max(1, mb_strlen($part) - 1));
+    }
+    return implode(' ', $parts);
+}
+
+/**
+ * "joao.silva@gmail.com" → "j***@gmail.com"
+ */
+function mascararEmail(string $email): string {
+    $at = strrpos($email, '@');
+    if ($at === false) return '***';
+    return mb_substr($email, 0, 1) . '***' . substr($email, $at);
+}
+
+/**
+ * "+5561999997769" (ou "61999997769") → "(61) *****-7769"
+ */
+function mascararTelefone(string $phone): string {
+    $d = digitosTelefoneNacional($phone);
+    if (strlen($d) < 10) return '***';
+    return '(' . substr($d, 0, 2) . ') ' . str_repeat('*', strlen($d) - 6) . '-' . substr($d, -4);
+}
+
+/**
+ * Mantém só o ano: dia e mês viram asteriscos ("1990-05-12" → ano 1990).
+ */
+function mascararNascimento(string $birthDate): string {
+    return preg_match('/^(\d{4})-\d{2}-\d{2}/', $birthDate, $m) ? "**/**/{$m[1]}" : '***';
+}
+
+/**
+ * Mascara um campo do perfil (null se o perfil não tiver o dado).
+ *
+ * @param string      $field Campo do checkout (chave de MASKED_PROFILE_FIELDS)
+ * @param string|null $value Valor salvo no perfil
+ */
+function mascararCampoPerfil(string $field, ?string $value): ?string {
+    if ($value === null || trim($value) === '') return null;
+
+    return match ($field) {
+        'full_name'  => mascararNome($value),
+        'email'      => mascararEmail($value),
+        'phone'      => mascararTelefone($value),
+        'birth_date' => mascararNascimento($value),
+    };
+}
+
+/**
+ * Troca os campos que voltaram mascarados pelos valores do perfil do
+ * mesmo CPF. O valor recebido precisa ser exatamente a máscara do valor
+ * salvo: um campo editado pela metade não é completado.
+ *
+ * @param array $body Corpo da requisição (cpf, full_name, email, phone, birth_date...)
+ * @return array ['ok' => bool, 'body' => array, 'code' => string|null, 'error' => string|null, 'field' => string|null]
+ */
+function mesclarDadosMascarados(array $body): array {
+    $masked = array_filter(
+        array_keys(MASKED_PROFILE_FIELDS),
+        fn($field) => is_string($body[$field] ?? null) && strpos($body[$field], '*') !== false
+    );
+    if (empty($masked)) {
+        return ['ok' => true, 'body' => $body, 'code' => null, 'error' => null, 'field' => null];
+    }
+
+    $cpfDigits = onlyDigits((string)($body['cpf'] ?? ''));
+    $orFilter  = "or=(cpf.eq." . rawurlencode($cpfDigits) . ",cpf.eq." . rawurlencode(formatCpf($cpfDigits)) . ")";
+    $res       = supabaseGet("profiles?{$orFilter}&select=id,full_name,email_customer,phone,birth_date&limit=1");
+    $profile   = $res['data'][0] ?? null;
+
+    foreach ($masked as $field) {
+        $stored = $profile[MASKED_PROFILE_FIELDS[$field]] ?? null;
+
+        if (!$profile || mascararCampoPerfil($field, $stored) !== trim($body[$field])) {
+            return [
+                'ok'    => false,
+                'body'  => $body,
+                'code'  => 'masked_data_mismatch',
+                'error' => 'Não foi possível confirmar um dado já cadastrado. Digite-o novamente na etapa de dados pessoais.',
+                'field' => $field,
+            ];
+        }
+        $body[$field] = $stored;
+    }
+
+    return ['ok' => true, 'body' => $body, 'code' => null, 'error' => null, 'field' => null];
+}
@@ -0,0 +1,173 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/dependentes.php
+ * DESCRIÇÃO: Funções compartilhadas de dependentes (familiares)
+ *            incluídos na assinatura do titular.
+ *            - processar_assinatura.php valida e grava os dependentes
+ *            - liberar_acesso.php cria os entitlements e sincroniza
+ *              titular + dependentes com a Alloyal em um único lote
+ *
+ * USO: require_once __DIR__ . '/dependentes.php';
+ *
+ * TABELA: subscription_dependents (ver README.md)
+ *   subscription_id → assinatura do titular
+ *   profile_id      → perfil do dependente (criado se o CPF não existir)
+ *   relationship    → conjuge | filho | pai_mae | outro
+ * ============================================================
+ */
+
+// Graus de parentesco aceitos (mesma lista de RELATIONSHIP_LABELS no checkout.js)
+const DEPENDENT_RELATIONSHIPS = ['conjuge', 'filho', 'pai_mae', 'outro'];
+
+/**
+ * Valida a lista de dependentes enviada pelo checkout.
+ *
+ * Regras:
+ *  - No máximo $maxDependents dependentes (limite do plano)
+ *  - Nome com nome e sobrenome
+ *  - CPF válido, diferente do titular e sem repetição
+ *  - Data de nascimento válida e não futura (sem idade mínima)
+ *  - Grau de parentesco dentro da lista aceita
+ *
+ * @param array  $dependents    Lista crua do body: [{full_name, cpf, birth_date, relationship}]
+ * @param string $titularCpf    CPF do titular (apenas dígitos)
+ * @param int    $maxDependents Limite do plano (plans.max_dependents)
+ * @return array ['valid' => bool, 'code' => string|null, 'message' => string, 'params' => array,
+ *                'dependents' => array]
+ */
+function validarDependentes(array $dependents, string $titularCpf, int $maxDependents): array {
+    // Recusa com o código e os parâmetros usados pelo checkout para traduzir a mensagem
+    $invalid = fn(string $code, string $message, array $params) => [
+        'valid'      => false,
+        'code'       => $code,
+        'message'    => $message,
+        'params'     => $params,
+        'dependents' => [],
+    ];
+
+    if (count($dependents) > $maxDependents) {
+        return $invalid(
+            'dependents_limit',
+            "O plano selecionado permite no máximo {$maxDependents} dependente(s).",
+            ['max' => $maxDependents]
+        );
+    }
+
+    $normalized = [];
+    $seenCpfs   = [$titularCpf];
+
+    foreach (array_values($dependents) as $i => $dep) {
+        $n         = $i + 1;
+        $fullName  = trim($dep['full_name'] ?? '');
+        $cpf       = onlyDigits($dep['cpf'] ?? '');
+        $birthDate = trim($dep['birth_date'] ?? '');
+        $relation  = trim($dep['relationship'] ?? '');
+
+        if (count(array_filter(explode(' ', $fullName))) < 2) {
+            return $invalid('dependent_name_required', "Dependente {$n}: informe nome e sobrenome.", ['index' => $n]);
+        }
+        if (!validarCPF($cpf)) {
+            return $invalid('dependent_cpf_invalid', "Dependente {$n}: CPF inválido.", ['index' => $n]);
+        }
+        if (in_array($cpf, $seenCpfs, true)) {
+            return $invalid('dependent_cpf_duplicate', "Dependente {$n}: CPF já informado nesta assinatura.", ['index' => $n]);
+        }
+        $nascResult = validarDataNascimento($birthDate, 0);
+        if (!$nascResult['valid']) {
+            return $invalid("dependent_{$nascResult['code']}", "Dependente {$n}: {$nascResult['message']}", ['index' => $n]);
+        }
+        if (!in_array($relation, DEPENDENT_RELATIONSHIPS, true)) {
+            return $invalid('dependent_relationship_invalid', "Dependente {$n}: grau de parentesco inválido.", ['index' => $n]);
+        }
+
+        $seenCpfs[]   = $cpf;
+        $normalized[] = [
+            'full_name'    => $fullName,
+            'cpf'          => $cpf,
+            'birth_date'   => $birthDate,
+            'relationship' => $relation,
+        ];
+    }
+
+    return ['valid' => true, 'code' => null, 'message' => '', 'params' => [], 'dependents' => $normalized];
+}
+
+/**
+ * Grava os dependentes de uma assinatura.
+ * Reaproveita o perfil se o CPF já existir no banco (sem sobrescrever
+ * os dados de quem já tem cadastro); senão cria um perfil novo.
+ *
+ * @param string $subscriptionId UUID da assinatura do titular
+ * @param array  $dependents     Lista já validada por validarDependentes()
+ * @return array ['ok' => bool, 'error' => string|null]
+ */
+function salvarDependentes(string $subscriptionId, array $dependents): array {
+    foreach ($dependents as $dep) {
+        // ─── 1. Localizar ou criar o perfil do dependente ────────────────────
+        $profileRes = supabaseGet(
+            "profiles?cpf=eq." . rawurlencode($dep['cpf']) . "&select=id&limit=1"
+        );
+        $depProfileId = $profileRes['data'][0]['id'] ?? null;
+
+        if (!$depProfileId) {
+            $newProfile = [
+                'id'         => generateUuid(),
+                'full_name'  => $dep['full_name'],
+                'cpf'        => $dep['cpf'],
+                'birth_date' => $dep['birth_date'],
+                'created_at' => nowIso(),
+                'updated_at' => nowIso(),
+            ];
+            $createRes = supabasePost('profiles', $newProfile, ['Prefer: return=representation']);
+            if (!$createRes['ok']) {
+                return ['ok' => false, 'error' => 'Falha ao criar perfil do dependente.'];
+            }
+            $depProfileId = $createRes['data'][0]['id'] ?? $newProfile['id'];
+        }
+
+        // ─── 2. Vincular o dependente à assinatura ───────────────────────────
+        $linkRes = supabasePost('subscription_dependents', [
+            'id'              => generateUuid(),
+            'subscription_id' => $subscriptionId,
+            'profile_id'      => $depProfileId,
+            'relationship'    => $dep['relationship'],
+            'created_at'      => nowIso(),
+        ]);
+        if (!$linkRes['ok']) {
+            return ['ok' => false, 'error' => 'Falha ao vincular dependente à assinatura.'];
+        }
+    }
+
+    return ['ok' => true, 'error' => null];
+}
+
+/**
+ * Lista os dependentes de uma assinatura com os dados do perfil.
+ *
+ * @param string $subscriptionId UUID da assinatura do titular
+ * @return array Lista de ['profile_id' => string, 'cpf' => string, 'full_name' => string]
+ */
+function buscarDependentesAssinatura(string $subscriptionId): array {
+    $res = supabaseGet(
+        "subscription_dependents?subscription_id=eq." . rawurlencode($subscriptionId) .
+        "&select=profile_id,profiles(id,full_name,cpf)"
+    );
+
+    if (!$res['ok'] || empty($res['data'])) return [];
+
+    $dependents = [];
+    foreach ($res['data'] as $row) {
+        // O embedding pode vir como objeto ou como array de um item
+        $profile = $row['profiles'] ?? [];
+        if (isset($profile[0])) $profile = $profile[0];
+
+        $dependents[] = [
+            'profile_id' => $row['profile_id'],
+            'cpf'        => $profile['cpf'] ?? '',
+            'full_name'  => $profile['full_name'] ?? '',
+        ];
+    }
+
+    return $dependents;
+}
@@ -0,0 +1,94 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/desafio.php
+ * DESCRIÇÃO: Desafio anti-robô (captcha) com provedores plugáveis.
+ *            O provedor ativo é escolhido pela variável
+ *            CAPTCHA_PROVIDER do .env:
+ *              - "none"      → desligado (nenhum desafio é exigido)
+ *              - "turnstile" → Cloudflare Turnstile
+ *              - "hcaptcha"  → hCaptcha
+ *              - "stub"      → desenvolvimento local, sem rede: o
+ *                              widget é um checkbox e o token
+ *                              aceito é DESAFIO_STUB_TOKEN
+ *
+ *            Para adicionar um provedor, crie uma função com a mesma
+ *            assinatura de desafioProviderTurnstile() e registre-a em
+ *            DESAFIO_PROVIDERS (e o widget em js/checkout.js).
+ *
+ * USO: require_once __DIR__ . '/desafio.php';
+ *      if (desafioAtivo() && !validarDesafio($token)) { ... }
+ * ============================================================
+ */
+
+const DESAFIO_PROVIDERS = [
+    'turnstile' => 'desafioProviderTurnstile',
+    'hcaptcha'  => 'desafioProviderHcaptcha',
+    'stub'      => 'desafioProviderStub',
+];
+
+const DESAFIO_STUB_TOKEN = 'stub-ok';
+
+/**
+ * O desafio está configurado? (provedor conhecido e, fora do stub, com chaves)
+ */
+function desafioAtivo(): bool {
+    if (!isset(DESAFIO_PROVIDERS[CAPTCHA_PROVIDER])) return false;
+    return CAPTCHA_PROVIDER === 'stub' || (CAPTCHA_SITE_KEY !== '' && CAPTCHA_SECRET_KEY !== '');
+}
+
+/**
+ * Dados públicos do desafio, para o frontend montar o widget.
+ *
+ * @return array ['provider' => string, 'site_key' => string]
+ */
+function configuracaoDesafio(): array {
+    return ['provider' => CAPTCHA_PROVIDER, 'site_key' => CAPTCHA_SITE_KEY];
+}
+
+/**
+ * Confere o token devolvido pelo widget.
+ *
+ * @param string $token Token do widget (cada token vale uma única vez)
+ * @return bool
+ */
+function validarDesafio(string $token): bool {
+    $provider = DESAFIO_PROVIDERS[CAPTCHA_PROVIDER] ?? null;
+    if (!$provider || $token === '' || strlen($token) > 4096) return false;
+
+    return $provider($token, $_SERVER['REMOTE_ADDR'] ?? '');
+}
+
+/**
+ * Cloudflare Turnstile (https://developers.cloudflare.com/turnstile/).
+ */
+function desafioProviderTurnstile(string $token, string $ip): bool {
+    return desafioSiteVerify('https://challenges.cloudflare.com/turnstile/v0/siteverify', $token, $ip);
+}
+
+/**
+ * hCaptcha (https://docs.hcaptcha.com/).
+ */
+function desafioProviderHcaptcha(string $token, string $ip): bool {
+    return desafioSiteVerify('https://api.hcaptcha.com/siteverify', $token, $ip);
+}
+
+/**
+ * Provedor local: aceita só DESAFIO_STUB_TOKEN. Não faz nenhuma chamada de rede.
+ */
+function desafioProviderStub(string $token, string $ip): bool {
+    return hash_equals(DESAFIO_STUB_TOKEN, $token);
+}
+
+/**
+ * Verificação no servidor do provedor (mesmo formato no Turnstile e no hCaptcha).
+ */
+function desafioSiteVerify(string $url, string $token, string $ip): bool {
+    $res = executeCurl($url, 'POST', http_build_query([
+        'secret'   => CAPTCHA_SECRET_KEY,
+        'response' => $token,
+        'remoteip' => $ip,
+    ]), ['Content-Type: application/x-www-form-urlencoded', 'Accept: application/json']);
+
+    return $res['ok'] && is_array($res['data']) && ($res['data']['success'] ?? false) === true;
+}
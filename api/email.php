@@ -0,0 +1,95 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/email.php
+ * DESCRIÇÃO: Envio de e-mails transacionais com transportes
+ *            plugáveis. O transporte ativo é escolhido pela
+ *            variável MAIL_TRANSPORT do .env:
+ *              - "mail" → função mail() do PHP (produção)
+ *              - "file" → grava cada mensagem como .eml em
+ *                         MAIL_OUTBOX_DIR (desenvolvimento local,
+ *                         nenhum e-mail sai do servidor)
+ *
+ *            Para adicionar um transporte (ex: API de um provedor),
+ *            crie uma função com a mesma assinatura de
+ *            mailTransportPhpMail() e registre-a em MAIL_TRANSPORTS.
+ *
+ * USO: require_once __DIR__ . '/email.php';
+ *      $res = enviarEmail('fulano@empresa.com.br', 'Assunto', "Texto...");
+ *
+ * RETORNO PADRONIZADO DOS TRANSPORTES:
+ *  ['ok' => bool, 'error' => string|null]
+ * ============================================================
+ */
+
+const MAIL_TRANSPORTS = [
+    'mail' => 'mailTransportPhpMail',
+    'file' => 'mailTransportFile',
+];
+
+/**
+ * Envia um e-mail em texto puro usando o transporte configurado.
+ *
+ * @param string $to      Destinatário
+ * @param string $subject Assunto
+ * @param string $body    Corpo em texto puro (UTF-8)
+ * @return array Retorno padronizado (ver cabeçalho)
+ */
+function enviarEmail(string $to, string $subject, string $body): array {
+    if (!validarEmail($to)) {
+        return ['ok' => false, 'error' => 'E-mail do destinatário inválido.'];
+    }
+
+    $transport = MAIL_TRANSPORTS[MAIL_TRANSPORT] ?? null;
+    if (!$transport) {
+        return ['ok' => false, 'error' => 'Transporte de e-mail não configurado.'];
+    }
+
+    return $transport($to, $subject, $body, montarCabecalhosEmail());
+}
+
+/**
+ * Cabeçalhos comuns a todas as mensagens.
+ */
+function montarCabecalhosEmail(): array {
+    return [
+        'From'                      => MAIL_FROM,
+        'MIME-Version'              => '1.0',
+        'Content-Type'              => 'text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding' => '8bit',
+    ];
+}
+
+/**
+ * Transporte "mail": entrega pela função mail() do PHP
+ * (sendmail/relay configurado no servidor).
+ */
+function mailTransportPhpMail(string $to, string $subject, string $body, array $headers): array {
+    $encodedSubject = '=?UTF-8?B?' . base64_encode($subject) . '?=';
+    $ok = mail($to, $encodedSubject, $body, $headers);
+
+    return ['ok' => $ok, 'error' => $ok ? null : 'Falha ao enviar o e-mail.'];
+}
+
+/**
+ * Transporte "file": grava a mensagem em MAIL_OUTBOX_DIR/<data>-<id>.eml.
+ * Útil em desenvolvimento para ler os códigos de verificação sem
+ * depender de um servidor de e-mail.
+ */
+function mailTransportFile(string $to, string $subject, string $body, array $headers): array {
+    if (!is_dir(MAIL_OUTBOX_DIR) && !mkdir(MAIL_OUTBOX_DIR, 0775, true)) {
+        return ['ok' => false, 'error' => 'Não foi possível criar a caixa de saída local.'];
+    }
+
+    $headers = array_merge(['To' => $to, 'Subject' => $subject, 'Date' => date(DATE_RFC2822)], $headers);
+    $raw = '';
+    foreach ($headers as $name => $value) {
+        $raw .= "{$name}: {$value}\r\n";
+    }
+    $raw .= "\r\n" . $body . "\r\n";
+
+    $file = MAIL_OUTBOX_DIR . '/' . date('Ymd-His') . '-' . bin2hex(random_bytes(4)) . '.eml';
+    $ok = file_put_contents($file, $raw) !== false;
+
+    return ['ok' => $ok, 'error' => $ok ? null : 'Falha ao gravar o e-mail na caixa de saída local.'];
+}
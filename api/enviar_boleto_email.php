@@ -0,0 +1,102 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/enviar_boleto_email.php
+ * MÉTODO:  POST
+ * CONTENT-TYPE: application/json
+ * BODY: { "subscription_id": "uuid" }
+ *
+ * DESCRIÇÃO:
+ *  Acionado pelo botão "Enviar para meu e-mail" do painel de
+ *  boleto na tela de pagamento pendente. Pede à Iugu que reenvie
+ *  a fatura em aberto da assinatura para o e-mail do cliente.
+ *
+ *  O e-mail de destino é sempre o cadastrado no cliente da Iugu
+ *  (o mesmo informado no checkout) — este endpoint não aceita
+ *  um endereço arbitrário, para não virar um disparador de spam.
+ *  Pelo mesmo motivo, os reenvios são limitados por IP e por
+ *  assinatura (limite_requisicoes.php, HTTP 429 + Retry-After).
+ *
+ * FLUXO:
+ *  1. Busca a assinatura no banco pelo subscription_id
+ *  2. Consulta a assinatura na Iugu para achar a fatura mais recente
+ *  3. Chama POST /invoices/{id}/send_email na Iugu
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require_once __DIR__ . '/limite_requisicoes.php';
+
+// Limites dos reenvios (janela deslizante de 1 hora)
+const BOLETO_EMAIL_WINDOW_SEC           = 3600;
+const BOLETO_EMAIL_MAX_PER_IP           = 10;
+const BOLETO_EMAIL_MAX_PER_SUBSCRIPTION = 3;
+
+header('Content-Type: application/json; charset=utf-8');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use POST.');
+}
+
+$ipLimit = consumirLimite('boleto_email_ip', $_SERVER['REMOTE_ADDR'] ?? '', BOLETO_EMAIL_MAX_PER_IP, BOLETO_EMAIL_WINDOW_SEC);
+if (!$ipLimit['allowed']) {
+    responderLimiteExcedido($ipLimit['retry_after']);
+}
+
+$rawBody = file_get_contents('php://input');
+$body    = json_decode($rawBody ?? '', true);
+
+$subscriptionId = trim($body['subscription_id'] ?? '');
+if ($subscriptionId === '') {
+    responderErro(400, 'missing_field', 'Campo obrigatório ausente: subscription_id', ['field' => 'subscription_id', 'params' => ['field' => 'subscription_id']]);
+}
+if (!preg_match('/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i', $subscriptionId)) {
+    responderErro(400, 'invalid_parameter', "Parâmetro 'subscription_id' inválido.");
+}
+
+$subscriptionLimit = consumirLimite('boleto_email_subscription', strtolower($subscriptionId), BOLETO_EMAIL_MAX_PER_SUBSCRIPTION, BOLETO_EMAIL_WINDOW_SEC);
+if (!$subscriptionLimit['allowed']) {
+    responderLimiteExcedido($subscriptionLimit['retry_after']);
+}
+
+// ============================================================
+// PASSO 1: Buscar a assinatura no banco
+// ============================================================
+$subRes = supabaseGet(
+    "subscriptions?id=eq." . rawurlencode($subscriptionId) .
+    "&select=id,status,iugu_subscription_id,payment_method&limit=1"
+);
+
+$subscription = $subRes['data'][0] ?? null;
+
+if (!$subRes['ok'] || !$subscription || empty($subscription['iugu_subscription_id'])) {
+    responderErro(404, 'subscription_not_found', 'Assinatura não encontrada.');
+}
+
+if ($subscription['status'] !== 'pending_payment') {
+    responderErro(409, 'no_open_invoice', 'Não há boleto em aberto para esta assinatura.');
+}
+
+// ============================================================
+// PASSO 2: Localizar a fatura em aberto na Iugu
+// ============================================================
+$iuguRes = iuguCall('GET', 'subscriptions/' . rawurlencode($subscription['iugu_subscription_id']));
+$invoiceId = $iuguRes['data']['recent_invoices'][0]['id'] ?? null;
+
+if (!$iuguRes['ok'] || !$invoiceId) {
+    responderFalhaIugu($iuguRes, 'invoice_not_found', 'Não foi possível localizar o boleto na Iugu.', ['subscription_id' => $subscriptionId]);
+}
+
+// ============================================================
+// PASSO 3: Pedir à Iugu o reenvio da fatura por e-mail
+// ============================================================
+$sendRes = iuguCall('POST', 'invoices/' . rawurlencode($invoiceId) . '/send_email');
+
+if (!$sendRes['ok']) {
+    responderFalhaIugu($sendRes, 'invoice_email_failed', 'Erro ao enviar o boleto por e-mail. Tente novamente.', ['invoice_id' => $invoiceId]);
+}
+
+echo json_encode([
+    'success' => true,
+    'message' => 'Boleto enviado para o seu e-mail.',
+]);
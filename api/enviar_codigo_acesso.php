@@ -0,0 +1,80 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/enviar_codigo_acesso.php
+ * MÉTODO:  POST
+ * CONTENT-TYPE: application/json
+ * BODY: { "cpf": "000.000.000-00" }
+ *
+ * DESCRIÇÃO:
+ *  Primeira metade do login da área "Minha assinatura".
+ *  Se o CPF tiver assinatura, envia um código de 6 dígitos para
+ *  o e-mail cadastrado no perfil. A sessão só é criada depois que
+ *  o código for confirmado em confirmar_codigo_acesso.php.
+ *
+ * RETORNO:
+ *  - sent: bool
+ *  - email_masked: string → e-mail mascarado para exibição (se enviado)
+ *  - message: string      → motivo (se não enviado)
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/membros.php';
+require __DIR__ . '/codigos_verificacao.php';
+
+header('Content-Type: application/json; charset=utf-8');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use POST.');
+}
+
+$rawBody = file_get_contents('php://input');
+$body    = json_decode($rawBody ?? '', true);
+
+$cpf = onlyDigits($body['cpf'] ?? '');
+
+if (!validarCPF($cpf)) {
+    responderErro(400, 'cpf_invalid', 'CPF inválido. O número informado não é um CPF válido.', ['field' => 'cpf']);
+}
+
+// ============================================================
+// PASSO 1: O CPF precisa ter perfil com e-mail e alguma assinatura
+// ============================================================
+$profile = buscarPerfilPorCpf($cpf);
+$email   = strtolower(trim($profile['email_customer'] ?? ''));
+
+if (!$profile || $email === '' || !buscarAssinaturaMembro($profile['id'])) {
+    echo json_encode([
+        'sent'    => false,
+        'code'    => 'subscription_not_found',
+        'message' => 'Não encontramos uma assinatura para este CPF.',
+    ]);
+    exit;
+}
+
+// ============================================================
+// PASSO 2: Enviar o código para o e-mail cadastrado
+// ============================================================
+$texto = "Olá!\n\n" .
+    "Seu código para acessar a sua assinatura do Clube TKS Vantagens é:\n\n" .
+    "    {codigo}\n\n" .
+    "O código vale por " . VERIFICATION_CODE_TTL_MIN . " minutos. " .
+    "Se você não pediu este código, ignore este e-mail.\n";
+
+$sendRes = enviarCodigoVerificacao(
+    'minha_assinatura', $cpf, $email,
+    'Seu código de acesso à sua assinatura',
+    $texto,
+    ['profile_id' => $profile['id']]
+);
+
+if (!$sendRes['ok']) {
+    echo json_encode(['sent' => false, 'code' => $sendRes['code'], 'message' => $sendRes['error']]);
+    exit;
+}
+
+echo json_encode([
+    'sent'         => true,
+    'email_masked' => mascararEmail($email),
+]);
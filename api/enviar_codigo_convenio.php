@@ -0,0 +1,79 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/enviar_codigo_convenio.php
+ * MÉTODO:  POST
+ * CONTENT-TYPE: application/json
+ * BODY: { "cpf": "000.000.000-00", "email": "fulano@empresa.com.br" }
+ *
+ * DESCRIÇÃO:
+ *  Primeira metade da opção "Tenho convênio → E-mail corporativo"
+ *  da Etapa 1. Se o domínio do e-mail pertencer a uma empresa
+ *  parceira (companies.email_domains), envia um código de 6
+ *  dígitos para o e-mail. O vínculo só é criado depois que o
+ *  código for confirmado em confirmar_codigo_convenio.php.
+ *
+ * RETORNO:
+ *  - sent: bool
+ *  - email_masked: string → e-mail mascarado para exibição (se enviado)
+ *  - code, message: string → motivo (se não enviado; ex: "email_domain_not_partner")
+ *  Erros no formato comum da API (responderErro, config.php)
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/convenios.php';
+require __DIR__ . '/codigos_verificacao.php';
+
+header('Content-Type: application/json; charset=utf-8');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use POST.');
+}
+
+$rawBody = file_get_contents('php://input');
+$body    = json_decode($rawBody ?? '', true);
+
+$cpf   = onlyDigits($body['cpf'] ?? '');
+$email = strtolower(trim($body['email'] ?? ''));
+
+if (!validarCPF($cpf)) {
+    responderErro(400, 'cpf_invalid', 'CPF inválido. O número informado não é um CPF válido.', ['field' => 'cpf']);
+}
+if (!validarEmail($email)) {
+    responderErro(400, 'email_invalid', 'E-mail inválido. Informe um e-mail no formato usuario@empresa.com.br', ['field' => 'email']);
+}
+
+$company = buscarEmpresaPorEmail($email);
+
+if (!$company) {
+    echo json_encode([
+        'sent'    => false,
+        'code'    => 'email_domain_not_partner',
+        'message' => 'Este domínio de e-mail não pertence a uma empresa conveniada.',
+    ]);
+    exit;
+}
+
+$texto = "Olá!\n\n" .
+    "Seu código para ativar o convênio {$company['name']} no Clube TKS Vantagens é:\n\n" .
+    "    {codigo}\n\n" .
+    "O código vale por " . VERIFICATION_CODE_TTL_MIN . " minutos. " .
+    "Se você não pediu este código, ignore este e-mail.\n";
+
+$sendRes = enviarCodigoVerificacao(
+    'convenio', $cpf, $email,
+    'Seu código de verificação do convênio',
+    $texto,
+    ['company_id' => $company['id']]
+);
+
+if (!$sendRes['ok']) {
+    echo json_encode(['sent' => false, 'code' => $sendRes['code'], 'message' => $sendRes['error']]);
+    exit;
+}
+
+echo json_encode([
+    'sent'         => true,
+    'email_masked' => mascararEmail($email),
+]);
@@ -0,0 +1,233 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/expirar_acessos.php
+ * EXECUÇÃO: Cron job (não deve ser chamado pelo browser em produção)
+ *
+ * DESCRIÇÃO:
+ *  Encerra os acessos vencidos. Cada entitlement vale um ciclo do
+ *  plano e é estendido quando a renovação é paga (webhook_iugu.php
+ *  → renovarAcesso). Se a renovação não foi paga até o fim da
+ *  carência, o acesso expira aqui, mesmo que o evento de falha da
+ *  Iugu não tenha chegado.
+ *
+ *  CARÊNCIA:
+ *   ENTITLEMENT_GRACE_DAYS dias após o vencimento, para cobrir a
+ *   compensação do boleto/PIX da renovação (1 a 3 dias úteis).
+ *
+ *  FLUXO:
+ *   1. Busca os entitlements ativos vencidos há mais que a carência
+ *   2. Agrupa por assinatura e consulta as assinaturas no banco
+ *   3. Desconto em folha com assinatura ativa:
+ *      → Renova por mais um ciclo (a cobrança é feita pelo RH,
+ *        não há fatura da Iugu para confirmar a renovação)
+ *   4. Demais casos:
+ *      → Marca os entitlements como "expired"
+ *      → Assinatura ativa passa para "past_due" (renovação não paga;
+ *        volta a "active" se a fatura for paga depois)
+ *      → Desativa titular + dependentes na Alloyal
+ *   5. Gera um log detalhado da execução
+ *
+ *  CONFIGURAÇÃO DO CRON (no servidor):
+ *   Rodar uma vez por hora:
+ *   0 * * * * php /caminho/para/api/expirar_acessos.php >> /var/log/tks_expiracao.log 2>&1
+ *
+ *  SEGURANÇA:
+ *   - Verificar se está sendo executado via CLI (não via HTTP)
+ *   - Para execução via HTTP (debug), usar token de segurança
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/liberar_acesso.php';
+
+const ENTITLEMENT_GRACE_DAYS = 3;
+
+// ─── Controle de execução ────────────────────────────────────────────────────
+// Permite execução via CLI (cron) ou via HTTP com token de segurança (debug)
+$isCli = (php_sapi_name() === 'cli');
+
+if (!$isCli) {
+    $token = $_GET['token'] ?? $_SERVER['HTTP_X_CRON_TOKEN'] ?? '';
+    $expectedToken = $_ENV['IUGU_WEBHOOK_TOKEN'] ?? '';
+
+    if ($expectedToken === '' || $token !== $expectedToken) {
+        http_response_code(403);
+        header('Content-Type: application/json; charset=utf-8');
+        echo json_encode(['error' => 'Acesso negado. Token de segurança inválido.']);
+        exit;
+    }
+    header('Content-Type: application/json; charset=utf-8');
+}
+
+$cutoffDateIso = gmdate('Y-m-d\TH:i:s\Z', strtotime('-' . ENTITLEMENT_GRACE_DAYS . ' days'));
+
+$log = [
+    'started_at'  => nowIso(),
+    'grace_days'  => ENTITLEMENT_GRACE_DAYS,
+    'cutoff'      => $cutoffDateIso,
+    'total_found' => 0,
+    'renewed'     => 0,
+    'expired'     => 0,
+    'errors'      => 0,
+    'details'     => [],
+];
+
+// ─── PASSO 1: Buscar entitlements vencidos ───────────────────────────────────
+$lapsedRes = supabaseGet(
+    "entitlements" .
+    "?source_type=eq.subscription" .
+    "&status=eq.active" .
+    "&expires_at=lt." . rawurlencode($cutoffDateIso) .
+    "&select=id,profile_id,source_id,expires_at" .
+    "&order=expires_at.asc" .
+    "&limit=500"
+);
+
+if (!$lapsedRes['ok']) {
+    $log['error'] = 'Falha ao buscar entitlements vencidos no banco.';
+    $log['details'][] = $lapsedRes['data'];
+    outputLog($log, $isCli);
+    exit(1);
+}
+
+// Agrupa por assinatura: titular e dependentes expiram juntos
+$lapsedBySubscription = [];
+foreach ($lapsedRes['data'] ?? [] as $entitlement) {
+    $lapsedBySubscription[$entitlement['source_id']][] = $entitlement;
+}
+$log['total_found'] = count($lapsedBySubscription);
+
+if (empty($lapsedBySubscription)) {
+    $log['message'] = 'Nenhum acesso vencido encontrado.';
+    outputLog($log, $isCli);
+    exit(0);
+}
+
+// ─── PASSO 2: Buscar as assinaturas dos entitlements ─────────────────────────
+$subsRes = supabaseGet(
+    "subscriptions?id=in.(" . implode(',', array_map('rawurlencode', array_keys($lapsedBySubscription))) . ")" .
+    "&select=id,profile_id,status,payment_method,profiles(full_name,cpf)"
+);
+
+if (!$subsRes['ok']) {
+    $log['error'] = 'Falha ao buscar as assinaturas no banco.';
+    $log['details'][] = $subsRes['data'];
+    outputLog($log, $isCli);
+    exit(1);
+}
+
+$subscriptions = [];
+foreach ($subsRes['data'] ?? [] as $sub) {
+    $subscriptions[$sub['id']] = $sub;
+}
+
+// ─── PASSO 3: Renovar (folha) ou expirar cada assinatura ─────────────────────
+foreach ($lapsedBySubscription as $subDbId => $entitlements) {
+    $sub   = $subscriptions[$subDbId] ?? null;
+    $entry = [
+        'subscription_db_id' => $subDbId,
+        'payment_method'     => $sub['payment_method'] ?? null,
+        'status'             => $sub['status'] ?? null,
+        'expires_at'         => max(array_column($entitlements, 'expires_at')),
+        'action'             => null,
+        'error'              => null,
+    ];
+
+    // ─── PASSO 3a: Desconto em folha ativo → renovar por mais um ciclo ───────
+    if ($sub && $sub['payment_method'] === 'payroll' && $sub['status'] === 'active') {
+        $renovarRes = renovarAcesso($subDbId, dataLocal($entry['expires_at']));
+
+        if ($renovarRes['ok']) {
+            $entry['action']         = 'renewed';
+            $entry['new_expires_at'] = $renovarRes['expires_at'];
+            $log['renewed']++;
+        } else {
+            $entry['action'] = 'error';
+            $entry['error']  = $renovarRes['error'];
+            $log['errors']++;
+        }
+
+        $log['details'][] = $entry;
+        continue;
+    }
+
+    // ─── PASSO 3b: Expirar os entitlements ───────────────────────────────────
+    $expireRes = supabasePatch(
+        "entitlements?id=in.(" . implode(',', array_column($entitlements, 'id')) . ")&status=eq.active",
+        ['status' => 'expired', 'updated_at' => nowIso()]
+    );
+
+    if (!$expireRes['ok']) {
+        $entry['action'] = 'error';
+        $entry['error']  = 'Falha ao expirar entitlements.';
+        $log['errors']++;
+        $log['details'][] = $entry;
+        continue;
+    }
+
+    $entry['action'] = 'expired';
+    $log['expired']++;
+
+    if (!$sub) {
+        // Entitlement sem assinatura no banco: não há titular para a Alloyal
+        $entry['error'] = 'Assinatura não encontrada no banco.';
+        $log['details'][] = $entry;
+        continue;
+    }
+
+    // Renovação não paga: a fatura paga depois reativa (webhook_iugu.php)
+    if ($sub['status'] === 'active') {
+        supabasePatch(
+            "subscriptions?id=eq." . rawurlencode($subDbId) . "&status=eq.active",
+            ['status' => 'past_due', 'updated_at' => nowIso()]
+        );
+    }
+
+    // ─── PASSO 3c: Desativar na Alloyal ──────────────────────────────────────
+    $profile = $sub['profiles'] ?? [];
+    if (isset($profile[0])) $profile = $profile[0];
+
+    $entry['alloyal'] = desativarBeneficiariosAlloyal(
+        $sub['profile_id'],
+        $subDbId,
+        $profile['cpf'] ?? '',
+        $profile['full_name'] ?? ''
+    );
+
+    $log['details'][] = $entry;
+}
+
+// ─── Finalização ─────────────────────────────────────────────────────────────
+$log['finished_at'] = nowIso();
+
+outputLog($log, $isCli);
+exit(0);
+
+// ─── Função auxiliar de saída ─────────────────────────────────────────────────
+function outputLog(array $log, bool $isCli): void
+{
+    if ($isCli) {
+        // Saída formatada para o log do cron
+        $summary = sprintf(
+            "[%s] TKS Expiração | Assinaturas vencidas: %d | Renovadas (folha): %d | Expiradas: %d | Erros: %d",
+            $log['started_at'],
+            $log['total_found'],
+            $log['renewed'],
+            $log['expired'],
+            $log['errors']
+        );
+        echo $summary . PHP_EOL;
+
+        foreach ($log['details'] as $d) {
+            if (!is_array($d) || empty($d['action'])) continue;
+            echo "  → [{$d['action']}] sub={$d['subscription_db_id']} method={$d['payment_method']} vencimento={$d['expires_at']}" . PHP_EOL;
+            if (!empty($d['error'])) {
+                echo "    ERRO: {$d['error']}" . PHP_EOL;
+            }
+        }
+    } else {
+        // Saída JSON completa para debug via HTTP
+        echo json_encode($log, JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE);
+    }
+}
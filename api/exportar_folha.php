@@ -0,0 +1,118 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/exportar_folha.php
+ * MÉTODO:  GET
+ * HEADER:  Authorization: Bearer <PAYROLL_EXPORT_TOKEN>
+ * PARÂMETROS:
+ *   ?contract_id=uuid   → Contrato da empresa conveniada
+ *   ?month=YYYY-MM      → Mês de referência (padrão: mês atual)
+ *   ?format=csv|json    → Formato do arquivo (padrão: json)
+ *
+ * DESCRIÇÃO:
+ *  Exportação mensal dos funcionários inscritos por desconto em
+ *  folha em um contrato, para a conciliação do RH da empresa.
+ *  Lista quem estava ativo no mês (ou foi cancelado dentro dele)
+ *  e o valor a descontar de cada um.
+ *
+ *  Uso interno: exige o token PAYROLL_EXPORT_TOKEN do .env. Sem o
+ *  token configurado, a exportação fica desabilitada.
+ *
+ * RETORNO (json):
+ *  - contract_id, month: string
+ *  - total_employees: int
+ *  - total_amount: float
+ *  - employees: [{ subscription_id, cpf, full_name, email, plan, amount,
+ *                  status, enrolled_at, dependents }]
+ *
+ * RETORNO (csv): mesmas colunas de employees, separadas por ";"
+ *  (padrão do Excel em português), com valores em formato brasileiro.
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/folha.php';
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    header('Content-Type: application/json; charset=utf-8');
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use GET.');
+}
+
+// ============================================================
+// SEGURANÇA: token de exportação
+// ============================================================
+$exportToken = $_ENV['PAYROLL_EXPORT_TOKEN'] ?? '';
+$authHeader  = $_SERVER['HTTP_AUTHORIZATION'] ?? $_SERVER['REDIRECT_HTTP_AUTHORIZATION'] ?? '';
+$received    = (strpos($authHeader, 'Bearer ') === 0) ? substr($authHeader, 7) : '';
+
+if ($exportToken === '') {
+    header('Content-Type: application/json; charset=utf-8');
+    responderErro(503, 'export_disabled', 'Exportação desabilitada. Configure PAYROLL_EXPORT_TOKEN no .env.');
+}
+if (!hash_equals($exportToken, $received)) {
+    header('Content-Type: application/json; charset=utf-8');
+    responderErro(401, 'invalid_token', 'Token de exportação inválido.');
+}
+
+// ============================================================
+// PARÂMETROS
+// ============================================================
+$contractId = trim($_GET['contract_id'] ?? '');
+$month      = trim($_GET['month'] ?? gmdate('Y-m'));
+$format     = strtolower(trim($_GET['format'] ?? 'json'));
+
+if (!preg_match('/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i', $contractId)
+    || !preg_match('/^\d{4}-(0[1-9]|1[0-2])$/', $month)
+    || !in_array($format, ['csv', 'json'], true)) {
+    header('Content-Type: application/json; charset=utf-8');
+    responderErro(400, 'invalid_parameter', "Informe contract_id (uuid), month (YYYY-MM) e format (csv ou json).");
+}
+
+$employees = listarInscritosFolha($contractId, $month);
+
+if ($employees === null) {
+    header('Content-Type: application/json; charset=utf-8');
+    responderErro(500, 'database_error', 'Erro ao consultar o banco de dados.');
+}
+
+// ============================================================
+// SAÍDA CSV
+// ============================================================
+if ($format === 'csv') {
+    header('Content-Type: text/csv; charset=utf-8');
+    header("Content-Disposition: attachment; filename=\"folha-{$month}-{$contractId}.csv\"");
+
+    $out = fopen('php://output', 'w');
+    fwrite($out, "\xEF\xBB\xBF"); // BOM: o Excel abre o UTF-8 com acentos corretos
+    fputcsv($out, ['ID Assinatura', 'CPF', 'Nome', 'E-mail', 'Plano', 'Valor (R$)', 'Status', 'Inscrição', 'Dependentes'], ';');
+
+    foreach ($employees as $e) {
+        fputcsv($out, [
+            $e['subscription_id'],
+            formatCpf($e['cpf']),
+            $e['full_name'],
+            $e['email'],
+            $e['plan'],
+            number_format($e['amount'], 2, ',', '.'),
+            $e['status'],
+            date('d/m/Y', strtotime($e['enrolled_at'])),
+            $e['dependents'],
+        ], ';');
+    }
+
+    fclose($out);
+    exit;
+}
+
+// ============================================================
+// SAÍDA JSON
+// ============================================================
+header('Content-Type: application/json; charset=utf-8');
+
+echo json_encode([
+    'contract_id'     => $contractId,
+    'month'           => $month,
+    'total_employees' => count($employees),
+    'total_amount'    => round(array_sum(array_column($employees, 'amount')), 2),
+    'employees'       => $employees,
+]);
@@ -0,0 +1,192 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/folha.php
+ * DESCRIÇÃO: Funções compartilhadas do pagamento por desconto
+ *            em folha (payroll), disponível apenas em planos de
+ *            convênio cujo contrato permite (contracts.allows_payroll).
+ *            - processar_assinatura.php confere o vínculo do CPF com a
+ *              empresa, valida o contrato e registra a assinatura na
+ *              conta B2B da empresa, sem cobrança na Iugu
+ *            - exportar_folha.php gera a lista mensal de inscritos
+ *              para a conciliação do RH
+ *
+ * USO: require_once __DIR__ . '/folha.php';
+ * ============================================================
+ */
+
+/**
+ * Localiza o contrato ativo da empresa e confirma que ele aceita
+ * desconto em folha para o plano escolhido.
+ *
+ * Cadeia (a mesma de listar_planos.php):
+ *   companies.id → accounts (B2B) → contracts (active) → contract_plans
+ *
+ * @param string $companyId UUID da empresa
+ * @param string $planId    UUID do plano escolhido
+ * @return array ['ok' => bool, 'account_id' => string|null, 'contract_id' => string|null,
+ *                'code' => string|null, 'error' => string|null]
+ */
+function buscarContratoFolha(string $companyId, string $planId): array {
+    $fail = fn(string $code, string $error) => [
+        'ok' => false, 'account_id' => null, 'contract_id' => null, 'code' => $code, 'error' => $error,
+    ];
+
+    if ($companyId === '') {
+        return $fail('payroll_requires_company', 'Desconto em folha disponível apenas para planos de convênio.');
+    }
+
+    $accountRes = supabaseGet(
+        "accounts?company_id=eq." . rawurlencode($companyId) .
+        "&type=eq.B2B&select=id&limit=1"
+    );
+    $accountId = $accountRes['data'][0]['id'] ?? null;
+    if (!$accountId) {
+        return $fail('payroll_no_account', 'Empresa sem conta de convênio ativa.');
+    }
+
+    $contractRes = supabaseGet(
+        "contracts?account_id=eq." . rawurlencode($accountId) .
+        "&status=eq.active&select=id,allows_payroll&limit=1"
+    );
+    $contract = $contractRes['data'][0] ?? null;
+    if (!$contract || empty($contract['allows_payroll'])) {
+        return $fail('payroll_not_allowed', 'O contrato da sua empresa não permite desconto em folha.');
+    }
+
+    $cpRes = supabaseGet(
+        "contract_plans?contract_id=eq." . rawurlencode($contract['id']) .
+        "&plan_id=eq." . rawurlencode($planId) . "&select=plan_id&limit=1"
+    );
+    if (empty($cpRes['data'])) {
+        return $fail('payroll_plan_not_in_contract', 'O plano escolhido não faz parte do contrato da sua empresa.');
+    }
+
+    return ['ok' => true, 'account_id' => $accountId, 'contract_id' => $contract['id'], 'code' => null, 'error' => null];
+}
+
+/**
+ * Status de company_members aceitos no desconto em folha. O vínculo
+ * "pending" só vale se foi comprovado no checkout (código de acesso
+ * ou e-mail corporativo, ver convenios.php).
+ */
+const PAYROLL_MEMBER_STATUS_ACTIVE  = 'active';
+const PAYROLL_MEMBER_STATUS_PENDING = 'pending';
+const PAYROLL_VERIFICATION_METHODS  = ['access_code', 'email'];
+
+/**
+ * Decide se um vínculo de company_members permite o desconto em folha.
+ * Função pura: a consulta ao banco fica em verificarVinculoFolha().
+ *
+ * @param array|null $member Linha de company_members (status, verification_method) ou null
+ * @return array ['ok' => bool, 'code' => string|null, 'error' => string|null]
+ */
+function avaliarVinculoFolha(?array $member): array {
+    $status = $member['status'] ?? null;
+    $method = $member['verification_method'] ?? null;
+
+    $aceito = $status === PAYROLL_MEMBER_STATUS_ACTIVE
+        || ($status === PAYROLL_MEMBER_STATUS_PENDING && in_array($method, PAYROLL_VERIFICATION_METHODS, true));
+
+    if (!$aceito) {
+        return ['ok' => false, 'code' => 'payroll_not_member', 'error' => 'Desconto em folha disponível apenas para funcionários vinculados à empresa.'];
+    }
+
+    return ['ok' => true, 'code' => null, 'error' => null];
+}
+
+/**
+ * Confere se o CPF tem vínculo com a empresa antes de aceitar o
+ * desconto em folha. O company_id vem do cliente, então sem essa
+ * checagem qualquer CPF poderia ser cobrado no contrato da empresa.
+ *
+ * @param string $cpf       CPF do titular (apenas dígitos)
+ * @param string $companyId UUID da empresa
+ * @return array ['ok' => bool, 'code' => string|null, 'error' => string|null]
+ */
+function verificarVinculoFolha(string $cpf, string $companyId): array {
+    $orFilter   = "or=(cpf.eq." . rawurlencode($cpf) . ",cpf.eq." . rawurlencode(formatCpf($cpf)) . ")";
+    $profileRes = supabaseGet("profiles?{$orFilter}&select=id&limit=1");
+    if (!$profileRes['ok']) {
+        return ['ok' => false, 'code' => 'database_error', 'error' => 'Erro ao consultar o banco de dados. Tente novamente.'];
+    }
+
+    $profileId = $profileRes['data'][0]['id'] ?? null;
+    if (!$profileId) {
+        return avaliarVinculoFolha(null);
+    }
+
+    $memberRes = supabaseGet(
+        "company_members?user_id=eq." . rawurlencode($profileId) .
+        "&company_id=eq." . rawurlencode($companyId) .
+        "&select=status,verification_method&order=created_at.desc&limit=1"
+    );
+    if (!$memberRes['ok']) {
+        return ['ok' => false, 'code' => 'database_error', 'error' => 'Erro ao consultar o banco de dados. Tente novamente.'];
+    }
+
+    return avaliarVinculoFolha($memberRes['data'][0] ?? null);
+}
+
+/**
+ * Lista os funcionários inscritos por desconto em folha em um contrato
+ * durante o mês informado: assinaturas criadas até o fim do mês que
+ * estavam ativas ou foram canceladas dentro do próprio mês.
+ * O valor de cada linha é o mensal a descontar.
+ *
+ * @param string $contractId UUID do contrato
+ * @param string $month      Mês de referência no formato YYYY-MM
+ * @return array|null Lista de linhas (ver exportar_folha.php) ou null em caso de erro no banco
+ */
+function listarInscritosFolha(string $contractId, string $month): ?array {
+    $inicio = "{$month}-01T00:00:00Z";
+    $fim    = gmdate('Y-m-d\TH:i:s\Z', strtotime("{$month}-01 00:00:00 UTC +1 month"));
+
+    $subRes = supabaseGet(
+        "subscriptions?contract_id=eq." . rawurlencode($contractId) .
+        "&payment_method=eq.payroll" .
+        "&created_at=lt." . rawurlencode($fim) .
+        "&or=(status.eq.active,and(status.eq.canceled,updated_at.gte." . rawurlencode($inicio) . "))" .
+        "&select=id,status,created_at,profiles(full_name,cpf,email_customer),plans(name,price,interval,interval_type)" .
+        "&order=created_at.asc"
+    );
+    if (!$subRes['ok']) return null;
+
+    $subscriptions = $subRes['data'] ?? [];
+    if (empty($subscriptions)) return [];
+
+    // Quantidade de dependentes por assinatura (uma única consulta)
+    $ids    = implode(',', array_column($subscriptions, 'id'));
+    $depRes = supabaseGet(
+        "subscription_dependents?subscription_id=in.(" . rawurlencode($ids) . ")&select=subscription_id"
+    );
+    $dependentsCount = array_count_values(array_column($depRes['data'] ?? [], 'subscription_id'));
+
+    $rows = [];
+    foreach ($subscriptions as $sub) {
+        // O embedding pode vir como objeto ou como array de um item
+        $profile = $sub['profiles'] ?? [];
+        if (isset($profile[0])) $profile = $profile[0];
+        $plan = $sub['plans'] ?? [];
+        if (isset($plan[0])) $plan = $plan[0];
+
+        // A folha é mensal: planos semestrais/anuais entram pelo valor mensal equivalente
+        $price    = (float)($plan['price'] ?? 0);
+        $interval = max(1, (int)($plan['interval'] ?? 1));
+        $amount   = ($plan['interval_type'] ?? 'months') === 'months' ? $price / $interval : $price;
+
+        $rows[] = [
+            'subscription_id' => $sub['id'],
+            'cpf'             => onlyDigits($profile['cpf'] ?? ''),
+            'full_name'       => $profile['full_name'] ?? '',
+            'email'           => $profile['email_customer'] ?? '',
+            'plan'            => $plan['name'] ?? '',
+            'amount'          => round($amount, 2),
+            'status'          => $sub['status'],
+            'enrolled_at'     => substr($sub['created_at'], 0, 10),
+            'dependents'      => $dependentsCount[$sub['id']] ?? 0,
+        ];
+    }
+
+    return $rows;
+}
@@ -0,0 +1,197 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/idempotencia.php
+ * DESCRIÇÃO: Controle de idempotência do processar_assinatura.php.
+ *            O checkout gera uma chave (UUID) por tentativa de
+ *            compra e a reenvia em caso de clique duplo ou queda
+ *            de rede. A primeira requisição com a chave processa
+ *            normalmente; as seguintes recebem a MESMA resposta
+ *            gravada, sem criar outro cliente, assinatura ou
+ *            cobrança na Iugu.
+ *
+ * USO: require_once __DIR__ . '/idempotencia.php';
+ *
+ * TABELA: checkout_requests (ver README.md)
+ *   status = processing → requisição em andamento; sem atualização há
+ *                         IDEMPOTENCY_PROCESSING_TIMEOUT_MIN minutos, é dada
+ *                         como interrompida e a chave pode ser retomada
+ *            completed  → resposta gravada (replay)
+ *            failed     → falhou ANTES de criar a assinatura na Iugu;
+ *                         a chave pode ser reaproveitada
+ *
+ * NA IUGU: a chave também vai na assinatura (custom_variables), para
+ * descobrir se ela foi criada quando a Iugu não responde a tempo.
+ * ============================================================
+ */
+
+const IDEMPOTENCY_KEY_PATTERN = '/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i';
+
+// Nome da variável personalizada da assinatura na Iugu com a chave
+const IUGU_IDEMPOTENCY_VARIABLE = 'idempotency_key';
+
+// Minutos sem atualização para uma requisição "processing" ser considerada
+// interrompida (PHP encerrado ou Iugu sem resposta antes de gravar o resultado)
+const IDEMPOTENCY_PROCESSING_TIMEOUT_MIN = 5;
+
+/**
+ * Gera a impressão digital do pedido, usada para recusar a mesma
+ * chave com outros dados. O card_token fica de fora: cada nova
+ * tentativa tokeniza o cartão de novo e recebe um token diferente.
+ *
+ * @param array $body Corpo JSON recebido
+ * @return string Hash SHA-256
+ */
+function hashRequisicaoIdempotente(array $body): string {
+    unset($body['card_token'], $body['idempotency_key']);
+    ksort($body);
+    return hash('sha256', json_encode($body));
+}
+
+/**
+ * Reserva a chave para esta requisição.
+ *
+ * A reserva é um INSERT com a chave como PK: se duas requisições
+ * chegarem juntas, só uma consegue inserir.
+ *
+ * "resumed" = chave retomada de uma requisição interrompida, que pode
+ * ter criado a assinatura na Iugu antes de cair: procure-a pela chave
+ * (buscarAssinaturaIuguDaChave) antes de criar outra.
+ *
+ * @param string $key         Chave enviada pelo checkout
+ * @param string $requestHash Retorno de hashRequisicaoIdempotente()
+ * @return array ['status' => reserved|resumed|replay|processing|mismatch|error, 'row' => array|null]
+ */
+function reservarChaveIdempotencia(string $key, string $requestHash): array {
+    $insertRes = supabasePost('checkout_requests', [
+        'idempotency_key' => $key,
+        'request_hash'    => $requestHash,
+        'status'          => 'processing',
+        'created_at'      => nowIso(),
+        'updated_at'      => nowIso(),
+    ]);
+
+    if ($insertRes['ok']) {
+        return ['status' => 'reserved', 'row' => null];
+    }
+
+    // 409 = chave já existe (violação da PK); qualquer outro erro é falha do banco
+    if ($insertRes['http_code'] !== 409) {
+        return ['status' => 'error', 'row' => null];
+    }
+
+    $rowRes = supabaseGet(
+        "checkout_requests?idempotency_key=eq." . rawurlencode($key) .
+        "&select=idempotency_key,request_hash,status,response_code,response_body,updated_at&limit=1"
+    );
+    $row = $rowRes['data'][0] ?? null;
+
+    if (!$row) {
+        return ['status' => 'error', 'row' => null];
+    }
+    if (!hash_equals($row['request_hash'], $requestHash)) {
+        return ['status' => 'mismatch', 'row' => $row];
+    }
+    if ($row['status'] === 'completed') {
+        return ['status' => 'replay', 'row' => $row];
+    }
+
+    // Tentativa anterior falhou sem criar nada na Iugu ou foi interrompida:
+    // retoma a chave. O filtro repete a regra de chaveIdempotenciaRetomavel()
+    // e garante que só uma requisição a retome (a retomada renova o updated_at).
+    if (chaveIdempotenciaRetomavel($row, time())) {
+        $staleIso = gmdate('Y-m-d\TH:i:s\Z', strtotime('-' . IDEMPOTENCY_PROCESSING_TIMEOUT_MIN . ' minutes'));
+        $retryRes = supabasePatch(
+            "checkout_requests?idempotency_key=eq." . rawurlencode($key) .
+            "&or=(status.eq.failed,and(status.eq.processing,updated_at.lt." . rawurlencode($staleIso) . "))",
+            ['status' => 'processing', 'updated_at' => nowIso()]
+        );
+        if ($retryRes['ok'] && !empty($retryRes['data'])) {
+            return ['status' => $row['status'] === 'failed' ? 'reserved' : 'resumed', 'row' => null];
+        }
+    }
+
+    return ['status' => 'processing', 'row' => $row];
+}
+
+/**
+ * Diz se uma chave já registrada pode ser retomada: a requisição anterior
+ * falhou antes de criar a assinatura (failed) ou ficou em "processing" sem
+ * atualização por IDEMPOTENCY_PROCESSING_TIMEOUT_MIN minutos.
+ *
+ * @param array $row Linha de checkout_requests (status, updated_at)
+ * @param int   $now Timestamp atual
+ */
+function chaveIdempotenciaRetomavel(array $row, int $now): bool {
+    if ($row['status'] === 'failed') return true;
+    if ($row['status'] !== 'processing') return false;
+
+    $updatedAt = strtotime((string)($row['updated_at'] ?? ''));
+    return $updatedAt !== false && $updatedAt < $now - IDEMPOTENCY_PROCESSING_TIMEOUT_MIN * 60;
+}
+
+/**
+ * Grava a resposta final da requisição para ser devolvida nas repetições.
+ *
+ * @param string      $key            Chave reservada
+ * @param int         $httpCode       Código HTTP enviado ao checkout
+ * @param string      $responseBody   JSON enviado ao checkout
+ * @param string|null $subscriptionId UUID da assinatura criada (se houver)
+ */
+function concluirChaveIdempotencia(string $key, int $httpCode, string $responseBody, ?string $subscriptionId): void {
+    supabasePatch(
+        "checkout_requests?idempotency_key=eq." . rawurlencode($key),
+        [
+            'status'          => 'completed',
+            'response_code'   => $httpCode,
+            'response_body'   => json_decode($responseBody, true),
+            'subscription_id' => $subscriptionId,
+            'updated_at'      => nowIso(),
+        ]
+    );
+}
+
+/**
+ * Libera a chave após uma falha que não chegou a criar a assinatura
+ * na Iugu, permitindo que o checkout tente de novo com a mesma chave.
+ *
+ * @param string $key Chave reservada
+ */
+function liberarChaveIdempotencia(string $key): void {
+    supabasePatch(
+        "checkout_requests?idempotency_key=eq." . rawurlencode($key),
+        ['status' => 'failed', 'updated_at' => nowIso()]
+    );
+}
+
+/**
+ * Procura entre as assinaturas do cliente na Iugu a criada com a chave
+ * (custom_variables). Usada quando a criação fica sem resposta: a Iugu
+ * pode ter criado a assinatura mesmo assim.
+ *
+ * @param string $iuguCustomerId ID do cliente na Iugu
+ * @param string $key            Chave de idempotência da compra
+ * @return array ['ok' => bool, 'subscription' => array|null]
+ *               ok = false se a Iugu também não respondeu à busca
+ */
+function buscarAssinaturaIuguDaChave(string $iuguCustomerId, string $key): array {
+    $listRes = iuguCall('GET', 'subscriptions?customer_id=' . rawurlencode($iuguCustomerId) . '&limit=20');
+    if (!$listRes['ok'] || !is_array($listRes['data']['items'] ?? null)) {
+        return ['ok' => false, 'subscription' => null];
+    }
+
+    foreach ($listRes['data']['items'] as $item) {
+        foreach ($item['custom_variables'] ?? [] as $variable) {
+            if (($variable['name'] ?? '') !== IUGU_IDEMPOTENCY_VARIABLE || ($variable['value'] ?? '') !== $key) continue;
+
+            // A listagem pode vir resumida: a assinatura completa traz as faturas recentes
+            $subRes = iuguCall('GET', 'subscriptions/' . rawurlencode($item['id']));
+            if (!$subRes['ok'] || empty($subRes['data']['id'])) {
+                return ['ok' => false, 'subscription' => null];
+            }
+            return ['ok' => true, 'subscription' => $subRes['data']];
+        }
+    }
+
+    return ['ok' => true, 'subscription' => null];
+}
@@ -0,0 +1,300 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/lgpd.php
+ * DESCRIÇÃO: Funções compartilhadas de LGPD: consentimentos do
+ *            titular e atendimento das solicitações de acesso
+ *            (exportação) e eliminação (anonimização) dos dados.
+ *
+ *            Consentimentos: processar_assinatura.php grava as
+ *            opções marcadas na Etapa 3; verificar_cpf.php devolve
+ *            as atuais para preencher os checkboxes de quem volta.
+ *            Cada mudança é uma nova linha em profile_consents
+ *            (histórico): o estado atual é a linha mais recente de
+ *            cada finalidade.
+ *
+ *            Solicitações: lgpd_exportar.php e lgpd_anonimizar.php
+ *            aceitam o próprio titular (sessão da área do assinante,
+ *            membros.php) ou o encarregado de dados (token
+ *            LGPD_ADMIN_TOKEN do .env, informando o CPF).
+ *
+ * USO: require_once __DIR__ . '/lgpd.php';
+ *
+ * TABELAS: profile_consents, data_subject_requests (ver README.md)
+ * ============================================================
+ */
+
+require_once __DIR__ . '/membros.php';
+require_once __DIR__ . '/liberar_acesso.php';
+
+// Finalidades com consentimento próprio (checkboxes da Etapa 3)
+const CONSENT_PURPOSES = ['marketing_email', 'whatsapp', 'partner_sharing'];
+
+// Assinaturas que ainda podem gerar cobrança ou acesso: impedem a anonimização
+const LGPD_OPEN_SUBSCRIPTION_STATUSES = ['active', 'pending_payment', 'past_due'];
+
+const LGPD_ANONYMIZED_NAME = 'Titular anonimizado';
+
+// ============================================================
+// CONSENTIMENTOS
+// ============================================================
+
+/**
+ * Consentimentos atuais do perfil (a linha mais recente de cada finalidade).
+ *
+ * @param string $profileId UUID do perfil
+ * @return array ['marketing_email' => bool, 'whatsapp' => bool, 'partner_sharing' => bool]
+ *               (finalidades nunca respondidas valem false)
+ */
+function buscarConsentimentos(string $profileId): array {
+    $res = supabaseGet(
+        "profile_consents?profile_id=eq." . rawurlencode($profileId) .
+        "&select=purpose,granted,company_id,created_at&order=created_at.desc"
+    );
+
+    $current = array_fill_keys(CONSENT_PURPOSES, false);
+    $seen    = [];
+    foreach ($res['data'] ?? [] as $row) {
+        if (isset($seen[$row['purpose']]) || !array_key_exists($row['purpose'], $current)) continue;
+        $seen[$row['purpose']]    = true;
+        $current[$row['purpose']] = (bool)$row['granted'];
+    }
+    return $current;
+}
+
+/**
+ * Grava os consentimentos informados pelo titular. Só as finalidades
+ * que mudaram geram uma nova linha, com data, origem, IP e navegador.
+ *
+ * O compartilhamento com a empresa parceira só existe no convênio:
+ * sem empresa, partner_sharing só pode ser revogado.
+ *
+ * @param string      $profileId UUID do perfil
+ * @param mixed       $input     Objeto "consents" do corpo: { marketing_email: bool, ... }
+ * @param string|null $companyId Empresa do convênio (destinatária do compartilhamento)
+ * @param string      $source    Onde o titular respondeu (ex: "checkout")
+ * @return array ['ok' => bool, 'changed' => string[], 'error' => string|null]
+ */
+function registrarConsentimentos(string $profileId, $input, ?string $companyId, string $source): array {
+    $input = is_array($input) ? $input : [];
+
+    $current = buscarConsentimentos($profileId);
+    $rows    = [];
+
+    foreach (CONSENT_PURPOSES as $purpose) {
+        if (!array_key_exists($purpose, $input)) continue;
+
+        $granted = filter_var($input[$purpose], FILTER_VALIDATE_BOOLEAN);
+        if ($granted === $current[$purpose]) continue;
+        if ($purpose === 'partner_sharing' && $granted && !$companyId) continue;
+
+        $rows[] = [
+            'id'         => generateUuid(),
+            'profile_id' => $profileId,
+            'purpose'    => $purpose,
+            'granted'    => $granted,
+            'company_id' => $purpose === 'partner_sharing' ? $companyId : null,
+            'source'     => $source,
+            'ip_address' => $_SERVER['REMOTE_ADDR'] ?? null,
+            'user_agent' => mb_substr($_SERVER['HTTP_USER_AGENT'] ?? '', 0, 500) ?: null,
+            'created_at' => nowIso(),
+        ];
+    }
+
+    if (empty($rows)) {
+        return ['ok' => true, 'changed' => [], 'error' => null];
+    }
+
+    $res = supabasePost('profile_consents', $rows);
+    if (!$res['ok']) {
+        return ['ok' => false, 'changed' => [], 'error' => 'Erro ao registrar os consentimentos.'];
+    }
+
+    return ['ok' => true, 'changed' => array_column($rows, 'purpose'), 'error' => null];
+}
+
+// ============================================================
+// SOLICITAÇÕES DO TITULAR
+// ============================================================
+
+/**
+ * Identifica o titular da solicitação. Com o token LGPD_ADMIN_TOKEN,
+ * o encarregado informa o CPF; sem ele, exige a sessão da área do
+ * assinante e atende só o próprio titular. Responde 401/404 e encerra
+ * o script se não houver titular.
+ *
+ * @param string $cpf CPF informado (usado só com o token do encarregado)
+ * @return array ['profile' => array, 'requested_by' => 'admin'|'titular']
+ */
+function autenticarSolicitacaoTitular(string $cpf): array {
+    $adminToken = $_ENV['LGPD_ADMIN_TOKEN'] ?? '';
+    $authHeader = $_SERVER['HTTP_AUTHORIZATION'] ?? $_SERVER['REDIRECT_HTTP_AUTHORIZATION'] ?? '';
+    $received   = (strpos($authHeader, 'Bearer ') === 0) ? trim(substr($authHeader, 7)) : '';
+
+    if ($adminToken === '' || !hash_equals($adminToken, $received)) {
+        return ['profile' => exigirSessaoMembro(), 'requested_by' => 'titular'];
+    }
+
+    $cpfDigits = onlyDigits($cpf);
+    if (!validarCPF($cpfDigits)) {
+        responderErro(400, 'cpf_invalid', 'Informe um CPF válido.', ['field' => 'cpf']);
+    }
+
+    $profile = buscarPerfilPorCpf($cpfDigits);
+    if (!$profile) {
+        responderErro(404, 'data_not_found', 'Nenhum dado encontrado para este CPF.');
+    }
+
+    $profile['cpf'] = $cpfDigits;
+    return ['profile' => $profile, 'requested_by' => 'admin'];
+}
+
+/**
+ * Reúne todos os dados mantidos sobre o titular.
+ *
+ * @param string $profileId UUID do perfil
+ * @return array ['ok' => bool, 'data' => array|null]
+ */
+function exportarDadosTitular(string $profileId): array {
+    $id = rawurlencode($profileId);
+
+    $queries = [
+        'profile'           => "profiles?id=eq.{$id}&select=*",
+        'subscriptions'     => "subscriptions?profile_id=eq.{$id}&select=*,plans(name,price,interval,interval_type)&order=created_at.asc",
+        'entitlements'      => "entitlements?profile_id=eq.{$id}&select=*&order=created_at.asc",
+        'memberships'       => "company_members?user_id=eq.{$id}&select=status,verification_method,created_at,companies(name)",
+        'dependent_of'      => "subscription_dependents?profile_id=eq.{$id}&select=subscription_id,relationship,created_at",
+        'consents'          => "profile_consents?profile_id=eq.{$id}&select=purpose,granted,company_id,source,ip_address,user_agent,created_at&order=created_at.asc",
+        'terms_acceptances' => "terms_acceptances?profile_id=eq.{$id}&select=subscription_id,terms_version,accepted_at,ip_address,forwarded_for,user_agent&order=accepted_at.asc",
+    ];
+
+    $data = [];
+    foreach ($queries as $key => $endpoint) {
+        $res = supabaseGet($endpoint);
+        if (!$res['ok']) {
+            return ['ok' => false, 'data' => null];
+        }
+        $data[$key] = $res['data'] ?? [];
+    }
+    $data['profile'] = $data['profile'][0] ?? null;
+
+    // Dependentes cadastrados pelo titular nas próprias assinaturas
+    $data['dependents'] = [];
+    $subscriptionIds = array_column($data['subscriptions'], 'id');
+    if (!empty($subscriptionIds)) {
+        $depRes = supabaseGet(
+            "subscription_dependents?subscription_id=in.(" . implode(',', array_map('rawurlencode', $subscriptionIds)) . ")" .
+            "&select=subscription_id,relationship,created_at,profiles(full_name,cpf,birth_date)"
+        );
+        if (!$depRes['ok']) {
+            return ['ok' => false, 'data' => null];
+        }
+        $data['dependents'] = $depRes['data'] ?? [];
+    }
+
+    $data['current_consents'] = buscarConsentimentos($profileId);
+
+    return ['ok' => true, 'data' => $data];
+}
+
+/**
+ * Anonimiza o perfil do titular.
+ *
+ * Só é feita sem assinatura em aberto nem acesso ativo (inclusive como
+ * dependente de outra pessoa): cancelar é o primeiro passo. A ordem
+ * importa: a Alloyal é desativada antes de apagar o CPF, que é a chave
+ * de lá; se ela falhar, nada é apagado e a solicitação pode ser repetida.
+ *
+ * Ficam mantidos, sem dados de contato: assinaturas e entitlements
+ * (obrigações fiscais) e o histórico de aceites e consentimentos
+ * (defesa em processos — LGPD art. 16).
+ *
+ * @param array $profile ['id', 'full_name', 'cpf'] (CPF só com dígitos)
+ * @return array ['ok' => bool, 'http_code' => int, 'code' => string|null, 'error' => string|null, 'alloyal' => array|null]
+ */
+function anonimizarTitular(array $profile): array {
+    $fail = fn(int $httpCode, string $code, string $error, $alloyal = null) => [
+        'ok' => false, 'http_code' => $httpCode, 'code' => $code, 'error' => $error, 'alloyal' => $alloyal,
+    ];
+    $id = rawurlencode($profile['id']);
+
+    // --- PASSO 1: Nada em aberto ---
+    $openRes = supabaseGet(
+        "subscriptions?profile_id=eq.{$id}" .
+        "&status=in.(" . implode(',', LGPD_OPEN_SUBSCRIPTION_STATUSES) . ")&select=id&limit=1"
+    );
+    if (!$openRes['ok']) {
+        return $fail(500, 'database_error', 'Erro ao consultar as assinaturas do titular.');
+    }
+    if (!empty($openRes['data'][0]['id'])) {
+        return $fail(409, 'open_subscription', 'Há uma assinatura em aberto. Cancele a assinatura antes de solicitar a exclusão dos dados.');
+    }
+    if (possuiOutroAcessoAtivo($profile['id'])) {
+        return $fail(409, 'access_still_active', 'O titular ainda tem acesso ativo ao Clube de Vantagens (ex: como dependente). Encerre o acesso antes de solicitar a exclusão dos dados.');
+    }
+
+    // --- PASSO 2: Desativar na Alloyal (antes de apagar o CPF) ---
+    $alloyalRes = null;
+    if ($profile['cpf'] !== '') {
+        $alloyalRes = alloyalDeactivateUsers([['cpf' => $profile['cpf'], 'name' => $profile['full_name'] ?? '']]);
+        if (!$alloyalRes['ok']) {
+            return $fail(502, 'benefits_deactivation_failed', 'Não foi possível desativar o usuário no Clube de Vantagens. Nenhum dado foi apagado; tente novamente.', $alloyalRes);
+        }
+    }
+
+    // --- PASSO 3: Revogar os consentimentos ---
+    $consentRes = registrarConsentimentos($profile['id'], array_fill_keys(CONSENT_PURPOSES, false), null, 'anonimizacao');
+    if (!$consentRes['ok']) {
+        return $fail(500, 'consent_save_failed', 'Erro ao revogar os consentimentos do titular.', $alloyalRes);
+    }
+
+    // --- PASSO 4: Apagar os dados pessoais do perfil ---
+    $profileRes = supabasePatch("profiles?id=eq.{$id}", [
+        'full_name'      => LGPD_ANONYMIZED_NAME,
+        'cpf'            => null,
+        'email_customer' => null,
+        'phone'          => null,
+        'phone_whatsapp' => false,
+        'birth_date'     => null,
+        'anonymized_at'  => nowIso(),
+        'updated_at'     => nowIso(),
+    ]);
+    if (!$profileRes['ok']) {
+        return $fail(500, 'anonymization_failed', 'Erro ao anonimizar o perfil.', $alloyalRes);
+    }
+
+    // --- PASSO 5: Encerrar sessões e códigos de verificação ---
+    supabasePatch(
+        "member_sessions?profile_id=eq.{$id}&expires_at=gt." . rawurlencode(nowIso()),
+        ['expires_at' => nowIso()]
+    );
+    if ($profile['cpf'] !== '') {
+        supabasePatch(
+            "verification_codes?cpf=eq." . rawurlencode($profile['cpf']),
+            ['cpf' => '', 'email' => '', 'context' => new stdClass()]
+        );
+    }
+
+    return ['ok' => true, 'http_code' => 200, 'code' => null, 'error' => null, 'alloyal' => $alloyalRes];
+}
+
+/**
+ * Registra a solicitação do titular (prazo de resposta da LGPD).
+ *
+ * @param string $profileId   UUID do perfil
+ * @param string $type        "export" ou "anonymize"
+ * @param string $requestedBy "titular" ou "admin"
+ * @param string $status      "completed" ou "refused"
+ * @param string|null $detail Motivo da recusa, se houver
+ */
+function registrarSolicitacaoTitular(string $profileId, string $type, string $requestedBy, string $status, ?string $detail = null): void {
+    supabasePost('data_subject_requests', [
+        'id'           => generateUuid(),
+        'profile_id'   => $profileId,
+        'type'         => $type,
+        'requested_by' => $requestedBy,
+        'status'       => $status,
+        'detail'       => $detail,
+        'created_at'   => nowIso(),
+    ]);
+}
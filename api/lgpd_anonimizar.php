@@ -0,0 +1,59 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/lgpd_anonimizar.php
+ * MÉTODO:  POST
+ * CONTENT-TYPE: application/json
+ * HEADER:  Authorization: Bearer <token da área do assinante>
+ *     ou   Authorization: Bearer <LGPD_ADMIN_TOKEN>
+ * BODY: {
+ *   "confirm": true,
+ *   "cpf": "00000000000"   (só com o LGPD_ADMIN_TOKEN)
+ * }
+ *
+ * DESCRIÇÃO:
+ *  Direito de eliminação do titular (LGPD art. 18, VI): anonimiza
+ *  o perfil (anonimizarTitular em lgpd.php).
+ *  1. Recusa se houver assinatura em aberto ou acesso ativo
+ *  2. Desativa o usuário na Alloyal
+ *  3. Revoga os consentimentos
+ *  4. Apaga nome, CPF, e-mail, telefone e nascimento do perfil
+ *  5. Encerra as sessões da área do assinante
+ *
+ * RETORNO:
+ *  - anonymized: bool
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require_once __DIR__ . '/lgpd.php';
+
+header('Content-Type: application/json; charset=utf-8');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use POST.');
+}
+
+$body = json_decode(file_get_contents('php://input') ?: '', true);
+if (!is_array($body)) $body = [];
+
+$solicitacao = autenticarSolicitacaoTitular((string)($body['cpf'] ?? ''));
+$profile     = $solicitacao['profile'];
+
+// A anonimização é irreversível: exige confirmação explícita
+if (($body['confirm'] ?? false) !== true) {
+    responderErro(400, 'confirmation_required', 'Confirme a exclusão dos dados (confirm: true). Esta ação não pode ser desfeita.');
+}
+
+$anonimizarRes = anonimizarTitular($profile);
+
+if (!$anonimizarRes['ok']) {
+    if ($anonimizarRes['http_code'] === 409) {
+        registrarSolicitacaoTitular($profile['id'], 'anonymize', $solicitacao['requested_by'], 'refused', $anonimizarRes['error']);
+    }
+    responderErro($anonimizarRes['http_code'], $anonimizarRes['code'], $anonimizarRes['error']);
+}
+
+registrarSolicitacaoTitular($profile['id'], 'anonymize', $solicitacao['requested_by'], 'completed');
+
+echo json_encode(['anonymized' => true]);
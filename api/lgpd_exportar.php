@@ -0,0 +1,53 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/lgpd_exportar.php
+ * MÉTODO:  GET
+ * HEADER:  Authorization: Bearer <token da área do assinante>
+ *     ou   Authorization: Bearer <LGPD_ADMIN_TOKEN> + ?cpf=00000000000
+ *
+ * DESCRIÇÃO:
+ *  Direito de acesso do titular (LGPD art. 18, II): exporta em
+ *  JSON todos os dados mantidos sobre o CPF — perfil, vínculos
+ *  com empresas, assinaturas, entitlements, dependentes,
+ *  consentimentos e aceites dos Termos e Condições.
+ *
+ *  O próprio titular usa a sessão da área do assinante; o
+ *  encarregado de dados usa o LGPD_ADMIN_TOKEN e informa o CPF.
+ *
+ * RETORNO:
+ *  - generated_at: string
+ *  - data: { profile, memberships, subscriptions, entitlements,
+ *            dependents, dependent_of, consents, current_consents,
+ *            terms_acceptances }
+ *  Enviado como anexo (dados-tks-<data>.json).
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require_once __DIR__ . '/lgpd.php';
+
+header('Content-Type: application/json; charset=utf-8');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use GET.');
+}
+
+$solicitacao = autenticarSolicitacaoTitular($_GET['cpf'] ?? '');
+$profile     = $solicitacao['profile'];
+
+$exportRes = exportarDadosTitular($profile['id']);
+
+if (!$exportRes['ok']) {
+    responderErro(500, 'data_export_failed', 'Erro ao reunir os dados do titular. Tente novamente.');
+}
+
+registrarSolicitacaoTitular($profile['id'], 'export', $solicitacao['requested_by'], 'completed');
+
+header('Cache-Control: no-store');
+header('Content-Disposition: attachment; filename="dados-tks-' . dataLocal(nowIso()) . '.json"');
+
+echo json_encode([
+    'generated_at' => nowIso(),
+    'data'         => $exportRes['data'],
+], JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
@@ -8,25 +8,43 @@
  *            entre processar_assinatura.php, webhook_iugu.php
  *            e verificar_pendentes.php.
  *
+ *            Também libera o acesso dos dependentes da assinatura
+ *            (ver dependentes.php).
+ *
+ *            revogarAcesso() faz o caminho inverso quando a
+ *            assinatura é cancelada, estornada ou deixa de ser
+ *            paga (cancelar_assinatura.php e webhook_iugu.php).
+ *
+ *            A validade do acesso é um ciclo do plano (interval /
+ *            interval_type da Iugu). renovarAcesso() estende a
+ *            validade a cada renovação paga, e expirar_acessos.php
+ *            encerra os acessos vencidos.
+ *
  * USO: require __DIR__ . '/liberar_acesso.php';
  *      $resultado = liberarAcesso($profileId, $subscriptionId, $cpf, $fullName);
+ *      $resultado = renovarAcesso($subscriptionId, $inicioDoCiclo);
+ *      $resultado = revogarAcesso($profileId, $subscriptionId, $cpf, $fullName);
  * ============================================================
  */
 
+require_once __DIR__ . '/dependentes.php';
+
 /**
  * Libera o acesso de um usuário após confirmação de pagamento.
  *
  * Ações realizadas:
  *  1. Verifica se já existe entitlement ativo para evitar duplicatas
- *  2. Cria o entitlement no banco (tabela entitlements)
- *  3. Atualiza o status da assinatura para "active"
- *  4. Sincroniza o usuário com a Alloyal (Clube de Vantagens)
+ *  2. Atualiza o status da assinatura para "active"
+ *  3. Cria o entitlement no banco (tabela entitlements) do titular
+ *     e de cada dependente da assinatura, válido por um ciclo do plano
+ *     a partir de hoje
+ *  4. Sincroniza titular + dependentes com a Alloyal em um único lote
  *
  * @param string $profileId      UUID do perfil do usuário (FK → profiles)
  * @param string $subscriptionId UUID da assinatura no banco (FK → subscriptions)
  * @param string $cpf            CPF apenas com dígitos (para Alloyal)
  * @param string $fullName       Nome completo (para Alloyal)
- * @return array ['ok' => bool, 'skipped' => bool, 'alloyal' => array, 'error' => string|null]
+ * @return array ['ok' => bool, 'skipped' => bool, 'expires_at' => string|null, 'alloyal' => array, 'error' => string|null]
  */
 function liberarAcesso(string $profileId, string $subscriptionId, string $cpf, string $fullName): array
 {
@@ -35,14 +53,15 @@ function liberarAcesso(string $profileId, string $subscriptionId, string $cpf, s
     $existingRes = supabaseGet(
         "entitlements?profile_id=eq." . rawurlencode($profileId) .
         "&source_id=eq." . rawurlencode($subscriptionId) .
-        "&status=eq.active&select=id&limit=1"
+        "&status=eq.active&select=id,expires_at&limit=1"
     );
 
     if ($existingRes['ok'] && !empty($existingRes['data'][0]['id'])) {
         return [
-            'ok'      => true,
-            'skipped' => true,
-            'reason'  => 'Entitlement já existia — acesso já estava liberado.',
+            'ok'         => true,
+            'skipped'    => true,
+            'expires_at' => $existingRes['data'][0]['expires_at'] ?? null,
+            'reason'     => 'Entitlement já existia — acesso já estava liberado.',
         ];
     }
 
@@ -53,46 +72,266 @@ function liberarAcesso(string $profileId, string $subscriptionId, string $cpf, s
     );
 
     // ─── 3. Criar o entitlement ───────────────────────────────────────────────
-    // expires_at: 1 ano a partir de hoje.
-    // TODO: calcular com base no interval/interval_type do plano quando necessário.
-    $expiresAt = gmdate('Y-m-d\TH:i:s\Z', strtotime('+1 year'));
-
-    $entitlementRow = [
-        'id'          => generateUuid(),
-        'profile_id'  => $profileId,
-        'product_id'  => PRODUCT_ID_CLUBE,
-        'source_type' => 'subscription',
-        'source_id'   => $subscriptionId,
-        'status'      => 'active',
-        'expires_at'  => $expiresAt,
-        'created_at'  => nowIso(),
-        'updated_at'  => nowIso(),
-    ];
+    // expires_at: um ciclo do plano a partir de hoje (renovarAcesso estende)
+    $expiresAt = calcularValidadeAcesso(buscarPlanoAssinatura($subscriptionId), dataLocal(nowIso()));
 
-    $entitlementRes = supabasePost(
-        'entitlements',
-        $entitlementRow,
-        ['Prefer: return=representation']
+    // Titular + dependentes vinculados à assinatura
+    $beneficiarios = array_merge(
+        [['profile_id' => $profileId, 'cpf' => $cpf, 'full_name' => $fullName]],
+        buscarDependentesAssinatura($subscriptionId)
     );
 
-    if (!$entitlementRes['ok']) {
-        return [
-            'ok'      => false,
-            'skipped' => false,
-            'error'   => 'Falha ao criar entitlement.',
-            'details' => $entitlementRes['data'],
+    foreach ($beneficiarios as $beneficiario) {
+        $entitlementRow = [
+            'id'          => generateUuid(),
+            'profile_id'  => $beneficiario['profile_id'],
+            'product_id'  => PRODUCT_ID_CLUBE,
+            'source_type' => 'subscription',
+            'source_id'   => $subscriptionId,
+            'status'      => 'active',
+            'expires_at'  => $expiresAt,
+            'created_at'  => nowIso(),
+            'updated_at'  => nowIso(),
         ];
+
+        $entitlementRes = supabasePost(
+            'entitlements',
+            $entitlementRow,
+            ['Prefer: return=representation']
+        );
+
+        if (!$entitlementRes['ok']) {
+            return [
+                'ok'         => false,
+                'skipped'    => false,
+                'expires_at' => null,
+                'error'      => 'Falha ao criar entitlement.',
+                'details' => $entitlementRes['data'],
+            ];
+        }
     }
 
     // ─── 4. Sincronizar com a Alloyal (Clube de Vantagens) ───────────────────
-    $alloyalRes = alloyalSyncUser($cpf, $fullName);
+    // Um único lote em authorized_users com o titular e todos os dependentes
+    $alloyalRes = alloyalSyncUsers(array_map(
+        fn($b) => ['cpf' => $b['cpf'], 'name' => $b['full_name']],
+        $beneficiarios
+    ));
 
     return [
-        'ok'      => true,
-        'skipped' => false,
-        'alloyal' => [
+        'ok'         => true,
+        'skipped'    => false,
+        'expires_at' => $expiresAt,
+        'alloyal'    => [
             'ok'      => $alloyalRes['ok'],
             'http'    => $alloyalRes['http_code'],
+            'users'   => count($beneficiarios),
         ],
     ];
 }
+
+/**
+ * Estende a validade do acesso após a renovação paga (ex: fatura
+ * mensal paga, recebida pelo webhook_iugu.php).
+ *
+ * A nova validade é calculada a partir do início do ciclo pago (o
+ * vencimento da fatura), e não somada à validade atual: processar a
+ * mesma fatura duas vezes (checkout + webhook, ou reenvio da Iugu)
+ * não estende o acesso duas vezes. A validade nunca é reduzida.
+ *
+ * @param string $subscriptionId UUID da assinatura no banco
+ * @param string $inicio         Início do ciclo pago (YYYY-MM-DD)
+ * @return array ['ok' => bool, 'extended' => int, 'expires_at' => string|null, 'error' => string|null]
+ */
+function renovarAcesso(string $subscriptionId, string $inicio): array
+{
+    $expiresAt = calcularValidadeAcesso(buscarPlanoAssinatura($subscriptionId), $inicio);
+
+    $extendRes = supabasePatch(
+        "entitlements?source_type=eq.subscription" .
+        "&source_id=eq." . rawurlencode($subscriptionId) .
+        "&status=eq.active" .
+        "&expires_at=lt." . rawurlencode($expiresAt),
+        ['expires_at' => $expiresAt, 'updated_at' => nowIso()]
+    );
+
+    if (!$extendRes['ok']) {
+        return [
+            'ok'         => false,
+            'extended'   => 0,
+            'expires_at' => null,
+            'error'      => 'Falha ao estender entitlements.',
+        ];
+    }
+
+    return [
+        'ok'         => true,
+        'extended'   => is_array($extendRes['data']) ? count($extendRes['data']) : 0,
+        'expires_at' => $expiresAt,
+        'error'      => null,
+    ];
+}
+
+/**
+ * Calcula até quando vale um ciclo do plano iniciado em $inicio.
+ *
+ * O acesso vale até o fim do dia (APP_TIMEZONE) em que o ciclo
+ * termina. Em planos mensais o dia é limitado ao fim do mês: um
+ * ciclo mensal iniciado em 31/01 termina em 28/02 (ou 29/02), não
+ * em 03/03 como no "+1 month" do PHP.
+ *
+ * @param array  $plan   ['interval' => int, 'interval_type' => 'months'|'weeks'|'days']
+ * @param string $inicio Início do ciclo (YYYY-MM-DD)
+ * @return string Data/hora ISO 8601 (UTC)
+ */
+function calcularValidadeAcesso(array $plan, string $inicio): string
+{
+    $interval     = max(1, (int)($plan['interval'] ?? 1));
+    $intervalType = $plan['interval_type'] ?? 'months';
+
+    $fim = new DateTimeImmutable($inicio . ' 23:59:59', new DateTimeZone(APP_TIMEZONE));
+
+    if ($intervalType === 'months') {
+        $totalMonths = (int)$fim->format('Y') * 12 + (int)$fim->format('n') - 1 + $interval;
+        $year        = intdiv($totalMonths, 12);
+        $month       = $totalMonths % 12 + 1;
+        $lastDay     = (int)$fim->setDate($year, $month, 1)->format('t');
+        $fim         = $fim->setDate($year, $month, min((int)$fim->format('j'), $lastDay));
+    } else {
+        $fim = $fim->modify('+' . $interval . ($intervalType === 'weeks' ? ' weeks' : ' days'));
+    }
+
+    return $fim->setTimezone(new DateTimeZone('UTC'))->format('Y-m-d\TH:i:s\Z');
+}
+
+/**
+ * Ciclo de cobrança do plano da assinatura.
+ * Sem o plano, calcularValidadeAcesso() assume o ciclo mensal.
+ *
+ * @param string $subscriptionId UUID da assinatura no banco
+ * @return array ['interval' => int, 'interval_type' => string] ou []
+ */
+function buscarPlanoAssinatura(string $subscriptionId): array
+{
+    $res = supabaseGet(
+        "subscriptions?id=eq." . rawurlencode($subscriptionId) .
+        "&select=plans(interval,interval_type)&limit=1"
+    );
+
+    $plan = $res['data'][0]['plans'] ?? [];
+    if (isset($plan[0])) $plan = $plan[0];
+
+    return $plan;
+}
+
+/**
+ * Revoga o acesso de uma assinatura (contraparte de liberarAcesso).
+ *
+ * Ações realizadas:
+ *  1. Atualiza o status da assinatura (padrão: "canceled")
+ *  2. Revoga os entitlements ativos da assinatura (titular e dependentes)
+ *  3. Desativa titular + dependentes na Alloyal em um único lote,
+ *     exceto quem ainda tem outro entitlement ativo
+ *
+ * Pode ser chamada mais de uma vez: sem entitlements ativos, apenas
+ * reenvia a desativação para a Alloyal.
+ *
+ * @param string $profileId          UUID do perfil do titular
+ * @param string $subscriptionId     UUID da assinatura no banco
+ * @param string $cpf                CPF do titular apenas com dígitos (para Alloyal)
+ * @param string $fullName           Nome completo do titular (para Alloyal)
+ * @param string $subscriptionStatus Novo status da assinatura
+ * @return array ['ok' => bool, 'revoked' => int, 'alloyal' => array, 'error' => string|null]
+ */
+function revogarAcesso(string $profileId, string $subscriptionId, string $cpf, string $fullName, string $subscriptionStatus = 'canceled'): array
+{
+    // ─── 1. Atualizar status da assinatura ───────────────────────────────────
+    supabasePatch(
+        "subscriptions?id=eq." . rawurlencode($subscriptionId),
+        ['status' => $subscriptionStatus, 'updated_at' => nowIso()]
+    );
+
+    // ─── 2. Revogar os entitlements ativos ───────────────────────────────────
+    $revokeRes = supabasePatch(
+        "entitlements?source_type=eq.subscription" .
+        "&source_id=eq." . rawurlencode($subscriptionId) .
+        "&status=eq.active",
+        ['status' => 'revoked', 'expires_at' => nowIso(), 'updated_at' => nowIso()]
+    );
+
+    if (!$revokeRes['ok']) {
+        return [
+            'ok'      => false,
+            'revoked' => 0,
+            'error'   => 'Falha ao revogar entitlements.',
+            'details' => $revokeRes['data'],
+        ];
+    }
+
+    // ─── 3. Desativar na Alloyal (Clube de Vantagens) ────────────────────────
+    $alloyal = desativarBeneficiariosAlloyal($profileId, $subscriptionId, $cpf, $fullName);
+
+    return [
+        'ok'      => true,
+        'revoked' => is_array($revokeRes['data']) ? count($revokeRes['data']) : 0,
+        'alloyal' => $alloyal,
+        'error'   => null,
+    ];
+}
+
+/**
+ * Desativa titular + dependentes da assinatura na Alloyal, em um único lote.
+ * Quem ainda tem acesso por outra assinatura (ex: assinou de novo, ou é
+ * dependente em outra) continua ativo.
+ *
+ * Chamada depois que os entitlements da assinatura deixaram de ser ativos
+ * (revogarAcesso e expirar_acessos.php).
+ *
+ * @param string $profileId      UUID do perfil do titular
+ * @param string $subscriptionId UUID da assinatura no banco
+ * @param string $cpf            CPF do titular apenas com dígitos
+ * @param string $fullName       Nome completo do titular
+ * @return array ['ok' => bool, 'http' => int|null, 'users' => int]
+ */
+function desativarBeneficiariosAlloyal(string $profileId, string $subscriptionId, string $cpf, string $fullName): array
+{
+    $beneficiarios = array_values(array_filter(
+        array_merge(
+            [['profile_id' => $profileId, 'cpf' => $cpf, 'full_name' => $fullName]],
+            buscarDependentesAssinatura($subscriptionId)
+        ),
+        fn($b) => !possuiOutroAcessoAtivo($b['profile_id'])
+    ));
+
+    if (empty($beneficiarios)) {
+        return ['ok' => true, 'http' => null, 'users' => 0];
+    }
+
+    $alloyalRes = alloyalDeactivateUsers(array_map(
+        fn($b) => ['cpf' => $b['cpf'], 'name' => $b['full_name']],
+        $beneficiarios
+    ));
+
+    return [
+        'ok'    => $alloyalRes['ok'],
+        'http'  => $alloyalRes['http_code'],
+        'users' => count($beneficiarios),
+    ];
+}
+
+/**
+ * Verifica se o perfil ainda tem algum entitlement ativo (de qualquer origem).
+ * Chamada depois da revogação, então os da assinatura revogada não contam.
+ *
+ * @param string $profileId UUID do perfil
+ * @return bool
+ */
+function possuiOutroAcessoAtivo(string $profileId): bool
+{
+    $res = supabaseGet(
+        "entitlements?profile_id=eq." . rawurlencode($profileId) .
+        "&status=eq.active&select=id&limit=1"
+    );
+
+    return $res['ok'] && !empty($res['data'][0]['id']);
+}
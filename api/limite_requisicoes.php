@@ -0,0 +1,103 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/limite_requisicoes.php
+ * DESCRIÇÃO: Limite de requisições por chave (IP, CPF...) em
+ *            janela deslizante. Os contadores ficam em arquivos
+ *            JSON em RATE_LIMIT_DIR (um por chave, com lock), sem
+ *            depender de banco ou extensão do PHP.
+ *
+ *            O nome do arquivo é o sha256 da chave: IPs e CPFs
+ *            consultados não ficam gravados em texto puro.
+ *
+ * USO: require_once __DIR__ . '/limite_requisicoes.php';
+ *      $limite = consumirLimite('cpf_ip', $ip, 30, 900);
+ *      if (!$limite['allowed']) responderLimiteExcedido($limite['retry_after']);
+ * ============================================================
+ */
+
+// Chance de limpar os arquivos vencidos a cada chamada (1 em N)
+const RATE_LIMIT_GC_ODDS = 100;
+
+/**
+ * Registra uma tentativa e informa se ela está dentro do limite.
+ * Tentativas acima do limite também contam: insistir prolonga o bloqueio.
+ *
+ * Se o armazenamento falhar, a requisição é liberada (o limite protege
+ * contra abuso, mas não pode derrubar o checkout).
+ *
+ * @param string $bucket    Nome do limite (ex: "cpf_ip", "cpf_lookup")
+ * @param string $key       Chave limitada (ex: IP ou CPF)
+ * @param int    $max       Tentativas permitidas na janela
+ * @param int    $windowSec Tamanho da janela, em segundos
+ * @return array ['allowed' => bool, 'count' => int, 'retry_after' => int]
+ *               count: tentativas na janela, incluindo esta
+ */
+function consumirLimite(string $bucket, string $key, int $max, int $windowSec): array {
+    $now = time();
+
+    if (!is_dir(RATE_LIMIT_DIR) && !@mkdir(RATE_LIMIT_DIR, 0775, true)) {
+        return ['allowed' => true, 'count' => 0, 'retry_after' => 0];
+    }
+
+    if (random_int(1, RATE_LIMIT_GC_ODDS) === 1) {
+        limparLimitesVencidos(86400);
+    }
+
+    $file = RATE_LIMIT_DIR . '/' . hash('sha256', $bucket . '|' . $key) . '.json';
+    $fp   = @fopen($file, 'c+');
+    if (!$fp) {
+        return ['allowed' => true, 'count' => 0, 'retry_after' => 0];
+    }
+
+    flock($fp, LOCK_EX);
+
+    $hits = json_decode(stream_get_contents($fp) ?: '[]', true);
+    $hits = array_values(array_filter(
+        is_array($hits) ? $hits : [],
+        fn($t) => is_int($t) && $t > $now - $windowSec
+    ));
+    $hits[] = $now;
+
+    ftruncate($fp, 0);
+    rewind($fp);
+    fwrite($fp, json_encode($hits));
+    fflush($fp);
+    flock($fp, LOCK_UN);
+    fclose($fp);
+
+    $count   = count($hits);
+    $allowed = $count <= $max;
+
+    return [
+        'allowed'     => $allowed,
+        'count'       => $count,
+        // A janela volta a ter vaga quando a tentativa mais antiga além do limite sair dela
+        'retry_after' => $allowed ? 0 : max(1, $hits[$count - $max] + $windowSec - $now),
+    ];
+}
+
+/**
+ * Remove os contadores sem tentativas recentes.
+ *
+ * @param int $maxAgeSec Idade mínima (pela última escrita) para remover
+ */
+function limparLimitesVencidos(int $maxAgeSec): void {
+    foreach (glob(RATE_LIMIT_DIR . '/*.json') ?: [] as $file) {
+        if (@filemtime($file) < time() - $maxAgeSec) {
+            @unlink($file);
+        }
+    }
+}
+
+/**
+ * Responde 429 + Retry-After (rate_limited) e encerra o script.
+ *
+ * @param int $retryAfter Segundos até a próxima tentativa ser aceita
+ */
+function responderLimiteExcedido(int $retryAfter): void {
+    header('Retry-After: ' . $retryAfter);
+    responderErro(429, 'rate_limited', 'Muitas consultas em pouco tempo. Aguarde alguns minutos e tente novamente.', [
+        'retry_after' => $retryAfter,
+    ]);
+}
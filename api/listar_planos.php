@@ -8,6 +8,11 @@
  *   ?plan_type=b2c       → Retorna planos B2C padrão
  *   ?company_id=uuid     → UUID da empresa (obrigatório para convênio)
  *
+ * RETORNO:
+ *  - plan_type: "convenio" | "b2c"
+ *  - plans: lista de planos (ver montarPlano)
+ *  - payroll_allowed: bool → contrato do convênio aceita desconto em folha
+ *
  * RELACIONAMENTO DO BANCO (cadeia completa):
  *   companies.id
  *     → accounts.company_id  (type = 'B2B')
@@ -28,9 +33,7 @@ require __DIR__ . '/sinc_planos_iugu.php';
 header('Content-Type: application/json; charset=utf-8');
 
 if ($_SERVER["REQUEST_METHOD"] !== "GET") {
-    http_response_code(405);
-    echo json_encode(["error" => "Método não permitido. Use GET."]);
-    exit;
+    responderErro(405, 'method_not_allowed', "Método não permitido. Use GET.");
 }
 
 // --- SINCRONIZAÇÃO AUTOMÁTICA COM IUGU ---
@@ -44,7 +47,8 @@ $syncResult = sincronizarPlanosIugu();
 $planType  = strtolower(trim($_GET['plan_type'] ?? 'b2c'));
 $companyId = trim($_GET['company_id'] ?? '');
 
-$plans = [];
+$plans          = [];
+$payrollAllowed = false;
 
 // ============================================================
 // CAMINHO 1: Planos de Convênio
@@ -67,14 +71,15 @@ if ($planType === 'convenio' && $companyId !== '') {
         // PASSO 2: Buscar contrato ativo
         $contractRes = supabaseGet(
             "contracts?account_id=eq." . rawurlencode($accountId) .
-            "&status=eq.active&select=id&limit=1"
+            "&status=eq.active&select=id,allows_payroll&limit=1"
         );
 
         if (!$contractRes['ok'] || empty($contractRes['data'][0])) {
             // Sem contrato ativo → fallback para B2C
             $planType = 'b2c';
         } else {
-            $contractId = $contractRes['data'][0]['id'];
+            $contractId     = $contractRes['data'][0]['id'];
+            $payrollAllowed = !empty($contractRes['data'][0]['allows_payroll']);
 
             // PASSO 3: Buscar os plan_ids vinculados ao contrato
             $cpRes = supabaseGet(
@@ -92,21 +97,13 @@ if ($planType === 'convenio' && $companyId !== '') {
                 $plansRes = supabaseGet(
                     "plans?id=in.(" . rawurlencode($idsStr) . ")" .
                     "&is_active=eq.true" .
-                    "&select=id,name,price,iugu_plan_identifier,type" .
+                    "&select=id,name,price,iugu_plan_identifier,type,interval,interval_type,max_dependents" .
                     "&order=price.asc"
                 );
 
                 if ($plansRes['ok'] && !empty($plansRes['data'])) {
                     foreach ($plansRes['data'] as $plan) {
-                        $priceFloat = (float)($plan['price'] ?? 0);
-                        $plans[] = [
-                            'id'                   => $plan['id'],
-                            'name'                 => $plan['name'],
-                            'price'                => $priceFloat,
-                            'price_formatted'      => 'R$ ' . number_format($priceFloat, 2, ',', '.'),
-                            'iugu_plan_identifier' => $plan['iugu_plan_identifier'],
-                            'type'                 => $plan['type'],
-                        ];
+                        $plans[] = montarPlano($plan);
                     }
                 }
             }
@@ -127,28 +124,123 @@ if ($planType === 'b2c') {
 
     $b2cRes = supabaseGet(
         "plans?type=eq.B2C&is_active=eq.true" .
-        "&select=id,name,price,iugu_plan_identifier,iugu_id_plan,type" .
+        "&select=id,name,price,iugu_plan_identifier,iugu_id_plan,type,interval,interval_type,max_dependents" .
         "&order=price.asc"
     );
 
     if ($b2cRes['ok'] && !empty($b2cRes['data'])) {
         foreach ($b2cRes['data'] as $plan) {
-            $priceFloat = (float)($plan['price'] ?? 0);
-            $plans[] = [
-                'id'                   => $plan['id'],
-                'name'                 => $plan['name'],
-                'price'                => $priceFloat,
-                'price_formatted'      => 'R$ ' . number_format($priceFloat, 2, ',', '.'),
-                'iugu_plan_identifier' => $plan['iugu_plan_identifier'],
-                'type'                 => $plan['type'],
-            ];
+            $plans[] = montarPlano($plan);
         }
     }
 }
 
+// ============================================================
+// ECONOMIA EM RELAÇÃO AO PLANO MENSAL
+// Para planos semestrais/anuais, compara o valor mensal equivalente
+// com o plano mensal correspondente (mesmo nome sem o ciclo, ex:
+// "Clube TKS Anual" ↔ "Clube TKS Mensal"). Se houver um único plano
+// mensal na lista, ele é usado como referência.
+// ============================================================
+$plans = calcularEconomia($plans);
+
+// ============================================================
+// FUNÇÕES AUXILIARES
+// ============================================================
+
+/**
+ * Converte uma linha da tabela plans no formato retornado ao frontend,
+ * incluindo o ciclo de cobrança derivado do interval/interval_type da Iugu.
+ */
+function montarPlano(array $plan): array {
+    $priceFloat   = (float)($plan['price'] ?? 0);
+    $interval     = max(1, (int)($plan['interval'] ?? 1));
+    $intervalType = $plan['interval_type'] ?? 'months';
+
+    $billingCycle = 'other';
+    $periodLabel  = "/{$interval} " . ($intervalType === 'weeks' ? 'semanas' : 'meses');
+
+    if ($intervalType === 'months') {
+        [$billingCycle, $periodLabel] = match ($interval) {
+            1       => ['monthly',    '/mês'],
+            3       => ['quarterly',  '/trimestre'],
+            6       => ['semiannual', '/semestre'],
+            12      => ['annual',     '/ano'],
+            default => ['other',      $periodLabel],
+        };
+    }
+
+    // Valor mensal equivalente (apenas para ciclos em meses)
+    $monthlyEquivalent = ($intervalType === 'months') ? round($priceFloat / $interval, 2) : null;
+
+    return [
+        'id'                           => $plan['id'],
+        'name'                         => $plan['name'],
+        'price'                        => $priceFloat,
+        'price_formatted'              => 'R$ ' . number_format($priceFloat, 2, ',', '.'),
+        'iugu_plan_identifier'         => $plan['iugu_plan_identifier'],
+        'type'                         => $plan['type'],
+        'interval'                     => $interval,
+        'interval_type'                => $intervalType,
+        'billing_cycle'                => $billingCycle,  // monthly | quarterly | semiannual | annual | other
+        'period_label'                 => $periodLabel,   // ex: "/mês", "/ano"
+        'monthly_equivalent'           => $monthlyEquivalent,
+        'monthly_equivalent_formatted' => $monthlyEquivalent !== null
+            ? 'R$ ' . number_format($monthlyEquivalent, 2, ',', '.')
+            : null,
+        'savings'                      => null,           // preenchido por calcularEconomia()
+        'savings_formatted'            => null,
+        'savings_percent'              => null,
+        'max_dependents'               => (int)($plan['max_dependents'] ?? 0),
+    ];
+}
+
+/**
+ * Remove do nome do plano as palavras que indicam o ciclo de cobrança,
+ * para encontrar o plano mensal correspondente.
+ */
+function nomeBasePlano(string $name): string {
+    $base = preg_replace('/\b(mensal|trimestral|semestral|anual)\b/iu', '', $name) ?? $name;
+    return mb_strtolower(trim(preg_replace('/\s+/', ' ', $base) ?? $base));
+}
+
+/**
+ * Preenche savings/savings_percent dos planos não mensais, comparando o
+ * total do ciclo com o mesmo período pago no plano mensal de referência.
+ */
+function calcularEconomia(array $plans): array {
+    $monthly = array_values(array_filter($plans, fn($p) => $p['billing_cycle'] === 'monthly'));
+    if (empty($monthly)) return $plans;
+
+    $monthlyByName = [];
+    foreach ($monthly as $m) {
+        $monthlyByName[nomeBasePlano($m['name'])] = $m;
+    }
+
+    foreach ($plans as &$plan) {
+        if ($plan['billing_cycle'] === 'monthly' || $plan['interval_type'] !== 'months') continue;
+
+        $reference = $monthlyByName[nomeBasePlano($plan['name'])]
+            ?? (count($monthly) === 1 ? $monthly[0] : null);
+        if (!$reference) continue;
+
+        $fullPrice = $reference['price'] * $plan['interval'];
+        $savings   = round($fullPrice - $plan['price'], 2);
+        if ($savings <= 0) continue;
+
+        $plan['savings']           = $savings;
+        $plan['savings_formatted'] = 'R$ ' . number_format($savings, 2, ',', '.');
+        $plan['savings_percent']   = (int)round($savings / $fullPrice * 100);
+    }
+    unset($plan);
+
+    return $plans;
+}
+
 // --- Retorno final ---
 echo json_encode([
-    'plan_type' => $planType,
-    'total'     => count($plans),
-    'plans'     => $plans,
+    'plan_type'       => $planType,
+    'total'           => count($plans),
+    'plans'           => $plans,
+    'payroll_allowed' => $planType === 'convenio' && $payrollAllowed,
 ]);
@@ -0,0 +1,249 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/membros.php
+ * DESCRIÇÃO: Funções compartilhadas da área "Minha assinatura"
+ *            (minha-assinatura.html), onde quem já assinou vê o
+ *            plano, as faturas, troca o cartão ou o plano e cancela.
+ *
+ *            Autenticação: CPF + código enviado ao e-mail do perfil
+ *            (enviar_codigo_acesso.php / confirmar_codigo_acesso.php).
+ *            Confirmado o código, é criada uma sessão curta e o token
+ *            vai no header "Authorization: Bearer <token>" das demais
+ *            chamadas (minha_assinatura.php, atualizar_cartao.php,
+ *            trocar_plano.php, cancelar_assinatura.php). O checkout
+ *            usa a mesma sessão para liberar os cartões salvos
+ *            (cartoes_salvos.php e payment_method_id).
+ *
+ * USO: require_once __DIR__ . '/membros.php';
+ *      $profile = exigirSessaoMembro();  // responde 401 e encerra se inválida
+ *
+ * TABELA: member_sessions (ver README.md)
+ *   token_hash → o token nunca é gravado em texto puro (sha256)
+ *   expires_at → validade da sessão (MEMBER_SESSION_TTL_MIN)
+ * ============================================================
+ */
+
+require_once __DIR__ . '/dependentes.php';
+require_once __DIR__ . '/folha.php';
+
+const MEMBER_SESSION_TTL_MIN = 30;
+
+// Assinaturas encerradas de vez: canceladas pelo assinante, estornadas
+// ou contestadas no cartão (ver webhook_iugu.php). Não podem ser
+// canceladas de novo nem ter o cartão trocado.
+const MEMBER_CLOSED_STATUSES = ['canceled', 'refunded', 'chargeback'];
+
+/**
+ * Busca o perfil pelo CPF (com ou sem máscara no banco).
+ *
+ * @param string $cpf CPF apenas com dígitos
+ * @return array|null ['id', 'full_name', 'cpf', 'email_customer'] ou null
+ */
+function buscarPerfilPorCpf(string $cpf): ?array {
+    $orFilter = "or=(cpf.eq." . rawurlencode($cpf) . ",cpf.eq." . rawurlencode(formatCpf($cpf)) . ")";
+    $res = supabaseGet("profiles?{$orFilter}&select=id,full_name,cpf,email_customer&limit=1");
+
+    return $res['data'][0] ?? null;
+}
+
+/**
+ * Cria a sessão do membro após a confirmação do código.
+ *
+ * @param string $profileId UUID do perfil autenticado
+ * @return array ['ok' => bool, 'token' => string|null, 'expires_at' => string|null]
+ */
+function criarSessaoMembro(string $profileId): array {
+    $token     = bin2hex(random_bytes(32));
+    $expiresAt = gmdate('Y-m-d\TH:i:s\Z', time() + MEMBER_SESSION_TTL_MIN * 60);
+
+    $res = supabasePost('member_sessions', [
+        'id'         => generateUuid(),
+        'profile_id' => $profileId,
+        'token_hash' => hash('sha256', $token),
+        'expires_at' => $expiresAt,
+        'created_at' => nowIso(),
+    ]);
+
+    if (!$res['ok']) {
+        return ['ok' => false, 'token' => null, 'expires_at' => null];
+    }
+
+    return ['ok' => true, 'token' => $token, 'expires_at' => $expiresAt];
+}
+
+/**
+ * Lê a sessão de membro do header Authorization, sem exigir.
+ * O checkout usa para liberar os cartões salvos de quem confirmou
+ * o código enviado ao e-mail do cadastro.
+ *
+ * @return array|null Perfil autenticado: ['id', 'full_name', 'cpf', 'email_customer'] ou null
+ */
+function sessaoMembroAtual(): ?array {
+    $authHeader = $_SERVER['HTTP_AUTHORIZATION'] ?? $_SERVER['REDIRECT_HTTP_AUTHORIZATION'] ?? '';
+    $token      = (strpos($authHeader, 'Bearer ') === 0) ? trim(substr($authHeader, 7)) : '';
+
+    if (!preg_match('/^[0-9a-f]{64}$/', $token)) return null;
+
+    $res = supabaseGet(
+        "member_sessions?token_hash=eq." . hash('sha256', $token) .
+        "&expires_at=gt." . rawurlencode(nowIso()) .
+        "&select=profiles(id,full_name,cpf,email_customer)&limit=1"
+    );
+    // O embedding pode vir como objeto ou como array de um item
+    $profile = $res['data'][0]['profiles'] ?? null;
+    if (isset($profile[0])) $profile = $profile[0];
+
+    if (empty($profile['id'])) return null;
+
+    $profile['cpf'] = onlyDigits($profile['cpf'] ?? '');
+    return $profile;
+}
+
+/**
+ * Exige uma sessão de membro válida no header Authorization.
+ * Sem sessão (ou expirada), responde 401 e encerra o script.
+ *
+ * @return array Perfil autenticado: ['id', 'full_name', 'cpf', 'email_customer']
+ */
+function exigirSessaoMembro(): array {
+    $profile = sessaoMembroAtual();
+
+    if (!$profile) {
+        responderErro(401, 'session_expired', 'Sua sessão expirou. Entre novamente com seu CPF.');
+    }
+
+    return $profile;
+}
+
+/**
+ * Indica se o CPF já tem uma assinatura ativa (o checkout não cria
+ * outra: troca de plano e cartão ficam na área do assinante).
+ *
+ * @param string $cpf CPF apenas com dígitos
+ * @return bool
+ */
+function cpfTemAssinaturaAtiva(string $cpf): bool {
+    $profile = buscarPerfilPorCpf($cpf);
+    if (!$profile) return false;
+
+    $res = supabaseGet(
+        "subscriptions?profile_id=eq." . rawurlencode($profile['id']) .
+        "&status=eq.active&select=id&limit=1"
+    );
+    return !empty($res['data'][0]);
+}
+
+/**
+ * Busca a assinatura atual do perfil: a mais recente que não foi
+ * encerrada (MEMBER_CLOSED_STATUSES) ou, se todas foram, a última
+ * (para exibir o histórico).
+ *
+ * @param string $profileId UUID do perfil
+ * @return array|null Linha de subscriptions com o plano embutido em 'plan', ou null
+ */
+function buscarAssinaturaMembro(string $profileId): ?array {
+    $select = "&select=id,status,payment_method,plan_id,account_id,contract_id,iugu_subscription_id,iugu_customer_id,created_at," .
+        "plans(id,name,price,interval,interval_type,type,max_dependents)&order=created_at.desc&limit=1";
+
+    $res = supabaseGet(
+        "subscriptions?profile_id=eq." . rawurlencode($profileId) . "&status=not.in.(" . implode(',', MEMBER_CLOSED_STATUSES) . ")" . $select
+    );
+    $subscription = $res['data'][0] ?? null;
+
+    if (!$subscription) {
+        $res = supabaseGet("subscriptions?profile_id=eq." . rawurlencode($profileId) . $select);
+        $subscription = $res['data'][0] ?? null;
+    }
+    if (!$subscription) return null;
+
+    $plan = $subscription['plans'] ?? [];
+    if (isset($plan[0])) $plan = $plan[0];
+    $subscription['plan'] = $plan;
+    unset($subscription['plans']);
+
+    return $subscription;
+}
+
+/**
+ * Empresa conveniada dona da conta da assinatura (contas B2B), se houver.
+ *
+ * @param array $subscription Retorno de buscarAssinaturaMembro()
+ * @return string|null UUID da empresa
+ */
+function empresaDaAssinatura(array $subscription): ?string {
+    if (empty($subscription['account_id'])) return null;
+
+    $res = supabaseGet(
+        "accounts?id=eq." . rawurlencode($subscription['account_id']) .
+        "&type=eq.B2B&select=company_id&limit=1"
+    );
+
+    return $res['data'][0]['company_id'] ?? null;
+}
+
+/**
+ * Confere se o membro pode trocar a assinatura para o plano informado.
+ * As regras são as mesmas da listagem do checkout (listar_planos.php):
+ *  - Convênio: o plano precisa estar no contrato ativo da empresa
+ *    (no desconto em folha, o contrato também precisa permitir folha)
+ *  - B2C: qualquer plano B2C ativo
+ *  - Os dependentes já cadastrados precisam caber no novo plano
+ *
+ * @param array  $subscription Retorno de buscarAssinaturaMembro()
+ * @param string $planId       UUID do plano desejado
+ * @return array ['ok' => bool, 'plan' => array|null, 'code' => string|null, 'error' => string|null,
+ *                'params' => array|null]
+ */
+function validarTrocaDePlano(array $subscription, string $planId): array {
+    $fail = fn(string $code, string $error, ?array $params = null) => [
+        'ok' => false, 'plan' => null, 'code' => $code, 'error' => $error, 'params' => $params,
+    ];
+
+    if ($planId === $subscription['plan_id']) {
+        return $fail('plan_already_current', 'Você já está neste plano.');
+    }
+
+    $planRes = supabaseGet(
+        "plans?id=eq." . rawurlencode($planId) .
+        "&is_active=eq.true&select=id,name,price,iugu_plan_identifier,type,interval,interval_type,max_dependents&limit=1"
+    );
+    $plan = $planRes['data'][0] ?? null;
+    if (!$plan || empty($plan['iugu_plan_identifier'])) {
+        return $fail('plan_not_found', 'Plano não encontrado ou indisponível.');
+    }
+
+    $companyId = empresaDaAssinatura($subscription);
+
+    if ($subscription['payment_method'] === 'payroll') {
+        $contract = buscarContratoFolha($companyId ?? '', $planId);
+        if (!$contract['ok']) return $fail($contract['code'], $contract['error']);
+    } elseif ($companyId) {
+        $contractRes = supabaseGet(
+            "contracts?account_id=eq." . rawurlencode($subscription['account_id']) .
+            "&status=eq.active&select=id&limit=1"
+        );
+        $contractId = $contractRes['data'][0]['id'] ?? '';
+        $cpRes = supabaseGet(
+            "contract_plans?contract_id=eq." . rawurlencode($contractId) .
+            "&plan_id=eq." . rawurlencode($planId) . "&select=plan_id&limit=1"
+        );
+        if ($contractId === '' || empty($cpRes['data'])) {
+            return $fail('plan_not_in_contract', 'O plano escolhido não faz parte do contrato da sua empresa.');
+        }
+    } elseif (($plan['type'] ?? '') !== 'B2C') {
+        return $fail('plan_not_available', 'Plano não disponível para a sua assinatura.');
+    }
+
+    $dependents = buscarDependentesAssinatura($subscription['id']);
+    if (count($dependents) > (int)($plan['max_dependents'] ?? 0)) {
+        $max = (int)($plan['max_dependents'] ?? 0);
+        return $fail(
+            'plan_dependents_exceeded',
+            "O plano escolhido permite no máximo {$max} dependente(s). Você tem " . count($dependents) . ".",
+            ['max' => $max, 'count' => count($dependents)]
+        );
+    }
+
+    return ['ok' => true, 'plan' => $plan, 'code' => null, 'error' => null, 'params' => null];
+}
@@ -0,0 +1,125 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/minha_assinatura.php
+ * MÉTODO:  GET
+ * HEADER:  Authorization: Bearer <token de confirmar_codigo_acesso.php>
+ *
+ * DESCRIÇÃO:
+ *  Dados exibidos na área "Minha assinatura": plano atual,
+ *  status, validade do acesso, cartão em uso e as faturas
+ *  recentes da assinatura na Iugu.
+ *
+ * RETORNO:
+ *  - profile: { full_name, email_masked }
+ *  - subscription: null (perfil sem assinatura) ou
+ *    {
+ *      id, status, payment_method, created_at,
+ *      expires_at: string|null      → validade do acesso (entitlement do titular),
+ *                                     YYYY-MM-DD no horário de Brasília
+ *      plan: { id, name, price, interval, interval_type }
+ *                                   → preço e período formatados no navegador, no idioma da página
+ *      plan_type: "convenio" | "b2c", company_id: string|null
+ *                                   → parâmetros de listar_planos.php para a troca de plano
+ *      card: { brand, last4, expiry } | null → cartão padrão do cliente na Iugu
+ *      invoices: [{ id, due_date, status, total, secure_url }]
+ *      can_update_card: bool        → desconto em folha não usa cartão
+ *    }
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/membros.php';
+require __DIR__ . '/clientes_iugu.php';
+require __DIR__ . '/codigos_verificacao.php';
+
+header('Content-Type: application/json; charset=utf-8');
+header('Cache-Control: no-store');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use GET.');
+}
+
+$profile      = exigirSessaoMembro();
+$subscription = buscarAssinaturaMembro($profile['id']);
+
+$response = [
+    'profile' => [
+        'full_name'    => $profile['full_name'] ?? '',
+        'email_masked' => mascararEmail($profile['email_customer'] ?? ''),
+    ],
+    'subscription' => null,
+];
+
+if (!$subscription) {
+    echo json_encode($response);
+    exit;
+}
+
+// ============================================================
+// PASSO 1: Validade do acesso (entitlement do titular)
+// ============================================================
+$entRes = supabaseGet(
+    "entitlements?profile_id=eq." . rawurlencode($profile['id']) .
+    "&source_id=eq." . rawurlencode($subscription['id']) .
+    "&select=expires_at&order=created_at.desc&limit=1"
+);
+$expiresAt = $entRes['data'][0]['expires_at'] ?? null;
+
+// ============================================================
+// PASSO 2: Cartão e faturas na Iugu (desconto em folha não passa pela Iugu)
+// ============================================================
+$card     = null;
+$invoices = [];
+
+if (!empty($subscription['iugu_customer_id'])) {
+    foreach (listarCartoesSalvos($subscription['iugu_customer_id']) as $saved) {
+        if ($saved['is_default']) {
+            $card = ['brand' => $saved['brand'], 'last4' => $saved['last4'], 'expiry' => $saved['expiry']];
+            break;
+        }
+    }
+}
+
+if (!empty($subscription['iugu_subscription_id'])) {
+    $iuguSubRes     = iuguCall('GET', "subscriptions/" . rawurlencode($subscription['iugu_subscription_id']));
+    $recentInvoices = $iuguSubRes['ok'] ? ($iuguSubRes['data']['recent_invoices'] ?? []) : [];
+
+    foreach ($recentInvoices as $invoice) {
+        $invoices[] = [
+            'id'         => $invoice['id'] ?? null,
+            'due_date'   => $invoice['due_date'] ?? null,
+            'status'     => $invoice['status'] ?? null,
+            'total'      => $invoice['total'] ?? null,       // Já formatado pela Iugu (ex: "R$ 29,90")
+            'secure_url' => $invoice['secure_url'] ?? null,  // Segunda via / comprovante
+        ];
+    }
+}
+
+// ============================================================
+// RETORNO FINAL
+// ============================================================
+$plan      = $subscription['plan'];
+$companyId = empresaDaAssinatura($subscription);
+
+$response['subscription'] = [
+    'id'              => $subscription['id'],
+    'status'          => $subscription['status'],
+    'payment_method'  => $subscription['payment_method'],
+    'created_at'      => $subscription['created_at'],
+    'expires_at'      => $expiresAt ? dataLocal($expiresAt) : null,
+    'plan'            => [
+        'id'            => $plan['id'] ?? $subscription['plan_id'],
+        'name'          => $plan['name'] ?? '',
+        'price'         => (float)($plan['price'] ?? 0),
+        'interval'      => (int)($plan['interval'] ?? 1),
+        'interval_type' => $plan['interval_type'] ?? 'months',
+    ],
+    'plan_type'       => $companyId ? 'convenio' : 'b2c',
+    'company_id'      => $companyId,
+    'card'            => $card,
+    'invoices'        => $invoices,
+    'can_update_card' => !empty($subscription['iugu_customer_id']) && $subscription['payment_method'] !== 'payroll',
+];
+
+echo json_encode($response);
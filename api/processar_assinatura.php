@@ -12,27 +12,82 @@
  * - Para cartão: se invoice veio pendente, chama /charge e reconsulta invoice
  * - Garante variáveis ($invoiceStatus, $paymentUrl etc.) sempre definidas
  * - Mantém fluxo atual de gravação no Supabase + liberarAcesso()
+ * - Reaproveita o cliente da Iugu de assinaturas anteriores do perfil
+ *   (evita clientes duplicados) e aceita pagar com um cartão já salvo
+ *   nele (payment_method_id), sem nova tokenização — só com a sessão
+ *   do membro do mesmo CPF (header Authorization, ver membros.php)
+ * - Perfil localizado pelo CPF: sem a sessão do membro, o checkout só
+ *   completa dados vazios do cadastro e não troca e-mail ou telefone
+ * - Idempotência: a mesma idempotency_key devolve a resposta original
+ *   em vez de criar outro cliente/assinatura/cobrança (idempotencia.php)
+ *   Uma chave presa em "processing" (PHP interrompido) é retomada após
+ *   IDEMPOTENCY_PROCESSING_TIMEOUT_MIN minutos, procurando antes na Iugu
+ *   a assinatura criada com ela
+ * - Desconto em folha (payment_method = payroll): para funcionários
+ *   vinculados à empresa (company_members ativo, ou pendente comprovado
+ *   por código de acesso/e-mail corporativo) cujo contrato permite,
+ *   registra a assinatura na conta B2B da empresa e libera o acesso
+ *   sem nenhuma cobrança na Iugu (folha.php)
+ * - Grava na assinatura os parâmetros UTM da visita (campo "utm",
+ *   capturado por js/analytics.js)
+ * - Pagamento aprovado retorna access_valid_until: validade do acesso
+ *   (YYYY-MM-DD), exibida na tela de sucesso
+ * - Termos e Condições: exige a versão vigente em terms_version
+ *   (409 + terms_outdated quando uma nova versão foi publicada) e
+ *   grava a evidência do aceite na assinatura (termos.php)
+ * - Dados pessoais que voltaram mascarados (pré-preenchimento do
+ *   verificar_cpf.php não alterado) são completados com o perfil
+ *   salvo do mesmo CPF (dados_mascarados.php)
+ * - Telefone celular ou fixo (validarTelefone), gravado no perfil em
+ *   E.164 ("+5561996187769") junto com a marcação opcional "este
+ *   número é WhatsApp" (campo "phone_whatsapp"); a Iugu recebe o DDD
+ *   em phone_prefix e o número em phone
+ * - Grava as mudanças nos consentimentos LGPD da Etapa 3 (campo
+ *   "consents": marketing por e-mail, WhatsApp e compartilhamento
+ *   com a empresa do convênio — lgpd.php)
+ * - Toda resposta traz "code": identificador estável do erro ou do
+ *   resultado (ex.: "phone_missing_nine", "payment_approved"), que o
+ *   checkout traduz pelo catálogo de js/i18n.mjs; "error"/"message"
+ *   seguem em português como texto padrão
+ * - Erros no formato comum da API (responderErro, config.php): code,
+ *   mensagem, retryable e field. Cartão recusado traz o motivo pelo
+ *   código LR (card_declined, card_expired...) e o campo do cartão,
+ *   e a assinatura recusada é suspensa na Iugu (a nova tentativa não
+ *   deixa duas assinaturas renovando); sem resposta da Iugu,
+ *   iugu_timeout (retryable: a mesma chave de idempotência não cria
+ *   outra cobrança). Respostas da Iugu/Supabase
+ *   e IDs internos vão só para o log do servidor
+ * - O plano da Iugu sai do plano no banco (plan_id): um
+ *   iugu_plan_identifier diferente recebe 400 + plan_mismatch
+ * - CPF com assinatura ativa recebe 409 + subscription_already_active
+ *   (o checkout leva à área do assinante em vez de cobrar de novo)
  * ============================================================
  */
 
 require __DIR__ . '/config.php';
 require __DIR__ . '/liberar_acesso.php';
+require __DIR__ . '/cupons.php';
+require_once __DIR__ . '/dependentes.php';
+require_once __DIR__ . '/clientes_iugu.php';
+require_once __DIR__ . '/idempotencia.php';
+require_once __DIR__ . '/folha.php';
+require_once __DIR__ . '/analytics.php';
+require_once __DIR__ . '/termos.php';
+require_once __DIR__ . '/lgpd.php';
+require_once __DIR__ . '/dados_mascarados.php';
+require_once __DIR__ . '/membros.php';
 
 header('Content-Type: application/json; charset=utf-8');
 
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
-    http_response_code(405);
-    echo json_encode(['error' => 'Método não permitido. Use POST.']);
-    exit;
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use POST.');
 }
 
 $rawBody = file_get_contents('php://input');
 $body    = json_decode($rawBody ?? '', true);
 
 if (!is_array($body)) {
-    http_response_code(400);
-    echo json_encode(['error' => 'Corpo da requisição inválido. Envie JSON.']);
-    exit;
+    responderErro(400, 'invalid_body', 'Corpo da requisição inválido. Envie JSON.');
 }
 
 // ============================================================
@@ -41,48 +96,281 @@ if (!is_array($body)) {
 $required = ['cpf', 'full_name', 'email', 'phone', 'birth_date', 'iugu_plan_identifier', 'plan_id', 'payment_method'];
 foreach ($required as $field) {
     if (empty($body[$field])) {
-        http_response_code(400);
-        echo json_encode(['error' => "Campo obrigatório ausente: {$field}"]);
-        exit;
+        responderErro(400, 'missing_field', "Campo obrigatório ausente: {$field}", [
+            'field'  => $field,
+            'params' => ['field' => $field],
+        ]);
     }
 }
 
+// Campos confirmados sem alteração voltam mascarados: completa com o perfil salvo
+$mergeResult = mesclarDadosMascarados($body);
+if (!$mergeResult['ok']) {
+    responderErro(400, $mergeResult['code'], $mergeResult['error'], ['field' => $mergeResult['field']]);
+}
+$body = $mergeResult['body'];
+
 $cpfDigits          = onlyDigits($body['cpf']);
 $fullName           = trim($body['full_name']);
 $email              = trim($body['email']);
-$phone              = onlyDigits($body['phone']);
+$phone              = trim((string)$body['phone']);
+$phoneWhatsapp      = ($body['phone_whatsapp'] ?? false) === true;  // Opt-in "este número é WhatsApp"
 $birthDate          = trim($body['birth_date']);
 $iuguPlanIdentifier = trim($body['iugu_plan_identifier']);
 $planId             = trim($body['plan_id']);
 $paymentMethod      = trim($body['payment_method']);
-$profileId          = trim($body['profile_id'] ?? '');
 $companyId          = trim($body['company_id'] ?? '');
 $cardToken          = trim($body['card_token'] ?? '');
+$savedPaymentMethod = trim($body['payment_method_id'] ?? '');  // Cartão já salvo no cliente da Iugu
+$couponCode         = trim($body['coupon_code'] ?? '');
+$dependentsInput    = is_array($body['dependents'] ?? null) ? $body['dependents'] : [];
+$address            = is_array($body['address'] ?? null) ? $body['address'] : [];
+$idempotencyKey     = trim($body['idempotency_key'] ?? '');
+$utm                = normalizarUtm($body['utm'] ?? null);  // Origem da visita (analytics)
+$termsVersion       = trim((string)($body['terms_version'] ?? ''));  // Versão dos termos aceita no modal
+
+if (!in_array($paymentMethod, ['credit_card', 'bank_slip', 'pix', 'payroll'], true)) {
+    responderErro(400, 'invalid_payment_method', 'Método de pagamento inválido. Use: credit_card, bank_slip, pix ou payroll.', [
+        'field' => 'payment_method',
+    ]);
+}
 
-if (!in_array($paymentMethod, ['credit_card', 'bank_slip', 'pix'], true)) {
-    http_response_code(400);
-    echo json_encode(['error' => 'Método de pagamento inválido. Use: credit_card, bank_slip ou pix.']);
-    exit;
+if ($paymentMethod === 'credit_card' && $cardToken === '' && $savedPaymentMethod === '') {
+    responderErro(400, 'card_token_required', 'Token do cartão (card_token) ou cartão salvo (payment_method_id) é obrigatório para pagamento com cartão.', [
+        'field' => 'card_number',
+    ]);
 }
 
-if ($paymentMethod === 'credit_card' && $cardToken === '') {
-    http_response_code(400);
-    echo json_encode(['error' => 'Token do cartão (card_token) é obrigatório para pagamento com cartão.']);
-    exit;
+// Cartão salvo só com a sessão do membro do mesmo CPF (código confirmado no
+// e-mail do cadastro): o CPF sozinho não autoriza cobrar o cartão de alguém
+$memberSession   = sessaoMembroAtual();
+$sessaoDoTitular = $memberSession !== null && $memberSession['cpf'] === $cpfDigits;
+
+if ($savedPaymentMethod !== '' && !$sessaoDoTitular) {
+    responderErro(401, 'saved_card_session_required', 'Confirme o código enviado ao seu e-mail para usar um cartão salvo.', [
+        'field' => 'payment_method_id',
+    ]);
+}
+
+if ($idempotencyKey !== '' && !preg_match(IDEMPOTENCY_KEY_PATTERN, $idempotencyKey)) {
+    responderErro(400, 'invalid_idempotency_key', 'Chave de idempotência (idempotency_key) inválida.');
+}
+
+// Telefone: celular ou fixo, com DDD existente. Gravado no perfil em E.164
+$phoneResult = validarTelefone($phone);
+if (!$phoneResult['valid']) {
+    responderErro(400, $phoneResult['code'], $phoneResult['message'], ['field' => 'phone']);
+}
+$phone = telefoneE164($phone);
+
+// Endereço do titular: exigido pela Iugu para o registro de boletos
+$addressResult = validarEndereco($address);
+if (!$addressResult['valid']) {
+    responderErro(400, $addressResult['code'], $addressResult['message'], ['field' => $addressResult['field']]);
+}
+
+// Termos e Condições: só vale o aceite da versão vigente. Se uma nova
+// versão foi publicada depois que a página carregou, o checkout pede
+// um novo aceite (terms_outdated) antes de reenviar.
+$termsResult = validarAceiteTermos($termsVersion);
+if (!$termsResult['valid']) {
+    responderErro($termsResult['outdated'] ? 409 : 500, $termsResult['code'], $termsResult['message'], [
+        'terms_outdated' => $termsResult['outdated'],
+        'terms_version'  => $termsResult['terms']['version'] ?? null,
+    ]);
+}
+
+// Plano: o identificador da Iugu vem do banco. O cupom, os dependentes e
+// o contrato são conferidos pelo plan_id, então a assinatura na Iugu
+// precisa ser desse mesmo plano (e não de outro, com o desconto de um barato)
+$planRes = supabaseGet(
+    "plans?id=eq." . rawurlencode($planId) .
+    "&is_active=eq.true&select=id,iugu_plan_identifier,max_dependents&limit=1"
+);
+if (!$planRes['ok']) {
+    registrarErroInterno('database_error', ['endpoint' => 'processar_assinatura', 'plan_id' => $planId], $planRes);
+    responderErro(500, 'database_error', 'Erro ao consultar o banco de dados. Tente novamente.');
+}
+$plan = $planRes['data'][0] ?? null;
+if (!$plan || empty($plan['iugu_plan_identifier'])) {
+    responderErro(400, 'plan_not_found', 'Plano não encontrado.', ['field' => 'plan_id']);
+}
+if ($plan['iugu_plan_identifier'] !== $iuguPlanIdentifier) {
+    responderErro(400, 'plan_mismatch', 'O plano escolhido não confere. Escolha o plano novamente.', ['field' => 'plan_id']);
+}
+
+// ============================================================
+// PASSO 1.1: Validar cupom de desconto (se informado)
+// Revalida com as mesmas regras de validar_cupom.php — o valor
+// exibido no frontend nunca é usado diretamente.
+// ============================================================
+$couponResult = null;
+
+// No desconto em folha quem paga é a empresa, pelo valor do contrato
+if ($couponCode !== '' && $paymentMethod === 'payroll') {
+    responderErro(400, 'coupon_not_allowed_payroll', 'Cupons de desconto não se aplicam ao desconto em folha.', ['field' => 'coupon_code']);
+}
+
+if ($couponCode !== '') {
+    $couponResult = validarCupom($couponCode, $planId, $cpfDigits);
+
+    if (!$couponResult['valid']) {
+        responderErro(400, $couponResult['code'], $couponResult['message'], ['field' => 'coupon_code']);
+    }
+}
+
+// ============================================================
+// PASSO 1.2: Validar dependentes (se informados)
+// O limite vem do plano (plans.max_dependents), nunca do frontend.
+// ============================================================
+$dependents = [];
+
+if (!empty($dependentsInput)) {
+    $maxDependents = (int)($plan['max_dependents'] ?? 0);
+
+    $depResult = validarDependentes($dependentsInput, $cpfDigits, $maxDependents);
+    if (!$depResult['valid']) {
+        responderErro(400, $depResult['code'], $depResult['message'], ['field' => 'dependents', 'params' => $depResult['params']]);
+    }
+    $dependents = $depResult['dependents'];
+}
+
+// ============================================================
+// PASSO 1.3: Desconto em folha -> o CPF precisa ser da empresa
+//            e o contrato precisa permitir
+// ============================================================
+$payrollContract = null;
+
+if ($paymentMethod === 'payroll') {
+    if ($companyId !== '') {
+        $vinculoFolha = verificarVinculoFolha($cpfDigits, $companyId);
+        if (!$vinculoFolha['ok']) {
+            if ($vinculoFolha['code'] === 'database_error') {
+                responderErro(500, 'database_error', $vinculoFolha['error']);
+            }
+            responderErro(403, $vinculoFolha['code'], $vinculoFolha['error'], ['field' => 'payment_method']);
+        }
+    }
+
+    $payrollContract = buscarContratoFolha($companyId, $planId);
+    if (!$payrollContract['ok']) {
+        responderErro(400, $payrollContract['code'], $payrollContract['error'], ['field' => 'payment_method']);
+    }
+}
+
+// ============================================================
+// PASSO 1.4: Idempotência
+// Daqui em diante o script grava dados e cria objetos na Iugu.
+// Se a chave já foi usada, devolve a resposta original sem
+// processar de novo (clique duplo, reenvio após queda de rede).
+// ============================================================
+$iuguSubscriptionId = null;
+$subscriptionDbId   = null;
+$iuguSemConfirmacao = false;  // Criação da assinatura sem resposta nem confirmação (PASSO 4)
+$chaveRetomada      = false;  // Chave de uma requisição interrompida (ver idempotencia.php)
+$manterChave        = false;  // Não dá para liberar a chave sem saber se a Iugu criou a assinatura
+
+if ($idempotencyKey !== '') {
+    $reserva = reservarChaveIdempotencia($idempotencyKey, hashRequisicaoIdempotente($body));
+
+    switch ($reserva['status']) {
+        case 'resumed':
+            $chaveRetomada = true;
+            break;
+
+        case 'replay':
+            header('Idempotent-Replayed: true');
+            http_response_code((int)$reserva['row']['response_code']);
+            echo json_encode($reserva['row']['response_body']);
+            exit;
+
+        case 'processing':
+            responderErro(409, 'request_in_progress', 'Sua assinatura já está sendo processada. Aguarde alguns segundos.', [
+                'retryable' => true,
+            ]);
+
+        case 'mismatch':
+            responderErro(422, 'request_changed', 'Os dados do pedido mudaram desde a última tentativa. Clique em Finalizar novamente.');
+
+        case 'error':
+            responderErro(500, 'request_registration_failed', 'Erro ao registrar a requisição. Tente novamente.');
+    }
+
+    // Captura a resposta (qualquer que seja o ponto de saída) e grava para os replays.
+    // Falhas 5xx antes de criar a assinatura (na Iugu ou, no desconto em folha,
+    // no banco) liberam a chave para nova tentativa — exceto se não deu para
+    // saber se a Iugu criou a assinatura.
+    ob_start();
+    register_shutdown_function(function () use ($idempotencyKey, &$iuguSubscriptionId, &$subscriptionDbId, &$iuguSemConfirmacao, &$manterChave) {
+        $httpCode = http_response_code() ?: 200;
+
+        // Fica em "processing": depois do prazo, a próxima retomada procura de novo
+        if ($manterChave) return;
+
+        if ($httpCode >= 500 && empty($iuguSubscriptionId) && empty($subscriptionDbId) && !$iuguSemConfirmacao) {
+            liberarChaveIdempotencia($idempotencyKey);
+            return;
+        }
+
+        concluirChaveIdempotencia($idempotencyKey, $httpCode, (string)ob_get_contents(), $subscriptionDbId);
+    });
+}
+
+// ============================================================
+// PASSO 1.5: CPF com assinatura ativa não assina de novo
+// Troca de plano, cartão e cancelamento ficam na área do
+// assinante (minha-assinatura.html). Depois da idempotência:
+// o reenvio de uma compra concluída recebe a resposta original.
+// ============================================================
+if (cpfTemAssinaturaAtiva($cpfDigits)) {
+    responderErro(409, 'subscription_already_active', 'Este CPF já tem uma assinatura ativa. Acesse "Minha assinatura" para ver ou trocar o plano.', [
+        'manage_url' => 'minha-assinatura.html',
+    ]);
 }
 
 // ============================================================
 // PASSO 2: Criar/atualizar perfil no Supabase
+// O perfil é localizado pelo CPF. Sem a sessão do membro, dados já
+// cadastrados não são trocados — só os vazios são completados (ex:
+// perfil provisório do convênio). Senão, quem soubesse o CPF trocaria
+// o e-mail do titular e receberia o código de login da conta.
 // ============================================================
 $profileData = [
     'full_name'      => $fullName,
     'email_customer' => $email,
     'phone'          => $phone,
+    'phone_whatsapp' => $phoneWhatsapp,
     'birth_date'     => $birthDate,
     'cpf'            => $cpfDigits,
     'updated_at'     => nowIso(),
 ];
 
+$cpfFilter  = "or=(cpf.eq." . rawurlencode($cpfDigits) . ",cpf.eq." . rawurlencode(formatCpf($cpfDigits)) . ")";
+$currentRes = supabaseGet("profiles?{$cpfFilter}&select=id,full_name,email_customer,phone,phone_whatsapp,birth_date&limit=1");
+if (!$currentRes['ok']) {
+    registrarErroInterno('database_error', ['step' => 'profile_lookup'], $currentRes);
+    responderErro(500, 'database_error', 'Erro ao consultar o banco de dados. Tente novamente.');
+}
+$currentProfile = $currentRes['data'][0] ?? null;
+$profileId      = $currentProfile['id'] ?? '';
+
+if ($currentProfile && !$sessaoDoTitular) {
+    foreach (['full_name', 'email_customer', 'phone', 'birth_date'] as $column) {
+        if (trim((string)($currentProfile[$column] ?? '')) !== '') {
+            unset($profileData[$column]);
+        }
+    }
+    // "É WhatsApp" acompanha o telefone cadastrado
+    if (!isset($profileData['phone'])) {
+        unset($profileData['phone_whatsapp']);
+    }
+
+    // Cliente da Iugu e cobrança seguem com os dados do cadastro
+    $fullName = $profileData['full_name'] ?? $currentProfile['full_name'];
+    $email    = $profileData['email_customer'] ?? $currentProfile['email_customer'];
+    $phone    = $profileData['phone'] ?? $currentProfile['phone'];
+}
+
 if ($profileId !== '') {
     $profileRes = supabasePatch(
         "profiles?id=eq." . rawurlencode($profileId),
@@ -104,31 +392,92 @@ if ($profileId !== '') {
 }
 
 if (!$profileRes['ok']) {
-    http_response_code(500);
-    echo json_encode(['error' => 'Erro ao salvar perfil do usuário.', 'details' => $profileRes['data']]);
-    exit;
+    registrarErroInterno('profile_save_failed', ['profile_id' => $profileId ?: null], $profileRes);
+    responderErro(500, 'profile_save_failed', 'Erro ao salvar perfil do usuário.');
 }
 
 if ($profileId === '' && !empty($profileData['id'])) {
     $profileId = $profileData['id'];
 }
 
-// valida telefone p/ Iugu (DDD + 9 dígitos)
-$phoneDigits = onlyDigits($body['phone']);
-$ddd         = substr($phoneDigits, 0, 2);
-$number      = substr($phoneDigits, 2);
+// Consentimentos da Etapa 3 (só as mudanças são gravadas). A Etapa 3 não
+// mostra os já dados (verificar_cpf.php não os devolve): sem a sessão do
+// membro, um cadastro existente só recebe as autorizações marcadas, nunca
+// a revogação das anteriores
+$consentsInput = $body['consents'] ?? null;
+if ($currentProfile && !$sessaoDoTitular && is_array($consentsInput)) {
+    $consentsInput = array_filter($consentsInput, fn($granted) => filter_var($granted, FILTER_VALIDATE_BOOLEAN));
+}
+$consentRes = registrarConsentimentos($profileId, $consentsInput, $companyId !== '' ? $companyId : null, 'checkout');
+if (!$consentRes['ok']) {
+    responderErro(500, 'consent_save_failed', $consentRes['error']);
+}
+
+// ============================================================
+// PASSO 2.1: Desconto em folha -> registrar e liberar sem Iugu
+// A assinatura fica na conta B2B da empresa, vinculada ao contrato,
+// e entra na exportação mensal do RH (exportar_folha.php).
+// ============================================================
+if ($paymentMethod === 'payroll') {
+    $subscriptionRes = supabasePost('subscriptions', array_merge([
+        'id'             => generateUuid(),
+        'profile_id'     => $profileId,
+        'account_id'     => $payrollContract['account_id'],
+        'contract_id'    => $payrollContract['contract_id'],
+        'plan_id'        => $planId,
+        'status'         => 'pending_payment',  // liberarAcesso() ativa
+        'payment_method' => 'payroll',
+        'created_at'     => nowIso(),
+        'updated_at'     => nowIso(),
+    ], $utm), ['Prefer: return=representation']);
+
+    if (!$subscriptionRes['ok']) {
+        registrarErroInterno('subscription_save_failed', ['profile_id' => $profileId, 'contract_id' => $payrollContract['contract_id']], $subscriptionRes);
+        responderErro(500, 'subscription_save_failed', 'Erro ao salvar a assinatura. Tente novamente.');
+    }
+
+    $subscriptionDbId = $subscriptionRes['data'][0]['id'] ?? null;
+
+    $aceiteRes = registrarAceiteTermos($subscriptionDbId, $profileId, $termsResult['terms']);
+    if (!$aceiteRes['ok']) {
+        registrarErroInterno('terms_acceptance_save_failed', ['subscription_id' => $subscriptionDbId, 'error' => $aceiteRes['error']]);
+        responderErro(500, 'terms_acceptance_save_failed', 'Sua assinatura foi registrada, mas houve um erro ao gravar o aceite dos Termos e Condições. Fale com o nosso suporte.', [
+            'retryable' => false,
+        ]);
+    }
+
+    if (!empty($dependents)) {
+        $depSaveRes = salvarDependentes($subscriptionDbId, $dependents);
+        if (!$depSaveRes['ok']) {
+            registrarErroInterno('dependents_save_failed', ['subscription_id' => $subscriptionDbId, 'error' => $depSaveRes['error']]);
+            responderErro(500, 'dependents_save_failed', 'Sua assinatura foi registrada, mas houve um erro ao salvar os dependentes. Fale com o nosso suporte.', [
+                'retryable' => false,
+            ]);
+        }
+    }
+
+    $liberarRes = liberarAcesso($profileId, $subscriptionDbId, $cpfDigits, $fullName);
 
-if (strlen($ddd) !== 2 || strlen($number) !== 9) {
-    http_response_code(400);
     echo json_encode([
-        'error'   => 'Telefone inválido. Envie no padrão DDD + número (11 dígitos), ex: 61999908491.',
-        'details' => ['ddd' => $ddd, 'number' => $number, 'len' => strlen($phoneDigits)]
+        'success'            => true,
+        'payment_status'     => 'paid',
+        'code'               => 'payroll_activated',
+        'message'            => 'Assinatura ativada! O valor será descontado na sua folha de pagamento.',
+        'subscription_id'    => $subscriptionDbId,
+        'access_valid_until' => !empty($liberarRes['expires_at']) ? dataLocal($liberarRes['expires_at']) : null,
     ]);
     exit;
 }
 
+// Telefone já validado no PASSO 1: a Iugu recebe DDD e número (8 ou 9 dígitos) separados
+$phoneNacional = digitosTelefoneNacional($phone);
+$ddd           = substr($phoneNacional, 0, 2);
+$number        = substr($phoneNacional, 2);
+
 // ============================================================
-// PASSO 3: Criar cliente na Iugu e DEFINIR $iuguCustomerId
+// PASSO 3: Criar (ou reaproveitar) cliente na Iugu e DEFINIR $iuguCustomerId
+// Quem já assinou antes reutiliza o cliente da última assinatura,
+// que é atualizado com os dados atuais (e-mail, telefone, endereço).
 // ============================================================
 $iuguCustomerPayload = [
     'email'        => $email,
@@ -136,27 +485,51 @@ $iuguCustomerPayload = [
     'cpf_cnpj'     => $cpfDigits,
     'phone_prefix' => $ddd,
     'phone'        => $number,
+    // Endereço (usado pela Iugu no registro do boleto)
+    'zip_code'     => onlyDigits($address['zip_code']),
+    'street'       => trim($address['street']),
+    'number'       => trim($address['number']),
+    'complement'   => trim($address['complement'] ?? ''),
+    'district'     => trim($address['district']),
+    'city'         => trim($address['city']),
+    'state'        => strtoupper(trim($address['state'])),
 ];
 
-$iuguCustomerRes = iuguCall('POST', 'customers', $iuguCustomerPayload);
+$iuguCustomerId = buscarClienteIuguExistente($profileId, $cpfDigits);
+
+if ($iuguCustomerId) {
+    $iuguCustomerRes = iuguCall('PUT', "customers/{$iuguCustomerId}", $iuguCustomerPayload);
+} else {
+    $iuguCustomerRes = iuguCall('POST', 'customers', $iuguCustomerPayload);
+}
 
 if (!$iuguCustomerRes['ok'] || empty($iuguCustomerRes['data']['id'])) {
-    http_response_code(502);
-    echo json_encode([
-        'error'   => 'Erro ao criar cliente na Iugu.',
-        'details' => $iuguCustomerRes['data'],
-    ]);
-    exit;
+    responderFalhaIugu(
+        $iuguCustomerRes,
+        'iugu_customer_failed',
+        'Não foi possível registrar seus dados de cobrança. Confira e-mail, telefone e endereço.',
+        ['profile_id' => $profileId, 'iugu_customer_id' => $iuguCustomerId]
+    );
 }
 
 $iuguCustomerId = $iuguCustomerRes['data']['id'];
 
 // ============================================================
-// PASSO 3.1: Para cartão -> criar payment method no cliente
+// PASSO 3.1: Para cartão -> usar cartão salvo ou criar payment method no cliente
 // ============================================================
 $customerPaymentMethodId = null;
 
-if ($paymentMethod === 'credit_card') {
+if ($paymentMethod === 'credit_card' && $savedPaymentMethod !== '') {
+    // O cartão precisa pertencer ao cliente (e não estar vencido)
+    $savedIds = array_column(listarCartoesSalvos($iuguCustomerId), 'id');
+    if (!in_array($savedPaymentMethod, $savedIds, true)) {
+        responderErro(400, 'saved_card_not_found', 'Cartão salvo não encontrado. Informe os dados do cartão novamente.', [
+            'field' => 'payment_method_id',
+        ]);
+    }
+
+    $customerPaymentMethodId = $savedPaymentMethod;
+} elseif ($paymentMethod === 'credit_card') {
     $pmRes = iuguCall(
         'POST',
         "customers/{$iuguCustomerId}/payment_methods",
@@ -167,18 +540,41 @@ if ($paymentMethod === 'credit_card') {
         ]
     );
 
+    // Token vencido ou cartão recusado na validação da Iugu
     if (!$pmRes['ok'] || empty($pmRes['data']['id'])) {
-        http_response_code(502);
-        echo json_encode([
-            'error'   => 'Erro ao criar forma de pagamento (cartão) na Iugu.',
-            'details' => $pmRes['data'],
-        ]);
-        exit;
+        responderFalhaIugu(
+            $pmRes,
+            'iugu_payment_method_failed',
+            'Não foi possível cadastrar o cartão. Confira os dados ou pague com PIX.',
+            ['iugu_customer_id' => $iuguCustomerId],
+            ['field' => 'card_number']
+        );
     }
 
     $customerPaymentMethodId = $pmRes['data']['id'];
 }
 
+// ============================================================
+// PASSO 3.2: Reservar um uso do cupom
+// Antes de criar a assinatura: compras simultâneas não passam do
+// limite. Se a assinatura não sair ou o cartão for recusado, o
+// uso é devolvido (liberarUsoCupom).
+// ============================================================
+$couponReserved = false;
+
+if ($couponResult) {
+    $couponReservation = reservarUsoCupom($couponResult['coupon']);
+
+    if (!$couponReservation['ok']) {
+        if ($couponReservation['code'] === 'coupon_limit_reached') {
+            responderErro(400, 'coupon_limit_reached', $couponReservation['error'], ['field' => 'coupon_code']);
+        }
+        registrarErroInterno('coupon_reservation_failed', ['coupon_id' => $couponResult['coupon']['id']], $couponReservation);
+        responderErro(503, 'coupon_reservation_failed', 'Não foi possível aplicar o cupom agora. Tente novamente.', ['field' => 'coupon_code']);
+    }
+    $couponReserved = true;
+}
+
 // ============================================================
 // PASSO 4: Criar assinatura na Iugu
 // ============================================================
@@ -194,15 +590,77 @@ if ($paymentMethod === 'credit_card') {
     $iuguSubscriptionPayload['customer_payment_method_id'] = $customerPaymentMethodId;
 }
 
-$iuguSubscriptionRes = iuguCall('POST', 'subscriptions', $iuguSubscriptionPayload);
+// Cupom: aplicado como subitem de valor negativo somado ao preço do plano.
+// recurrent = true mantém o desconto em todas as faturas; false, só na primeira.
+if ($couponResult && $couponResult['discount_cents'] > 0) {
+    $iuguSubscriptionPayload['subitems'] = [[
+        'description' => 'Cupom ' . $couponResult['coupon']['code'],
+        'price_cents' => -$couponResult['discount_cents'],
+        'quantity'    => 1,
+        'recurrent'   => (bool)($couponResult['coupon']['recurrent'] ?? false),
+    ]];
+}
+
+// A chave de idempotência vai junto: se a criação ficar sem resposta,
+// dá para saber se a Iugu criou a assinatura mesmo assim
+if ($idempotencyKey !== '') {
+    $iuguSubscriptionPayload['custom_variables'] = [
+        ['name' => IUGU_IDEMPOTENCY_VARIABLE, 'value' => $idempotencyKey],
+    ];
+}
+
+// Chave retomada: a requisição interrompida pode ter criado a assinatura
+// antes de cair. Só cria outra se a busca pela chave não achar nenhuma.
+$iuguSubscriptionRes = null;
+if ($chaveRetomada) {
+    $busca = buscarAssinaturaIuguDaChave($iuguCustomerId, $idempotencyKey);
+
+    if (!$busca['ok']) {
+        if ($couponReserved) liberarUsoCupom($couponResult['coupon']);
+        registrarErroInterno('iugu_unavailable', ['iugu_customer_id' => $iuguCustomerId, 'idempotency_key' => $idempotencyKey]);
+        $manterChave = true;
+        responderErro(503, 'iugu_unavailable', 'O sistema de pagamento está instável no momento. Tente novamente em instantes.');
+    }
+    if ($busca['subscription']) {
+        // O uso do cupom já foi contado pela requisição interrompida: a
+        // reserva desta fica devolvida, e a dela segue com a assinatura
+        if ($couponReserved) {
+            liberarUsoCupom($couponResult['coupon']);
+            $couponReserved = false;
+        }
+        $iuguSubscriptionRes = ['ok' => true, 'http_code' => 200, 'data' => $busca['subscription'], 'error' => null];
+    }
+}
+
+$iuguSubscriptionRes ??= iuguCall('POST', 'subscriptions', $iuguSubscriptionPayload);
+
+// Sem resposta (tempo esgotado): procura a assinatura pela chave antes
+// de responder. Se não der para confirmar, a resposta não é retryable —
+// uma nova tentativa poderia criar uma segunda cobrança.
+if ($iuguSubscriptionRes['http_code'] === 0) {
+    $busca = $idempotencyKey !== ''
+        ? buscarAssinaturaIuguDaChave($iuguCustomerId, $idempotencyKey)
+        : ['ok' => false, 'subscription' => null];
+
+    if ($busca['subscription']) {
+        $iuguSubscriptionRes = ['ok' => true, 'http_code' => 200, 'data' => $busca['subscription'], 'error' => null];
+    } elseif (!$busca['ok']) {
+        registrarErroInterno('payment_unconfirmed', ['iugu_customer_id' => $iuguCustomerId, 'idempotency_key' => $idempotencyKey], $iuguSubscriptionRes);
+        $iuguSemConfirmacao = true;
+        responderErro(504, 'payment_unconfirmed', 'Não conseguimos confirmar sua assinatura com o sistema de pagamento. Não tente de novo agora: confira seu e-mail em alguns minutos ou fale com o nosso suporte.', [
+            'retryable' => false,
+        ]);
+    }
+}
 
 if (!$iuguSubscriptionRes['ok'] || empty($iuguSubscriptionRes['data']['id'])) {
-    http_response_code(502);
-    echo json_encode([
-        'error'   => 'Erro ao criar assinatura na Iugu.',
-        'details' => $iuguSubscriptionRes['data'],
-    ]);
-    exit;
+    if ($couponReserved) liberarUsoCupom($couponResult['coupon']);
+    responderFalhaIugu(
+        $iuguSubscriptionRes,
+        'iugu_subscription_failed',
+        'Não foi possível criar a assinatura. Confira os dados ou escolha outra forma de pagamento.',
+        ['iugu_customer_id' => $iuguCustomerId, 'plan_identifier' => $iuguPlanIdentifier]
+    );
 }
 
 $iuguSubscriptionId   = $iuguSubscriptionRes['data']['id'];
@@ -216,6 +674,7 @@ $paymentStatus = 'pending';
 $paymentUrl    = null;
 $invoiceId     = null;
 $invoiceStatus = 'pending';
+$cardDecline   = null;  // Motivo da recusa do cartão (motivoRecusaCartao)
 
 $recentInvoice = $iuguSubscriptionData['recent_invoices'][0] ?? null;
 
@@ -237,10 +696,15 @@ if ($recentInvoice) {
             'invoice_id'                  => $invoiceId,
         ]);
 
-        if (!$chargeRes['ok']) {
+        if (($chargeRes['ok'] && ($chargeRes['data']['success'] ?? true) === false) || (!$chargeRes['ok'] && !falhaTemporaria($chargeRes))) {
+            // Recusado pela operadora: o LR indica o motivo
             $invoiceStatus = 'failed';
+            $cardDecline   = motivoRecusaCartao($chargeRes['data']['LR'] ?? null);
+            registrarErroInterno($cardDecline['code'], ['invoice_id' => $invoiceId, 'iugu_subscription_id' => $iuguSubscriptionId], $chargeRes);
         } else {
-            // Reconsulta fatura para pegar status real
+            // Reconsulta fatura para pegar status real. Sem resposta da
+            // cobrança, a fatura diz se ela passou; se nem isso, fica
+            // pendente e o webhook da Iugu atualiza depois
             $invRes = iuguCall('GET', "invoices/{$invoiceId}", []);
             if ($invRes['ok'] && !empty($invRes['data']['status'])) {
                 $invoiceStatus = $invRes['data']['status'];
@@ -264,10 +728,79 @@ if ($recentInvoice) {
     }
 }
 
+// ============================================================
+// PASSO 5.1: PIX/Boleto -> buscar dados de pagamento da fatura
+// O recent_invoices da assinatura vem resumido (sem os blocos
+// pix/bank_slip), então consultamos a fatura completa para exibir
+// o QR Code (PIX) ou a linha digitável (boleto) direto na tela de
+// pagamento pendente.
+// ============================================================
+$pixData      = null;
+$bankSlipData = null;
+
+if (in_array($paymentMethod, ['pix', 'bank_slip'], true) && !empty($invoiceId) && $paymentStatus === 'pending') {
+    $invDetailRes = iuguCall('GET', "invoices/{$invoiceId}");
+    $invoice      = $invDetailRes['ok'] ? $invDetailRes['data'] : [];
+
+    if ($paymentMethod === 'pix' && !empty($invoice['pix'])) {
+        $pix = $invoice['pix'];
+        $pixData = [
+            'qrcode'      => $pix['qrcode'] ?? null,       // URL da imagem PNG do QR Code
+            'qrcode_text' => $pix['qrcode_text'] ?? null,  // Código "copia e cola"
+        ];
+    }
+
+    if ($paymentMethod === 'bank_slip' && !empty($invoice['bank_slip'])) {
+        $slip = $invoice['bank_slip'];
+        $secureUrl = $invoice['secure_url'] ?? $paymentUrl;
+        $bankSlipData = [
+            'digitable_line' => $slip['digitable_line'] ?? null,  // Linha digitável (para o app do banco)
+            'barcode_data'   => $slip['barcode_data'] ?? null,    // Numeração do código de barras
+            'barcode'        => $slip['barcode'] ?? null,         // URL da imagem do código de barras
+            'due_date'       => $invoice['due_date'] ?? null,     // Vencimento (YYYY-MM-DD)
+            'pdf_url'        => $secureUrl ? $secureUrl . '.pdf' : null, // A Iugu serve o PDF em secure_url + ".pdf"
+        ];
+    }
+}
+
+// ============================================================
+// PASSO 5.2: Cartão recusado -> suspender a assinatura na Iugu
+// A nova tentativa (outro cartão ou PIX) cria outra assinatura; sem
+// a suspensão, as duas renovariam e o cliente pagaria em dobro. A
+// fatura recusada é cancelada para a Iugu não tentar cobrá-la de novo.
+// ============================================================
+$declinedSuspended = false;
+
+if ($paymentStatus === 'failed') {
+    // Cartão recusado não gasta o cupom: a nova tentativa o reserva de novo
+    if ($couponReserved) liberarUsoCupom($couponResult['coupon']);
+
+    $suspendRes = iuguCall('POST', "subscriptions/" . rawurlencode($iuguSubscriptionId) . "/suspend");
+    $declinedSuspended = $suspendRes['ok'];
+
+    if (!$declinedSuspended) {
+        // Fica pending_payment: verificar_pendentes.php segue acompanhando
+        registrarErroInterno('iugu_suspend_failed', ['iugu_subscription_id' => $iuguSubscriptionId, 'invoice_id' => $invoiceId], $suspendRes);
+    }
+
+    if (!empty($invoiceId)) {
+        $cancelInvoiceRes = iuguCall('PUT', "invoices/" . rawurlencode($invoiceId) . "/cancel");
+        if (!$cancelInvoiceRes['ok']) {
+            registrarErroInterno('iugu_invoice_cancel_failed', ['iugu_subscription_id' => $iuguSubscriptionId, 'invoice_id' => $invoiceId], $cancelInvoiceRes);
+        }
+    }
+}
+
 // ============================================================
 // PASSO 6: Registrar assinatura no Supabase (subscriptions)
+// Recusada e suspensa na Iugu, a assinatura já nasce encerrada
+// (canceled): não aparece como atual em "Minha assinatura".
 // ============================================================
-$dbSubscriptionStatus = ($paymentStatus === 'paid') ? 'active' : 'pending_payment';
+$dbSubscriptionStatus = match (true) {
+    $paymentStatus === 'paid' => 'active',
+    $declinedSuspended        => 'canceled',
+    default                   => 'pending_payment',
+};
 
 $accountId = null;
 if ($companyId !== '') {
@@ -284,7 +817,7 @@ if ($companyId !== '') {
     $accountId = $accRes['data'][0]['id'] ?? null;
 }
 
-$subscriptionRow = [
+$subscriptionRow = array_merge([
     'id'                   => generateUuid(),
     'profile_id'           => $profileId,
     'account_id'           => $accountId,
@@ -293,9 +826,10 @@ $subscriptionRow = [
     'iugu_subscription_id' => $iuguSubscriptionId,
     'iugu_customer_id'     => $iuguCustomerId,
     'payment_method'       => $paymentMethod,
+    'coupon_id'            => $couponResult['coupon']['id'] ?? null,
     'created_at'           => nowIso(),
     'updated_at'           => nowIso(),
-];
+], $utm);
 
 $subscriptionRes = supabasePost(
     'subscriptions',
@@ -303,29 +837,50 @@ $subscriptionRes = supabasePost(
     ['Prefer: return=representation']
 );
 
+// A assinatura já existe na Iugu: a resposta não é retryable (a mesma
+// chave devolveria este erro; uma nova criaria outra cobrança)
 if (!$subscriptionRes['ok']) {
-    http_response_code(500);
-    echo json_encode([
-        'error'   => 'Erro ao salvar assinatura na tabela subscriptions.',
-        'details' => $subscriptionRes['data'] ?? $subscriptionRes,
-        'debug'   => [
-            'account_id' => $accountId,
-            'profile_id' => $profileId,
-            'plan_id'    => $planId,
-            'iugu_customer_id' => $iuguCustomerId,
-            'iugu_subscription_id' => $iuguSubscriptionId,
-        ]
+    registrarErroInterno('subscription_not_recorded', [
+        'account_id'           => $accountId,
+        'profile_id'           => $profileId,
+        'plan_id'              => $planId,
+        'iugu_customer_id'     => $iuguCustomerId,
+        'iugu_subscription_id' => $iuguSubscriptionId,
+        'payment_status'       => $paymentStatus,
+    ], $subscriptionRes);
+    responderErro(500, 'subscription_not_recorded', 'Sua assinatura foi criada no sistema de pagamento, mas houve um erro ao concluir o cadastro. Não tente de novo: fale com o nosso suporte.', [
+        'retryable' => false,
     ]);
-    exit;
 }
 
 $subscriptionDbId = $subscriptionRes['data'][0]['id'] ?? null;
 
+// Evidência do aceite dos Termos e Condições (versão, data, IP e navegador)
+$aceiteRes = registrarAceiteTermos($subscriptionDbId, $profileId, $termsResult['terms']);
+if (!$aceiteRes['ok']) {
+    registrarErroInterno('terms_acceptance_save_failed', ['subscription_id' => $subscriptionDbId, 'error' => $aceiteRes['error']]);
+    responderErro(500, 'terms_acceptance_save_failed', 'Sua assinatura foi registrada, mas houve um erro ao gravar o aceite dos Termos e Condições. Fale com o nosso suporte.', [
+        'retryable' => false,
+    ]);
+}
+
+// Vincula os dependentes à assinatura (o acesso deles é liberado junto com o do titular)
+if (!empty($dependents)) {
+    $depSaveRes = salvarDependentes($subscriptionDbId, $dependents);
+    if (!$depSaveRes['ok']) {
+        registrarErroInterno('dependents_save_failed', ['subscription_id' => $subscriptionDbId, 'error' => $depSaveRes['error']]);
+        responderErro(500, 'dependents_save_failed', 'Sua assinatura foi registrada, mas houve um erro ao salvar os dependentes. Fale com o nosso suporte.', [
+            'retryable' => false,
+        ]);
+    }
+}
+
 // ============================================================
 // PASSO 7: Se pago -> liberar acesso
 // ============================================================
+$liberarRes = null;
 if ($paymentStatus === 'paid') {
-    liberarAcesso($profileId, $subscriptionDbId, $cpfDigits, $fullName);
+    $liberarRes = liberarAcesso($profileId, $subscriptionDbId, $cpfDigits, $fullName);
 }
 
 // ============================================================
@@ -334,26 +889,51 @@ if ($paymentStatus === 'paid') {
 $response = [
     'success'          => ($paymentStatus !== 'failed'),
     'payment_status'   => $paymentStatus,
+    'code'             => match ($paymentStatus) {
+        'paid'    => 'payment_approved',
+        'pending' => 'payment_pending',
+        'failed'  => 'payment_declined',
+        default   => 'payment_status_unknown',
+    },
     'message'          => match ($paymentStatus) {
         'paid'    => 'Pagamento aprovado! Seu acesso foi liberado.',
         'pending' => 'Aguardando confirmação do pagamento.',
-        'failed'  => 'Pagamento recusado. Tente novamente.',
+        'failed'  => 'Pagamento recusado. Use outro cartão ou pague com PIX.',
         default   => 'Status desconhecido.',
     },
     'subscription_id'  => $subscriptionDbId,
 ];
 
+// Cartão recusado: motivo (pelo LR) e campo do cartão a destacar. A nova
+// tentativa (outro cartão ou PIX) é uma compra nova, com outra chave —
+// a assinatura recusada foi suspensa no PASSO 5.2
+if ($paymentStatus === 'failed') {
+    $response['code']      = $cardDecline['code'] ?? 'payment_declined';
+    $response['message']   = $cardDecline['message'] ?? $response['message'];
+    $response['retryable'] = false;
+    if ($paymentMethod === 'credit_card') {
+        $response['field'] = $cardDecline['field'] ?? 'card_number';
+    }
+}
+
+// Validade do acesso liberado, exibida na tela de sucesso
+if (!empty($liberarRes['expires_at'])) {
+    $response['access_valid_until'] = dataLocal($liberarRes['expires_at']);
+}
+
 // Para boleto/PIX, retorna URL (e também pode retornar em cartão se ficar pendente)
 if (!empty($paymentUrl)) {
     $response['payment_url'] = $paymentUrl;
 }
 
-// (opcional) debug rápido em dev:
-// $response['debug'] = [
-//     'invoice_id' => $invoiceId,
-//     'invoice_status' => $invoiceStatus,
-//     'iugu_customer_id' => $iuguCustomerId,
-//     'customer_payment_method_id' => $customerPaymentMethodId,
-// ];
+// Para PIX, retorna o QR Code e o código "copia e cola" para exibição na tela
+if (!empty($pixData)) {
+    $response['pix'] = $pixData;
+}
+
+// Para boleto, retorna linha digitável, vencimento e PDF para exibição na tela
+if (!empty($bankSlipData)) {
+    $response['bank_slip'] = $bankSlipData;
+}
 
 echo json_encode($response);
\ No newline at end of file
@@ -0,0 +1,70 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/registrar_evento.php
+ * MÉTODO:  POST
+ * CONTENT-TYPE: application/json (enviado por navigator.sendBeacon)
+ * BODY: {
+ *   "event": "step_viewed",
+ *   "props": { "step": 2, ... },
+ *   "utm": { "utm_source": "...", ... },
+ *   "session_id": "uuid da visita",
+ *   "page": "/convenios/",
+ *   "occurred_at": "2026-01-01T12:00:00.000Z"
+ * }
+ *
+ * DESCRIÇÃO:
+ *  Coletor próprio dos eventos do funil do checkout (js/analytics.js).
+ *  Grava cada evento na tabela checkout_events, para medir em qual
+ *  etapa os usuários desistem sem depender de GTM/Meta.
+ *  Eventos fora de FUNNEL_EVENTS são recusados, e as propriedades
+ *  são higienizadas de novo aqui (ver analytics.php).
+ *
+ * RETORNO:
+ *  - 204 sem corpo (o navegador não lê a resposta do sendBeacon)
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/analytics.php';
+
+header('Content-Type: application/json; charset=utf-8');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use POST.');
+}
+
+// Eventos são pequenos: corpos grandes não vêm do checkout
+$rawBody = file_get_contents('php://input', false, null, 0, 8192);
+$body    = json_decode($rawBody ?? '', true);
+
+$event = $body['event'] ?? '';
+
+if (!is_array($body) || !in_array($event, FUNNEL_EVENTS, true)) {
+    responderErro(400, 'invalid_event', 'Evento inválido.');
+}
+
+$props     = higienizarPropriedadesEvento(is_array($body['props'] ?? null) ? $body['props'] : []);
+$sessionId = is_string($body['session_id'] ?? null) ? mb_substr($body['session_id'], 0, 64) : null;
+$page      = is_string($body['page'] ?? null) ? mb_substr($body['page'], 0, 200) : null;
+
+$occurredAt = nowIso();
+if (is_string($body['occurred_at'] ?? null) && strtotime($body['occurred_at']) !== false) {
+    $occurredAt = gmdate('Y-m-d\TH:i:s\Z', strtotime($body['occurred_at']));
+}
+
+$insertRes = supabasePost('checkout_events', array_merge([
+    'session_id'  => $sessionId,
+    'event'       => $event,
+    'step'        => isset($props['step']) ? (string)$props['step'] : null,
+    'props'       => $props,
+    'page'        => $page,
+    'occurred_at' => $occurredAt,
+    'created_at'  => nowIso(),
+], normalizarUtm($body['utm'] ?? null)));
+
+if (!$insertRes['ok']) {
+    responderErro(500, 'event_save_failed', 'Erro ao registrar o evento.');
+}
+
+http_response_code(204);
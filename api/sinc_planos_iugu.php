@@ -7,13 +7,15 @@
  *            requisição, garantindo dados sempre atualizados.
  *
  * COLUNAS REAIS DA TABELA plans (backoffice_tks):
- *   id, name, type, price, iugu_plan_identifier, is_active, iugu_id_plan
+ *   id, name, type, price, iugu_plan_identifier, is_active, iugu_id_plan,
+ *   interval, interval_type
  *
  * AÇÕES:
  *   1. Busca todos os planos da Iugu.
  *   2. Busca todos os planos do Supabase.
  *   3. INSERE planos novos da Iugu que não existem no banco.
- *   4. ATUALIZA nome e preço de planos existentes quando há diferença.
+ *   4. ATUALIZA nome, preço e ciclo de cobrança (interval/interval_type)
+ *      de planos existentes quando há diferença.
  *   5. DESATIVA planos no banco que não existem mais na Iugu.
  *   6. REATIVA planos que estavam inativos mas voltaram na Iugu.
  * ============================================================
@@ -35,9 +37,9 @@ function sincronizarPlanosIugu(): array {
 
     // ─── 2. Buscar todos os planos do Supabase ───────────────────────────────
     // Seleciona APENAS as colunas que existem na tabela:
-    // id, name, type, price, iugu_plan_identifier, is_active, iugu_id_plan
+    // id, name, type, price, iugu_plan_identifier, is_active, iugu_id_plan, interval, interval_type
     $supabaseResult = supabaseGet(
-        'plans?select=id,name,type,price,iugu_plan_identifier,is_active,iugu_id_plan&order=name.asc'
+        'plans?select=id,name,type,price,iugu_plan_identifier,is_active,iugu_id_plan,interval,interval_type&order=name.asc'
     );
 
     if (!$supabaseResult['ok']) {
@@ -82,6 +84,9 @@ function sincronizarPlanosIugu(): array {
         $iuguId     = $iuguPlan['id']   ?? '';
         $priceCents = $iuguPlan['prices'][0]['value_cents'] ?? 0;
         $priceBrl   = round($priceCents / 100, 2);
+        // Ciclo de cobrança: ex. interval=12 + interval_type=months → anual
+        $interval     = (int)($iuguPlan['interval'] ?? 1);
+        $intervalType = $iuguPlan['interval_type'] ?? 'months';
 
         // Payload com APENAS as colunas que existem na tabela plans
         $payload = [
@@ -89,6 +94,8 @@ function sincronizarPlanosIugu(): array {
             'iugu_plan_identifier' => $identifier,
             'iugu_id_plan'         => $iuguId,
             'price'                => $priceBrl,
+            'interval'             => $interval,
+            'interval_type'        => $intervalType,
             'is_active'            => true,
         ];
 
@@ -110,9 +117,11 @@ function sincronizarPlanosIugu(): array {
             $nameChanged  = ($sup['name'] !== $iuguName);
             // Tolerância de 1 centavo para evitar falsos positivos de float
             $priceChanged = (abs((float)$sup['price'] - $priceBrl) > 0.009);
+            $cycleChanged = ((int)($sup['interval'] ?? 0) !== $interval)
+                || (($sup['interval_type'] ?? '') !== $intervalType);
             $wasInactive  = !$sup['is_active'];
 
-            if ($nameChanged || $priceChanged || $wasInactive) {
+            if ($nameChanged || $priceChanged || $cycleChanged || $wasInactive) {
                 $res = supabasePatch(
                     'plans?iugu_plan_identifier=eq.' . rawurlencode($identifier),
                     $payload
@@ -125,6 +134,7 @@ function sincronizarPlanosIugu(): array {
                         'plan'          => $iuguName,
                         'name_changed'  => $nameChanged,
                         'price_changed' => $priceChanged,
+                        'cycle_changed' => $cycleChanged,
                         'reactivated'   => $wasInactive,
                         'old_name'      => $sup['name'],
                         'new_name'      => $iuguName,
@@ -0,0 +1,93 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/status_assinatura.php
+ * MÉTODO:  GET
+ * PARÂMETRO: ?subscription_id=uuid
+ *
+ * DESCRIÇÃO:
+ *  Consultado periodicamente (polling) pela tela de pagamento
+ *  pendente do checkout. Quando o webhook_iugu.php ou o
+ *  verificar_pendentes.php liberam o acesso, a assinatura passa
+ *  para "active" e o frontend troca para a tela de sucesso.
+ *
+ *  Este endpoint apenas LÊ o banco — quem confirma o pagamento
+ *  continua sendo o webhook/cron. Assim o polling do navegador
+ *  não gera chamadas extras à Iugu.
+ *
+ * RETORNO:
+ *  - subscription_id: string → UUID da assinatura no banco
+ *  - status: string          → status bruto (active, pending_payment, canceled...)
+ *  - payment_status: string  → "paid", "pending" ou "failed" (mesmo vocabulário
+ *                               do retorno de processar_assinatura.php)
+ *  - access_valid_until: string|null → validade do acesso (YYYY-MM-DD) quando "paid"
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+
+header('Content-Type: application/json; charset=utf-8');
+header('Cache-Control: no-store');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use GET.');
+}
+
+// --- Validação do parâmetro subscription_id ---
+$subscriptionId = trim($_GET['subscription_id'] ?? '');
+if (!preg_match('/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i', $subscriptionId)) {
+    responderErro(400, 'invalid_parameter', "Parâmetro 'subscription_id' inválido.");
+}
+
+// ============================================================
+// PASSO 1: Buscar a assinatura no banco
+// Seleciona apenas o status — nenhum dado pessoal é exposto.
+// ============================================================
+$subRes = supabaseGet(
+    "subscriptions?id=eq." . rawurlencode($subscriptionId) .
+    "&select=id,status&limit=1"
+);
+
+if (!$subRes['ok']) {
+    responderErro(500, 'database_error', 'Erro ao consultar o banco de dados.');
+}
+
+$subscription = $subRes['data'][0] ?? null;
+
+if (!$subscription) {
+    responderErro(404, 'subscription_not_found', 'Assinatura não encontrada.');
+}
+
+// ============================================================
+// PASSO 2: Traduzir o status do banco para o status de pagamento
+// ============================================================
+$status = $subscription['status'] ?? 'pending_payment';
+
+$paymentStatus = match ($status) {
+    'active'          => 'paid',
+    'pending_payment' => 'pending',
+    default           => 'failed',
+};
+
+// ============================================================
+// PASSO 3: Validade do acesso liberado (exibida na tela de sucesso)
+// ============================================================
+$accessValidUntil = null;
+
+if ($paymentStatus === 'paid') {
+    $entRes = supabaseGet(
+        "entitlements?source_type=eq.subscription" .
+        "&source_id=eq." . rawurlencode($subscription['id']) .
+        "&status=eq.active&select=expires_at&order=expires_at.desc&limit=1"
+    );
+    $expiresAt = $entRes['data'][0]['expires_at'] ?? null;
+    $accessValidUntil = $expiresAt ? dataLocal($expiresAt) : null;
+}
+
+// --- Retorno final ---
+echo json_encode([
+    'subscription_id'    => $subscription['id'],
+    'status'             => $status,
+    'payment_status'     => $paymentStatus,
+    'access_valid_until' => $accessValidUntil,
+]);
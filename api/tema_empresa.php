@@ -0,0 +1,115 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/tema_empresa.php
+ * MÉTODO:  GET
+ * PARÂMETRO: ?empresa=slug (link divulgado pelo parceiro, ex: ?empresa=conter,
+ *            ou company_slug do convênio comprovado na Etapa 1)
+ *
+ * DESCRIÇÃO:
+ *  Tema do checkout para a empresa conveniada: logo, cores,
+ *  texto de boas-vindas e as condições próprias do convênio,
+ *  lidos da tabela company_branding. Empresas sem tema (ou com
+ *  o tema desativado) usam a identidade padrão da TKS.
+ *
+ *  O tema é só visual: os planos do convênio continuam exigindo
+ *  o vínculo comprovado na Etapa 1.
+ *
+ *  Não há busca pelo UUID da empresa: o tema traz o nome dela, e
+ *  o UUID não pode servir para descobrir o empregador de alguém.
+ *  O slug só chega ao checkout pelo link do parceiro ou depois do
+ *  vínculo comprovado.
+ *
+ * RETORNO:
+ *  - theme: null (sem tema) ou
+ *    {
+ *      company_id, company_name, slug,
+ *      logo_url: string|null,
+ *      primary_color: "#RRGGBB", secondary_color: "#RRGGBB"|null,
+ *      welcome_title: string|null, welcome_text: string|null,
+ *      terms: { title, paragraphs: string[] } | null
+ *    }
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+
+header('Content-Type: application/json; charset=utf-8');
+header('Cache-Control: public, max-age=300');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use GET.');
+}
+
+$slug = strtolower(trim($_GET['empresa'] ?? ''));
+
+if (!preg_match('/^[a-z0-9-]{2,60}$/', $slug)) {
+    responderErro(400, 'invalid_parameter', "Parâmetro 'empresa' inválido.");
+}
+
+// ============================================================
+// PASSO 1: Buscar o tema ativo da empresa
+// ============================================================
+$brandingRes = supabaseGet(
+    "company_branding?slug=eq." . rawurlencode($slug) . "&is_active=eq.true" .
+    "&select=company_id,slug,logo_url,primary_color,secondary_color,welcome_title,welcome_text,terms_title,terms_text,companies(name)" .
+    "&limit=1"
+);
+
+if (!$brandingRes['ok']) {
+    responderErro(500, 'database_error', 'Erro ao consultar o tema da empresa.');
+}
+
+$branding = $brandingRes['data'][0] ?? null;
+
+if (!$branding) {
+    echo json_encode(['theme' => null]);
+    exit;
+}
+
+// ============================================================
+// PASSO 2: Montar o tema
+// Cores e logo são conferidos aqui: o valor vai direto para o CSS
+// e para o <img> da página.
+// ============================================================
+$company = $branding['companies'] ?? [];
+if (isset($company[0])) $company = $company[0];
+
+$cor = fn($value) => (is_string($value) && preg_match('/^#[0-9a-f]{6}$/i', $value)) ? strtoupper($value) : null;
+
+$primaryColor = $cor($branding['primary_color'] ?? null);
+
+// Sem cor primária válida o tema não se sustenta: usa o padrão TKS
+if (!$primaryColor) {
+    echo json_encode(['theme' => null]);
+    exit;
+}
+
+$logoUrl = $branding['logo_url'] ?? null;
+if (!is_string($logoUrl) || !preg_match('#^https://#i', $logoUrl)) {
+    $logoUrl = null;
+}
+
+// Condições do convênio: texto puro, parágrafos separados por linha em branco
+$terms = null;
+$termsText = trim($branding['terms_text'] ?? '');
+if ($termsText !== '') {
+    $terms = [
+        'title'      => trim($branding['terms_title'] ?? '') ?: 'Condições do convênio ' . ($company['name'] ?? ''),
+        'paragraphs' => array_values(array_filter(array_map('trim', preg_split('/\R\s*\R/', $termsText)))),
+    ];
+}
+
+echo json_encode([
+    'theme' => [
+        'company_id'      => $branding['company_id'],
+        'company_name'    => $company['name'] ?? null,
+        'slug'            => $branding['slug'],
+        'logo_url'        => $logoUrl,
+        'primary_color'   => $primaryColor,
+        'secondary_color' => $cor($branding['secondary_color'] ?? null),
+        'welcome_title'   => $branding['welcome_title'] ?? null,
+        'welcome_text'    => $branding['welcome_text'] ?? null,
+        'terms'           => $terms,
+    ],
+]);
@@ -0,0 +1,121 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/termos.php
+ * DESCRIÇÃO: Funções compartilhadas dos Termos e Condições.
+ *            Os termos são documentos versionados (tabela
+ *            terms_documents): a versão vigente é a última já
+ *            publicada. termos_vigentes.php entrega o documento
+ *            ao modal do checkout e processar_assinatura.php
+ *            confere a versão aceita e grava a evidência do
+ *            aceite (versão, data, IP e navegador) por assinatura.
+ *
+ * USO: require_once __DIR__ . '/termos.php';
+ *
+ * TABELAS: terms_documents, terms_acceptances (ver README.md)
+ *   version      → identificador exibido ao usuário (ex: "2026-01")
+ *   content      → { "sections": [{ "title": string|null, "paragraphs": [string] }] }
+ *   published_at → a versão passa a valer nesta data (pode ser agendada)
+ * ============================================================
+ */
+
+/**
+ * Busca a versão vigente dos Termos e Condições.
+ *
+ * @return array ['ok' => bool, 'terms' => array|null]
+ *               terms: { id, version, title, published_at, content }
+ */
+function buscarTermosVigentes(): array {
+    $res = supabaseGet(
+        "terms_documents?published_at=lte." . rawurlencode(nowIso()) .
+        "&select=id,version,title,published_at,content" .
+        "&order=published_at.desc&limit=1"
+    );
+
+    if (!$res['ok']) {
+        return ['ok' => false, 'terms' => null];
+    }
+
+    return ['ok' => true, 'terms' => $res['data'][0] ?? null];
+}
+
+/**
+ * Confere se a versão aceita no checkout é a vigente. Se uma nova
+ * versão foi publicada depois que a página carregou, o usuário
+ * precisa ler e aceitar de novo.
+ *
+ * @param string $acceptedVersion Versão enviada pelo checkout (terms_version)
+ * @return array ['valid' => bool, 'code' => string|null, 'message' => string, 'terms' => array|null, 'outdated' => bool]
+ */
+function validarAceiteTermos(string $acceptedVersion): array {
+    $vigentes = buscarTermosVigentes();
+
+    if (!$vigentes['ok'] || !$vigentes['terms']) {
+        return [
+            'valid'    => false,
+            'code'     => 'terms_unavailable',
+            'message'  => 'Não foi possível carregar os Termos e Condições. Tente novamente.',
+            'terms'    => null,
+            'outdated' => false,
+        ];
+    }
+
+    $terms = $vigentes['terms'];
+
+    if ($acceptedVersion === '') {
+        return [
+            'valid'    => false,
+            'code'     => 'terms_not_accepted',
+            'message'  => 'Você precisa aceitar os Termos e Condições para continuar.',
+            'terms'    => $terms,
+            'outdated' => true,
+        ];
+    }
+
+    if ($acceptedVersion !== $terms['version']) {
+        return [
+            'valid'    => false,
+            'code'     => 'terms_outdated',
+            'message'  => 'Os Termos e Condições foram atualizados. Leia e aceite a nova versão para continuar.',
+            'terms'    => $terms,
+            'outdated' => true,
+        ];
+    }
+
+    return ['valid' => true, 'code' => null, 'message' => 'OK', 'terms' => $terms, 'outdated' => false];
+}
+
+/**
+ * Grava a evidência do aceite dos termos para a assinatura.
+ *
+ * O IP gravado é o da conexão (REMOTE_ADDR). Atrás de proxy ou CDN,
+ * o cabeçalho X-Forwarded-For é guardado à parte, como recebido —
+ * ele pode ser forjado pelo cliente e não substitui o IP da conexão.
+ *
+ * @param string $subscriptionId UUID da assinatura no banco
+ * @param string $profileId      UUID do perfil que aceitou
+ * @param array  $terms          Versão vigente (retorno de validarAceiteTermos)
+ * @return array ['ok' => bool, 'error' => string|null]
+ */
+function registrarAceiteTermos(string $subscriptionId, string $profileId, array $terms): array {
+    $forwardedFor = trim($_SERVER['HTTP_X_FORWARDED_FOR'] ?? '');
+
+    $res = supabasePost('terms_acceptances', [
+        'id'                => generateUuid(),
+        'subscription_id'   => $subscriptionId,
+        'profile_id'        => $profileId,
+        'terms_document_id' => $terms['id'],
+        'terms_version'     => $terms['version'],
+        'accepted_at'       => nowIso(),
+        'ip_address'        => $_SERVER['REMOTE_ADDR'] ?? null,
+        'forwarded_for'     => $forwardedFor !== '' ? mb_substr($forwardedFor, 0, 200) : null,
+        'user_agent'        => mb_substr($_SERVER['HTTP_USER_AGENT'] ?? '', 0, 500) ?: null,
+        'created_at'        => nowIso(),
+    ]);
+
+    if (!$res['ok']) {
+        return ['ok' => false, 'error' => 'Erro ao registrar o aceite dos Termos e Condições.'];
+    }
+
+    return ['ok' => true, 'error' => null];
+}
@@ -0,0 +1,67 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/termos_vigentes.php
+ * MÉTODO:  GET
+ *
+ * DESCRIÇÃO:
+ *  Versão vigente dos Termos e Condições, exibida no modal de
+ *  termos da Etapa 4. O checkout envia a versão aceita
+ *  (terms_version) ao processar_assinatura.php, que recusa
+ *  versões antigas e grava a evidência do aceite.
+ *
+ * RETORNO:
+ *  {
+ *    version: "2026-01",
+ *    title: "Termos e Condições de Uso",
+ *    published_at: "2026-01-01"  (data local da publicação),
+ *    sections: [{ title: string|null, paragraphs: string[] }]
+ *  }
+ *  Os textos são puros (sem HTML).
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require_once __DIR__ . '/termos.php';
+
+header('Content-Type: application/json; charset=utf-8');
+header('Cache-Control: no-cache');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use GET.');
+}
+
+$vigentes = buscarTermosVigentes();
+
+if (!$vigentes['ok']) {
+    responderErro(500, 'terms_unavailable', 'Erro ao carregar os Termos e Condições.');
+}
+
+if (!$vigentes['terms']) {
+    responderErro(404, 'terms_not_published', 'Nenhuma versão dos Termos e Condições publicada.');
+}
+
+$terms   = $vigentes['terms'];
+$content = is_array($terms['content'] ?? null) ? $terms['content'] : [];
+
+// Só títulos e parágrafos em texto: o frontend monta o modal via textContent
+$sections = [];
+foreach ($content['sections'] ?? [] as $section) {
+    $paragraphs = array_values(array_filter(
+        array_map(fn($p) => is_string($p) ? trim($p) : '', $section['paragraphs'] ?? []),
+        fn($p) => $p !== ''
+    ));
+    if (empty($paragraphs)) continue;
+
+    $sections[] = [
+        'title'      => is_string($section['title'] ?? null) && trim($section['title']) !== '' ? trim($section['title']) : null,
+        'paragraphs' => $paragraphs,
+    ];
+}
+
+echo json_encode([
+    'version'      => $terms['version'],
+    'title'        => $terms['title'] ?: 'Termos e Condições de Uso',
+    'published_at' => dataLocal($terms['published_at']),
+    'sections'     => $sections,
+]);
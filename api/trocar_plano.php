@@ -0,0 +1,95 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/trocar_plano.php
+ * MÉTODO:  POST
+ * HEADER:  Authorization: Bearer <token de confirmar_codigo_acesso.php>
+ * CONTENT-TYPE: application/json
+ * BODY: { "plan_id": "uuid" }
+ *
+ * DESCRIÇÃO:
+ *  Troca o plano da assinatura na área "Minha assinatura".
+ *  Os planos aceitos são os mesmos que o checkout oferece ao
+ *  membro (ver validarTrocaDePlano em membros.php).
+ *  Na Iugu, a troca vale a partir da próxima fatura; no desconto
+ *  em folha, a partir da próxima exportação do RH.
+ *
+ * RETORNO:
+ *  - changed: bool
+ *  - plan: { id, name, price, interval, interval_type }
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/membros.php';
+
+header('Content-Type: application/json; charset=utf-8');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use POST.');
+}
+
+$profile = exigirSessaoMembro();
+
+$rawBody = file_get_contents('php://input');
+$body    = json_decode($rawBody ?? '', true);
+$planId  = trim($body['plan_id'] ?? '');
+
+if ($planId === '') {
+    responderErro(400, 'missing_field', 'Campo obrigatório ausente: plan_id', ['field' => 'plan_id', 'params' => ['field' => 'plan_id']]);
+}
+
+$subscription = buscarAssinaturaMembro($profile['id']);
+
+if (!$subscription || $subscription['status'] !== 'active') {
+    responderErro(409, 'subscription_not_active', 'Só é possível trocar o plano de uma assinatura ativa.');
+}
+
+$troca = validarTrocaDePlano($subscription, $planId);
+
+if (!$troca['ok']) {
+    responderErro(400, $troca['code'], $troca['error'], ['params' => $troca['params']]);
+}
+
+$plan = $troca['plan'];
+
+// ============================================================
+// PASSO 1: Trocar o plano na Iugu (desconto em folha não passa pela Iugu)
+// ============================================================
+if (!empty($subscription['iugu_subscription_id'])) {
+    $changeRes = iuguCall(
+        'POST',
+        "subscriptions/" . rawurlencode($subscription['iugu_subscription_id']) .
+        "/change_plan/" . rawurlencode($plan['iugu_plan_identifier'])
+    );
+
+    if (!$changeRes['ok']) {
+        responderFalhaIugu(
+            $changeRes, 'plan_change_failed', 'Erro ao trocar o plano na Iugu.',
+            ['subscription_id' => $subscription['id'], 'plan_id' => $plan['id']]
+        );
+    }
+}
+
+// ============================================================
+// PASSO 2: Atualizar a assinatura no banco
+// ============================================================
+$updateRes = supabasePatch(
+    "subscriptions?id=eq." . rawurlencode($subscription['id']),
+    ['plan_id' => $plan['id'], 'updated_at' => nowIso()]
+);
+
+if (!$updateRes['ok']) {
+    responderErro(500, 'subscription_update_failed', 'Erro ao atualizar a assinatura.');
+}
+
+echo json_encode([
+    'changed' => true,
+    'plan'    => [
+        'id'            => $plan['id'],
+        'name'          => $plan['name'],
+        'price'         => (float)$plan['price'],
+        'interval'      => (int)($plan['interval'] ?? 1),
+        'interval_type' => $plan['interval_type'] ?? 'months',
+    ],
+]);
@@ -0,0 +1,90 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/validar_codigo_convenio.php
+ * MÉTODO:  POST
+ * CONTENT-TYPE: application/json
+ * BODY: { "cpf": "000.000.000-00", "access_code": "CODIGO" }
+ *
+ * DESCRIÇÃO:
+ *  Acionado pela opção "Tenho convênio → Código de acesso" da
+ *  Etapa 1. Se o código pertencer a uma empresa parceira, cria o
+ *  vínculo pendente do CPF com a empresa (convenios.php) e o
+ *  checkout passa a exibir os planos do contrato dela.
+ *
+ *  O endpoint não é autenticado: as tentativas são limitadas por IP
+ *  e por CPF (limite_requisicoes.php, HTTP 429 + Retry-After), para
+ *  que os códigos das empresas não sejam descobertos por tentativa.
+ *
+ * RETORNO:
+ *  - eligible: bool
+ *  - company_id, company_name: string (se elegível)
+ *  - company_slug: string|null → tema da empresa em tema_empresa.php
+ *  - code, message: string (se não elegível; ex: "access_code_not_found")
+ *  Erros no formato comum da API (responderErro, config.php)
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/convenios.php';
+require_once __DIR__ . '/limite_requisicoes.php';
+
+// Limites das tentativas (janela deslizante de 15 minutos)
+const ACCESS_CODE_WINDOW_SEC  = 900;
+const ACCESS_CODE_MAX_PER_IP  = 10;
+const ACCESS_CODE_MAX_PER_CPF = 5;
+
+header('Content-Type: application/json; charset=utf-8');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use POST.');
+}
+
+// --- Limite por IP (conta também as tentativas com CPF inválido) ---
+$ipLimit = consumirLimite('access_code_ip', $_SERVER['REMOTE_ADDR'] ?? '', ACCESS_CODE_MAX_PER_IP, ACCESS_CODE_WINDOW_SEC);
+if (!$ipLimit['allowed']) {
+    responderLimiteExcedido($ipLimit['retry_after']);
+}
+
+$rawBody = file_get_contents('php://input');
+$body    = json_decode($rawBody ?? '', true);
+
+$cpf        = onlyDigits($body['cpf'] ?? '');
+$accessCode = trim($body['access_code'] ?? '');
+
+if (!validarCPF($cpf)) {
+    responderErro(400, 'cpf_invalid', 'CPF inválido. O número informado não é um CPF válido.', ['field' => 'cpf']);
+}
+if ($accessCode === '') {
+    responderErro(400, 'missing_field', 'Campo obrigatório ausente: access_code', ['field' => 'access_code', 'params' => ['field' => 'access_code']]);
+}
+
+// --- Limite por CPF (o mesmo CPF tentando códigos de vários IPs) ---
+$cpfLimit = consumirLimite('access_code_cpf', $cpf, ACCESS_CODE_MAX_PER_CPF, ACCESS_CODE_WINDOW_SEC);
+if (!$cpfLimit['allowed']) {
+    responderLimiteExcedido($cpfLimit['retry_after']);
+}
+
+$company = buscarEmpresaPorCodigo($accessCode);
+
+if (!$company) {
+    echo json_encode([
+        'eligible' => false,
+        'code'     => 'access_code_not_found',
+        'message'  => 'Código de acesso não encontrado. Confira com o RH da sua empresa.',
+    ]);
+    exit;
+}
+
+$link = vincularConvenioPendente($cpf, $company['id'], 'access_code');
+
+if (!$link['ok']) {
+    responderErro(500, $link['code'], $link['error']);
+}
+
+echo json_encode([
+    'eligible'     => true,
+    'company_id'   => $company['id'],
+    'company_name' => $company['name'],
+    'company_slug' => slugTemaEmpresa($company['id']),
+]);
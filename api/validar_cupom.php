@@ -0,0 +1,85 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/validar_cupom.php
+ * MÉTODO:  GET
+ * PARÂMETROS:
+ *   ?code=CODIGO        → Código do cupom digitado pelo usuário
+ *   ?plan_id=uuid       → Plano selecionado na Etapa 2
+ *   ?cpf=00000000000    → CPF do comprador (opcional; exigido pelos
+ *                         cupons de empresa, que conferem o vínculo ativo)
+ *
+ * DESCRIÇÃO:
+ *  Chamado pela Etapa 4 quando o usuário aplica um cupom.
+ *  Apenas valida e calcula o valor final para exibição — o
+ *  desconto só é efetivado em processar_assinatura.php, que
+ *  revalida o cupom com as mesmas regras (cupons.php).
+ *
+ *  O endpoint não é autenticado: as consultas são limitadas por IP
+ *  (limite_requisicoes.php, HTTP 429 + Retry-After), para que os
+ *  códigos dos cupons não sejam descobertos por tentativa.
+ *
+ * RETORNO:
+ *  - valid: bool
+ *  - coupon_code, description: string
+ *  - discount: float              → valor do desconto em reais
+ *  - discount_formatted: string   → ex: "R$ 5,00"
+ *  - final_price: float
+ *  - final_price_formatted: string
+ *  - recurrent: bool              → desconto em todas as faturas ou só na primeira
+ *  Cupom inválido: valid = false, message (pt-BR) e code
+ *  (ex.: "coupon_expired"), traduzido pelo checkout em js/i18n.mjs
+ *  Erros no formato comum da API (responderErro, config.php)
+ * ============================================================
+ */
+
+require __DIR__ . '/config.php';
+require __DIR__ . '/cupons.php';
+require_once __DIR__ . '/limite_requisicoes.php';
+
+// Limite das consultas (janela deslizante de 15 minutos)
+const COUPON_CHECK_WINDOW_SEC = 900;
+const COUPON_CHECK_MAX_PER_IP = 20;
+
+header('Content-Type: application/json; charset=utf-8');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use GET.');
+}
+
+$ipLimit = consumirLimite('coupon_check_ip', $_SERVER['REMOTE_ADDR'] ?? '', COUPON_CHECK_MAX_PER_IP, COUPON_CHECK_WINDOW_SEC);
+if (!$ipLimit['allowed']) {
+    responderLimiteExcedido($ipLimit['retry_after']);
+}
+
+$code      = trim($_GET['code'] ?? '');
+$planId    = trim($_GET['plan_id'] ?? '');
+$cpf       = onlyDigits($_GET['cpf'] ?? '');
+
+if ($code === '' || $planId === '') {
+    responderErro(400, 'missing_field', "Parâmetros 'code' e 'plan_id' são obrigatórios.");
+}
+
+$result = validarCupom($code, $planId, validarCPF($cpf) ? $cpf : null);
+
+if (!$result['valid']) {
+    echo json_encode([
+        'valid'   => false,
+        'code'    => $result['code'],
+        'message' => $result['message'],
+    ]);
+    exit;
+}
+
+$coupon = $result['coupon'];
+
+echo json_encode([
+    'valid'                 => true,
+    'coupon_code'           => $coupon['code'],
+    'description'           => $coupon['description'] ?? null,
+    'recurrent'             => (bool)($coupon['recurrent'] ?? false),
+    'discount'              => $result['discount_cents'] / 100,
+    'discount_formatted'    => formatBrl($result['discount_cents']),
+    'final_price'           => $result['final_cents'] / 100,
+    'final_price_formatted' => formatBrl($result['final_cents']),
+]);
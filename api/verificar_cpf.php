@@ -10,7 +10,7 @@
  *  o frontend chama este endpoint para descobrir:
  *  1. Se o CPF já existe no banco (tabela profiles)
  *  2. Se esse usuário tem vínculo ativo com alguma empresa parceira
- *     (tabela company_members → companies)
+ *     (tabela company_members)
  *
  * ESTRUTURA DO BANCO:
  *  - profiles.id  é o mesmo valor que company_members.user_id
@@ -20,42 +20,75 @@
  * RETORNO:
  *  - found: bool          → Se o CPF foi encontrado no banco
  *  - is_new_user: bool    → Se é um usuário novo (não encontrado)
- *  - profile_id: string   → UUID do perfil (se encontrado)
- *  - full_name: string    → Nome completo (se encontrado)
- *  - company_id: string   → UUID da empresa parceira (se houver vínculo)
- *  - company_name: string → Nome da empresa parceira (se houver vínculo)
+ *  - full_name: string    → Nome mascarado (se encontrado), ex: "João d* S****"
+ *  - email / phone: string → Mascarados, ex: "j***@gmail.com", "(61) *****-7769"
+ *  - phone_whatsapp: bool → Se o titular marcou o telefone como WhatsApp
+ *  - birth_date: string   → Nascimento mascarado, só com o ano
  *  - plan_type: string    → "convenio" ou "b2c"
+ *  - company_id, company_name, company_slug: só com a sessão do membro
+ *                           deste CPF (header Authorization, membros.php);
+ *                           a Etapa 2 usa para listar os planos do convênio
  *
  * LÓGICA:
  *  - CPF encontrado + vínculo ativo com empresa → plan_type = "convenio"
  *  - Qualquer outro caso (novo usuário ou sem vínculo) → plan_type = "b2c"
+ *
+ * PROTEÇÃO CONTRA ENUMERAÇÃO:
+ *  O endpoint não é autenticado, então:
+ *  - Os dados pessoais voltam mascarados (dados_mascarados.php); o
+ *    usuário confirma ou digita de novo na Etapa 3
+ *  - Não devolve o ID do perfil, a empresa nem os consentimentos:
+ *    o ID basta para outras chamadas, e a empresa (ou o UUID dela,
+ *    que o tema levaria ao nome) revelaria o empregador de qualquer
+ *    CPF. Sem sessão, quem tem convênio comprova o vínculo pelo
+ *    código de acesso ou e-mail corporativo (convenios.php)
+ *  - Limite de consultas por IP e por CPF (limite_requisicoes.php),
+ *    com HTTP 429 + Retry-After ao exceder
+ *  - Com CAPTCHA_PROVIDER configurado, depois de
+ *    CPF_LOOKUP_CHALLENGE_AFTER consultas do mesmo IP cada nova
+ *    consulta exige o token do desafio no header X-Captcha-Token
+ *    (HTTP 403 + challenge_required, com os dados do widget)
+ *
+ * ERROS: formato comum da API (responderErro): cpf_incomplete,
+ *  cpf_invalid, rate_limited, challenge_required, database_error
  * ============================================================
  */
 
 require __DIR__ . '/config.php';
+require_once __DIR__ . '/limite_requisicoes.php';
+require_once __DIR__ . '/desafio.php';
+require_once __DIR__ . '/dados_mascarados.php';
+require_once __DIR__ . '/membros.php';
+require_once __DIR__ . '/convenios.php';
+
+// Limites da consulta (janela deslizante de 15 minutos)
+const CPF_LOOKUP_WINDOW_SEC      = 900;
+const CPF_LOOKUP_MAX_PER_IP      = 30;
+const CPF_LOOKUP_MAX_PER_CPF     = 10;
+const CPF_LOOKUP_CHALLENGE_AFTER = 5;
 
 header('Content-Type: application/json; charset=utf-8');
 
 if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
-    http_response_code(405);
-    echo json_encode(['error' => 'Método não permitido. Use GET.']);
-    exit;
+    responderErro(405, 'method_not_allowed', 'Método não permitido. Use GET.');
+}
+
+// --- Limite por IP (conta também as consultas com CPF inválido) ---
+$ipLimit = consumirLimite('cpf_lookup_ip', $_SERVER['REMOTE_ADDR'] ?? '', CPF_LOOKUP_MAX_PER_IP, CPF_LOOKUP_WINDOW_SEC);
+if (!$ipLimit['allowed']) {
+    responderLimiteExcedido($ipLimit['retry_after']);
 }
 
 // --- Validação do parâmetro CPF ---
 $cpfRaw = trim($_GET['cpf'] ?? '');
 if ($cpfRaw === '') {
-    http_response_code(400);
-    echo json_encode(['error' => "Parâmetro 'cpf' é obrigatório."]);
-    exit;
+    responderErro(400, 'missing_field', "Parâmetro 'cpf' é obrigatório.", ['field' => 'cpf', 'params' => ['field' => 'cpf']]);
 }
 
 // Remove tudo que não for dígito (pontos, traço, espaços)
 $cpfDigits = onlyDigits($cpfRaw);
 if (strlen($cpfDigits) !== 11) {
-    http_response_code(400);
-    echo json_encode(['error' => 'CPF inválido. Informe todos os 11 dígitos.']);
-    exit;
+    responderErro(400, 'cpf_incomplete', 'CPF inválido. Informe todos os 11 dígitos.', ['field' => 'cpf']);
 }
 
 // ============================================================
@@ -66,9 +99,22 @@ if (strlen($cpfDigits) !== 11) {
 // Esta validação é uma segunda camada de segurança além do frontend.
 // ============================================================
 if (!validarCPF($cpfDigits)) {
-    http_response_code(400);
-    echo json_encode(['error' => 'CPF inválido. O número informado não é um CPF válido.']);
-    exit;
+    responderErro(400, 'cpf_invalid', 'CPF inválido. O número informado não é um CPF válido.', ['field' => 'cpf']);
+}
+
+// --- Limite por CPF (o mesmo CPF consultado de vários IPs) ---
+$cpfLimit = consumirLimite('cpf_lookup_cpf', $cpfDigits, CPF_LOOKUP_MAX_PER_CPF, CPF_LOOKUP_WINDOW_SEC);
+if (!$cpfLimit['allowed']) {
+    responderLimiteExcedido($cpfLimit['retry_after']);
+}
+
+// --- Desafio anti-robô depois de várias consultas do mesmo IP ---
+if (desafioAtivo() && $ipLimit['count'] > CPF_LOOKUP_CHALLENGE_AFTER
+    && !validarDesafio(trim($_SERVER['HTTP_X_CAPTCHA_TOKEN'] ?? ''))) {
+    responderErro(403, 'challenge_required', 'Confirme que você não é um robô para continuar.', [
+        'challenge_required' => true,
+        'challenge'          => configuracaoDesafio(),
+    ]);
 }
 
 // ============================================================
@@ -81,14 +127,13 @@ $orFilter = "or=(cpf.eq." . rawurlencode($cpfDigits) . ",cpf.eq." . rawurlencode
 
 $profileRes = supabaseGet(
     "profiles?{$orFilter}" .
-    "&select=id,full_name,cpf,email_customer,phone,birth_date" .
+    "&select=id,full_name,cpf,email_customer,phone,phone_whatsapp,birth_date" .
     "&limit=1"
 );
 
 if (!$profileRes['ok']) {
-    http_response_code(500);
-    echo json_encode(['error' => 'Erro ao consultar o banco de dados.', 'details' => $profileRes['data']]);
-    exit;
+    registrarErroInterno('database_error', ['endpoint' => 'verificar_cpf'], $profileRes);
+    responderErro(500, 'database_error', 'Erro ao consultar o banco de dados. Tente novamente.');
 }
 
 $profile = $profileRes['data'][0] ?? null;
@@ -111,32 +156,16 @@ $profileId = $profile['id'];
 //
 // ATENÇÃO — Estrutura real do banco:
 //   company_members.user_id = profiles.id  (NÃO é auth_user_id)
-//
-// O embedding do Supabase (company:companies(...)) funciona
-// quando existe uma FK de company_members.company_id → companies.id.
 // ============================================================
 $memberRes = supabaseGet(
     "company_members?user_id=eq." . rawurlencode($profileId) .
     "&status=eq.active" .
-    "&select=company_id,companies(id,name)" .
+    "&select=company_id,companies(name)" .
     "&order=created_at.desc&limit=1"
 );
 
-$companyId   = null;
-$companyName = null;
-
-if ($memberRes['ok'] && !empty($memberRes['data'][0])) {
-    $membership = $memberRes['data'][0];
-    $companyId  = $membership['company_id'] ?? null;
-
-    // O Supabase retorna o objeto aninhado com o nome da tabela referenciada
-    // Pode vir como 'companies' (array) ou como objeto direto dependendo da versão
-    $companyData = $membership['companies'] ?? null;
-    if (is_array($companyData)) {
-        // Se for array de objetos (embedding padrão do Supabase)
-        $companyName = $companyData[0]['name'] ?? ($companyData['name'] ?? null);
-    }
-}
+$member    = $memberRes['ok'] ? ($memberRes['data'][0] ?? null) : null;
+$companyId = $member['company_id'] ?? null;
 
 // ============================================================
 // PASSO 3: Determinar o tipo de plano
@@ -146,16 +175,33 @@ if ($memberRes['ok'] && !empty($memberRes['data'][0])) {
 $planType = ($companyId !== null) ? 'convenio' : 'b2c';
 
 // --- Retorno final ---
-echo json_encode([
-    'found'        => true,
-    'is_new_user'  => false,
-    'profile_id'   => $profileId,
-    'full_name'    => $profile['full_name'] ?? null,
-    'cpf'          => $cpfDigits,
-    'email'        => $profile['email_customer'] ?? null,
-    'phone'        => $profile['phone'] ?? null,
-    'birth_date'   => $profile['birth_date'] ?? null,
-    'company_id'   => $companyId,
-    'company_name' => $companyName,
-    'plan_type'    => $planType, // "convenio" ou "b2c"
-]);
+$response = [
+    'found'          => true,
+    'is_new_user'    => false,
+    'full_name'      => mascararCampoPerfil('full_name', $profile['full_name'] ?? null),
+    'cpf'            => $cpfDigits,
+    'email'          => mascararCampoPerfil('email', $profile['email_customer'] ?? null),
+    'phone'          => mascararCampoPerfil('phone', $profile['phone'] ?? null),
+    'phone_whatsapp' => !empty($profile['phone_whatsapp']),
+    'birth_date'     => mascararCampoPerfil('birth_date', $profile['birth_date'] ?? null),
+    'masked'         => true,
+    'plan_type'      => $planType, // "convenio" ou "b2c"
+];
+
+// ============================================================
+// PASSO 4: Empresa do convênio, só para o próprio titular
+// Com a sessão do membro deste CPF (código do e-mail confirmado),
+// a Etapa 2 já recebe a empresa e lista os planos do convênio.
+// ============================================================
+$session = sessaoMembroAtual();
+
+if ($companyId !== null && $session !== null && $session['cpf'] === $cpfDigits) {
+    $company = $member['companies'] ?? [];
+    if (isset($company[0])) $company = $company[0];
+
+    $response['company_id']   = $companyId;
+    $response['company_name'] = $company['name'] ?? null;
+    $response['company_slug'] = slugTemaEmpresa($companyId);
+}
+
+echo json_encode($response);
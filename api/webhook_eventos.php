@@ -0,0 +1,181 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /api/webhook_eventos.php
+ * DESCRIÇÃO: Registro e deduplicação dos eventos recebidos pelo
+ *            webhook_iugu.php, e a regra que traduz cada evento
+ *            da Iugu em uma ação sobre a assinatura.
+ *
+ *            A Iugu reenvia o mesmo evento quando não recebe 2xx
+ *            e o payload não traz um ID de evento. O ID usado aqui
+ *            é o hash do nome do evento + dados: o mesmo evento
+ *            reenviado gera o mesmo ID e é processado uma única vez.
+ *
+ * USO: require_once __DIR__ . '/webhook_eventos.php';
+ *
+ * TABELA: webhook_events (ver README.md)
+ *   status = processing → evento em processamento
+ *            processed  → ação executada
+ *            ignored    → evento sem ação (não relevante, assinatura
+ *                         de outro sistema, etc.)
+ *            failed     → erro no processamento; o reenvio da Iugu
+ *                         processa de novo
+ * ============================================================
+ */
+
+// Após este tempo um evento "processing" é considerado abandonado
+// (ex: o PHP caiu no meio) e o reenvio da Iugu pode retomá-lo.
+const WEBHOOK_PROCESSING_TIMEOUT_MIN = 5;
+
+// Status em que a assinatura foi encerrada por nós (cancelamento
+// pelo assinante, estorno ou chargeback). Eventos de suspensão ou
+// expiração que chegam depois não sobrescrevem o motivo original.
+const SUBSCRIPTION_ENDED_STATUSES = ['canceled', 'refunded', 'chargeback', 'suspended', 'expired'];
+
+/**
+ * Gera o ID do evento a partir do payload recebido.
+ *
+ * @param array $event Payload completo (event + data)
+ * @return string Hash SHA-256
+ */
+function identificarEventoWebhook(array $event): string {
+    $data = $event['data'] ?? [];
+    if (is_array($data)) ksort($data);
+    return hash('sha256', ($event['event'] ?? '') . '|' . json_encode($data));
+}
+
+/**
+ * Registra o evento antes de processá-lo.
+ *
+ * O registro é um INSERT com o ID do evento como PK: se a Iugu
+ * reenviar o evento enquanto o primeiro ainda está em andamento,
+ * só um deles consegue inserir.
+ *
+ * @param string $eventId   Retorno de identificarEventoWebhook()
+ * @param string $eventType Nome do evento (ex: "invoice.status_changed")
+ * @param array  $event     Payload completo, gravado para auditoria
+ * @return string new|duplicate|processing|error
+ */
+function registrarEventoWebhook(string $eventId, string $eventType, array $event): string {
+    $insertRes = supabasePost('webhook_events', [
+        'event_id'   => $eventId,
+        'provider'   => 'iugu',
+        'event_type' => $eventType,
+        'payload'    => $event,
+        'status'     => 'processing',
+        'created_at' => nowIso(),
+        'updated_at' => nowIso(),
+    ]);
+
+    if ($insertRes['ok']) {
+        return 'new';
+    }
+
+    // 409 = evento já registrado (violação da PK); qualquer outro erro é falha do banco
+    if ($insertRes['http_code'] !== 409) {
+        return 'error';
+    }
+
+    // Retoma eventos que falharam ou ficaram presos em "processing".
+    // O filtro na própria atualização garante que só uma requisição retome.
+    $staleIso = gmdate('Y-m-d\TH:i:s\Z', strtotime('-' . WEBHOOK_PROCESSING_TIMEOUT_MIN . ' minutes'));
+    $retryRes = supabasePatch(
+        "webhook_events?event_id=eq." . rawurlencode($eventId) .
+        "&or=(status.eq.failed,and(status.eq.processing,updated_at.lt." . rawurlencode($staleIso) . "))",
+        ['status' => 'processing', 'updated_at' => nowIso()]
+    );
+    if ($retryRes['ok'] && !empty($retryRes['data'])) {
+        return 'new';
+    }
+
+    $rowRes = supabaseGet(
+        "webhook_events?event_id=eq." . rawurlencode($eventId) . "&select=status&limit=1"
+    );
+    $status = $rowRes['data'][0]['status'] ?? null;
+
+    if ($status === null) {
+        return 'error';
+    }
+    return $status === 'processing' ? 'processing' : 'duplicate';
+}
+
+/**
+ * Grava o resultado do processamento do evento.
+ *
+ * @param string $eventId Evento registrado
+ * @param string $status  processed|ignored|failed
+ * @param array  $result  Resposta enviada à Iugu
+ */
+function concluirEventoWebhook(string $eventId, string $status, array $result): void {
+    supabasePatch(
+        "webhook_events?event_id=eq." . rawurlencode($eventId),
+        [
+            'status'     => $status,
+            'result'     => $result,
+            'updated_at' => nowIso(),
+        ]
+    );
+}
+
+/**
+ * Traduz um evento da Iugu na ação sobre a assinatura.
+ *
+ *  - Fatura paga                     → activate
+ *  - Fatura estornada / chargeback   → revoke (status refunded/chargeback)
+ *                                      e suspende a cobrança na Iugu
+ *  - Renovação não paga (fatura
+ *    expirada ou cancelada)          → revoke (status past_due), apenas
+ *                                      se a assinatura estava ativa
+ *  - Falha numa cobrança do cartão   → sem ação: a Iugu tenta de novo, e
+ *                                      o acesso segue até a fatura expirar
+ *                                      ou a assinatura ser suspensa
+ *  - Assinatura suspensa / expirada  → revoke (status suspended/expired)
+ *
+ * @param string $eventType Nome do evento
+ * @param array  $data      Campos data[...] do evento
+ * @return array|null null se o evento não tem ação, ou
+ *                    ['action' => activate|revoke, 'status' => string|null,
+ *                     'iugu_subscription_id' => string|null,
+ *                     'only_if_active' => bool, 'suspend_iugu' => bool]
+ */
+function acaoEventoIugu(string $eventType, array $data): ?array {
+    $invoiceStatus = $data['status'] ?? '';
+
+    $acao = fn(string $action, ?string $status, ?string $iuguSubId, bool $onlyIfActive = false, bool $suspendIugu = false) => [
+        'action'               => $action,
+        'status'               => $status,
+        'iugu_subscription_id' => $iuguSubId,
+        'only_if_active'       => $onlyIfActive,
+        'suspend_iugu'         => $suspendIugu,
+    ];
+
+    switch ($eventType) {
+        case 'invoice.status_changed':
+            $iuguSubId = $data['subscription_id'] ?? null;
+            return match ($invoiceStatus) {
+                'paid', 'externally_paid' => $acao('activate', null, $iuguSubId),
+                'refunded'                => $acao('revoke', 'refunded', $iuguSubId, false, true),
+                'chargeback'              => $acao('revoke', 'chargeback', $iuguSubId, false, true),
+                'expired', 'canceled'     => $acao('revoke', 'past_due', $iuguSubId, true),
+                default                   => null,
+            };
+
+        case 'invoice.refund':
+            // Estorno parcial não encerra a assinatura
+            if (($data['status'] ?? 'refunded') !== 'refunded') return null;
+            return $acao('revoke', 'refunded', $data['subscription_id'] ?? null, false, true);
+
+        case 'invoice.payment_failed':
+            // Cada tentativa recusada gera um evento, mas a Iugu segue
+            // cobrando: só a fatura expirada ou a suspensão revogam
+            return null;
+
+        case 'subscription.suspended':
+            return $acao('revoke', 'suspended', $data['id'] ?? null);
+
+        case 'subscription.expired':
+            return $acao('revoke', 'expired', $data['id'] ?? null);
+    }
+
+    return null;
+}
@@ -6,8 +6,9 @@
  *
  * DESCRIÇÃO:
  *  Este script é um "ouvinte" que a Iugu chama automaticamente
- *  quando um evento ocorre, como a confirmação de pagamento de
- *  um boleto ou PIX.
+ *  quando um evento ocorre: pagamento confirmado, estorno,
+ *  chargeback, falha na cobrança da renovação, suspensão ou
+ *  expiração da assinatura.
  *
  *  URL cadastrada no painel da Iugu:
  *  https://tksvantagens.com.br/convenios/api/webhook_iugu.php
@@ -18,7 +19,7 @@
  *
  *  Estrutura do payload (campos planos, não aninhados):
  *   - event            → nome do evento (ex: "invoice.status_changed")
- *   - data[id]         → ID da fatura
+ *   - data[id]         → ID da fatura (nos eventos subscription.*, ID da assinatura)
  *   - data[status]     → status da fatura (ex: "paid")
  *   - data[subscription_id] → ID da assinatura na Iugu
  *
@@ -28,19 +29,36 @@
  *   O PHP expõe via $_SERVER['HTTP_AUTHORIZATION'] ou
  *   via as funções apache_request_headers() / getallheaders().
  *
+ * EVENTOS TRATADOS (ver acaoEventoIugu em webhook_eventos.php):
+ *  - invoice.status_changed (paid)              → libera o acesso ou, se a
+ *                                                  assinatura já está ativa,
+ *                                                  estende a validade (renovação)
+ *  - invoice.status_changed (refunded/chargeback)
+ *    e invoice.refund                            → revoga o acesso e suspende
+ *                                                  a cobrança na Iugu
+ *  - invoice.status_changed (expired/canceled)   → revoga o acesso de
+ *                                                  assinaturas ativas (past_due)
+ *  - invoice.payment_failed                      → apenas registrado: a Iugu
+ *                                                  tenta a cobrança de novo
+ *  - subscription.suspended / subscription.expired → revoga o acesso
+ *
  * FLUXO:
  *  1. Recebe o evento da Iugu via $_POST
  *  2. Valida o token de segurança (campo "authorization")
- *  3. Verifica se o evento é "invoice.status_changed" e status = "paid"
+ *  3. Registra o evento em webhook_events; eventos repetidos
+ *     (reenvios da Iugu) não são processados de novo
  *  4. Busca a assinatura no nosso banco pelo iugu_subscription_id
- *  5. Atualiza o status da assinatura para "active"
- *  6. Cria o entitlement (libera o acesso)
- *  7. Sincroniza o usuário com a Alloyal
+ *  5. Libera (liberarAcesso), renova (renovarAcesso) ou revoga
+ *     (revogarAcesso) o acesso, atualizando assinatura,
+ *     entitlements e Alloyal
+ *  6. Grava o resultado no log e responde à Iugu; em caso de erro
+ *     responde 500 para a Iugu reenviar o evento
  * ============================================================
  */
 
 require __DIR__ . '/config.php';
 require __DIR__ . '/liberar_acesso.php';
+require __DIR__ . '/webhook_eventos.php';
 
 header('Content-Type: application/json; charset=utf-8');
 
@@ -103,41 +121,59 @@ if (strpos($authHeader, 'Basic ') === 0) {
     $receivedToken = $event['authorization'] ?? $authHeader;
 }
 
+
 if ($webhookToken !== '' && $receivedToken !== $webhookToken) {
     http_response_code(401);
-    echo json_encode([
-        'error'          => 'Token de webhook inválido.',
-        'auth_header'    => $authHeader,
-        'received_token' => $receivedToken,
-    ]);
+    echo json_encode(['error' => 'Token de webhook inválido.']);
     exit;
 }
 
 // ============================================================
-// PASSO 1: Verificar se o evento é de pagamento confirmado
+// PASSO 1: Registrar o evento (deduplicação)
+// A Iugu reenvia o evento até receber 2xx. Eventos já processados
+// são respondidos sem repetir a ação (ver webhook_eventos.php).
 // A Iugu envia os campos de data como data[campo] no form-urlencoded,
 // que o PHP converte automaticamente para $event['data']['campo'].
 // ============================================================
-$eventType    = $event['event'] ?? '';
-$invoiceData  = $event['data'] ?? [];
-$invoiceStatus = $invoiceData['status'] ?? '';
+$eventType = $event['event'] ?? '';
+$eventData = is_array($event['data'] ?? null) ? $event['data'] : [];
+$eventId   = identificarEventoWebhook($event);
+
+$registro = registrarEventoWebhook($eventId, $eventType, $event);
 
-// Ignora eventos que não são de fatura paga
-if ($eventType !== 'invoice.status_changed' || $invoiceStatus !== 'paid') {
+if ($registro === 'duplicate') {
     http_response_code(200);
-    echo json_encode(['ok' => true, 'skipped' => true, 'reason' => 'Evento não relevante.', 'event' => $eventType, 'status' => $invoiceStatus]);
+    echo json_encode(['ok' => true, 'skipped' => true, 'reason' => 'Evento já processado.', 'event_id' => $eventId]);
+    exit;
+}
+if ($registro === 'processing') {
+    // Outra requisição está processando o mesmo evento: a Iugu tenta de novo depois
+    http_response_code(409);
+    echo json_encode(['ok' => false, 'error' => 'Evento em processamento.', 'event_id' => $eventId]);
+    exit;
+}
+if ($registro === 'error') {
+    http_response_code(500);
+    echo json_encode(['ok' => false, 'error' => 'Erro ao registrar o evento.']);
     exit;
 }
 
 // ============================================================
-// PASSO 2: Extrair o ID da assinatura da Iugu a partir da fatura
+// PASSO 2: Identificar a ação do evento
 // ============================================================
-$iuguSubscriptionId = $invoiceData['subscription_id'] ?? null;
+$acao = acaoEventoIugu($eventType, $eventData);
+
+if ($acao === null) {
+    responderWebhook($eventId, 'ignored', [
+        'ok' => true, 'skipped' => true, 'reason' => 'Evento não relevante.',
+        'event' => $eventType, 'status' => $eventData['status'] ?? '',
+    ]);
+}
+
+$iuguSubscriptionId = $acao['iugu_subscription_id'];
 
 if (!$iuguSubscriptionId) {
-    http_response_code(200);
-    echo json_encode(['ok' => true, 'skipped' => true, 'reason' => 'Fatura sem subscription_id.']);
-    exit;
+    responderWebhook($eventId, 'ignored', ['ok' => true, 'skipped' => true, 'reason' => 'Evento sem assinatura.']);
 }
 
 // ============================================================
@@ -150,10 +186,11 @@ $subRes = supabaseGet(
     "&limit=1"
 );
 
-if (!$subRes['ok'] || empty($subRes['data'][0])) {
-    http_response_code(200);
-    echo json_encode(['ok' => true, 'skipped' => true, 'reason' => 'Assinatura não encontrada no banco.', 'iugu_subscription_id' => $iuguSubscriptionId]);
-    exit;
+if (!$subRes['ok']) {
+    responderWebhook($eventId, 'failed', ['ok' => false, 'error' => 'Erro ao buscar a assinatura.'], 500);
+}
+if (empty($subRes['data'][0])) {
+    responderWebhook($eventId, 'ignored', ['ok' => true, 'skipped' => true, 'reason' => 'Assinatura não encontrada no banco.', 'iugu_subscription_id' => $iuguSubscriptionId]);
 }
 
 $subscription     = $subRes['data'][0];
@@ -161,15 +198,50 @@ $subscriptionDbId = $subscription['id'];
 $profileId        = $subscription['profile_id'];
 $currentStatus    = $subscription['status'];
 
-// Se já está ativa, não precisa fazer nada (idempotência)
-if ($currentStatus === 'active') {
-    http_response_code(200);
-    echo json_encode(['ok' => true, 'skipped' => true, 'reason' => 'Assinatura já estava ativa.']);
-    exit;
+// ============================================================
+// PASSO 3.1: Fatura paga de assinatura já ativa → renovação
+// Estende a validade do acesso a partir do vencimento da fatura.
+// Recalcular a partir do vencimento torna o passo idempotente: a
+// primeira fatura, já liberada pelo checkout, não estende nada.
+// ============================================================
+if ($acao['action'] === 'activate' && $currentStatus === 'active') {
+    $invoiceRes = iuguCall('GET', "invoices/" . rawurlencode($eventData['id'] ?? ''));
+
+    if (!$invoiceRes['ok']) {
+        responderWebhook($eventId, 'failed', ['ok' => false, 'error' => 'Erro ao consultar a fatura na Iugu.'], 500);
+    }
+
+    $inicioCiclo = $invoiceRes['data']['due_date'] ?? dataLocal(nowIso());
+    $renovarRes  = renovarAcesso($subscriptionDbId, $inicioCiclo);
+
+    if (!$renovarRes['ok']) {
+        responderWebhook($eventId, 'failed', ['ok' => false, 'error' => $renovarRes['error']], 500);
+    }
+
+    responderWebhook($eventId, 'processed', [
+        'ok'              => true,
+        'action'          => 'renewed',
+        'subscription_id' => $subscriptionDbId,
+        'extended'        => $renovarRes['extended'],
+        'expires_at'      => $renovarRes['expires_at'],
+    ]);
+}
+if ($acao['action'] === 'revoke') {
+    // Renovação não paga só revoga quem estava com acesso; a primeira
+    // cobrança recusada é tratada pelo próprio checkout
+    if ($acao['only_if_active'] && $currentStatus !== 'active') {
+        responderWebhook($eventId, 'ignored', ['ok' => true, 'skipped' => true, 'reason' => 'Assinatura não estava ativa.', 'current_status' => $currentStatus]);
+    }
+    // Não sobrescreve o motivo de um encerramento anterior (ex: a suspensão
+    // feita pelo cancelamento do assinante gera um subscription.suspended)
+    if ($currentStatus === $acao['status']
+        || (!$acao['suspend_iugu'] && in_array($currentStatus, SUBSCRIPTION_ENDED_STATUSES, true))) {
+        responderWebhook($eventId, 'ignored', ['ok' => true, 'skipped' => true, 'reason' => 'Assinatura já encerrada.', 'current_status' => $currentStatus]);
+    }
 }
 
 // ============================================================
-// PASSO 4: Buscar os dados do usuário para liberar o acesso
+// PASSO 4: Buscar os dados do usuário (titular)
 // ============================================================
 $profileRes = supabaseGet(
     "profiles?id=eq." . rawurlencode($profileId) .
@@ -177,9 +249,7 @@ $profileRes = supabaseGet(
 );
 
 if (!$profileRes['ok'] || empty($profileRes['data'][0])) {
-    http_response_code(200);
-    echo json_encode(['ok' => false, 'error' => 'Perfil do usuário não encontrado.']);
-    exit;
+    responderWebhook($eventId, 'failed', ['ok' => false, 'error' => 'Perfil do usuário não encontrado.'], 500);
 }
 
 $profile  = $profileRes['data'][0];
@@ -187,18 +257,64 @@ $cpf      = $profile['cpf'] ?? '';
 $fullName = $profile['full_name'] ?? '';
 
 // ============================================================
-// PASSO 5: Liberar acesso (entitlement + Alloyal)
+// PASSO 5a: Pagamento confirmado → liberar acesso (entitlement + Alloyal)
 // Usa a função centralizada em liberar_acesso.php
 // ============================================================
-$liberarRes = liberarAcesso($profileId, $subscriptionDbId, $cpf, $fullName);
+if ($acao['action'] === 'activate') {
+    $liberarRes = liberarAcesso($profileId, $subscriptionDbId, $cpf, $fullName);
+
+    if (!$liberarRes['ok']) {
+        responderWebhook($eventId, 'failed', ['ok' => false, 'error' => $liberarRes['error'] ?? 'Erro ao liberar acesso.'], 500);
+    }
+
+    responderWebhook($eventId, 'processed', [
+        'ok'              => true,
+        'action'          => 'activated',
+        'subscription_id' => $subscriptionDbId,
+        'expires_at'      => $liberarRes['expires_at'] ?? null,
+        'alloyal_synced'  => $liberarRes['alloyal']['ok'] ?? false,
+        'skipped'         => $liberarRes['skipped'] ?? false,
+    ]);
+}
 
 // ============================================================
-// RETORNO: Responde 200 para a Iugu confirmar o recebimento
+// PASSO 5b: Estorno, chargeback, renovação não paga, suspensão
+// ou expiração → revogar acesso (entitlements + Alloyal)
 // ============================================================
-http_response_code(200);
-echo json_encode([
-    'ok'              => true,
-    'subscription_id' => $subscriptionDbId,
-    'alloyal_synced'  => $liberarRes['alloyal']['ok'] ?? false,
-    'skipped'         => $liberarRes['skipped'] ?? false,
+
+// Estorno e chargeback: suspende a cobrança para a Iugu não gerar
+// novas faturas de uma assinatura sem acesso
+if ($acao['suspend_iugu'] && !in_array($currentStatus, SUBSCRIPTION_ENDED_STATUSES, true)) {
+    $suspendRes = iuguCall('POST', "subscriptions/" . rawurlencode($iuguSubscriptionId) . "/suspend");
+
+    if (!$suspendRes['ok']) {
+        responderWebhook($eventId, 'failed', ['ok' => false, 'error' => 'Erro ao suspender a assinatura na Iugu.'], 500);
+    }
+}
+
+$revogarRes = revogarAcesso($profileId, $subscriptionDbId, $cpf, $fullName, $acao['status']);
+
+if (!$revogarRes['ok']) {
+    responderWebhook($eventId, 'failed', ['ok' => false, 'error' => $revogarRes['error'] ?? 'Erro ao revogar acesso.'], 500);
+}
+
+responderWebhook($eventId, 'processed', [
+    'ok'                  => true,
+    'action'              => 'revoked',
+    'subscription_id'     => $subscriptionDbId,
+    'subscription_status' => $acao['status'],
+    'revoked'             => $revogarRes['revoked'],
+    'alloyal_synced'      => $revogarRes['alloyal']['ok'] ?? false,
 ]);
+
+// ─── Função auxiliar de saída ─────────────────────────────────────────────────
+// Grava o resultado no log de eventos e responde à Iugu.
+// Respostas diferentes de 2xx fazem a Iugu reenviar o evento.
+function responderWebhook(string $eventId, string $logStatus, array $body, int $httpCode = 200): void
+{
+    concluirEventoWebhook($eventId, $logStatus, $body);
+
+    http_response_code($httpCode);
+    echo json_encode($body);
+    exit;
+}
@@ -0,0 +1,184 @@
+/**
+ * ============================================================
+ * CHECKOUT CONVÊNIOS - TKS VANTAGENS
+ * Arquivo: js/analytics.js
+ *
+ * Descrição: Eventos do funil do checkout.
+ *   - trackEvent() envia cada evento a todos os destinos ativos:
+ *     dataLayer (GTM), Meta Pixel e o coletor próprio
+ *     (api/registrar_evento.php, grava no Supabase)
+ *   - Captura os parâmetros UTM da URL de entrada, enviados junto
+ *     com os eventos e gravados na assinatura
+ *   - Nunca envia CPF, cartão ou dados pessoais: só as propriedades
+ *     de ANALYTICS_ALLOWED_PROPS, com sequências numéricas longas
+ *     (CPF, número de cartão) removidas dos textos
+ *
+ * Configuração (opcional, antes deste script):
+ *   window.TKS_ANALYTICS = { sinks: ['datalayer', 'meta', 'collector'] }
+ * Sem configuração, usa o dataLayer e o Meta Pixel se estiverem na
+ * página, e sempre o coletor próprio.
+ * ============================================================
+ */
+
+// ============================================================
+// CONFIGURAÇÃO
+// ============================================================
+
+const ANALYTICS_COLLECTOR_URL = 'api/registrar_evento.php';
+const ANALYTICS_SESSION_KEY = 'tks_analytics_session';
+const UTM_STORAGE_KEY = 'tks_utm';
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+// Únicas propriedades aceitas nos eventos (as mesmas do coletor)
+const ANALYTICS_ALLOWED_PROPS = [
+    'step', 'plan_id', 'plan_name', 'billing_cycle', 'value', 'method',
+    'has_coupon', 'dependents', 'outcome', 'reason', 'field', 'source', 'lang',
+];
+
+// Eventos do funil com equivalente padrão no Meta Pixel
+const META_STANDARD_EVENTS = {
+    plan_selected: 'AddToCart',
+    checkout_submitted: 'AddPaymentInfo',
+};
+
+// ============================================================
+// DISPARO DE EVENTOS
+// ============================================================
+
+/**
+ * Registra um evento do funil em todos os destinos ativos.
+ * Falhas de envio são ignoradas: analytics nunca interrompe o checkout.
+ *
+ * @param {string} name  - Ex: "step_viewed", "plan_selected", "checkout_outcome"
+ * @param {object} props - Propriedades do evento (ver ANALYTICS_ALLOWED_PROPS)
+ */
+function trackEvent(name, props = {}) {
+    const event = {
+        event: name,
+        props: higienizarPropriedades(props),
+        utm: obterUtm(),
+        session_id: obterSessaoAnalytics(),
+        page: location.pathname,
+        occurred_at: new Date().toISOString(),
+    };
+
+    destinosAnalytics().forEach(sink => {
+        try {
+            ANALYTICS_SINKS[sink]?.(event);
+        } catch (err) {
+            console.warn(`Analytics (${sink}):`, err);
+        }
+    });
+}
+
+// Destinos disponíveis: cada um recebe o evento já higienizado
+const ANALYTICS_SINKS = {
+    datalayer(event) {
+        window.dataLayer = window.dataLayer || [];
+        window.dataLayer.push({ event: `checkout_${event.event}`, ...event.props, ...event.utm });
+    },
+
+    meta(event) {
+        if (typeof window.fbq !== 'function') return;
+        if (event.event === 'checkout_outcome' && event.props.outcome === 'paid') {
+            window.fbq('track', 'Purchase', { value: event.props.value, currency: 'BRL' });
+            return;
+        }
+        const standard = META_STANDARD_EVENTS[event.event];
+        if (standard) {
+            window.fbq('track', standard, { value: event.props.value, currency: 'BRL' });
+        } else {
+            window.fbq('trackCustom', `checkout_${event.event}`, event.props);
+        }
+    },
+
+    collector(event) {
+        const body = JSON.stringify(event);
+        // sendBeacon sobrevive ao fechamento da aba (ex: abandono na Etapa 4)
+        if (navigator.sendBeacon?.(ANALYTICS_COLLECTOR_URL, new Blob([body], { type: 'application/json' }))) return;
+        fetch(ANALYTICS_COLLECTOR_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true,
+        }).catch(() => {});
+    },
+};
+
+/** Destinos ativos: os configurados em window.TKS_ANALYTICS ou os detectados na página. */
+function destinosAnalytics() {
+    const configured = window.TKS_ANALYTICS?.sinks;
+    if (Array.isArray(configured)) return configured;
+
+    const sinks = ['collector'];
+    if (Array.isArray(window.dataLayer)) sinks.push('datalayer');
+    if (typeof window.fbq === 'function') sinks.push('meta');
+    return sinks;
+}
+
+/**
+ * Mantém só as propriedades permitidas e remove dos textos qualquer
+ * sequência que pareça CPF (11 dígitos) ou número de cartão (13 a 19).
+ */
+function higienizarPropriedades(props) {
+    const clean = {};
+    ANALYTICS_ALLOWED_PROPS.forEach(key => {
+        const value = props[key];
+        if (value === undefined || value === null) return;
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            clean[key] = value;
+        } else {
+            clean[key] = String(value)
+                .replace(/(?:\d[\s.\-]?){11,19}/g, '[removido]')
+                .slice(0, 200);
+        }
+    });
+    return clean;
+}
+
+// ============================================================
+// SESSÃO E UTM
+// ============================================================
+
+/** ID aleatório da visita (por aba), para agrupar os eventos do mesmo funil. */
+function obterSessaoAnalytics() {
+    try {
+        let id = sessionStorage.getItem(ANALYTICS_SESSION_KEY);
+        if (!id) {
+            id = window.crypto?.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+            sessionStorage.setItem(ANALYTICS_SESSION_KEY, id);
+        }
+        return id;
+    } catch (e) {
+        return null; // sessionStorage indisponível (modo privado restrito)
+    }
+}
+
+/**
+ * Guarda os parâmetros UTM da URL de entrada. A navegação entre etapas
+ * muda só o hash, mas um recarregamento sem UTM não apaga os já salvos.
+ */
+function capturarUtm() {
+    const params = new URLSearchParams(location.search);
+    const utm = {};
+    UTM_PARAMS.forEach(key => {
+        const value = params.get(key);
+        if (value) utm[key] = value.slice(0, 150);
+    });
+    if (Object.keys(utm).length === 0) return;
+
+    try {
+        sessionStorage.setItem(UTM_STORAGE_KEY, JSON.stringify(utm));
+    } catch (e) { /* sessionStorage indisponível: segue sem UTM */ }
+}
+
+/** Parâmetros UTM da visita ({} se a entrada não tinha UTM). */
+function obterUtm() {
+    try {
+        return JSON.parse(sessionStorage.getItem(UTM_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+capturarUtm();
@@ -6,10 +6,12 @@
  *
  * Descrição: Lógica completa do formulário de checkout.
  *   - Navegação entre etapas
- *   - Validações de CPF, telefone, e-mail e data de nascimento
+ *   - Validações do cartão (as dos dados pessoais vêm de js/validacoes.mjs)
  *   - Chamadas de API para verificação de CPF e listagem de planos
  *   - Tokenização do cartão via SDK da Iugu
  *   - Processamento da assinatura
+ *   - Acessibilidade: foco entre etapas, regiões "ao vivo" (anunciar)
+ *     e grupos de radio operáveis pelo teclado
  * ============================================================
  */
 
@@ -20,44 +22,228 @@
 const state = {
     // Etapa 1: CPF
     cpf: '',
-    profileId: null,   // UUID do perfil no banco (se já existir)
-    companyId: null,   // UUID da empresa parceira (se for convênio)
+    companyId: null,   // UUID da empresa parceira (convênio comprovado ou sessão do membro)
     companyName: null,
+    companySlug: null, // Slug do tema da empresa (tema_empresa.php), se houver
     planType: 'b2c',  // "convenio" ou "b2c"
+    convenioAComprovar: false, // CPF com convênio, mas a empresa ainda não foi revelada
     isNewUser: true,
+    prefill: null,     // Dados cadastrados mascarados pelo verificar_cpf.php: { fullName, email, phone, birthDate }
+    eligibility: null, // Convênio comprovado na Etapa 1 (código/e-mail): { cpf, companyId, companyName, companySlug }
 
     // Etapa 2: Plano
-    selectedPlan: null,   // Objeto com id, name, price_formatted, iugu_plan_identifier
+    selectedPlan: null,   // Objeto com id, name, price, iugu_plan_identifier, billing_cycle...
+    billingCycle: 'monthly', // Ciclo exibido no seletor: "monthly" | "semiannual" | "annual"...
 
     // Etapa 3: Dados Pessoais
     fullName: '',
     email: '',
-    phone: '',
+    phone: '',            // E.164 (ex: "+5561996187769") ou o valor mascarado do cadastro
+    phoneWhatsapp: false, // Opt-in "este número é WhatsApp"
     birthDate: '',
+    address: null,        // { zipCode, street, number, complement, district, city, state }
+    consents: { marketing_email: false, whatsapp: false, partner_sharing: false }, // Consentimentos LGPD (opcionais)
+
+    // Etapa 3b (opcional): Dependentes — só aparece se o plano permitir
+    dependents: [],       // [{ fullName, cpf, birthDate, relationship }]
 
     // Etapa 4: Pagamento
-    paymentMethod: null,  // "credit_card" | "bank_slip" | "pix"
+    paymentMethod: null,  // "credit_card" | "bank_slip" | "pix" | "payroll" (desconto em folha, só convênio)
+    coupon: null,         // Cupom validado: { code, discount, final_price, recurrent } (valores em reais)
+    savedCards: [],       // Cartões salvos no cliente da Iugu: [{ id, brand, last4, expiry, is_default }]
+    savedCardId: null,    // Cartão salvo escolhido (null → digitar um cartão novo)
+    idempotencyKey: null, // Chave da tentativa de compra atual (reenviada em caso de falha de rede)
+    termsVersion: null,   // Versão dos Termos e Condições aceita (enviada como terms_version)
+
+    // Pós-pagamento
+    subscriptionId: null, // UUID da assinatura criada (retornado por processar_assinatura.php)
 };
 
-// Etapa atual (1 a 4)
+// Etapa atual (1 a 4, "dependentes" entre a 3 e a 4, ou "success"/"pending")
 let currentStep = 1;
 
+// Ordem das etapas do formulário. "dependentes" é opcional e aparece
+// no indicador de progresso como parte da Etapa 3 (Dados).
+const STEP_SEQUENCE = [1, 2, 3, 'dependentes', 4];
+
+// Consentimentos LGPD da Etapa 3: finalidade em state.consents → ID do checkbox
+const CONSENT_FIELDS = {
+    marketing_email: 'chk-consent-email',
+    whatsapp: 'chk-consent-whatsapp',
+    partner_sharing: 'chk-consent-parceiro',
+};
+
+// Campos de endereço da Etapa 3: chave em state.address → ID do input
+const ADDRESS_FIELDS = {
+    zipCode: 'input-cep',
+    street: 'input-rua',
+    number: 'input-numero',
+    complement: 'input-complemento',
+    district: 'input-bairro',
+    city: 'input-cidade',
+    state: 'input-uf',
+};
+
+// Bandeiras de cartão reconhecidas pelo BIN (6 primeiros dígitos).
+// A ordem importa: faixas específicas (Elo, Hipercard) vêm antes das
+// genéricas (Mastercard, Visa), pois alguns BINs Elo começam com 4 ou 5.
+//  - ranges:  faixas de BIN [início, fim], inclusive
+//  - lengths: quantidades de dígitos aceitas
+//  - gaps:    posições onde a máscara insere espaço
+//  - cvv:     quantidade de dígitos do código de segurança
+//  - icon:    ícone do Font Awesome (null → exibe o nome da bandeira)
+const CARD_BRANDS = [
+    {
+        id: 'elo', label: 'Elo', icon: null, lengths: [16], gaps: [4, 8, 12], cvv: 3,
+        ranges: [
+            [401178, 401179], [431274, 431274], [438935, 438935], [451416, 451416],
+            [457393, 457393], [457631, 457632], [504175, 504175], [506699, 506778],
+            [509000, 509999], [627780, 627780], [636297, 636297], [636368, 636368],
+            [650031, 650033], [650035, 650051], [650405, 650439], [650485, 650538],
+            [650541, 650598], [650700, 650718], [650720, 650727], [650901, 650978],
+            [651652, 651679], [655000, 655019], [655021, 655058],
+        ],
+    },
+    {
+        id: 'hipercard', label: 'Hipercard', icon: null, lengths: [13, 16, 19], gaps: [4, 8, 12, 16], cvv: 3,
+        ranges: [
+            [384100, 384100], [384140, 384140], [384160, 384160], [606282, 606282],
+            [637095, 637095], [637568, 637568], [637599, 637599], [637609, 637609],
+            [637612, 637612],
+        ],
+    },
+    {
+        id: 'amex', label: 'American Express', icon: 'fa-cc-amex', lengths: [15], gaps: [4, 10], cvv: 4,
+        ranges: [[340000, 349999], [370000, 379999]],
+    },
+    {
+        id: 'diners', label: 'Diners Club', icon: 'fa-cc-diners-club', lengths: [14], gaps: [4, 10], cvv: 3,
+        ranges: [[300000, 305999], [360000, 369999], [380000, 399999]],
+    },
+    {
+        id: 'mastercard', label: 'Mastercard', icon: 'fa-cc-mastercard', lengths: [16], gaps: [4, 8, 12], cvv: 3,
+        ranges: [[510000, 559999], [222100, 272099]],
+    },
+    {
+        id: 'visa', label: 'Visa', icon: 'fa-cc-visa', lengths: [13, 16, 19], gaps: [4, 8, 12, 16], cvv: 3,
+        ranges: [[400000, 499999]],
+    },
+];
+
+// Máscara usada enquanto a bandeira ainda não foi identificada
+const CARD_DEFAULT_FORMAT = { lengths: [16], gaps: [4, 8, 12], cvv: 4 };
+
+// Grau de parentesco aceito para dependentes (mesma lista de dependentes.php).
+// Rótulos em js/idiomas/ ("parentesco.<valor>")
+const RELATIONSHIP_VALUES = ['conjuge', 'filho', 'pai_mae', 'outro'];
+
+// Polling do status da assinatura na tela de pagamento pendente
+const STATUS_POLL_INTERVAL_MS = 5000;           // Consulta a cada 5 segundos
+const STATUS_POLL_MAX_MS = 30 * 60 * 1000;      // Desiste após 30 minutos
+let statusPollTimer = null;
+
+// Ciclos de cobrança dos planos (derivados do interval/interval_type da Iugu)
+// (rótulos em js/idiomas/: "planos.ciclo.<ciclo>")
+const CYCLE_ORDER = ['monthly', 'quarterly', 'semiannual', 'annual', 'other'];
+
+// Planos retornados por listar_planos.php (todos os ciclos)
+let planosCarregados = [];
+// Contrato do convênio aceita desconto em folha (retornado por listar_planos.php)
+let folhaPermitida = false;
+
+// Impede um segundo envio enquanto o primeiro ainda está em andamento
+let finalizandoAssinatura = false;
+
+// CPF cujos cartões salvos já foram consultados (evita nova chamada a cada visita à Etapa 4)
+let cartoesSalvosCpf = null;
+
+// Sessão do membro (área "Minha assinatura"), guardada só na aba atual.
+// No checkout, os cartões salvos só aparecem com ela (código do e-mail confirmado).
+const MEMBER_STORAGE_KEY = 'tks_member_session';
+
+// Tema do convênio aplicado à página (null = identidade padrão da TKS)
+let temaEmpresa = null;
+// Só a busca de tema mais recente é aplicada (ex: link do parceiro × CPF verificado)
+let temaRequestId = 0;
+
+// Versão vigente dos Termos e Condições (api/termos_vigentes.php)
+let termosVigentes = null;
+// Elemento que abriu o modal de termos (recebe o foco de volta ao fechar)
+let termosModalOrigem = null;
+
+// Desafio anti-robô da Etapa 1: token do widget (vale uma consulta) e ID do widget renderizado
+let desafioToken = null;
+let desafioWidgetId = null;
+
+// Persistência do checkout entre recarregamentos (sessionStorage)
+const STORAGE_KEY = 'tks_checkout_state';
+const STORAGE_TTL_MS = 30 * 60 * 1000;          // Estado salvo expira em 30 minutos
+
+// Campos do `state` que podem ser salvos. Dados do cartão NUNCA
+// passam pelo `state` nem pelo sessionStorage — ficam só nos inputs.
+const PERSISTED_FIELDS = [
+    'cpf', 'companyId', 'companyName', 'companySlug', 'planType', 'convenioAComprovar', 'isNewUser', 'prefill', 'eligibility',
+    'selectedPlan', 'billingCycle', 'fullName', 'email', 'phone', 'phoneWhatsapp', 'birthDate', 'address', 'consents', 'dependents',
+    'paymentMethod', 'coupon', 'idempotencyKey',
+];
+
 // ============================================================
 // INICIALIZAÇÃO
 // ============================================================
 document.addEventListener('DOMContentLoaded', () => {
+    // minha-assinatura.html carrega este arquivo só pelas validações,
+    // máscaras e tokenização do cartão — o fluxo do checkout não é iniciado
+    if (!document.getElementById('step-1')) return;
+
+    // Idioma: ?lang= da URL → escolha salva → navegador → pt-BR
+    definirIdioma(detectarIdioma({
+        busca: location.search,
+        armazenado: idiomaArmazenado(),
+        navegador: navigator.languages || [navigator.language],
+    }));
+    aplicarIdioma();
+    document.getElementById('select-idioma').addEventListener('change', (e) => trocarIdioma(e.target.value));
+
+    // Tema do convênio pelo link do parceiro (ex: ?empresa=conter)
+    const empresaSlug = new URLSearchParams(location.search).get('empresa');
+    if (empresaSlug) carregarTemaEmpresa({ slug: empresaSlug });
+
+    // Termos e Condições vigentes (modal da Etapa 4)
+    carregarTermos();
+
     // Máscara de CPF
     document.getElementById('input-cpf').addEventListener('input', maskCPF);
 
     // Máscara de Telefone
     document.getElementById('input-telefone').addEventListener('input', maskPhone);
 
-    // Máscara do Número do Cartão
+    // Máscara de CEP + preenchimento automático do endereço
+    document.getElementById('input-cep').addEventListener('input', (e) => {
+        maskCEP(e);
+        if (e.target.value.replace(/\D/g, '').length === 8) handleBuscarCep();
+    });
+
+    // Máscara do Número do Cartão (conforme a bandeira detectada)
     document.getElementById('input-card-number').addEventListener('input', maskCardNumber);
 
     // Máscara da Validade do Cartão
     document.getElementById('input-card-expiry').addEventListener('input', maskCardExpiry);
 
+    // Opção "Usar outro cartão" (Etapa 4, usuários com cartão salvo)
+    document.getElementById('saved-card-novo').addEventListener('click', () => selectSavedCard(null));
+
+    // Planos (Etapa 2) e cartões salvos (Etapa 4): grupos de radio operáveis pelo teclado
+    document.getElementById('planos-container').addEventListener('keydown', handleTecladoOpcoes);
+    document.getElementById('cartoes-salvos').addEventListener('keydown', handleTecladoOpcoes);
+
+    // Máscara do CVV (3 ou 4 dígitos, conforme a bandeira)
+    document.getElementById('input-card-cvv').addEventListener('input', maskCardCvv);
+
+    // Limpa o erro inline ao editar os campos do cartão
+    ['input-card-number', 'input-card-name', 'input-card-expiry', 'input-card-cvv'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => clearFieldError(id));
+    });
+
     // Botão: Verificar CPF (Etapa 1)
     document.getElementById('btn-verificar-cpf').addEventListener('click', handleVerificarCpf);
 
@@ -67,19 +253,76 @@ document.addEventListener('DOMContentLoaded', () => {
     // Botão: Confirmar Dados (Etapa 3)
     document.getElementById('btn-confirmar-dados').addEventListener('click', handleConfirmarDados);
 
+    // Dependentes (Etapa 3b)
+    document.getElementById('btn-adicionar-dependente').addEventListener('click', handleAdicionarDependente);
+    document.getElementById('btn-confirmar-dependentes').addEventListener('click', () => {
+        preencherResumo();
+        goToStep(4);
+    });
+    document.getElementById('input-dep-cpf').addEventListener('input', maskCPF);
+    ['input-dep-nome', 'input-dep-cpf', 'input-dep-nascimento', 'input-dep-parentesco'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', () => clearFieldError(id));
+    });
+
     // Botões de Método de Pagamento (Etapa 4)
     document.querySelectorAll('.payment-method-btn').forEach(btn => {
         btn.addEventListener('click', () => selectPaymentMethod(btn.dataset.method));
     });
 
+    // Cupom de desconto (Etapa 4)
+    document.getElementById('btn-aplicar-cupom').addEventListener('click', handleAplicarCupom);
+    document.getElementById('btn-remover-cupom').addEventListener('click', removerCupom);
+    document.getElementById('input-cupom').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') handleAplicarCupom();
+    });
+    document.getElementById('input-cupom').addEventListener('input', () => clearFieldError('input-cupom'));
+
     // Botão: Finalizar Assinatura (Etapa 4)
     document.getElementById('btn-finalizar').addEventListener('click', handleFinalizar);
 
+    // Ações do painel de erro da finalização (Etapa 4)
+    document.getElementById('btn-erro-pix').addEventListener('click', () => {
+        selectPaymentMethod('pix');
+        document.querySelector('.payment-method-btn[data-method="pix"]').focus();
+    });
+    document.getElementById('btn-erro-tentar').addEventListener('click', handleFinalizar);
+
     // Permite submeter com Enter no campo CPF
     document.getElementById('input-cpf').addEventListener('keydown', (e) => {
         if (e.key === 'Enter') handleVerificarCpf();
     });
 
+    // "Tenho convênio" (Etapa 1): código de acesso ou e-mail corporativo
+    document.getElementById('btn-tenho-convenio').addEventListener('click', () => {
+        document.getElementById('convenio-panel').classList.toggle('hidden');
+    });
+    document.querySelectorAll('.convenio-tab').forEach(tab => {
+        tab.addEventListener('click', () => selectConvenioTab(tab.dataset.tab));
+    });
+    document.getElementById('btn-validar-codigo-convenio').addEventListener('click', handleValidarCodigoConvenio);
+    document.getElementById('btn-comprovar-convenio').addEventListener('click', abrirComprovacaoConvenio);
+    document.getElementById('btn-enviar-codigo-convenio').addEventListener('click', handleEnviarCodigoConvenio);
+    document.getElementById('btn-confirmar-codigo-convenio').addEventListener('click', handleConfirmarCodigoConvenio);
+    document.getElementById('input-codigo-convenio').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') handleValidarCodigoConvenio();
+    });
+    document.getElementById('input-otp-convenio').addEventListener('input', (e) => {
+        e.target.value = e.target.value.replace(/\D/g, '').slice(0, 6);
+        if (e.target.value.length === 6) handleConfirmarCodigoConvenio();
+    });
+    ['input-codigo-convenio', 'input-email-corporativo', 'input-otp-convenio'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => clearFieldError(id));
+    });
+
+    // Cartões salvos (Etapa 4): código de acesso enviado ao e-mail do cadastro
+    document.getElementById('btn-enviar-codigo-cartoes').addEventListener('click', handleEnviarCodigoCartoes);
+    document.getElementById('btn-confirmar-codigo-cartoes').addEventListener('click', handleConfirmarCodigoCartoes);
+    document.getElementById('input-otp-cartoes').addEventListener('input', (e) => {
+        e.target.value = e.target.value.replace(/\D/g, '').slice(0, 6);
+        clearFieldError('input-otp-cartoes');
+        if (e.target.value.length === 6) handleConfirmarCodigoCartoes();
+    });
+
     // Link "Termos e Condições" abre o modal
     document.getElementById('link-termos')?.addEventListener('click', openTermsModal);
 
@@ -88,20 +331,37 @@ document.addEventListener('DOMContentLoaded', () => {
         if (e.target === document.getElementById('modal-termos')) closeTermsModal();
     });
 
-    // Fechar modal com tecla Escape
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') closeTermsModal();
+    // Botão: Copiar código PIX "copia e cola" (tela pendente)
+    document.getElementById('btn-copiar-pix')?.addEventListener('click', () => {
+        copiarTexto(document.getElementById('pix-copia-cola').value, 'btn-copiar-pix-text');
+    });
+
+    // Botão: Copiar linha digitável do boleto (tela pendente)
+    document.getElementById('btn-copiar-boleto')?.addEventListener('click', () => {
+        copiarTexto(document.getElementById('boleto-linha-digitavel').value, 'btn-copiar-boleto-text');
     });
 
+    // Botão: Enviar boleto para o e-mail (tela pendente)
+    document.getElementById('btn-enviar-boleto-email')?.addEventListener('click', handleEnviarBoletoEmail);
+
+    // Modal de termos: Escape fecha e o Tab fica preso dentro dele
+    document.addEventListener('keydown', handleTecladoModalTermos);
+
     // Garante que a Iugu está configurada (evita "AccountID inválido")
     if (window.Iugu && typeof Iugu.setAccountID === 'function') {
         Iugu.setAccountID(window.IUGU_ACCOUNT_ID || "B07088D648D048B3B450CCB6B5371BD3");
         Iugu.setTestMode(!!window.IUGU_TEST_MODE);
     }
     // Limpa o erro inline ao editar os campos da Etapa 3
-    ['input-nome', 'input-email', 'input-telefone', 'input-nascimento'].forEach(id => {
+    ['input-nome', 'input-email', 'input-telefone', 'input-nascimento', ...Object.values(ADDRESS_FIELDS)].forEach(id => {
         document.getElementById(id)?.addEventListener('input', () => clearFieldError(id));
     });
+
+    // Botões voltar/avançar do navegador navegam entre as etapas
+    window.addEventListener('popstate', handleHistoryNavigation);
+
+    // Retoma um checkout em andamento (recarregamento ou link direto #step-N)
+    retomarCheckout();
 });
 
 // ============================================================
@@ -110,195 +370,362 @@ document.addEventListener('DOMContentLoaded', () => {
 
 /**
  * Navega para uma etapa específica do formulário.
- * Atualiza o indicador de progresso visual.
+ * Atualiza o indicador de progresso visual, o hash da URL (#step-N),
+ * leva o foco ao título da nova etapa e salva o estado para permitir
+ * retomar o checkout.
+ *
+ * @param {number|string} step - 1 a 4 ou "dependentes"
+ * @param {{ fromHistory?: boolean }} [options] - fromHistory: navegação
+ *        originada pelo voltar/avançar do navegador (não empilha histórico)
  */
-function goToStep(step) {
+function goToStep(step, options = {}) {
     document.getElementById(`step-${currentStep}`)?.classList.add('hidden');
     const newPanel = document.getElementById(`step-${step}`);
     if (newPanel) {
         newPanel.classList.remove('hidden');
         currentStep = step;
-        updateProgressIndicator(step);
+        updateProgressIndicator(step === 'dependentes' ? 3 : step);
+        if (step === 'dependentes') renderizarDependentes();
+        if (step === 4) carregarCartoesSalvos();
         window.scrollTo({ top: 0, behavior: 'smooth' });
+        focarTituloEtapa(newPanel);
+
+        if (!options.fromHistory && location.hash !== `#step-${step}`) {
+            history.pushState({ step }, '', `#step-${step}`);
+        }
+        salvarEstado();
+        rastrearFunil('step_viewed');
+    }
+}
+
+/**
+ * Leva o foco ao título (h2) de um painel recém-exibido. Sem isso o
+ * foco fica no botão da etapa anterior, agora oculto: o leitor de tela
+ * não anuncia a nova etapa e o Tab recomeça do topo da página.
+ *
+ * @param {HTMLElement} panel - Painel da etapa (.step-panel)
+ */
+function focarTituloEtapa(panel) {
+    const titulo = panel.querySelector('h2');
+    if (!titulo) return;
+    titulo.tabIndex = -1; // focável por script, fora da ordem do Tab
+    titulo.focus({ preventScroll: true });
+}
+
+/**
+ * Retorna a etapa mais avançada que o estado atual permite abrir.
+ * Impede que um link direto (#step-4) pule etapas sem dados.
+ */
+function maxStepPermitido() {
+    if (!state.cpf) return 1;
+    if (!state.selectedPlan) return 2;
+    if (!state.fullName) return 3;
+    return 4;
+}
+
+/**
+ * Limita a etapa pedida (hash da URL ou estado salvo) ao que os dados
+ * permitem. A etapa de dependentes só existe se o plano aceitar dependentes.
+ */
+function limitarEtapa(requested) {
+    const idx = Math.min(
+        Math.max(STEP_SEQUENCE.indexOf(requested), 0),
+        STEP_SEQUENCE.indexOf(maxStepPermitido())
+    );
+    const step = STEP_SEQUENCE[idx];
+    if (step === 'dependentes' && maxDependentes() === 0) return 4;
+    return step;
+}
+
+/** Lê a etapa do hash da URL (#step-N ou #step-dependentes). Retorna null se ausente. */
+function stepFromHash() {
+    const m = /^#step-([1-4]|dependentes)$/.exec(location.hash);
+    if (!m) return null;
+    return m[1] === 'dependentes' ? m[1] : parseInt(m[1]);
+}
+
+/**
+ * Chamado pelo botão "Voltar" da Etapa 4: volta para os dependentes
+ * se o plano permitir, senão para os dados pessoais.
+ */
+function voltarDoPagamento() {
+    goToStep(maxDependentes() > 0 ? 'dependentes' : 3);
+}
+
+/**
+ * Chamado pelos botões voltar/avançar do navegador.
+ * As telas finais (sucesso/pendente) não voltam para o formulário.
+ */
+function handleHistoryNavigation() {
+    if (currentStep === 'success' || currentStep === 'pending') {
+        history.replaceState(null, '', location.pathname + location.search);
+        return;
     }
+    const step = limitarEtapa(stepFromHash() || 1);
+    if (step !== currentStep) goToStep(step, { fromHistory: true });
 }
 
 /**
- * Atualiza visualmente o indicador de progresso no topo.
+ * Atualiza o indicador de progresso no topo. O círculo é só visual
+ * (aria-hidden): para leitores de tela, a etapa atual é marcada com
+ * aria-current="step" e cada item traz o estado em texto oculto.
  */
 function updateProgressIndicator(activeStep) {
     for (let i = 1; i <= 4; i++) {
-        const item = document.querySelector(`[data-step="${i}"]`);
+        const item = document.querySelector(`.step-item[data-step="${i}"]`);
         if (!item) continue;
         const circle = item.querySelector('.step-circle');
-        const label = item.querySelector('span');
+        const label = item.querySelector('.step-label');
+        const status = item.querySelector('.step-status');
         const line = item.nextElementSibling;
 
         if (i < activeStep) {
             circle.className = 'step-circle w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold border-2 completed';
             circle.innerHTML = '<i class="fas fa-check text-xs"></i>';
-            label.className = 'text-xs mt-1 text-green-600 font-semibold';
+            label.className = 'step-label text-xs mt-1 text-green-700 font-semibold';
+            status.textContent = t('etapas.concluida');
             if (line && line.classList.contains('step-line')) line.classList.add('active');
         } else if (i === activeStep) {
             circle.className = 'step-circle w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold border-2 active';
             circle.textContent = i;
-            label.className = 'text-xs mt-1 text-tks-primary font-semibold';
+            label.className = 'step-label text-xs mt-1 text-tks-primary font-semibold';
+            status.textContent = t('etapas.atual');
         } else {
-            circle.className = 'step-circle w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold border-2 border-slate-200 bg-white text-slate-400';
+            circle.className = 'step-circle w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold border-2 border-slate-200 bg-white text-slate-500';
             circle.textContent = i;
-            label.className = 'text-xs mt-1 text-slate-400';
+            label.className = 'step-label text-xs mt-1 text-slate-500';
+            status.textContent = t('etapas.pendente');
+        }
+
+        if (i === activeStep) {
+            item.setAttribute('aria-current', 'step');
+        } else {
+            item.removeAttribute('aria-current');
         }
     }
 }
 
 // ============================================================
-// VALIDAÇÕES
-// Todas as regras de negócio para os campos do formulário.
+// PERSISTÊNCIA DO CHECKOUT
+// Salva o progresso no sessionStorage (por aba, com validade)
+// para que um recarregamento na Etapa 3 ou 4 não devolva o
+// usuário à tela do CPF.
 // ============================================================
 
+/** Salva os campos não sensíveis do `state` e a etapa atual. */
+function salvarEstado() {
+    if (!STEP_SEQUENCE.includes(currentStep)) return;
+
+    const data = {};
+    PERSISTED_FIELDS.forEach(key => { data[key] = state[key]; });
+
+    try {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+            savedAt: Date.now(),
+            step: currentStep,
+            data,
+        }));
+    } catch (err) {
+        // Modo privado/quota cheia: o checkout segue funcionando sem persistência
+        console.warn(err);
+    }
+}
+
 /**
- * Valida o CPF usando o algoritmo oficial dos dois dígitos verificadores.
- *
- * Regras:
- *  - Deve ter exatamente 11 dígitos
- *  - Não pode ser uma sequência repetida (ex: 111.111.111-11)
- *  - Os dois últimos dígitos devem ser calculados corretamente
- *
- * @param {string} cpf - CPF apenas com dígitos (sem máscara)
- * @returns {boolean}
+ * Lê o estado salvo, descartando-o se tiver expirado.
+ * @returns {{ step: number|string, data: object }|null}
  */
-function validarCPF(cpf) {
-    // Remove qualquer caractere não numérico
-    cpf = cpf.replace(/\D/g, '');
+function lerEstadoSalvo() {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+        if (!saved || !saved.data) return null;
+        if (Date.now() - saved.savedAt > STORAGE_TTL_MS) {
+            limparEstado();
+            return null;
+        }
+        return saved;
+    } catch (err) {
+        limparEstado();
+        return null;
+    }
+}
+
+/** Remove o estado salvo (checkout concluído ou expirado). */
+function limparEstado() {
+    try {
+        sessionStorage.removeItem(STORAGE_KEY);
+    } catch (err) {
+        console.warn(err);
+    }
+}
 
-    // Deve ter exatamente 11 dígitos
-    if (cpf.length !== 11) return false;
+/**
+ * Restaura um checkout salvo ao carregar a página.
+ * Repreenche os campos, recarrega os planos via API (preços podem
+ * ter mudado) e abre a etapa salva ou a do hash da URL — limitada
+ * ao que os dados restaurados permitem.
+ */
+async function retomarCheckout() {
+    const saved = lerEstadoSalvo();
+    if (saved) {
+        PERSISTED_FIELDS.forEach(key => {
+            if (key in saved.data) state[key] = saved.data[key];
+        });
+    }
 
-    // Rejeita sequências repetidas (ex: 00000000000, 11111111111, etc.)
-    if (/^(\d)\1{10}$/.test(cpf)) return false;
+    const requested = stepFromHash() || (saved ? saved.step : 1);
+    const step = limitarEtapa(requested);
 
-    // --- Cálculo do 1º dígito verificador ---
-    let soma = 0;
-    for (let i = 0; i < 9; i++) {
-        soma += parseInt(cpf[i]) * (10 - i);
+    history.replaceState({ step }, '', `#step-${step}`);
+    if (step === 1) {
+        rastrearFunil('step_viewed');
+        return;
+    }
+
+    // --- Repreenche os campos com os dados restaurados ---
+    document.getElementById('input-cpf').value = formatCpf(state.cpf);
+    if (state.fullName) document.getElementById('input-nome').value = state.fullName;
+    if (state.email) document.getElementById('input-email').value = state.email;
+    if (state.phone) document.getElementById('input-telefone').value = formatPhone(state.phone);
+    document.getElementById('chk-telefone-whatsapp').checked = !!state.phoneWhatsapp;
+    if (state.birthDate && !state.birthDate.includes('*')) document.getElementById('input-nascimento').value = state.birthDate;
+    exibirAvisoDadosMascarados();
+    if (state.address) {
+        Object.entries(ADDRESS_FIELDS).forEach(([key, id]) => {
+            document.getElementById(id).value = state.address[key] || '';
+        });
+        document.getElementById('input-cep').value = formatCep(state.address.zipCode);
     }
-    let resto = (soma * 10) % 11;
-    if (resto === 10 || resto === 11) resto = 0;
-    if (resto !== parseInt(cpf[9])) return false;
+    preencherConsentimentos();
+    exibirBadgeConvenio();
+    exibirAvisoConvenio();
+    if (state.companySlug) carregarTemaEmpresa({ slug: state.companySlug, convenio: true });
 
-    // --- Cálculo do 2º dígito verificador ---
-    soma = 0;
-    for (let i = 0; i < 10; i++) {
-        soma += parseInt(cpf[i]) * (11 - i);
+    goToStep(step, { fromHistory: true });
+    await carregarPlanos();
+
+    // O plano salvo pode ter sido desativado: volta para a escolha
+    if (step !== 2 && !state.selectedPlan) {
+        goToStep(2);
+        return;
     }
-    resto = (soma * 10) % 11;
-    if (resto === 10 || resto === 11) resto = 0;
-    if (resto !== parseInt(cpf[10])) return false;
 
-    return true;
+    if (step === 4) {
+        preencherResumo();
+        if (state.paymentMethod) selectPaymentMethod(state.paymentMethod);
+    }
 }
 
+// ============================================================
+// VALIDAÇÕES DO CARTÃO
+// As regras dos dados pessoais e do endereço (validarCPF,
+// validarEmail, validarTelefone, validarDataNascimento,
+// validarEndereco) ficam em js/validacoes.mjs.
+// ============================================================
+
 /**
- * Valida o e-mail.
+ * Identifica a bandeira do cartão pelos primeiros dígitos (BIN).
  *
- * Regras:
- *  - Deve conter o caractere @
- *  - Deve ter um domínio após o @ (ex: gmail.com)
- *  - Formato geral: usuario@dominio.extensao
+ * Com menos de 6 dígitos o prefixo pode pertencer a mais de uma
+ * bandeira (ex: "4" é Visa, mas "401178" é Elo). Nesse caso vale a
+ * mais genérica — a última candidata em CARD_BRANDS — até que os
+ * dígitos seguintes desfaçam a ambiguidade.
  *
- * @param {string} email
- * @returns {boolean}
+ * @param {string} number - Número do cartão (com ou sem máscara)
+ * @returns {object|null} Item de CARD_BRANDS ou null se não reconhecida
  */
-function validarEmail(email) {
-    // Expressão regular que valida o formato básico de e-mail
-    const regex = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
-    return regex.test(email.trim());
+function detectarBandeira(number) {
+    const digits = (number || '').replace(/\D/g, '');
+    if (digits.length === 0) return null;
+
+    const prefix = digits.slice(0, 6);
+    const min = Number(prefix.padEnd(6, '0'));
+    const max = Number(prefix.padEnd(6, '9'));
+
+    const candidatas = CARD_BRANDS.filter(brand =>
+        brand.ranges.some(([inicio, fim]) => min <= fim && max >= inicio)
+    );
+    if (candidatas.length === 0) return null;
+
+    return prefix.length === 6 ? candidatas[0] : candidatas[candidatas.length - 1];
 }
 
 /**
- * Valida o telefone celular brasileiro.
- *
- * Regras:
- *  - Deve ter exatamente 11 dígitos (DDD + 9 + 8 dígitos)
- *  - O DDD deve ser um número válido (11 a 99)
- *  - O número deve começar com 9 (celular)
+ * Verifica o dígito verificador do número do cartão (algoritmo de Luhn).
  *
- * @param {string} phone - Telefone apenas com dígitos
- * @returns {{ valid: boolean, message: string }}
+ * @param {string} number - Apenas dígitos
+ * @returns {boolean}
  */
-function validarTelefone(phone) {
-    const digits = phone.replace(/\D/g, '');
-
-    if (digits.length < 11) {
-        return { valid: false, message: 'Telefone inválido. Informe DDD + 9 dígitos (ex: 61 9 9618-7769).' };
-    }
-    if (digits.length > 11) {
-        return { valid: false, message: 'Telefone inválido. Número muito longo.' };
-    }
+function validarLuhn(number) {
+    if (!/^\d+$/.test(number)) return false;
 
-    const ddd = parseInt(digits.substring(0, 2));
-    const nono = digits[2]; // O 3º dígito deve ser 9 para celular
-
-    // DDD válido: entre 11 e 99
-    if (ddd < 11 || ddd > 99) {
-        return { valid: false, message: 'DDD inválido. Informe um DDD entre 11 e 99.' };
-    }
-
-    // Celular deve começar com 9
-    if (nono !== '9') {
-        return { valid: false, message: 'Número de celular inválido. O número deve começar com 9 após o DDD.' };
+    let soma = 0;
+    let dobrar = false;
+    for (let i = number.length - 1; i >= 0; i--) {
+        let d = parseInt(number[i]);
+        if (dobrar) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        soma += d;
+        dobrar = !dobrar;
     }
-
-    return { valid: true, message: '' };
+    return soma % 10 === 0;
 }
 
 /**
- * Valida a data de nascimento.
+ * Valida os dados do cartão antes de chamar o SDK da Iugu.
  *
  * Regras:
- *  - Deve ser uma data válida
- *  - O usuário deve ter no mínimo 15 anos na data atual
- *  - Não pode ser uma data futura
+ *  - Número: bandeira reconhecida, quantidade de dígitos da bandeira e Luhn
+ *  - Nome: nome e sobrenome, como impresso no cartão
+ *  - Validade: MM/AA, mês entre 01 e 12 e não vencida (vale até o fim do mês)
+ *  - CVV: 3 dígitos (4 para American Express)
  *
- * @param {string} birthDate - Data no formato YYYY-MM-DD (padrão do input type="date")
- * @returns {{ valid: boolean, message: string }}
+ * @param {object} card - { number, name, expiry, cvv }
+ * @returns {Array<{ field: string, message: string }>} Lista de erros (vazia se válido)
  */
-function validarDataNascimento(birthDate) {
-    if (!birthDate) {
-        return { valid: false, message: 'Por favor, informe sua data de nascimento.' };
-    }
-
-    const nascimento = new Date(birthDate);
-    const hoje = new Date();
-
-    // Verifica se é uma data válida
-    if (isNaN(nascimento.getTime())) {
-        return { valid: false, message: 'Data de nascimento inválida.' };
+function validarCartao(card) {
+    const erros = [];
+    const number = card.number.replace(/\D/g, '');
+    const brand = detectarBandeira(number);
+
+    if (!number) {
+        erros.push({ field: 'number', message: t('cartao.numero_obrigatorio') });
+    } else if (!brand) {
+        erros.push({ field: 'number', message: t('cartao.bandeira_nao_aceita') });
+    } else if (!brand.lengths.includes(number.length) || !validarLuhn(number)) {
+        erros.push({ field: 'number', message: t('cartao.numero_invalido', { bandeira: brand.label }) });
     }
 
-    // Não pode ser uma data futura
-    if (nascimento > hoje) {
-        return { valid: false, message: 'A data de nascimento não pode ser uma data futura.' };
+    if (!card.name) {
+        erros.push({ field: 'name', message: t('cartao.nome_obrigatorio') });
+    } else if (card.name.split(' ').filter(Boolean).length < 2) {
+        erros.push({ field: 'name', message: t('cartao.nome_sobrenome') });
     }
 
-    // Calcula a idade exata (considerando mês e dia)
-    let idade = hoje.getFullYear() - nascimento.getFullYear();
-    const mesAtual = hoje.getMonth();
-    const diaAtual = hoje.getDate();
-    const mesNasc = nascimento.getMonth();
-    const diaNasc = nascimento.getDate();
-
-    // Se ainda não fez aniversário este ano, subtrai 1
-    if (mesAtual < mesNasc || (mesAtual === mesNasc && diaAtual < diaNasc)) {
-        idade--;
+    const m = /^(\d{2})\/(\d{2})$/.exec(card.expiry);
+    if (!m) {
+        erros.push({ field: 'expiry', message: t('cartao.validade_formato') });
+    } else {
+        const mes = parseInt(m[1]);
+        const ano = 2000 + parseInt(m[2]);
+        const hoje = new Date();
+        const vencido = ano < hoje.getFullYear() || (ano === hoje.getFullYear() && mes < hoje.getMonth() + 1);
+        if (mes < 1 || mes > 12) {
+            erros.push({ field: 'expiry', message: t('cartao.validade_mes') });
+        } else if (vencido) {
+            erros.push({ field: 'expiry', message: t('cartao.vencido') });
+        }
     }
 
-    // Mínimo de 15 anos
-    if (idade < 15) {
-        return { valid: false, message: 'Você deve ter pelo menos 15 anos para se cadastrar.' };
+    // Sem bandeira, o mesmo tamanho da máscara (maskCardCvv)
+    const cvvLength = brand ? brand.cvv : CARD_DEFAULT_FORMAT.cvv;
+    if (card.cvv.length !== cvvLength || /\D/.test(card.cvv)) {
+        erros.push({ field: 'cvv', message: t('cartao.cvv_tamanho', { count: cvvLength }) });
     }
 
-    return { valid: true, message: '' };
+    return erros;
 }
 
 // ============================================================
@@ -307,12 +734,15 @@ function validarDataNascimento(birthDate) {
 
 /**
  * Exibe uma mensagem de erro diretamente abaixo de um campo específico.
- * Também destaca o campo com borda vermelha.
+ * Também destaca o campo com borda vermelha, marca-o com aria-invalid
+ * e liga a mensagem a ele (aria-describedby), para que o leitor de tela
+ * a leia junto com o rótulo quando o campo recebe o foco.
  *
  * @param {string} fieldId - ID do campo HTML
  * @param {string} message - Mensagem de erro a exibir
+ * @param {string|null} [motivo] - Código do erro para o funil (padrão: a mensagem)
  */
-function showFieldError(fieldId, message) {
+function showFieldError(fieldId, message, motivo = null) {
     const field = document.getElementById(fieldId);
     if (!field) return;
 
@@ -326,12 +756,19 @@ function showFieldError(fieldId, message) {
     // Cria o elemento de mensagem de erro abaixo do campo
     const errorEl = document.createElement('p');
     errorEl.id = `error-${fieldId}`;
-    errorEl.className = 'text-red-500 text-xs mt-1 flex items-center gap-1';
-    errorEl.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${message}`;
+    errorEl.className = 'text-red-600 text-xs mt-1 flex items-center gap-1';
+    errorEl.innerHTML = `<i class="fas fa-exclamation-circle" aria-hidden="true"></i> ${message}`;
 
     // Insere após o campo (ou após o wrapper se houver)
     const parent = field.parentElement;
     parent.appendChild(errorEl);
+
+    field.setAttribute('aria-invalid', 'true');
+    const descricao = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+    field.setAttribute('aria-describedby', [...descricao, errorEl.id].join(' '));
+    anunciar(message);
+
+    rastrearFunil('field_error', { field: fieldId, reason: motivo || message });
 }
 
 /**
@@ -346,6 +783,16 @@ function clearFieldError(fieldId) {
     if (field) {
         field.classList.remove('border-red-500', 'focus:ring-red-300');
         field.classList.add('border-slate-200');
+        field.removeAttribute('aria-invalid');
+
+        // Mantém outras descrições do campo (ex: dicas de preenchimento)
+        const descricao = (field.getAttribute('aria-describedby') || '').split(' ')
+            .filter(id => id && id !== `error-${fieldId}`);
+        if (descricao.length) {
+            field.setAttribute('aria-describedby', descricao.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
     }
     if (errorEl) errorEl.remove();
 }
@@ -370,48 +817,102 @@ async function handleVerificarCpf() {
 
     // --- Validação 1: Tamanho ---
     if (cpfDigits.length !== 11) {
-        showError('CPF inválido. Por favor, informe todos os 11 dígitos.');
+        showError(t('cpf.incompleto'));
         cpfInput.focus();
         return;
     }
 
     // --- Validação 2: Algoritmo oficial do CPF ---
     if (!validarCPF(cpfDigits)) {
-        showError('CPF inválido. O número informado não é um CPF válido. Verifique e tente novamente.');
+        showError(t('cpf.invalido'));
         cpfInput.focus();
         return;
     }
 
     setButtonLoading('btn-verificar-cpf', 'btn-verificar-text', 'btn-verificar-loader', 'btn-verificar-arrow', true);
 
+    // Com a sessão do membro (código do e-mail confirmado), a consulta já traz a empresa do convênio
+    const sessao = lerSessaoMembro();
+    const headers = {};
+    if (desafioToken) headers['X-Captcha-Token'] = desafioToken;
+    if (sessao) headers.Authorization = `Bearer ${sessao.token}`;
+
     try {
-        const res = await fetch(`api/verificar_cpf.php?cpf=${encodeURIComponent(cpfVal)}`);
+        const res = await fetch(`api/verificar_cpf.php?cpf=${encodeURIComponent(cpfVal)}`, { headers });
         const data = await res.json();
 
-        if (data.error) throw new Error(data.error);
+        // O token do desafio vale uma única consulta
+        if (desafioToken) reiniciarDesafio();
+
+        // Muitas consultas: exige o desafio anti-robô ou pede para aguardar
+        if (data.challenge_required) {
+            await exibirDesafio(data.challenge);
+            showError(mensagemDoCodigo(data), data.code);
+            return;
+        }
+        if (data.error) {
+            showError(mensagemDoCodigo(data, 'cpf.erro_verificar'), data.code);
+            return;
+        }
 
         // Salva os dados no estado global
         state.cpf = data.cpf || cpfDigits;
-        state.profileId = data.profile_id || null;
+        // A empresa não vem na consulta pública (revelaria o empregador de
+        // qualquer CPF): só com a sessão do membro ou o convênio comprovado
         state.companyId = data.company_id || null;
         state.companyName = data.company_name || null;
+        state.companySlug = data.company_slug || null;
         state.planType = data.plan_type || 'b2c';
         state.isNewUser = data.is_new_user || false;
 
-        // Pré-preenche dados pessoais se o usuário já existe no banco
+        // Convênio comprovado por código/e-mail nesta visita (o vínculo fica
+        // "pending", que o verificar_cpf.php ainda não reconhece)
+        if (!state.companyId && state.eligibility?.cpf === state.cpf) {
+            state.companyId = state.eligibility.companyId;
+            state.companyName = state.eligibility.companyName;
+            state.companySlug = state.eligibility.companySlug;
+            state.planType = 'convenio';
+        }
+
+        // Convênio sem a empresa: planos B2C até o vínculo ser comprovado (Etapa 2)
+        state.convenioAComprovar = state.planType === 'convenio' && !state.companyId;
+        if (state.convenioAComprovar) state.planType = 'b2c';
+
+        // Pré-preenche dados pessoais se o usuário já existe no banco. Eles vêm
+        // mascarados (ex: j***@gmail.com): mantidos sem alteração, o backend
+        // usa os valores cadastrados
+        state.prefill = null;
         if (data.found && !data.is_new_user) {
+            state.prefill = {
+                fullName: data.full_name || null,
+                email: data.email || null,
+                phone: data.phone || null,
+                birthDate: data.birth_date || null,
+            };
             if (data.full_name) document.getElementById('input-nome').value = data.full_name;
             if (data.email) document.getElementById('input-email').value = data.email;
-            if (data.phone) document.getElementById('input-telefone').value = formatPhone(data.phone);
-            if (data.birth_date) document.getElementById('input-nascimento').value = data.birth_date;
+            if (data.phone) document.getElementById('input-telefone').value = data.phone;
+            document.getElementById('input-nascimento').value = '';
         }
+        state.phoneWhatsapp = !!data.phone_whatsapp;
+        document.getElementById('chk-telefone-whatsapp').checked = state.phoneWhatsapp;
+        exibirAvisoDadosMascarados();
+
+        // Consentimentos começam desmarcados: os já dados não vêm na consulta
+        // pública e o backend não os revoga sem a sessão do membro
+        state.consents = { marketing_email: false, whatsapp: false, partner_sharing: false };
+        preencherConsentimentos();
 
         // Exibe o badge de convênio se aplicável
-        if (state.planType === 'convenio' && state.companyName) {
-            const badge = document.getElementById('badge-convenio');
-            document.getElementById('badge-company-name').textContent = state.companyName;
-            badge.classList.remove('hidden');
-            badge.classList.add('flex');
+        exibirBadgeConvenio();
+        exibirAvisoConvenio();
+
+        // Tema da empresa do convênio (sem tema ou sem convênio, volta à identidade da TKS)
+        if (state.companySlug) {
+            carregarTemaEmpresa({ slug: state.companySlug, convenio: true });
+        } else {
+            temaRequestId++; // descarta a busca pelo link do parceiro ainda em andamento
+            aplicarTemaEmpresa(null);
         }
 
         // Avança para a etapa de seleção de planos
@@ -419,199 +920,1346 @@ async function handleVerificarCpf() {
         await carregarPlanos();
 
     } catch (err) {
-        showError('Erro ao verificar CPF. Tente novamente.');
+        showError(t('cpf.erro_verificar'));
         console.error(err);
     } finally {
         setButtonLoading('btn-verificar-cpf', 'btn-verificar-text', 'btn-verificar-loader', 'btn-verificar-arrow', false);
     }
 }
 
+/**
+ * Aviso da Etapa 2 para o CPF com convênio cuja empresa a consulta pública
+ * não revela: leva à Etapa 1 para comprovar o vínculo (código ou e-mail).
+ */
+function exibirAvisoConvenio() {
+    document.getElementById('aviso-convenio').classList.toggle('hidden', !state.convenioAComprovar);
+}
+
+/** Volta à Etapa 1 com o painel "Tenho convênio" aberto. */
+function abrirComprovacaoConvenio() {
+    goToStep(1);
+    document.getElementById('convenio-panel').classList.remove('hidden');
+    document.querySelector('.convenio-tab.selected')?.focus();
+}
+
+/**
+ * Exibe o badge "Convênio Identificado" quando o CPF pertence a um convênio.
+ * O nome da empresa só aparece quando conhecido (convênio comprovado na Etapa 1).
+ */
+function exibirBadgeConvenio() {
+    if (state.planType === 'convenio') {
+        const badge = document.getElementById('badge-convenio');
+        const nome = document.getElementById('badge-company-name');
+        nome.textContent = state.companyName || '';
+        nome.classList.toggle('hidden', !state.companyName);
+        badge.classList.remove('hidden');
+        badge.classList.add('flex');
+    }
+
+    // Logo da empresa no lugar do ícone, quando o tema aplicado é o do convênio
+    const logoUrl = temaEmpresa?.company_id === state.companyId ? temaEmpresa.logo_url : null;
+    const badgeLogo = document.getElementById('badge-company-logo');
+    badgeLogo.src = logoUrl || '';
+    badgeLogo.alt = logoUrl ? (temaEmpresa.company_name || '') : '';
+    badgeLogo.classList.toggle('hidden', !logoUrl);
+    document.getElementById('badge-company-icon').classList.toggle('hidden', !!logoUrl);
+}
+
 // ============================================================
-// ETAPA 2: CARREGAMENTO E SELEÇÃO DE PLANOS
+// DESAFIO ANTI-ROBÔ (ETAPA 1)
+// Depois de várias consultas de CPF do mesmo IP, o verificar_cpf.php
+// exige o token de um captcha (Turnstile ou hCaptcha, conforme o
+// CAPTCHA_PROVIDER do servidor). No provedor "stub" (desenvolvimento
+// local) o widget é um checkbox.
 // ============================================================
 
+// Scripts dos widgets (carregados só quando o desafio é exigido)
+const DESAFIO_WIDGETS = {
+    turnstile: { src: 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit', global: 'turnstile' },
+    hcaptcha: { src: 'https://js.hcaptcha.com/1/api.js?render=explicit', global: 'hcaptcha' },
+};
+
+// Token aceito pelo provedor "stub" (mesmo valor de DESAFIO_STUB_TOKEN em desafio.php)
+const DESAFIO_STUB_TOKEN = 'stub-ok';
+
 /**
- * Busca os planos disponíveis na API conforme o tipo de usuário.
- * Convênio → planos específicos da empresa
- * B2C      → planos padrão
+ * Exibe o widget do desafio acima do botão "Continuar" da Etapa 1.
+ *
+ * @param {{ provider: string, site_key: string }} challenge - Retornado pelo verificar_cpf.php
  */
-async function carregarPlanos() {
-    const container = document.getElementById('planos-container');
-    const loader = document.getElementById('planos-loader');
-    const subtitle = document.getElementById('planos-subtitle');
-
-    loader.classList.remove('hidden');
+async function exibirDesafio(challenge) {
+    const container = document.getElementById('desafio-cpf');
+    container.classList.remove('hidden');
+    desafioToken = null;
+
+    if (challenge.provider === 'stub') {
+        if (container.childElementCount > 0) return;
+        const label = document.createElement('label');
+        label.className = 'flex items-center gap-3 p-3 border border-slate-200 rounded-xl text-sm text-slate-600 cursor-pointer';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = 'chk-desafio-stub';
+        checkbox.className = 'w-5 h-5 accent-tks-primary';
+        checkbox.addEventListener('change', () => {
+            desafioToken = checkbox.checked ? DESAFIO_STUB_TOKEN : null;
+        });
+        label.append(checkbox, t('cpf.desafio_stub'));
+        container.replaceChildren(label);
+        return;
+    }
 
-    let url = `api/listar_planos.php?plan_type=${state.planType}`;
-    if (state.companyId) url += `&company_id=${encodeURIComponent(state.companyId)}`;
+    const widget = DESAFIO_WIDGETS[challenge.provider];
+    if (!widget) return;
 
     try {
-        const res = await fetch(url);
-        const data = await res.json();
+        await carregarScriptDesafio(widget.src);
+    } catch (err) {
+        console.error('Erro ao carregar o desafio:', err);
+        return;
+    }
 
-        loader.classList.add('hidden');
+    const api = window[widget.global];
+    if (desafioWidgetId !== null) {
+        api.reset(desafioWidgetId);
+        return;
+    }
+    desafioWidgetId = api.render(container, {
+        sitekey: challenge.site_key,
+        callback: (token) => { desafioToken = token; },
+        'expired-callback': () => { desafioToken = null; },
+    });
+}
 
-        if (!data.plans || data.plans.length === 0) {
-            container.innerHTML = '<p class="text-center text-slate-400 py-6">Nenhum plano disponível no momento.</p>';
-            return;
-        }
+/** Descarta o token usado e prepara o widget para a próxima consulta. */
+function reiniciarDesafio() {
+    desafioToken = null;
 
-        if (data.plan_type === 'convenio') {
-            subtitle.textContent = `Planos exclusivos do seu convênio com ${state.companyName || 'a empresa parceira'}.`;
-        } else {
-            subtitle.textContent = 'Planos disponíveis para você.';
-        }
-
-        container.innerHTML = '';
-        data.plans.forEach(plan => {
-            const card = document.createElement('div');
-            card.className = 'plan-card';
-            card.dataset.planId = plan.id;
-            card.dataset.planName = plan.name;
-            card.dataset.planPrice = plan.price_formatted;
-            card.dataset.planIdentifier = plan.iugu_plan_identifier;
-
-            card.innerHTML = `
-                <div class="plan-radio"></div>
-                <div class="flex-grow">
-                    <p class="font-bold text-slate-800">${plan.name}</p>
-                    ${plan.description ? `<p class="text-xs text-slate-400 mt-0.5">${plan.description}</p>` : ''}
-                </div>
-                <div class="text-right flex-shrink-0">
-                    <p class="text-xl font-bold text-tks-primary">${plan.price_formatted}</p>
-                    <p class="text-xs text-slate-400">/mês</p>
-                </div>
-            `;
-
-            card.addEventListener('click', () => selectPlan(card, plan));
-            container.appendChild(card);
+    const stub = document.getElementById('chk-desafio-stub');
+    if (stub) stub.checked = false;
+
+    const api = Object.values(DESAFIO_WIDGETS).map(w => window[w.global]).find(Boolean);
+    if (api && desafioWidgetId !== null) api.reset(desafioWidgetId);
+}
+
+// Scripts de widget já carregados (ou carregando): src → Promise
+const scriptsDesafio = {};
+
+/** Carrega o script do widget uma única vez. */
+function carregarScriptDesafio(src) {
+    if (!scriptsDesafio[src]) {
+        scriptsDesafio[src] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.async = true;
+            script.onload = resolve;
+            script.onerror = () => {
+                delete scriptsDesafio[src]; // permite tentar de novo
+                reject(new Error(`Falha ao carregar ${src}`));
+            };
+            document.head.appendChild(script);
         });
+    }
+    return scriptsDesafio[src];
+}
+
+// ============================================================
+// IDIOMA DA PÁGINA
+// Textos em js/idiomas/ (js/i18n.mjs). O HTML traz o texto em
+// pt-BR e a chave em data-i18n (conteúdo) ou data-i18n-<atributo>
+// (placeholder, aria-label, title, alt); os textos montados pelo
+// JS usam t() e são refeitos aqui ao trocar de idioma.
+// ============================================================
+
+// Atributos traduzíveis via data-i18n-<atributo>
+const I18N_ATTRIBUTES = ['placeholder', 'aria-label', 'title', 'alt'];
 
+/** Lê o idioma salvo pelo seletor (localStorage pode estar bloqueado). */
+function idiomaArmazenado() {
+    try {
+        return localStorage.getItem(IDIOMA_STORAGE_KEY);
     } catch (err) {
-        loader.classList.add('hidden');
-        container.innerHTML = '<p class="text-center text-red-400 py-6">Erro ao carregar planos. Tente novamente.</p>';
-        console.error(err);
+        return null;
+    }
+}
+
+/** Chamado pelo seletor de idioma: salva a escolha e reaplica os textos. */
+function trocarIdioma(tag) {
+    definirIdioma(tag);
+    try {
+        localStorage.setItem(IDIOMA_STORAGE_KEY, idiomaAtual());
+    } catch (err) {
+        // Sem localStorage a escolha vale só para esta visita
     }
+    aplicarIdioma();
+    rastrearFunil('language_changed');
 }
 
 /**
- * Seleciona um plano e habilita o botão de continuar.
+ * Aplica o idioma atual à página: textos marcados no HTML e as partes
+ * montadas pelo JS na etapa em que o usuário está. Dados digitados e
+ * o `state` não mudam.
  */
-function selectPlan(cardEl, plan) {
-    document.querySelectorAll('.plan-card').forEach(c => c.classList.remove('selected'));
-    cardEl.classList.add('selected');
-    state.selectedPlan = plan;
-    document.getElementById('btn-selecionar-plano').disabled = false;
+function aplicarIdioma() {
+    const idioma = idiomaAtual();
+    document.documentElement.lang = idioma;
+    document.getElementById('select-idioma').value = idioma;
+
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+        // Botões com loading restauram o texto de data-original
+        if (el.dataset.original) el.dataset.original = el.textContent;
+    });
+    I18N_ATTRIBUTES.forEach(attr => {
+        document.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+            el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+        });
+    });
+
+    // Aviso de que os termos só existem em português (vazio no pt-BR)
+    const avisoTermos = document.getElementById('termos-aviso-idioma');
+    avisoTermos.classList.toggle('hidden', !avisoTermos.textContent);
+
+    // --- Textos montados pelo JS ---
+    if (STEP_SEQUENCE.includes(currentStep)) updateProgressIndicator(currentStep === 'dependentes' ? 3 : currentStep);
+    aplicarTemaEmpresa(temaEmpresa);
+    if (planosCarregados.length > 0) {
+        atualizarSubtituloPlanos();
+        montarToggleCiclo();
+        renderizarPlanos();
+    }
+    exibirAvisoDadosMascarados();
+    if (currentStep === 'dependentes') renderizarDependentes();
+    if (currentStep === 4) {
+        preencherResumo();
+        if (state.paymentMethod && state.paymentMethod !== 'credit_card') {
+            document.getElementById('aviso-boleto-pix-text').textContent = textoAvisoPagamento(state.paymentMethod);
+        }
+        if (state.savedCards?.length > 0) renderizarCartoesSalvos();
+    }
+    if (termosVigentes) renderizarTermos(termosVigentes);
 }
 
 // ============================================================
-// ETAPA 3: CONFIRMAÇÃO DE DADOS PESSOAIS
+// TEMA DO CONVÊNIO
+// Logo, cores, boas-vindas e condições da empresa conveniada
+// (api/tema_empresa.php). Carregado pelo link do parceiro
+// (?empresa=slug) ou quando a Etapa 1 identifica o convênio.
+// O tema é só visual: os planos continuam dependendo do CPF.
 // ============================================================
 
 /**
- * Valida todos os dados pessoais antes de avançar para o pagamento.
- *
- * Validações:
- *  - Nome: obrigatório
- *  - E-mail: formato válido com @ e domínio
- *  - Telefone: DDD (2 dígitos) + 9 + 8 dígitos = 11 dígitos no total
- *  - Data de Nascimento: data válida, não futura, mínimo 15 anos
+ * Busca e aplica o tema da empresa. Falhas mantêm o tema atual:
+ * a página continua funcionando com a identidade da TKS.
  *
- * Exibe erros inline abaixo de cada campo com problema.
- * Só avança se TODOS os campos estiverem válidos.
+ * @param {{ slug: string, convenio?: boolean }} origem - Slug do link do parceiro ou
+ *        do convênio comprovado (`convenio: true`)
  */
-function handleConfirmarDados() {
-    const nome = document.getElementById('input-nome').value.trim();
-    const email = document.getElementById('input-email').value.trim();
-    const telefone = document.getElementById('input-telefone').value.trim();
-    const nascimento = document.getElementById('input-nascimento').value.trim();
+async function carregarTemaEmpresa({ slug, convenio = false }) {
+    if (convenio && temaEmpresa?.slug === slug) return;
 
-    // Limpa todos os erros anteriores
-    ['input-nome', 'input-email', 'input-telefone', 'input-nascimento'].forEach(clearFieldError);
+    const requestId = ++temaRequestId;
 
-    let hasError = false;
+    try {
+        const res = await fetch(`api/tema_empresa.php?empresa=${encodeURIComponent(slug)}`);
+        if (!res.ok) return;
+        const data = await res.json();
 
-    // --- Validação: Nome ---
-    if (!nome) {
-        showFieldError('input-nome', 'Por favor, informe seu nome completo.');
-        hasError = true;
-    } else if (nome.split(' ').filter(p => p.length > 0).length < 2) {
-        showFieldError('input-nome', 'Informe seu nome e sobrenome.');
-        hasError = true;
+        // Uma busca mais recente já foi feita (ex: convênio identificado pelo CPF)
+        if (requestId !== temaRequestId) return;
+
+        // Convênio sem tema ativo: não mantém o tema de outra empresa
+        if (data.theme || convenio) aplicarTemaEmpresa(data.theme || null);
+    } catch (err) {
+        console.warn('Tema do convênio indisponível:', err);
     }
+}
 
-    // --- Validação: E-mail ---
-    if (!email) {
-        showFieldError('input-email', 'Por favor, informe seu e-mail.');
-        hasError = true;
-    } else if (!validarEmail(email)) {
-        showFieldError('input-email', 'E-mail inválido. Informe um e-mail no formato usuario@dominio.com');
-        hasError = true;
+/**
+ * Aplica o tema na página: variáveis de cor do css/style.css, logo do
+ * parceiro no cabeçalho e no badge, boas-vindas e condições do convênio
+ * no modal de termos. Todos os textos entram via textContent.
+ *
+ * @param {object|null} theme - Retorno de tema_empresa.php (null = tema padrão)
+ */
+function aplicarTemaEmpresa(theme) {
+    temaEmpresa = theme;
+
+    // --- Cores ---
+    const root = document.documentElement.style;
+    if (theme) {
+        const rgb = hexParaRgb(theme.primary_color).join(', ');
+        root.setProperty('--tks-primary', theme.primary_color);
+        root.setProperty('--tks-primary-rgb', rgb);
+        root.setProperty('--tks-dark', `rgba(${rgb}, 0.85)`);
+        if (theme.secondary_color) {
+            root.setProperty('--tks-secondary', theme.secondary_color);
+        } else {
+            root.removeProperty('--tks-secondary');
+        }
+    } else {
+        ['--tks-primary', '--tks-primary-rgb', '--tks-dark', '--tks-secondary']
+            .forEach(prop => root.removeProperty(prop));
     }
 
-    // --- Validação: Telefone ---
-    const telResult = validarTelefone(telefone);
-    if (!telResult.valid) {
-        showFieldError('input-telefone', telResult.message);
+    // --- Logo do parceiro ao lado da TKS ---
+    const logoUrl = theme?.logo_url || null;
+    const logo = document.getElementById('logo-parceiro');
+    logo.src = logoUrl || '';
+    logo.alt = logoUrl ? (theme.company_name || '') : '';
+    logo.classList.toggle('hidden', !logoUrl);
+    document.getElementById('logo-parceiro-divisor').classList.toggle('hidden', !logoUrl);
+
+    // --- Boas-vindas da Etapa 1 ---
+    document.getElementById('boas-vindas-titulo').textContent = theme?.welcome_title || t('cpf.boas_vindas_titulo');
+    document.getElementById('boas-vindas-texto').textContent = theme?.welcome_text || t('cpf.boas_vindas_texto');
+
+    // --- Condições do convênio no modal de termos ---
+    const terms = theme?.terms || null;
+    const termosTexto = document.getElementById('termos-convenio-texto');
+    termosTexto.replaceChildren(...(terms?.paragraphs || []).map(paragrafo => {
+        const p = document.createElement('p');
+        p.textContent = paragrafo;
+        return p;
+    }));
+    document.getElementById('termos-convenio-titulo').textContent = terms?.title || '';
+    document.getElementById('termos-convenio').classList.toggle('hidden', !terms);
+
+    exibirBadgeConvenio();
+}
+
+/** Converte "#RRGGBB" em [r, g, b] (usado nas variáveis rgba do tema). */
+function hexParaRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// ============================================================
+// ETAPA 1: "TENHO CONVÊNIO" (CÓDIGO DE ACESSO OU E-MAIL CORPORATIVO)
+// Para funcionários que a empresa parceira ainda não cadastrou
+// em company_members. Comprovado o vínculo, o backend cria o
+// vínculo pendente e o checkout segue com os planos da empresa.
+// ============================================================
+
+/** Alterna entre as abas "Código de acesso" e "E-mail corporativo". */
+function selectConvenioTab(tab) {
+    document.querySelectorAll('.convenio-tab').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.tab === tab);
+        btn.setAttribute('aria-pressed', String(btn.dataset.tab === tab));
+    });
+    document.getElementById('convenio-tab-codigo').classList.toggle('hidden', tab !== 'codigo');
+    document.getElementById('convenio-tab-email').classList.toggle('hidden', tab !== 'email');
+}
+
+/**
+ * Lê e valida o CPF da Etapa 1 — o vínculo com a empresa é sempre do CPF titular.
+ * @returns {string|null} CPF com 11 dígitos ou null (com erro exibido)
+ */
+function lerCpfEtapa1() {
+    const cpfInput = document.getElementById('input-cpf');
+    const cpfDigits = cpfInput.value.replace(/\D/g, '');
+
+    if (!validarCPF(cpfDigits)) {
+        showError(t('convenio.cpf_antes'));
+        cpfInput.focus();
+        return null;
+    }
+    return cpfDigits;
+}
+
+/** Valida o código de acesso da empresa digitado pelo usuário. */
+async function handleValidarCodigoConvenio() {
+    const cpf = lerCpfEtapa1();
+    if (!cpf) return;
+
+    const code = document.getElementById('input-codigo-convenio').value.trim();
+    if (!code) {
+        showFieldError('input-codigo-convenio', t('convenio.codigo_obrigatorio'));
+        return;
+    }
+
+    setButtonLoading('btn-validar-codigo-convenio', 'btn-validar-codigo-convenio-text',
+        'btn-validar-codigo-convenio-loader', 'btn-validar-codigo-convenio-icon', true);
+
+    try {
+        const res = await fetch('api/validar_codigo_convenio.php', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ cpf, access_code: code }),
+        });
+        const data = await res.json();
+
+        if (data.error) throw new Error(mensagemDoCodigo(data));
+
+        if (!data.eligible) {
+            showFieldError('input-codigo-convenio', mensagemDoCodigo(data, 'convenio.codigo_invalido'), data.code);
+            return;
+        }
+
+        await aplicarConvenio(cpf, data);
+
+    } catch (err) {
+        showError(err.message || t('convenio.erro_validar'));
+        console.error(err);
+    } finally {
+        setButtonLoading('btn-validar-codigo-convenio', 'btn-validar-codigo-convenio-text',
+            'btn-validar-codigo-convenio-loader', 'btn-validar-codigo-convenio-icon', false);
+    }
+}
+
+/** Envia o código de verificação para o e-mail corporativo. */
+async function handleEnviarCodigoConvenio() {
+    const cpf = lerCpfEtapa1();
+    if (!cpf) return;
+
+    const email = document.getElementById('input-email-corporativo').value.trim();
+    if (!validarEmail(email)) {
+        showFieldError('input-email-corporativo', t('convenio.email_invalido'));
+        return;
+    }
+
+    setButtonLoading('btn-enviar-codigo-convenio', 'btn-enviar-codigo-convenio-text',
+        'btn-enviar-codigo-convenio-loader', 'btn-enviar-codigo-convenio-icon', true);
+
+    try {
+        const res = await fetch('api/enviar_codigo_convenio.php', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ cpf, email }),
+        });
+        const data = await res.json();
+
+        if (data.error) throw new Error(mensagemDoCodigo(data));
+
+        if (!data.sent) {
+            showFieldError('input-email-corporativo', mensagemDoCodigo(data, 'convenio.envio_falhou'), data.code);
+            return;
+        }
+
+        document.getElementById('convenio-otp-text').textContent =
+            t('convenio.otp_enviado', { email: data.email_masked });
+        document.getElementById('convenio-otp').classList.remove('hidden');
+        document.getElementById('input-otp-convenio').focus();
+
+    } catch (err) {
+        showError(err.message || t('convenio.erro_enviar'));
+        console.error(err);
+    } finally {
+        setButtonLoading('btn-enviar-codigo-convenio', 'btn-enviar-codigo-convenio-text',
+            'btn-enviar-codigo-convenio-loader', 'btn-enviar-codigo-convenio-icon', false);
+    }
+}
+
+/** Confere o código recebido no e-mail corporativo. */
+async function handleConfirmarCodigoConvenio() {
+    const cpf = lerCpfEtapa1();
+    if (!cpf) return;
+
+    const email = document.getElementById('input-email-corporativo').value.trim();
+    const code = document.getElementById('input-otp-convenio').value.replace(/\D/g, '');
+    if (code.length !== 6) {
+        showFieldError('input-otp-convenio', t('convenio.otp_incompleto'));
+        return;
+    }
+
+    setButtonLoading('btn-confirmar-codigo-convenio', 'btn-confirmar-codigo-convenio-text',
+        'btn-confirmar-codigo-convenio-loader', 'btn-confirmar-codigo-convenio-icon', true);
+
+    try {
+        const res = await fetch('api/confirmar_codigo_convenio.php', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ cpf, email, code }),
+        });
+        const data = await res.json();
+
+        if (data.error) throw new Error(mensagemDoCodigo(data));
+
+        if (!data.eligible) {
+            showFieldError('input-otp-convenio', mensagemDoCodigo(data, 'convenio.otp_incorreto'), data.code);
+            return;
+        }
+
+        await aplicarConvenio(cpf, data);
+
+    } catch (err) {
+        showError(err.message || t('convenio.erro_confirmar'));
+        console.error(err);
+    } finally {
+        setButtonLoading('btn-confirmar-codigo-convenio', 'btn-confirmar-codigo-convenio-text',
+            'btn-confirmar-codigo-convenio-loader', 'btn-confirmar-codigo-convenio-icon', false);
+    }
+}
+
+/**
+ * Registra o convênio comprovado e segue para a escolha de planos,
+ * que passa a listar os planos do contrato da empresa.
+ *
+ * @param {string} cpf  - CPF titular (apenas dígitos)
+ * @param {object} data - Retorno da API: { company_id, company_name, company_slug }
+ */
+async function aplicarConvenio(cpf, data) {
+    state.eligibility = {
+        cpf,
+        companyId: data.company_id,
+        companyName: data.company_name,
+        companySlug: data.company_slug || null,
+    };
+    document.getElementById('convenio-panel').classList.add('hidden');
+    salvarEstado();
+
+    // Segue o fluxo normal da Etapa 1 (perfil, pré-preenchimento e planos)
+    await handleVerificarCpf();
+}
+
+// ============================================================
+// ETAPA 2: CARREGAMENTO E SELEÇÃO DE PLANOS
+// ============================================================
+
+/**
+ * Busca os planos disponíveis na API conforme o tipo de usuário.
+ * Convênio → planos específicos da empresa
+ * B2C      → planos padrão
+ */
+async function carregarPlanos() {
+    const container = document.getElementById('planos-container');
+    const loader = document.getElementById('planos-loader');
+
+    loader.classList.remove('hidden');
+    container.innerHTML = '';
+    anunciar(t('planos.carregando'));
+
+    let url = `api/listar_planos.php?plan_type=${state.planType}`;
+    if (state.companyId) url += `&company_id=${encodeURIComponent(state.companyId)}`;
+
+    try {
+        const res = await fetch(url);
+        const data = await res.json();
+
+        loader.classList.add('hidden');
+        folhaPermitida = !!data.payroll_allowed;
+
+        if (!data.plans || data.plans.length === 0) {
+            planosCarregados = [];
+            document.getElementById('ciclo-toggle').classList.add('hidden');
+            container.innerHTML = `<p class="text-center text-slate-500 py-6">${t('planos.nenhum')}</p>`;
+            anunciar(t('planos.nenhum'));
+            return;
+        }
+
+        planosCarregados = data.plans;
+        atualizarSubtituloPlanos();
+
+        // Checkout retomado: mantém o plano salvo se ele ainda estiver disponível
+        if (state.selectedPlan) {
+            const savedPlan = planosCarregados.find(p => p.id === state.selectedPlan.id);
+            state.selectedPlan = savedPlan || null;
+            if (savedPlan) state.billingCycle = savedPlan.billing_cycle;
+        }
+
+        montarToggleCiclo();
+        renderizarPlanos();
+        anunciar(t('planos.disponiveis', { count: planosCarregados.length }));
+
+    } catch (err) {
+        loader.classList.add('hidden');
+        container.innerHTML = `<p class="text-center text-red-600 py-6">${t('planos.erro')}</p>`;
+        anunciar(t('planos.erro'), 'assertive');
+        console.error(err);
+    }
+}
+
+/** Subtítulo da Etapa 2 conforme o tipo de plano (convênio ou B2C). */
+function atualizarSubtituloPlanos() {
+    document.getElementById('planos-subtitle').textContent = state.planType === 'convenio'
+        ? t('planos.subtitulo_convenio', { empresa: state.companyName || t('planos.empresa_parceira') })
+        : t('planos.subtitulo_b2c');
+}
+
+/**
+ * Período de cobrança exibido ao lado do preço (ex: "/mês", "/ano").
+ * Os ciclos conhecidos têm rótulo próprio; os demais usam o intervalo
+ * da Iugu ("/2 meses", "/4 semanas").
+ *
+ * @param {object} plan - Plano do listar_planos.php
+ * @returns {string}
+ */
+function rotuloPeriodo(plan) {
+    if (plan.billing_cycle && plan.billing_cycle !== 'other') return t(`planos.periodo.${plan.billing_cycle}`);
+    const unidade = plan.interval_type === 'weeks' ? 'semanas' : 'meses';
+    return t(`planos.periodo.${unidade}`, { count: plan.interval || 1 });
+}
+
+/**
+ * Monta o seletor de ciclo de cobrança (Mensal / Semestral / Anual)
+ * com os ciclos presentes nos planos carregados. Com um único ciclo,
+ * o seletor fica oculto.
+ */
+function montarToggleCiclo() {
+    const toggle = document.getElementById('ciclo-toggle');
+    const ciclos = CYCLE_ORDER.filter(c => planosCarregados.some(p => p.billing_cycle === c));
+
+    if (!ciclos.includes(state.billingCycle)) {
+        state.billingCycle = ciclos.includes('monthly') ? 'monthly' : ciclos[0];
+    }
+
+    toggle.innerHTML = '';
+    toggle.classList.toggle('hidden', ciclos.length < 2);
+    toggle.classList.toggle('flex', ciclos.length >= 2);
+
+    ciclos.forEach(ciclo => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'cycle-btn flex-1 py-2 rounded-lg text-sm font-semibold text-slate-600 transition-all';
+        btn.dataset.cycle = ciclo;
+        btn.textContent = t(`planos.ciclo.${ciclo}`);
+        btn.classList.toggle('selected', ciclo === state.billingCycle);
+        btn.setAttribute('aria-pressed', String(ciclo === state.billingCycle));
+        btn.addEventListener('click', () => selectCycle(ciclo));
+        toggle.appendChild(btn);
+    });
+}
+
+/**
+ * Troca o ciclo de cobrança exibido. Se o plano selecionado for de
+ * outro ciclo, a seleção é desfeita.
+ */
+function selectCycle(ciclo) {
+    state.billingCycle = ciclo;
+
+    document.querySelectorAll('.cycle-btn').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.cycle === ciclo);
+        btn.setAttribute('aria-pressed', String(btn.dataset.cycle === ciclo));
+    });
+
+    if (state.selectedPlan && state.selectedPlan.billing_cycle !== ciclo) {
+        state.selectedPlan = null;
+        state.coupon = null;
+    }
+
+    renderizarPlanos();
+    salvarEstado();
+}
+
+/**
+ * Renderiza os cards dos planos do ciclo de cobrança selecionado.
+ * Os cards formam um grupo de radio (role="radio" no #planos-container,
+ * que é o radiogroup): Tab entra no plano marcado, setas trocam de plano.
+ */
+function renderizarPlanos() {
+    const container = document.getElementById('planos-container');
+    const visiveis = planosCarregados.filter(p => p.billing_cycle === state.billingCycle);
+
+    container.innerHTML = '';
+    visiveis.forEach(plan => {
+        const card = document.createElement('div');
+        card.className = 'plan-card';
+        card.setAttribute('role', 'radio');
+        card.dataset.planId = plan.id;
+        card.dataset.planName = plan.name;
+        card.dataset.planPrice = formatarMoeda(plan.price);
+        card.dataset.planIdentifier = plan.iugu_plan_identifier;
+
+        // Planos não mensais: valor mensal equivalente e economia em relação ao mensal
+        const equivalente = (plan.billing_cycle !== 'monthly' && plan.monthly_equivalent != null)
+            ? `<p class="text-xs text-slate-500">${t('planos.equivale', { valor: formatarMoeda(plan.monthly_equivalent) })}</p>`
+            : '';
+        const economia = plan.savings != null
+            ? `<span class="inline-block mt-1 text-xs font-bold text-green-700 bg-green-50 border border-green-200 rounded-full px-2 py-0.5">${t('planos.economia', { valor: formatarMoeda(plan.savings), percentual: plan.savings_percent })}</span>`
+            : '';
+
+        card.innerHTML = `
+            <div class="plan-radio" aria-hidden="true"></div>
+            <div class="flex-grow">
+                <p class="font-bold text-slate-800">${plan.name}</p>
+                ${plan.description ? `<p class="text-xs text-slate-500 mt-0.5">${plan.description}</p>` : ''}
+                ${economia}
+            </div>
+            <div class="text-right flex-shrink-0">
+                <p class="text-xl font-bold text-tks-primary">${formatarMoeda(plan.price)}</p>
+                <p class="text-xs text-slate-500">${rotuloPeriodo(plan)}</p>
+                ${equivalente}
+            </div>
+        `;
+
+        card.addEventListener('click', () => selectPlan(card, plan));
+        container.appendChild(card);
+
+        if (state.selectedPlan && state.selectedPlan.id === plan.id) card.classList.add('selected');
+    });
+
+    sincronizarRadios(container);
+    document.getElementById('btn-selecionar-plano').disabled = !state.selectedPlan;
+}
+
+/**
+ * Seleciona um plano e habilita o botão de continuar.
+ */
+function selectPlan(cardEl, plan) {
+    document.querySelectorAll('.plan-card').forEach(c => c.classList.remove('selected'));
+    cardEl.classList.add('selected');
+    sincronizarRadios(document.getElementById('planos-container'));
+
+    // O desconto do cupom foi calculado para o plano anterior
+    if (state.selectedPlan && state.selectedPlan.id !== plan.id) state.coupon = null;
+
+    state.selectedPlan = plan;
+    document.getElementById('btn-selecionar-plano').disabled = false;
+    salvarEstado();
+    rastrearFunil('plan_selected', dadosPlanoFunil());
+}
+
+// ============================================================
+// ETAPA 3: CONFIRMAÇÃO DE DADOS PESSOAIS
+// ============================================================
+
+/**
+ * Valida todos os dados pessoais antes de avançar para o pagamento.
+ *
+ * Validações:
+ *  - Nome: obrigatório
+ *  - E-mail: formato válido com @ e domínio
+ *  - Telefone: DDD existente + celular (9 dígitos) ou fixo (8 dígitos)
+ *  - Data de Nascimento: data válida, não futura, mínimo 15 anos
+ *  - Endereço: CEP, rua, número, bairro, cidade e UF
+ *
+ * Exibe erros inline abaixo de cada campo com problema.
+ * Só avança se TODOS os campos estiverem válidos.
+ */
+function handleConfirmarDados() {
+    const nome = document.getElementById('input-nome').value.trim();
+    const email = document.getElementById('input-email').value.trim();
+    const telefone = document.getElementById('input-telefone').value.trim();
+    const nascimento = document.getElementById('input-nascimento').value.trim();
+
+    // Lê o endereço
+    const endereco = {};
+    Object.entries(ADDRESS_FIELDS).forEach(([key, id]) => {
+        endereco[key] = document.getElementById(id).value.trim();
+    });
+    endereco.zipCode = endereco.zipCode.replace(/\D/g, '');
+
+    // Limpa todos os erros anteriores
+    ['input-nome', 'input-email', 'input-telefone', 'input-nascimento', ...Object.values(ADDRESS_FIELDS)].forEach(clearFieldError);
+
+    let hasError = false;
+
+    // Dado cadastrado mantido como veio (mascarado): não há o que validar aqui
+    const mantido = (campo, valor) => !!state.prefill?.[campo] && valor === state.prefill[campo];
+    const nascimentoMantido = !nascimento && !!state.prefill?.birthDate;
+
+    // --- Validação: Nome ---
+    if (mantido('fullName', nome)) {
+        // Nome cadastrado confirmado
+    } else if (!nome) {
+        showFieldError('input-nome', t('dados.nome_obrigatorio'));
+        hasError = true;
+    } else if (nome.split(' ').filter(p => p.length > 0).length < 2) {
+        showFieldError('input-nome', t('dados.nome_sobrenome'));
+        hasError = true;
+    }
+
+    // --- Validação: E-mail ---
+    if (mantido('email', email)) {
+        // E-mail cadastrado confirmado
+    } else if (!email) {
+        showFieldError('input-email', t('dados.email_obrigatorio'));
+        hasError = true;
+    } else if (!validarEmail(email)) {
+        showFieldError('input-email', t('dados.email_invalido'));
+        hasError = true;
+    }
+
+    // --- Validação: Telefone ---
+    const telResult = mantido('phone', telefone) ? { valid: true } : validarTelefone(telefone);
+    if (!telResult.valid) {
+        showFieldError('input-telefone', mensagemDoCodigo(telResult), telResult.code);
         hasError = true;
     }
 
     // --- Validação: Data de Nascimento ---
-    const nascResult = validarDataNascimento(nascimento);
+    const nascResult = nascimentoMantido ? { valid: true } : validarDataNascimento(nascimento);
+    if (!nascResult.valid) {
+        showFieldError('input-nascimento', mensagemDoCodigo(nascResult), nascResult.code);
+        hasError = true;
+    }
+
+    // --- Validação: Endereço ---
+    validarEndereco(endereco).forEach(erro => {
+        showFieldError(ADDRESS_FIELDS[erro.field], mensagemDoCodigo(erro), erro.code);
+        hasError = true;
+    });
+
+    // Se houver qualquer erro, interrompe e não avança
+    if (hasError) {
+        showError(t('dados.corrija'));
+        return;
+    }
+
+    // Todos os campos válidos — salva no estado e avança
+    state.fullName = nome;
+    state.email = email;
+    state.phone = mantido('phone', telefone) ? telefone : telefoneE164(telefone);
+    state.phoneWhatsapp = document.getElementById('chk-telefone-whatsapp').checked;
+    state.birthDate = nascimentoMantido ? state.prefill.birthDate : nascimento;
+    state.address = endereco;
+    state.consents = Object.fromEntries(Object.entries(CONSENT_FIELDS).map(
+        ([purpose, id]) => [purpose, document.getElementById(id).checked]
+    ));
+    // Compartilhamento só existe no convênio
+    if (state.planType !== 'convenio') state.consents.partner_sharing = false;
+
+    // Plano com dependentes: passa pela etapa opcional de dependentes
+    if (maxDependentes() > 0) {
+        goToStep('dependentes');
+        return;
+    }
+
+    preencherResumo();
+    goToStep(4);
+}
+
+/**
+ * Consulta o CEP digitado e preenche rua, bairro, cidade e UF.
+ * Se o CEP não for encontrado, o usuário preenche manualmente.
+ */
+async function handleBuscarCep() {
+    const cep = document.getElementById('input-cep').value.replace(/\D/g, '');
+    const loader = document.getElementById('cep-loader');
+
+    clearFieldError('input-cep');
+    loader.classList.remove('hidden');
+
+    try {
+        const res = await fetch(`api/buscar_cep.php?cep=${encodeURIComponent(cep)}`);
+        const data = await res.json();
+
+        if (data.error) throw new Error(mensagemDoCodigo(data));
+
+        if (!data.found) {
+            showFieldError('input-cep', t('dados.cep_nao_encontrado'));
+            return;
+        }
+
+        const campos = { street: 'input-rua', district: 'input-bairro', city: 'input-cidade', state: 'input-uf' };
+        Object.entries(campos).forEach(([key, id]) => {
+            if (data.address[key]) {
+                document.getElementById(id).value = data.address[key];
+                clearFieldError(id);
+            }
+        });
+
+        // Rua preenchida: o próximo campo a digitar é o número
+        document.getElementById(data.address.street ? 'input-numero' : 'input-rua').focus();
+
+    } catch (err) {
+        // Falha na consulta não bloqueia o checkout: o endereço pode ser digitado
+        console.error(err);
+    } finally {
+        loader.classList.add('hidden');
+    }
+}
+
+/**
+ * Marca os checkboxes de consentimento conforme state.consents. O de
+ * compartilhamento com a empresa só aparece no convênio, com o nome dela
+ * (ou "a empresa parceira", quando o nome não é conhecido).
+ */
+function preencherConsentimentos() {
+    Object.entries(CONSENT_FIELDS).forEach(([purpose, id]) => {
+        document.getElementById(id).checked = !!state.consents?.[purpose];
+    });
+
+    const convenio = state.planType === 'convenio';
+    const parceiro = document.getElementById('consent-parceiro');
+    parceiro.classList.toggle('hidden', !convenio);
+    parceiro.classList.toggle('flex', convenio);
+    if (convenio) {
+        document.getElementById('consent-parceiro-nome').textContent = state.companyName || t('planos.empresa_parceira');
+    }
+}
+
+/**
+ * Avisa que os dados cadastrados estão mascarados e mostra o ano do
+ * nascimento já cadastrado (o campo de data não aceita valor mascarado).
+ */
+function exibirAvisoDadosMascarados() {
+    document.getElementById('aviso-dados-mascarados').classList.toggle('hidden', !state.prefill);
+
+    const nascimento = document.getElementById('nascimento-cadastrado');
+    const cadastrado = state.prefill?.birthDate;
+    nascimento.textContent = cadastrado ? t('dados.nascimento_cadastrado', { data: cadastrado }) : '';
+    nascimento.classList.toggle('hidden', !cadastrado);
+}
+
+// ============================================================
+// ETAPA 3b: DEPENDENTES (OPCIONAL)
+// Só aparece quando o plano selecionado permite dependentes
+// (plans.max_dependents > 0). O titular pode adicionar até o
+// limite do plano ou seguir direto para o pagamento.
+// ============================================================
+
+/** Quantidade máxima de dependentes do plano selecionado. */
+function maxDependentes() {
+    return parseInt(state.selectedPlan?.max_dependents) || 0;
+}
+
+/**
+ * Valida e adiciona um dependente à lista.
+ *
+ * Validações (mesmas regras do titular):
+ *  - Nome e sobrenome
+ *  - CPF válido (algoritmo oficial), diferente do titular e dos demais dependentes
+ *  - Data de nascimento válida e não futura (sem idade mínima)
+ *  - Grau de parentesco informado
+ */
+function handleAdicionarDependente() {
+    const ids = ['input-dep-nome', 'input-dep-cpf', 'input-dep-nascimento', 'input-dep-parentesco'];
+    const nome = document.getElementById('input-dep-nome').value.trim();
+    const cpf = document.getElementById('input-dep-cpf').value.replace(/\D/g, '');
+    const nascimento = document.getElementById('input-dep-nascimento').value.trim();
+    const parentesco = document.getElementById('input-dep-parentesco').value;
+
+    ids.forEach(clearFieldError);
+
+    if (state.dependents.length >= maxDependentes()) {
+        showError(t('dependentes.limite', { count: maxDependentes() }));
+        return;
+    }
+
+    let hasError = false;
+
+    if (nome.split(' ').filter(p => p.length > 0).length < 2) {
+        showFieldError('input-dep-nome', t('dependentes.nome_sobrenome'));
+        hasError = true;
+    }
+
+    if (!validarCPF(cpf)) {
+        showFieldError('input-dep-cpf', t('dependentes.cpf_invalido'));
+        hasError = true;
+    } else if (cpf === state.cpf || state.dependents.some(d => d.cpf === cpf)) {
+        showFieldError('input-dep-cpf', t('dependentes.cpf_repetido'));
+        hasError = true;
+    }
+
+    const nascResult = validarDataNascimento(nascimento, 0);
     if (!nascResult.valid) {
-        showFieldError('input-nascimento', nascResult.message);
+        showFieldError('input-dep-nascimento', mensagemDoCodigo(nascResult), nascResult.code);
         hasError = true;
     }
 
-    // Se houver qualquer erro, interrompe e não avança
-    if (hasError) {
-        showError('Por favor, corrija os campos destacados em vermelho antes de continuar.');
-        return;
-    }
+    if (!RELATIONSHIP_VALUES.includes(parentesco)) {
+        showFieldError('input-dep-parentesco', t('dependentes.parentesco_obrigatorio'));
+        hasError = true;
+    }
+
+    if (hasError) return;
+
+    state.dependents.push({ fullName: nome, cpf, birthDate: nascimento, relationship: parentesco });
+    ids.forEach(id => { document.getElementById(id).value = ''; });
+
+    renderizarDependentes();
+    salvarEstado();
+}
+
+/** Remove um dependente da lista pelo índice. */
+function removerDependente(index) {
+    state.dependents.splice(index, 1);
+    renderizarDependentes();
+    salvarEstado();
+}
+
+/**
+ * Renderiza a lista de dependentes adicionados e o contador "x de N".
+ * Esconde o formulário quando o limite do plano é atingido.
+ */
+function renderizarDependentes() {
+    const lista = document.getElementById('dependentes-lista');
+    const max = maxDependentes();
+
+    // O plano pode ter sido trocado por um com limite menor
+    if (state.dependents.length > max) state.dependents = state.dependents.slice(0, max);
+
+    lista.innerHTML = '';
+    state.dependents.forEach((dep, index) => {
+        const item = document.createElement('div');
+        item.className = 'flex items-center gap-3 bg-slate-50 rounded-xl px-4 py-3';
+        item.innerHTML = `
+            <i class="fas fa-user text-slate-300" aria-hidden="true"></i>
+            <div class="flex-grow min-w-0">
+                <p class="font-semibold text-slate-800 text-sm truncate"></p>
+                <p class="text-xs text-slate-500">${t('dependentes.item', { parentesco: t(`parentesco.${dep.relationship}`), cpf: formatCpf(dep.cpf) })}</p>
+            </div>
+            <button type="button" class="text-slate-500 hover:text-red-500 transition-colors" title="${t('comum.remover')}">
+                <i class="fas fa-trash-alt"></i>
+            </button>
+        `;
+        item.querySelector('p').textContent = dep.fullName;
+        item.querySelector('button').setAttribute('aria-label', t('dependentes.remover', { nome: dep.fullName }));
+        item.querySelector('button').addEventListener('click', () => removerDependente(index));
+        lista.appendChild(item);
+    });
+
+    document.getElementById('dependentes-contador').textContent = t('dependentes.contador', { count: state.dependents.length, max });
+    document.getElementById('dependentes-form').classList.toggle('hidden', state.dependents.length >= max);
+    document.getElementById('btn-confirmar-dependentes-text').textContent =
+        t(state.dependents.length > 0 ? 'comum.continuar' : 'dependentes.pular');
+}
+
+/**
+ * Preenche o resumo do plano selecionado na etapa de pagamento.
+ * Com cupom aplicado, mostra o preço original riscado e o valor final.
+ */
+function preencherResumo() {
+    exibirOpcaoFolha();
+
+    const original = document.getElementById('resumo-plano-preco-original');
+    const preco = document.getElementById('resumo-plano-preco');
+
+    document.getElementById('resumo-plano-nome').textContent = state.selectedPlan?.name || '—';
+    document.getElementById('resumo-plano-periodo').textContent = state.selectedPlan ? rotuloPeriodo(state.selectedPlan) : '';
+
+    if (state.coupon) {
+        original.textContent = formatarMoeda(state.selectedPlan?.price) || '—';
+        original.classList.remove('hidden');
+        preco.textContent = formatarMoeda(state.coupon.final_price);
+
+        document.getElementById('cupom-aplicado-text').textContent =
+            t(state.coupon.recurrent ? 'cupom.aplicado_recorrente' : 'cupom.aplicado_primeira',
+                { codigo: state.coupon.code, desconto: formatarMoeda(state.coupon.discount) });
+        document.getElementById('cupom-form').classList.add('hidden');
+        document.getElementById('cupom-aplicado').classList.remove('hidden');
+        document.getElementById('cupom-aplicado').classList.add('flex');
+    } else {
+        original.classList.add('hidden');
+        preco.textContent = formatarMoeda(state.selectedPlan?.price) || '—';
+
+        document.getElementById('cupom-form').classList.remove('hidden');
+        document.getElementById('cupom-aplicado').classList.add('hidden');
+        document.getElementById('cupom-aplicado').classList.remove('flex');
+    }
+}
+
+/**
+ * Mostra o método "Folha" apenas para convênios cujo contrato permite
+ * desconto em folha. Se ele estava escolhido e deixou de valer (ex:
+ * troca de CPF), a escolha é desfeita.
+ */
+function exibirOpcaoFolha() {
+    const permitido = state.planType === 'convenio' && folhaPermitida;
+    const btn = document.querySelector('.payment-method-btn[data-method="payroll"]');
+    const grid = document.getElementById('metodos-pagamento');
+
+    btn.classList.toggle('hidden', !permitido);
+    btn.classList.toggle('flex', permitido);
+    grid.classList.toggle('grid-cols-3', !permitido);
+    grid.classList.toggle('grid-cols-4', permitido);
+
+    if (!permitido && state.paymentMethod === 'payroll') {
+        state.paymentMethod = null;
+        btn.classList.remove('selected');
+        document.getElementById('aviso-boleto-pix').classList.add('hidden');
+        updateFinalizarButton();
+    }
+}
+
+// ============================================================
+// ETAPA 4: CUPOM DE DESCONTO
+// ============================================================
+
+/**
+ * Valida o cupom digitado na API e atualiza o total exibido.
+ * O desconto é revalidado e aplicado de fato no backend ao finalizar.
+ */
+async function handleAplicarCupom() {
+    const input = document.getElementById('input-cupom');
+    const code = input.value.trim().toUpperCase();
+
+    clearFieldError('input-cupom');
+    if (!code || !state.selectedPlan) {
+        showFieldError('input-cupom', t('codigos.coupon_required'));
+        return;
+    }
+    if (state.paymentMethod === 'payroll') {
+        showFieldError('input-cupom', t('codigos.coupon_not_allowed_payroll'));
+        return;
+    }
+
+    setButtonLoading('btn-aplicar-cupom', 'btn-aplicar-cupom-text', 'btn-aplicar-cupom-loader', 'btn-aplicar-cupom-icon', true);
+
+    // Cupons de empresa valem só para o CPF com vínculo ativo, conferido no backend
+    const url = `api/validar_cupom.php?code=${encodeURIComponent(code)}&plan_id=${encodeURIComponent(state.selectedPlan.id)}` +
+        `&cpf=${encodeURIComponent(state.cpf)}`;
+
+    try {
+        const res = await fetch(url);
+        const data = await res.json();
+
+        if (data.error) throw new Error(mensagemDoCodigo(data));
+
+        if (!data.valid) {
+            showFieldError('input-cupom', mensagemDoCodigo(data, 'cupom.invalido'), data.code);
+            return;
+        }
+
+        state.coupon = {
+            code: data.coupon_code,
+            discount: data.discount,
+            final_price: data.final_price,
+            recurrent: !!data.recurrent,
+        };
+        preencherResumo();
+        salvarEstado();
+
+    } catch (err) {
+        showError(t('cupom.erro'));
+        console.error(err);
+    } finally {
+        setButtonLoading('btn-aplicar-cupom', 'btn-aplicar-cupom-text', 'btn-aplicar-cupom-loader', 'btn-aplicar-cupom-icon', false);
+    }
+}
+
+/** Remove o cupom aplicado e volta ao preço original. */
+function removerCupom() {
+    state.coupon = null;
+    document.getElementById('input-cupom').value = '';
+    preencherResumo();
+    salvarEstado();
+}
+
+// ============================================================
+// ETAPA 4: SELEÇÃO DO MÉTODO DE PAGAMENTO E FINALIZAÇÃO
+// ============================================================
+
+/**
+ * Seleciona o método de pagamento e exibe o formulário correto.
+ */
+function selectPaymentMethod(method) {
+    // Desconto em folha: quem paga é a empresa, pelo valor do contrato
+    if (method === 'payroll' && state.coupon) removerCupom();
+
+    state.paymentMethod = method;
+    esconderErroPagamento();
+
+    document.querySelectorAll('.payment-method-btn').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.method === method);
+        btn.setAttribute('aria-pressed', String(btn.dataset.method === method));
+    });
+
+    const formCartao = document.getElementById('form-cartao');
+    const avisoBoleto = document.getElementById('aviso-boleto-pix');
+    const avisoText = document.getElementById('aviso-boleto-pix-text');
+
+    if (method === 'credit_card') {
+        formCartao.classList.remove('hidden');
+        avisoBoleto.classList.add('hidden');
+    } else {
+        formCartao.classList.add('hidden');
+        avisoBoleto.classList.remove('hidden');
+        avisoText.textContent = textoAvisoPagamento(method);
+    }
+
+    updateFinalizarButton();
+    salvarEstado();
+    rastrearFunil('payment_method_selected', { method });
+}
+
+/** Aviso exibido no lugar do formulário do cartão (PIX, boleto e folha). */
+function textoAvisoPagamento(method) {
+    if (method === 'payroll') return t('pagamento.aviso_folha', { empresa: state.companyName || t('pagamento.sua_empresa') });
+    return t({ pix: 'pagamento.aviso_pix', bank_slip: 'pagamento.aviso_boleto' }[method] || 'pagamento.aviso_padrao');
+}
+
+/**
+ * Consulta os cartões salvos do usuário (se ele já assinou antes)
+ * para oferecer o pagamento sem digitar o cartão novamente.
+ * Usuários novos não têm cliente na Iugu: nada é consultado. Quem já
+ * tem cadastro precisa antes confirmar o código enviado ao e-mail
+ * (sessão do membro) — o CPF sozinho não mostra os cartões de ninguém.
+ */
+async function carregarCartoesSalvos() {
+    const sessao = lerSessaoMembro();
+    document.getElementById('cartoes-salvos-acesso').classList.toggle('hidden', state.isNewUser || !!sessao);
+
+    if (state.isNewUser || !sessao) {
+        state.savedCards = [];
+        cartoesSalvosCpf = null;
+        renderizarCartoesSalvos();
+        return;
+    }
+    if (cartoesSalvosCpf === state.cpf) return;
+
+    try {
+        const params = new URLSearchParams({ cpf: state.cpf });
+        const res = await fetch(`api/cartoes_salvos.php?${params}`, {
+            headers: { Authorization: `Bearer ${sessao.token}` },
+        });
+
+        // Sessão expirada no servidor: volta a oferecer o código
+        if (res.status === 401) {
+            sessionStorage.removeItem(MEMBER_STORAGE_KEY);
+            return carregarCartoesSalvos();
+        }
+
+        const data = await res.json();
+        state.savedCards = Array.isArray(data.cards) ? data.cards : [];
+        cartoesSalvosCpf = state.cpf;
+    } catch (err) {
+        // Sem a lista, o usuário apenas digita o cartão normalmente
+        state.savedCards = [];
+        console.error(err);
+    }
+
+    renderizarCartoesSalvos();
+}
+
+/** Lê a sessão do membro salva nesta aba (null se não houver ou se expirou). */
+function lerSessaoMembro() {
+    try {
+        const sessao = JSON.parse(sessionStorage.getItem(MEMBER_STORAGE_KEY) || 'null');
+        if (!sessao || !sessao.token || new Date(sessao.expiresAt) <= new Date()) return null;
+        return sessao;
+    } catch (err) {
+        return null;
+    }
+}
+
+/** Envia o código de acesso ao e-mail do cadastro para liberar os cartões salvos. */
+async function handleEnviarCodigoCartoes() {
+    setButtonLoading('btn-enviar-codigo-cartoes', 'btn-enviar-codigo-cartoes-text',
+        'btn-enviar-codigo-cartoes-loader', 'btn-enviar-codigo-cartoes-icon', true);
+
+    try {
+        const res = await fetch('api/enviar_codigo_acesso.php', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ cpf: state.cpf }),
+        });
+        const data = await res.json();
+
+        if (data.error) throw new Error(mensagemDoCodigo(data));
+
+        if (!data.sent) {
+            // Sem assinatura anterior não há cartão salvo: o convite sai da tela
+            if (data.code === 'subscription_not_found') {
+                document.getElementById('cartoes-salvos-acesso').classList.add('hidden');
+            }
+            showError(mensagemDoCodigo(data, 'convenio.envio_falhou'), data.code);
+            return;
+        }
+
+        document.getElementById('cartoes-salvos-otp-text').textContent =
+            t('convenio.otp_enviado', { email: data.email_masked });
+        document.getElementById('cartoes-salvos-otp').classList.remove('hidden');
+        document.getElementById('input-otp-cartoes').focus();
+
+    } catch (err) {
+        showError(err.message || t('convenio.erro_enviar'));
+        console.error(err);
+    } finally {
+        setButtonLoading('btn-enviar-codigo-cartoes', 'btn-enviar-codigo-cartoes-text',
+            'btn-enviar-codigo-cartoes-loader', 'btn-enviar-codigo-cartoes-icon', false);
+    }
+}
+
+/** Confere o código do e-mail, abre a sessão do membro e lista os cartões salvos. */
+async function handleConfirmarCodigoCartoes() {
+    const input = document.getElementById('input-otp-cartoes');
+    const code = input.value.replace(/\D/g, '');
+    if (code.length !== 6) {
+        showFieldError('input-otp-cartoes', t('convenio.otp_incompleto'));
+        return;
+    }
+
+    setButtonLoading('btn-confirmar-codigo-cartoes', 'btn-confirmar-codigo-cartoes-text',
+        'btn-confirmar-codigo-cartoes-loader', 'btn-confirmar-codigo-cartoes-icon', true);
+
+    try {
+        const res = await fetch('api/confirmar_codigo_acesso.php', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ cpf: state.cpf, code }),
+        });
+        const data = await res.json();
+
+        if (data.error) throw new Error(mensagemDoCodigo(data));
 
-    // Todos os campos válidos — salva no estado e avança
-    state.fullName = nome;
-    state.email = email;
-    state.phone = telefone.replace(/\D/g, '');
-    state.birthDate = nascimento;
+        if (!data.authenticated) {
+            showFieldError('input-otp-cartoes', mensagemDoCodigo(data, 'convenio.otp_incorreto'), data.code);
+            return;
+        }
 
-    // Preenche o resumo na etapa de pagamento
-    document.getElementById('resumo-plano-nome').textContent = state.selectedPlan?.name || '—';
-    document.getElementById('resumo-plano-preco').textContent = state.selectedPlan?.price_formatted || '—';
+        sessionStorage.setItem(MEMBER_STORAGE_KEY, JSON.stringify({ token: data.token, expiresAt: data.expires_at }));
+        input.value = '';
+        document.getElementById('cartoes-salvos-otp').classList.add('hidden');
+        await carregarCartoesSalvos();
 
-    goToStep(4);
+    } catch (err) {
+        showError(err.message || t('convenio.erro_confirmar'));
+        console.error(err);
+    } finally {
+        setButtonLoading('btn-confirmar-codigo-cartoes', 'btn-confirmar-codigo-cartoes-text',
+            'btn-confirmar-codigo-cartoes-loader', 'btn-confirmar-codigo-cartoes-icon', false);
+    }
 }
 
-// ============================================================
-// ETAPA 4: SELEÇÃO DO MÉTODO DE PAGAMENTO E FINALIZAÇÃO
-// ============================================================
-
 /**
- * Seleciona o método de pagamento e exibe o formulário correto.
+ * Monta a lista "Cartão final 1234" na Etapa 4 e já seleciona o
+ * cartão padrão do cliente (ou o primeiro da lista).
  */
-function selectPaymentMethod(method) {
-    state.paymentMethod = method;
+function renderizarCartoesSalvos() {
+    const container = document.getElementById('cartoes-salvos');
+    const lista = document.getElementById('cartoes-salvos-lista');
 
-    document.querySelectorAll('.payment-method-btn').forEach(btn => {
-        btn.classList.toggle('selected', btn.dataset.method === method);
+    lista.innerHTML = '';
+    container.classList.toggle('hidden', state.savedCards.length === 0);
+
+    if (state.savedCards.length === 0) {
+        selectSavedCard(null);
+        return;
+    }
+
+    state.savedCards.forEach(card => {
+        const brand = CARD_BRANDS.find(b => b.id === card.brand);
+        const icone = brand?.icon
+            ? `<i class="fab ${brand.icon} text-2xl text-tks-primary"></i>`
+            : '<i class="fas fa-credit-card text-xl text-tks-primary"></i>';
+
+        const el = document.createElement('div');
+        el.className = 'saved-card';
+        el.setAttribute('role', 'radio');
+        el.dataset.cardId = card.id;
+        el.innerHTML = `
+            <div class="plan-radio" aria-hidden="true"></div>
+            ${icone}
+            <div class="flex-grow">
+                <p class="font-semibold text-slate-700 text-sm">${t('cartao.salvo', { bandeira: brand?.label || t('cartao.salvo_generico'), final: card.last4 })}</p>
+                <p class="text-xs text-slate-500">${t('cartao.salvo_validade', { validade: card.expiry })}</p>
+            </div>
+        `;
+        el.addEventListener('click', () => selectSavedCard(card.id));
+        lista.appendChild(el);
     });
 
-    const formCartao = document.getElementById('form-cartao');
-    const avisoBoleto = document.getElementById('aviso-boleto-pix');
-    const avisoText = document.getElementById('aviso-boleto-pix-text');
+    const padrao = state.savedCards.find(c => c.is_default) || state.savedCards[0];
+    const atual = state.savedCards.find(c => c.id === state.savedCardId);
+    selectSavedCard((atual || padrao).id);
+}
 
-    if (method === 'credit_card') {
-        formCartao.classList.remove('hidden');
-        avisoBoleto.classList.add('hidden');
-    } else {
-        formCartao.classList.add('hidden');
-        avisoBoleto.classList.remove('hidden');
-        avisoText.textContent = method === 'pix'
-            ? 'Após clicar em "Finalizar", um QR Code PIX será gerado para você.'
-            : 'Após clicar em "Finalizar", um boleto bancário será gerado para você.';
-    }
+/**
+ * Escolhe um cartão salvo (ou "Usar outro cartão", com id null).
+ * Com cartão salvo, os campos do cartão novo ficam ocultos e a
+ * tokenização é pulada ao finalizar.
+ *
+ * @param {string|null} cardId - ID do payment method na Iugu
+ */
+function selectSavedCard(cardId) {
+    state.savedCardId = cardId || null;
 
-    updateFinalizarButton();
+    document.querySelectorAll('.saved-card').forEach(el => {
+        el.classList.toggle('selected', (el.dataset.cardId || null) === state.savedCardId);
+    });
+    sincronizarRadios(document.getElementById('cartoes-salvos'));
+    document.getElementById('novo-cartao-campos').classList.toggle('hidden', !!state.savedCardId);
 }
 
 /**
@@ -619,20 +2267,25 @@ function selectPaymentMethod(method) {
  * Tokeniza o cartão (se necessário) e envia para a API.
  */
 async function handleFinalizar() {
+    if (finalizandoAssinatura) return;
+
     if (!state.paymentMethod) {
-        showError('Por favor, selecione um método de pagamento.');
+        showError(t('pagamento.selecione_metodo'));
         return;
     }
 
     // Valida aceite dos Termos e Condições
     const chkTermos = document.getElementById('chk-termos');
     const erroTermos = document.getElementById('erro-termos');
-    if (!chkTermos || !chkTermos.checked) {
+    if (!chkTermos || !chkTermos.checked || !state.termsVersion) {
+        document.getElementById('erro-termos-texto').textContent = t('codigos.terms_not_accepted');
         erroTermos?.classList.remove('hidden');
         erroTermos?.scrollIntoView({ behavior: 'smooth', block: 'center' });
         return;
     }
 
+    finalizandoAssinatura = true;
+    esconderErroPagamento();
     setButtonLoading('btn-finalizar', 'btn-finalizar-text', 'btn-finalizar-loader', 'btn-finalizar-icon', true);
 
     try {
@@ -642,7 +2295,8 @@ async function handleFinalizar() {
         // O SDK captura os dados do cartão no FRONTEND e retorna
         // um token temporário. Os dados do cartão NUNCA chegam ao
         // nosso servidor — isso é obrigatório pelo padrão PCI DSS.
-        if (state.paymentMethod === 'credit_card') {
+        // Com cartão salvo, basta enviar o ID dele na Iugu.
+        if (state.paymentMethod === 'credit_card' && !state.savedCardId) {
             cardToken = await tokenizarCartao();
             if (!cardToken) {
                 setButtonLoading('btn-finalizar', 'btn-finalizar-text', 'btn-finalizar-loader', 'btn-finalizar-icon', false);
@@ -650,53 +2304,226 @@ async function handleFinalizar() {
             }
         }
 
+        // --- Chave de idempotência ---
+        // Gerada uma vez por tentativa de compra e salva no sessionStorage:
+        // se a rede cair (ou a página recarregar) antes da resposta, o
+        // reenvio usa a mesma chave e o backend devolve o resultado
+        // original em vez de cobrar de novo.
+        if (!state.idempotencyKey) {
+            state.idempotencyKey = gerarChaveIdempotencia();
+            salvarEstado();
+        }
+
         // --- Monta o payload para a API ---
         const payload = {
             cpf: state.cpf,
             full_name: state.fullName,
             email: state.email,
             phone: state.phone,
+            phone_whatsapp: state.phoneWhatsapp,
             birth_date: state.birthDate,
             iugu_plan_identifier: state.selectedPlan.iugu_plan_identifier,
             plan_id: state.selectedPlan.id,
             payment_method: state.paymentMethod,
+            idempotency_key: state.idempotencyKey,
+            terms_version: state.termsVersion,
+            consents: state.consents,
         };
 
-        if (state.profileId) payload.profile_id = state.profileId;
         if (state.companyId) payload.company_id = state.companyId;
         if (cardToken) payload.card_token = cardToken;
+        if (state.paymentMethod === 'credit_card' && state.savedCardId) payload.payment_method_id = state.savedCardId;
+        if (state.coupon) payload.coupon_code = state.coupon.code;
+        payload.address = {
+            zip_code: state.address.zipCode,
+            street: state.address.street,
+            number: state.address.number,
+            complement: state.address.complement,
+            district: state.address.district,
+            city: state.address.city,
+            state: state.address.state,
+        };
+        if (state.dependents.length > 0) {
+            payload.dependents = state.dependents.map(d => ({
+                full_name: d.fullName,
+                cpf: d.cpf,
+                birth_date: d.birthDate,
+                relationship: d.relationship,
+            }));
+        }
 
-        // --- Envia para a API de processamento ---
-        const res = await fetch('api/processar_assinatura.php', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload),
-        });
+        // Origem da visita (parâmetros UTM da URL de entrada), gravada na assinatura
+        if (typeof obterUtm === 'function') payload.utm = obterUtm();
 
-        const data = await res.json();
+        const dadosFunil = {
+            ...dadosPlanoFunil(),
+            method: state.paymentMethod,
+            has_coupon: !!state.coupon,
+            dependents: state.dependents.length,
+        };
+        rastrearFunil('checkout_submitted', dadosFunil);
+
+        // --- Envia para a API de processamento ---
+        // Com a sessão do membro (código do e-mail confirmado), o backend aceita
+        // o cartão salvo e atualiza os dados já cadastrados
+        const sessao = lerSessaoMembro();
+        const headers = { 'Content-Type': 'application/json' };
+        if (sessao) headers.Authorization = `Bearer ${sessao.token}`;
+
+        let res, data;
+        try {
+            res = await fetch('api/processar_assinatura.php', {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(payload),
+            });
+            data = await res.json();
+        } catch (err) {
+            // Sem resposta (ou resposta ilegível): o resultado é incerto e a
+            // chave fica, para que "Tentar novamente" não cobre duas vezes
+            console.error(err);
+            rastrearFunil('checkout_outcome', { ...dadosFunil, outcome: 'error', reason: 'network_error' });
+            mostrarErroPagamento({ code: 'network_error', retryable: true });
+            return;
+        }
 
         if (!res.ok || data.error) {
-            throw new Error(data.error || data.message || 'Erro ao processar assinatura.');
+            // 409 (ainda processando) e 5xx (resultado incerto) mantêm a chave,
+            // para que a próxima tentativa não crie outra cobrança. Demais erros
+            // são definitivos: a próxima tentativa é uma compra nova.
+            if (res.status !== 409 && res.status < 500) descartarChaveIdempotencia();
+            rastrearFunil('checkout_outcome', { ...dadosFunil, outcome: 'error', reason: data.code || data.error || `HTTP ${res.status}` });
+
+            // Nova versão dos termos publicada: pede o aceite de novo antes de reenviar
+            if (data.terms_outdated) {
+                await exigirNovoAceiteTermos(mensagemDoCodigo(data));
+                return;
+            }
+            mostrarErroPagamento(data, 'pagamento.erro_processar');
+            return;
         }
 
+        rastrearFunil('checkout_outcome', { ...dadosFunil, outcome: data.payment_status });
+
         if (data.payment_status === 'paid') {
-            showSuccess(data.message);
+            showSuccess(mensagemDoCodigo(data), data.access_valid_until);
         } else if (data.payment_status === 'pending') {
-            showPending(data.payment_url);
+            showPending(data);
         } else {
-            throw new Error(data.message || 'Pagamento recusado. Verifique os dados do cartão.');
+            // Cartão recusado: a nova tentativa (ex: outro cartão) precisa de outra chave
+            descartarChaveIdempotencia();
+            mostrarErroPagamento(data, 'pagamento.recusado');
         }
 
     } catch (err) {
-        showError(err.message || 'Erro inesperado. Tente novamente.');
+        showError(err.message || t('pagamento.erro_inesperado'), err.code);
         console.error(err);
     } finally {
         setButtonLoading('btn-finalizar', 'btn-finalizar-text', 'btn-finalizar-loader', 'btn-finalizar-icon', false);
+        finalizandoAssinatura = false;
+    }
+}
+
+/**
+ * Mostra o erro da finalização no painel da etapa 4 (que fica na tela,
+ * ao contrário do toast) com a ação que resolve cada caso:
+ *  - Cartão recusado ou inválido: destaca o campo do cartão e oferece o PIX
+ *  - Falha temporária (`retryable`): "Tentar novamente" reenvia o pedido;
+ *    a chave de idempotência é a mesma, então não há cobrança em dobro
+ *  - CPF com assinatura ativa: link para "Minha assinatura"
+ *
+ * @param {object} data - Resposta da API ({ code, error, retryable, field, params })
+ * @param {string} [chavePadrao] - Texto usado se a resposta não trouxer nenhum
+ */
+function mostrarErroPagamento(data, chavePadrao = 'pagamento.erro_inesperado') {
+    const mensagem = mensagemDoCodigo(data, chavePadrao);
+    const code = data.code || null;
+    const noCartao = state.paymentMethod === 'credit_card';
+
+    // Cartão salvo que não existe mais: volta para o formulário de novo cartão
+    if (noCartao && code === 'saved_card_not_found') selectSavedCard(null);
+    // Sessão do membro expirou: os cartões salvos somem até confirmar o código de novo
+    if (noCartao && code === 'saved_card_session_required') {
+        sessionStorage.removeItem(MEMBER_STORAGE_KEY);
+        carregarCartoesSalvos();
     }
+
+    // "card_number" → CARD_FIELDS.number (o formulário só aparece sem cartão salvo)
+    const campoCartao = noCartao && !state.savedCardId && data.field?.startsWith('card_')
+        ? CARD_FIELDS[data.field.slice('card_'.length)]
+        : null;
+    const recusaCartao = noCartao && (!!data.field?.startsWith('card_') || code === 'saved_card_not_found');
+
+    document.getElementById('erro-pagamento-texto').textContent = mensagem;
+    document.getElementById('btn-erro-pix').classList.toggle('hidden', !recusaCartao);
+    document.getElementById('btn-erro-tentar').classList.toggle('hidden', !data.retryable);
+    document.getElementById('link-erro-assinatura').classList.toggle('hidden', code !== 'subscription_already_active');
+
+    const painel = document.getElementById('erro-pagamento');
+    painel.classList.remove('hidden');
+    painel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    if (campoCartao) {
+        // O campo é lido com a mensagem (aria-describedby) ao receber o foco
+        showFieldError(campoCartao, mensagem, code);
+        document.getElementById(campoCartao).focus();
+    } else {
+        anunciar(mensagem, 'assertive');
+    }
+
+    rastrearFunil('checkout_error', { reason: code || mensagem });
+}
+
+/** Esconde o painel de erro da etapa 4 (nova tentativa ou troca da forma de pagamento). */
+function esconderErroPagamento() {
+    document.getElementById('erro-pagamento')?.classList.add('hidden');
+}
+
+/**
+ * Gera uma chave de idempotência (UUID v4) para a tentativa de compra.
+ * @returns {string}
+ */
+function gerarChaveIdempotencia() {
+    if (window.crypto?.randomUUID) return crypto.randomUUID();
+
+    // Navegadores sem randomUUID: monta o UUID v4 a partir de bytes aleatórios
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/** Descarta a chave da tentativa atual — a próxima compra recebe uma nova. */
+function descartarChaveIdempotencia() {
+    state.idempotencyKey = null;
+    salvarEstado();
 }
 
+// Campos do formulário de cartão: chave de validarCartao() → ID do input
+const CARD_FIELDS = {
+    number: 'input-card-number',
+    name: 'input-card-name',
+    expiry: 'input-card-expiry',
+    cvv: 'input-card-cvv',
+};
+
+// Campos de erro devolvidos pelo SDK da Iugu → chave em CARD_FIELDS
+const IUGU_CARD_ERROR_FIELDS = {
+    number: 'number',
+    first_name: 'name',
+    last_name: 'name',
+    full_name: 'name',
+    expiration: 'expiry',
+    month: 'expiry',
+    year: 'expiry',
+    verification_value: 'cvv',
+};
+
 /**
  * Tokeniza os dados do cartão usando o SDK da Iugu.
+ * Antes de chamar o SDK, valida bandeira, Luhn, validade e CVV
+ * e mostra os erros diretamente nos campos do cartão.
  * @returns {Promise<string|null>} Token ou null em caso de erro.
  */
 function tokenizarCartao() {
@@ -706,8 +2533,12 @@ function tokenizarCartao() {
         const expiry = document.getElementById('input-card-expiry').value;
         const cvv = document.getElementById('input-card-cvv').value.trim();
 
-        if (!number || !name || !expiry || !cvv) {
-            showError('Por favor, preencha todos os dados do cartão.');
+        Object.values(CARD_FIELDS).forEach(clearFieldError);
+
+        const erros = validarCartao({ number, name, expiry, cvv });
+        if (erros.length > 0) {
+            erros.forEach(erro => showFieldError(CARD_FIELDS[erro.field], erro.message));
+            document.getElementById(CARD_FIELDS[erros[0].field]).focus();
             resolve(null);
             return;
         }
@@ -723,7 +2554,14 @@ function tokenizarCartao() {
             year: '20' + expYear,
         }, (response) => {
             if (response.errors) {
-                showError('Dados do cartão inválidos: ' + Object.values(response.errors).join(', '));
+                // Erros de campos conhecidos vão para o campo; os demais, para o alerta
+                const outros = [];
+                Object.entries(response.errors).forEach(([key, message]) => {
+                    const field = IUGU_CARD_ERROR_FIELDS[key];
+                    if (field) showFieldError(CARD_FIELDS[field], t('cartao.dados_invalidos', { detalhe: message }));
+                    else outros.push(message);
+                });
+                if (outros.length > 0) showError(t('cartao.dados_invalidos', { detalhe: outros.join(', ') }));
                 resolve(null);
             } else {
                 resolve(response.id);
@@ -736,22 +2574,197 @@ function tokenizarCartao() {
 // TELAS DE RESULTADO
 // ============================================================
 
-function showSuccess(message) {
+/**
+ * Exibe a tela de sucesso.
+ *
+ * @param {string} message - Mensagem do backend (opcional)
+ * @param {string|null} validUntil - Validade do acesso (YYYY-MM-DD), se conhecida
+ */
+function showSuccess(message, validUntil = null) {
+    pararPollingStatus();
+    limparEstado();
     document.getElementById(`step-${currentStep}`)?.classList.add('hidden');
     document.getElementById('progress-steps').classList.add('hidden');
     const panel = document.getElementById('step-success');
     panel.classList.remove('hidden');
-    if (message) document.getElementById('success-message').textContent = message;
+    focarTituloEtapa(panel);
+    document.getElementById('success-message').textContent = message || t('sucesso.mensagem');
+
+    const validade = formatarData(validUntil);
+    document.getElementById('success-validade-data').textContent = validade;
+    document.getElementById('success-validade').classList.toggle('hidden', !validade);
+
     currentStep = 'success';
 }
 
-function showPending(paymentUrl) {
+/**
+ * Exibe a tela de pagamento pendente (Boleto/PIX).
+ *
+ * Para PIX, mostra o QR Code e o código "copia e cola" da fatura
+ * na própria tela. Em seguida inicia o polling do status da
+ * assinatura para trocar para a tela de sucesso assim que o
+ * pagamento for confirmado (webhook ou verificar_pendentes.php).
+ *
+ * @param {object} data - Retorno de processar_assinatura.php
+ */
+function showPending(data) {
+    limparEstado(); // A assinatura já foi criada: um recarregamento não deve reenviá-la
     document.getElementById(`step-${currentStep}`)?.classList.add('hidden');
     document.getElementById('progress-steps').classList.add('hidden');
     const panel = document.getElementById('step-pending');
     panel.classList.remove('hidden');
-    if (paymentUrl) document.getElementById('link-pagamento').href = paymentUrl;
+    focarTituloEtapa(panel);
+    if (data.payment_url) document.getElementById('link-pagamento').href = data.payment_url;
+
+    // --- PIX: QR Code + copia e cola ---
+    const pixContainer = document.getElementById('pix-container');
+    if (data.pix && data.pix.qrcode_text) {
+        if (data.pix.qrcode) document.getElementById('pix-qrcode').src = data.pix.qrcode;
+        document.getElementById('pix-copia-cola').value = data.pix.qrcode_text;
+        pixContainer.classList.remove('hidden');
+    } else {
+        pixContainer.classList.add('hidden');
+    }
+
+    // --- Boleto: linha digitável, vencimento e PDF ---
+    const boletoContainer = document.getElementById('boleto-container');
+    if (data.bank_slip && data.bank_slip.digitable_line) {
+        document.getElementById('boleto-linha-digitavel').value = data.bank_slip.digitable_line;
+        document.getElementById('boleto-vencimento').textContent = formatarData(data.bank_slip.due_date) || '—';
+        const pdfLink = document.getElementById('boleto-pdf');
+        if (data.bank_slip.pdf_url) {
+            pdfLink.href = data.bank_slip.pdf_url;
+            pdfLink.classList.remove('hidden');
+        } else {
+            pdfLink.classList.add('hidden');
+        }
+        boletoContainer.classList.remove('hidden');
+    } else {
+        boletoContainer.classList.add('hidden');
+    }
+
+    state.subscriptionId = data.subscription_id || null;
     currentStep = 'pending';
+
+    if (data.subscription_id) iniciarPollingStatus(data.subscription_id);
+}
+
+// ============================================================
+// POLLING DO STATUS DA ASSINATURA
+// Enquanto o usuário está na tela pendente, consulta a API
+// periodicamente até a assinatura ficar ativa.
+// ============================================================
+
+/**
+ * Inicia a consulta periódica do status da assinatura.
+ * @param {string} subscriptionId - UUID retornado por processar_assinatura.php
+ */
+function iniciarPollingStatus(subscriptionId) {
+    pararPollingStatus();
+    const startedAt = Date.now();
+    document.getElementById('pending-polling')?.classList.remove('hidden');
+
+    statusPollTimer = setInterval(async () => {
+        if (Date.now() - startedAt > STATUS_POLL_MAX_MS) {
+            pararPollingStatus();
+            return;
+        }
+
+        try {
+            const res = await fetch(`api/status_assinatura.php?subscription_id=${encodeURIComponent(subscriptionId)}`);
+            if (!res.ok) return; // Falha temporária: tenta de novo no próximo ciclo
+            const data = await res.json();
+
+            if (data.payment_status === 'paid') {
+                rastrearFunil('checkout_outcome', { ...dadosPlanoFunil(), outcome: 'paid', source: 'polling' });
+                showSuccess(t('sucesso.pagamento_confirmado'), data.access_valid_until);
+            } else if (data.payment_status === 'failed') {
+                rastrearFunil('checkout_outcome', { ...dadosPlanoFunil(), outcome: 'failed', source: 'polling' });
+                voltarAoPagamento();
+            }
+        } catch (err) {
+            console.error(err);
+        }
+    }, STATUS_POLL_INTERVAL_MS);
+}
+
+/**
+ * O pagamento pendente não foi confirmado (fatura vencida ou assinatura
+ * encerrada): sai da tela de espera e volta à Etapa 4, com o aviso no
+ * painel de erro, para escolher outra forma de pagamento e finalizar de novo.
+ */
+function voltarAoPagamento() {
+    pararPollingStatus();
+    state.subscriptionId = null;
+    descartarChaveIdempotencia(); // A nova tentativa é uma compra nova
+    document.getElementById('progress-steps').classList.remove('hidden');
+    goToStep(4);
+    mostrarErroPagamento({}, 'pendente.nao_confirmado');
+}
+
+/**
+ * Pede à API que reenvie o boleto em aberto para o e-mail cadastrado.
+ * Chamado pelo botão "Enviar para meu e-mail" do painel de boleto.
+ */
+async function handleEnviarBoletoEmail() {
+    if (!state.subscriptionId) return;
+
+    setButtonLoading('btn-enviar-boleto-email', 'btn-enviar-boleto-email-text', 'btn-enviar-boleto-email-loader', 'btn-enviar-boleto-email-icon', true);
+
+    try {
+        const res = await fetch('api/enviar_boleto_email.php', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ subscription_id: state.subscriptionId }),
+        });
+        const data = await res.json();
+
+        if (!res.ok || data.error) throw new Error(mensagemDoCodigo(data, 'pendente.erro_email'));
+
+        document.getElementById('boleto-email-enviado')?.classList.remove('hidden');
+    } catch (err) {
+        showError(err.message || t('pendente.erro_email'));
+        console.error(err);
+    } finally {
+        setButtonLoading('btn-enviar-boleto-email', 'btn-enviar-boleto-email-text', 'btn-enviar-boleto-email-loader', 'btn-enviar-boleto-email-icon', false);
+    }
+}
+
+/** Interrompe o polling do status (se estiver ativo). */
+function pararPollingStatus() {
+    if (statusPollTimer) {
+        clearInterval(statusPollTimer);
+        statusPollTimer = null;
+    }
+    document.getElementById('pending-polling')?.classList.add('hidden');
+}
+
+// ============================================================
+// ANALYTICS DO FUNIL
+// Os eventos são enviados por js/analytics.js (dataLayer, Meta
+// Pixel e coletor próprio). Páginas que não carregam o analytics.js
+// (ex: minha-assinatura.html) não registram eventos.
+// ============================================================
+
+/**
+ * Registra um evento do funil com a etapa atual.
+ * Nunca inclua CPF, dados pessoais ou do cartão em `props`.
+ *
+ * @param {string} name  - step_viewed | plan_selected | payment_method_selected |
+ *                         checkout_submitted | checkout_outcome | checkout_error | field_error |
+ *                         language_changed
+ * @param {object} props - Propriedades do evento (ver ANALYTICS_ALLOWED_PROPS)
+ */
+function rastrearFunil(name, props = {}) {
+    if (typeof trackEvent !== 'function') return;
+    trackEvent(name, { step: currentStep, lang: idiomaAtual(), ...props });
+}
+
+/** Plano escolhido no formato dos eventos do funil. */
+function dadosPlanoFunil() {
+    const plan = state.selectedPlan;
+    if (!plan) return {};
+    return { plan_id: plan.id, plan_name: plan.name, billing_cycle: plan.billing_cycle, value: plan.price };
 }
 
 // ============================================================
@@ -760,18 +2773,86 @@ function showPending(paymentUrl) {
 
 /**
  * Exibe um toast de erro temporário no topo da tela.
- * Remove automaticamente após 5 segundos.
+ * Remove automaticamente após 5 segundos. O toast é só visual: o
+ * leitor de tela recebe a mensagem pela região de alerta (anunciar).
+ *
+ * @param {string} message - Mensagem no idioma da página
+ * @param {string|null} [motivo] - Código do erro para o funil (padrão: a mensagem)
  */
-function showError(message) {
+function showError(message, motivo = null) {
     document.getElementById('toast-error')?.remove();
 
     const toast = document.createElement('div');
     toast.id = 'toast-error';
-    toast.className = 'fixed top-4 left-1/2 -translate-x-1/2 z-50 bg-red-500 text-white px-6 py-3 rounded-xl shadow-lg text-sm font-semibold flex items-center gap-2';
-    toast.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${message}`;
+    toast.className = 'fixed top-4 left-1/2 -translate-x-1/2 z-50 bg-red-600 text-white px-6 py-3 rounded-xl shadow-lg text-sm font-semibold flex items-center gap-2';
+    toast.innerHTML = `<i class="fas fa-exclamation-circle" aria-hidden="true"></i> ${message}`;
     document.body.appendChild(toast);
+    anunciar(toast.textContent.trim(), 'assertive');
 
     setTimeout(() => toast.remove(), 5000);
+
+    rastrearFunil('checkout_error', { reason: motivo || message });
+}
+
+// Mensagens aguardando a próxima atualização de cada região "ao vivo"
+const anunciosPendentes = { polite: [], assertive: [] };
+
+/**
+ * Anuncia uma mensagem aos leitores de tela pelas regiões "ao vivo" da
+ * página (#anuncio-status e #anuncio-alerta, ocultas na tela).
+ *
+ * `polite` (carregamentos, erros de campo) espera o leitor terminar o
+ * que está lendo; `assertive` (erros gerais) interrompe. Mensagens da
+ * mesma chamada de função (ex: vários campos inválidos) saem juntas, e
+ * a região é esvaziada antes para que a mesma mensagem repetida também
+ * seja anunciada.
+ *
+ * @param {string} mensagem
+ * @param {'polite'|'assertive'} [prioridade='polite']
+ */
+function anunciar(mensagem, prioridade = 'polite') {
+    const regiao = document.getElementById(prioridade === 'assertive' ? 'anuncio-alerta' : 'anuncio-status');
+    if (!regiao || !mensagem) return;
+
+    const fila = anunciosPendentes[prioridade];
+    fila.push(mensagem);
+    if (fila.length > 1) return; // atualização já agendada
+
+    regiao.textContent = '';
+    setTimeout(() => { regiao.textContent = fila.splice(0).join(' '); }, 100);
+}
+
+/**
+ * Copia um texto para a área de transferência e dá feedback no botão.
+ * Usa a Clipboard API e, se indisponível (HTTP, navegadores antigos),
+ * recorre ao método com textarea temporário.
+ *
+ * @param {string} text   - Texto a copiar
+ * @param {string} textId - ID do elemento de texto do botão (recebe "Copiado!")
+ */
+async function copiarTexto(text, textId) {
+    if (!text) return;
+
+    try {
+        await navigator.clipboard.writeText(text);
+    } catch (err) {
+        const tmp = document.createElement('textarea');
+        tmp.value = text;
+        tmp.setAttribute('readonly', '');
+        tmp.style.position = 'absolute';
+        tmp.style.left = '-9999px';
+        document.body.appendChild(tmp);
+        tmp.select();
+        document.execCommand('copy');
+        tmp.remove();
+    }
+
+    const label = document.getElementById(textId);
+    if (label) {
+        if (!label.dataset.original) label.dataset.original = label.textContent;
+        label.textContent = t('comum.copiado');
+        setTimeout(() => { label.textContent = label.dataset.original; }, 2000);
+    }
 }
 
 /** Ativa/desativa o estado de loading de um botão. */
@@ -783,48 +2864,136 @@ function setButtonLoading(btnId, textId, loaderId, iconId, isLoading) {
 
     if (!btn) return;
     btn.disabled = isLoading;
-    if (text) text.textContent = isLoading ? 'Aguarde...' : (text.dataset.original || text.textContent);
+    btn.setAttribute('aria-busy', String(isLoading));
+    if (text) {
+        // Guarda o texto do botão para restaurar depois (aplicarIdioma o mantém traduzido)
+        if (isLoading && !text.dataset.original) text.dataset.original = text.textContent;
+        text.textContent = isLoading ? t('comum.aguarde') : (text.dataset.original || text.textContent);
+    }
     if (loader) loader.classList.toggle('hidden', !isLoading);
     if (icon) icon.classList.toggle('hidden', isLoading);
+    if (isLoading) anunciar(t('comum.processando'));
+}
+
+/**
+ * Sincroniza um grupo de opções em cartões (planos, cartões salvos) com
+ * a classe `selected`: aria-checked em cada [role="radio"] e tabindex
+ * "roving" — só a opção marcada (ou a primeira, se nenhuma) entra na
+ * ordem do Tab; as demais são alcançadas pelas setas.
+ *
+ * @param {HTMLElement|null} grupo - Elemento com role="radiogroup"
+ */
+function sincronizarRadios(grupo) {
+    if (!grupo) return;
+    const radios = [...grupo.querySelectorAll('[role="radio"]')];
+    const marcado = radios.find(r => r.classList.contains('selected'));
+
+    radios.forEach(radio => {
+        radio.setAttribute('aria-checked', String(radio === marcado));
+        radio.tabIndex = radio === (marcado || radios[0]) ? 0 : -1;
+    });
+}
+
+/**
+ * Teclado de um grupo de opções em cartões, como num grupo de radio
+ * nativo: setas movem o foco e marcam a opção; Espaço (ou Enter) marca
+ * a opção em foco. A seleção reaproveita o clique de cada cartão.
+ * Registrado no keydown do elemento com role="radiogroup".
+ */
+function handleTecladoOpcoes(e) {
+    const radios = [...e.currentTarget.querySelectorAll('[role="radio"]')];
+    const atual = radios.indexOf(e.target);
+    if (atual === -1) return;
+
+    if (e.key === ' ' || e.key === 'Enter') {
+        e.preventDefault();
+        e.target.click();
+        return;
+    }
+
+    const passo = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 }[e.key];
+    if (!passo) return;
+    e.preventDefault();
+
+    const destino = radios[(atual + passo + radios.length) % radios.length];
+    destino.click();
+    destino.focus();
 }
 
 /** Máscara de CPF: 000.000.000-00 */
 function maskCPF(e) {
-    let v = e.target.value.replace(/\D/g, '').slice(0, 11);
-    v = v.replace(/(\d{3})(\d)/, '$1.$2');
-    v = v.replace(/(\d{3})(\d)/, '$1.$2');
-    v = v.replace(/(\d{3})(\d{1,2})$/, '$1-$2');
-    e.target.value = v;
+    e.target.value = mascaraCpf(e.target.value);
 }
 
 /** Máscara de Telefone: (00) 00000-0000 */
 function maskPhone(e) {
-    let v = e.target.value.replace(/\D/g, '').slice(0, 11);
-    v = v.replace(/(\d{2})(\d)/, '($1) $2');
-    v = v.replace(/(\d{5})(\d)/, '$1-$2');
-    e.target.value = v;
+    e.target.value = mascaraTelefone(e.target.value);
 }
 
-/** Formata um telefone de dígitos para o padrão com máscara. */
-function formatPhone(digits) {
-    const d = digits.replace(/\D/g, '');
-    if (d.length === 11) return `(${d.slice(0, 2)}) ${d.slice(2, 7)}-${d.slice(7)}`;
-    if (d.length === 10) return `(${d.slice(0, 2)}) ${d.slice(2, 6)}-${d.slice(6)}`;
-    return digits;
+/** Máscara de CEP: 00000-000 */
+function maskCEP(e) {
+    e.target.value = mascaraCep(e.target.value);
 }
 
-/** Máscara de Número de Cartão: 0000 0000 0000 0000 */
+/**
+ * Máscara de Número de Cartão conforme a bandeira:
+ *  - Visa, Mastercard, Elo, Hipercard: 0000 0000 0000 0000
+ *  - American Express:                 0000 000000 00000
+ *  - Diners Club:                      0000 000000 0000
+ */
 function maskCardNumber(e) {
-    let v = e.target.value.replace(/\D/g, '').slice(0, 16);
-    v = v.replace(/(\d{4})(?=\d)/g, '$1 ');
+    const brand = detectarBandeira(e.target.value);
+    const format = brand || CARD_DEFAULT_FORMAT;
+    const digits = e.target.value.replace(/\D/g, '').slice(0, Math.max(...format.lengths));
+
+    let v = '';
+    for (let i = 0; i < digits.length; i++) {
+        if (format.gaps.includes(i)) v += ' ';
+        v += digits[i];
+    }
     e.target.value = v;
+
+    atualizarBandeira(brand);
+}
+
+/** Máscara de CVV: apenas dígitos, no tamanho da bandeira detectada. */
+function maskCardCvv(e) {
+    const brand = detectarBandeira(document.getElementById('input-card-number').value);
+    const max = brand ? brand.cvv : CARD_DEFAULT_FORMAT.cvv;
+    e.target.value = e.target.value.replace(/\D/g, '').slice(0, max);
+}
+
+/**
+ * Exibe o ícone (ou nome) da bandeira no campo do número e ajusta
+ * o tamanho do CVV. Chamado a cada digitação no número do cartão.
+ *
+ * @param {object|null} brand - Item de CARD_BRANDS ou null
+ */
+function atualizarBandeira(brand) {
+    const badge = document.getElementById('card-brand');
+    const icon = document.getElementById('card-brand-icon');
+    const label = document.getElementById('card-brand-label');
+    const cvv = document.getElementById('input-card-cvv');
+
+    if (!brand) {
+        badge.classList.add('hidden');
+        cvv.placeholder = '000';
+        return;
+    }
+
+    // Bandeiras sem ícone no Font Awesome (Elo, Hipercard) mostram o nome
+    icon.className = brand.icon ? `fab ${brand.icon} text-2xl` : 'hidden';
+    label.textContent = brand.icon ? '' : brand.label;
+    badge.title = brand.label;
+    badge.classList.remove('hidden');
+
+    cvv.placeholder = '0'.repeat(brand.cvv);
+    if (cvv.value.length > brand.cvv) cvv.value = cvv.value.slice(0, brand.cvv);
 }
 
 /** Máscara de Validade do Cartão: MM/AA */
 function maskCardExpiry(e) {
-    let v = e.target.value.replace(/\D/g, '').slice(0, 4);
-    if (v.length >= 3) v = v.slice(0, 2) + '/' + v.slice(2);
-    e.target.value = v;
+    e.target.value = mascaraValidadeCartao(e.target.value);
 }
 
 // ============================================================
@@ -834,23 +3003,81 @@ function maskCardExpiry(e) {
 /**
  * Abre o modal de Termos e Condições.
  * Chamado pelo link "Termos e Condições" na Etapa 4.
+ *
+ * O conteúdo da página fica `inert` enquanto o modal está aberto e o
+ * foco vai para o título do modal (o documento é longo: o leitor de
+ * tela começa pelo início, e não pelo botão "Li e aceito").
  */
 function openTermsModal(e) {
     if (e) e.preventDefault();
+    if (!termosVigentes) carregarTermos(); // falha anterior: tenta de novo
     const modal = document.getElementById('modal-termos');
+    if (!modal.classList.contains('hidden')) return;
+
+    termosModalOrigem = document.activeElement;
     modal.classList.remove('hidden');
     modal.classList.add('flex');
     document.body.style.overflow = 'hidden'; // Impede scroll do fundo
+    document.querySelector('main').inert = true;
+
+    const titulo = document.getElementById('modal-termos-titulo');
+    titulo.tabIndex = -1;
+    titulo.focus();
 }
 
 /**
- * Fecha o modal de Termos e Condições.
+ * Fecha o modal de Termos e Condições e devolve o foco a quem o abriu
+ * (ou ao checkbox dos termos, se esse elemento não estiver mais
+ * disponível — ex: "Finalizar" desabilitado ao exigir novo aceite).
  */
 function closeTermsModal() {
     const modal = document.getElementById('modal-termos');
+    if (modal.classList.contains('hidden')) return;
+
     modal.classList.add('hidden');
     modal.classList.remove('flex');
     document.body.style.overflow = '';
+    document.querySelector('main').inert = false;
+
+    const origem = termosModalOrigem;
+    termosModalOrigem = null;
+    if (origem && origem.isConnected && !origem.disabled && origem !== document.body) {
+        origem.focus();
+    } else {
+        document.getElementById('chk-termos')?.focus();
+    }
+}
+
+/**
+ * Teclado do modal de termos: Escape fecha e Tab/Shift+Tab circulam
+ * só entre os elementos do modal. Registrado no document para valer
+ * mesmo quando um clique no texto tira o foco dos elementos do modal.
+ */
+function handleTecladoModalTermos(e) {
+    const modal = document.getElementById('modal-termos');
+    if (!modal || modal.classList.contains('hidden')) return;
+
+    if (e.key === 'Escape') {
+        closeTermsModal();
+        return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focaveis = [...modal.querySelectorAll('button, a[href], input, [tabindex="0"]')]
+        .filter(el => !el.disabled && el.offsetParent !== null);
+    if (focaveis.length === 0) return;
+
+    const atual = focaveis.indexOf(document.activeElement);
+    if (!modal.contains(document.activeElement)) {
+        e.preventDefault();
+        focaveis[0].focus();
+    } else if (e.shiftKey && atual <= 0) {
+        e.preventDefault();
+        focaveis[focaveis.length - 1].focus();
+    } else if (!e.shiftKey && atual === focaveis.length - 1) {
+        e.preventDefault();
+        focaveis[0].focus();
+    }
 }
 
 /**
@@ -858,6 +3085,7 @@ function closeTermsModal() {
  * Marca o checkbox e fecha o modal.
  */
 function acceptTermsFromModal() {
+    if (!termosVigentes) return;
     const chk = document.getElementById('chk-termos');
     chk.checked = true;
     onTermsChange();
@@ -871,6 +3099,14 @@ function acceptTermsFromModal() {
 function onTermsChange() {
     const chk = document.getElementById('chk-termos');
     const erroTermos = document.getElementById('erro-termos');
+
+    // Sem os termos carregados não há versão para aceitar: abre o modal
+    if (chk.checked && !termosVigentes) {
+        chk.checked = false;
+        openTermsModal();
+    }
+    state.termsVersion = chk.checked ? termosVigentes.version : null;
+
     if (chk.checked) {
         erroTermos.classList.add('hidden');
     }
@@ -886,5 +3122,84 @@ function updateFinalizarButton() {
     const chk = document.getElementById('chk-termos');
     const btn = document.getElementById('btn-finalizar');
     if (!btn) return;
-    btn.disabled = !(state.paymentMethod && chk && chk.checked);
+    btn.disabled = !(state.paymentMethod && chk && chk.checked && state.termsVersion);
+}
+
+/**
+ * Busca a versão vigente dos Termos e Condições e monta o modal.
+ * Enquanto não carrega, o botão "Li e aceito" fica desabilitado.
+ */
+async function carregarTermos() {
+    const documento = document.getElementById('termos-documento');
+    try {
+        const res = await fetch('api/termos_vigentes.php');
+        const data = await res.json();
+        if (!res.ok || data.error) throw new Error(data.error || `HTTP ${res.status}`);
+
+        termosVigentes = data;
+        renderizarTermos(data);
+        document.getElementById('btn-aceitar-termos').disabled = false;
+    } catch (err) {
+        console.error('Erro ao carregar os termos:', err);
+        const aviso = document.createElement('p');
+        aviso.className = 'text-red-600';
+        aviso.textContent = t('termos.erro_carregar');
+        documento.replaceChildren(aviso);
+    }
+}
+
+/**
+ * Monta o documento no modal via textContent (os termos vêm em texto puro).
+ * O número da cláusula no início do parágrafo (ex: "3.1. Modalidades de
+ * Assinatura:") fica em negrito, como no documento original.
+ */
+function renderizarTermos(terms) {
+    document.getElementById('termos-titulo').textContent = terms.title;
+    document.getElementById('termos-versao').textContent =
+        t('termos.versao', { versao: terms.version, data: formatarData(terms.published_at) });
+
+    const blocos = [];
+    terms.sections.forEach(section => {
+        if (section.title) {
+            const h3 = document.createElement('h3');
+            h3.className = 'font-bold text-slate-800 text-base';
+            h3.textContent = section.title;
+            blocos.push(h3);
+        }
+        section.paragraphs.forEach(texto => {
+            const p = document.createElement('p');
+            const clausula = texto.match(/^(\d+(?:\.\d+)+\.(?: [^:.]{1,60}:)?)\s+/);
+            if (clausula) {
+                const strong = document.createElement('strong');
+                strong.textContent = clausula[1];
+                p.append(strong, ' ' + texto.slice(clausula[0].length));
+            } else {
+                p.textContent = texto;
+            }
+            blocos.push(p);
+        });
+    });
+    document.getElementById('termos-documento').replaceChildren(...blocos);
+}
+
+/**
+ * O backend recusou a versão aceita (nova versão publicada): desmarca
+ * o aceite, recarrega o documento e abre o modal para um novo aceite.
+ *
+ * @param {string} mensagem - Mensagem retornada pelo processar_assinatura.php
+ */
+async function exigirNovoAceiteTermos(mensagem) {
+    const chk = document.getElementById('chk-termos');
+    chk.checked = false;
+    state.termsVersion = null;
+    termosVigentes = null;
+    document.getElementById('btn-aceitar-termos').disabled = true;
+    updateFinalizarButton();
+
+    const erroTermos = document.getElementById('erro-termos');
+    document.getElementById('erro-termos-texto').textContent = mensagem || t('codigos.terms_outdated');
+    erroTermos.classList.remove('hidden');
+
+    await carregarTermos();
+    openTermsModal();
 }
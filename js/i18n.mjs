@@ -0,0 +1,181 @@
+/**
+ * ============================================================
+ * CHECKOUT CONVÊNIOS - TKS VANTAGENS
+ * Arquivo: js/i18n.mjs
+ *
+ * Descrição: Catálogo de mensagens do checkout (pt-BR, en, es).
+ *   - Textos identificados por chave (ex: "pagamento.aviso_pix"),
+ *     um arquivo por idioma em js/idiomas/
+ *   - Detecção do idioma: ?lang= na URL → escolha salva no
+ *     localStorage → idiomas do navegador → pt-BR
+ *   - Moeda e datas formatadas com Intl no idioma escolhido
+ *   - Respostas com `code` (validações do js/validacoes.mjs e da API)
+ *     são traduzidas pelas chaves "codigos.<code>"; sem tradução,
+ *     vale o texto em português enviado junto
+ *   - Módulo ES sem acesso ao DOM, exposto em `window` pelas páginas
+ *     como o validacoes.mjs; quem aplica os textos na página é o
+ *     checkout.js (aplicarIdioma)
+ *
+ * Toda chave nova entra nos três catálogos (tests/i18n.test.mjs
+ * confere). Na falta de uma tradução, o texto em pt-BR é usado.
+ * ============================================================
+ */
+
+// Cache busting dos catálogos: atualizar junto com o ?v= do i18n.mjs nas páginas
+import ptBR from './idiomas/pt-BR.mjs?v=1.0.7';
+import en from './idiomas/en.mjs?v=1.0.7';
+import es from './idiomas/es.mjs?v=1.0.7';
+
+// ============================================================
+// IDIOMAS DISPONÍVEIS
+// ============================================================
+
+export const IDIOMA_PADRAO = 'pt-BR';
+
+// Catálogos por idioma (a chave também é a localidade usada pelo Intl)
+export const IDIOMAS = {
+    'pt-BR': ptBR,
+    en,
+    es,
+};
+
+// Escolha do seletor de idioma, lembrada entre as visitas
+export const IDIOMA_STORAGE_KEY = 'tks_idioma';
+
+let idioma = IDIOMA_PADRAO;
+
+/**
+ * Converte uma etiqueta de idioma (ex: "es-AR", "en-US", "pt") no
+ * idioma do catálogo correspondente.
+ *
+ * @param {string|null|undefined} tag
+ * @returns {string|null} Chave de IDIOMAS ou null se não houver catálogo
+ */
+export function normalizarIdioma(tag) {
+    const base = String(tag ?? '').trim().toLowerCase().split(/[-_]/)[0];
+    if (base === 'pt') return 'pt-BR';
+    return base in IDIOMAS ? base : null;
+}
+
+/**
+ * Escolhe o idioma da página.
+ *
+ * Ordem:
+ *  1. Parâmetro ?lang= da URL (links de parceiros, ex: ?lang=es)
+ *  2. Escolha salva pelo seletor de idioma
+ *  3. Idiomas preferidos do navegador, na ordem
+ *  4. pt-BR
+ *
+ * @param {{ busca?: string, armazenado?: string|null, navegador?: string[] }} origens
+ *        busca: location.search; armazenado: localStorage[IDIOMA_STORAGE_KEY];
+ *        navegador: navigator.languages
+ * @returns {string}
+ */
+export function detectarIdioma({ busca = '', armazenado = null, navegador = [] } = {}) {
+    const candidatos = [new URLSearchParams(busca).get('lang'), armazenado, ...navegador];
+    for (const candidato of candidatos) {
+        const encontrado = normalizarIdioma(candidato);
+        if (encontrado) return encontrado;
+    }
+    return IDIOMA_PADRAO;
+}
+
+/**
+ * Define o idioma usado por t() e pelas formatações.
+ *
+ * @param {string} tag
+ * @returns {string} Idioma aplicado (pt-BR se a etiqueta não tiver catálogo)
+ */
+export function definirIdioma(tag) {
+    idioma = normalizarIdioma(tag) || IDIOMA_PADRAO;
+    return idioma;
+}
+
+/** @returns {string} Idioma atual (chave de IDIOMAS) */
+export function idiomaAtual() {
+    return idioma;
+}
+
+// ============================================================
+// TRADUÇÃO
+// ============================================================
+
+/** Indica se a chave existe no catálogo padrão. */
+export function existeChave(chave) {
+    return Object.hasOwn(IDIOMAS[IDIOMA_PADRAO], chave);
+}
+
+/**
+ * Texto da chave no idioma atual.
+ *
+ * Regras:
+ *  - "{nome}" é trocado por params.nome
+ *  - Textos com plural ({ one, other }) escolhem a forma pelo
+ *    params.count (Intl.PluralRules)
+ *  - Sem tradução no idioma atual, usa o pt-BR; sem a chave, devolve
+ *    a própria chave (fica visível na tela e é fácil de achar)
+ *
+ * @param {string} chave
+ * @param {object} [params]
+ * @returns {string}
+ */
+export function t(chave, params = {}) {
+    let texto = IDIOMAS[idioma][chave] ?? IDIOMAS[IDIOMA_PADRAO][chave];
+    if (texto === undefined) return chave;
+
+    if (typeof texto === 'object') {
+        texto = texto[new Intl.PluralRules(idioma).select(Number(params.count ?? 0))] ?? texto.other;
+    }
+    return texto.replace(/\{(\w+)\}/g, (marcador, nome) => (nome in params ? String(params[nome]) : marcador));
+}
+
+/**
+ * Mensagem de um resultado com código: validação ({ code, message,
+ * params }) ou resposta da API ({ code, error } / { code, message }).
+ *
+ * @param {object} resultado
+ * @param {string|null} [chavePadrao] - Usada quando não há tradução nem texto
+ * @returns {string}
+ */
+export function mensagemDoCodigo(resultado = {}, chavePadrao = null) {
+    const code = resultado.code;
+    if (code && existeChave(`codigos.${code}`)) return t(`codigos.${code}`, resultado.params || {});
+    return resultado.error || resultado.message || (chavePadrao ? t(chavePadrao) : '');
+}
+
+// ============================================================
+// FORMATAÇÃO (Intl)
+// ============================================================
+
+/**
+ * Valor monetário no idioma atual. A moeda não muda com o idioma:
+ * os planos são cobrados em reais.
+ *
+ * @param {number|string|null} valor - Valor em reais (ex: 29.9)
+ * @param {string} [moeda='BRL']
+ * @returns {string} Ex: "R$ 29,90" (pt-BR), "R$29.90" (en); vazio se não for número
+ */
+export function formatarMoeda(valor, moeda = 'BRL') {
+    if (valor === null || valor === undefined || valor === '' || !Number.isFinite(Number(valor))) return '';
+    return new Intl.NumberFormat(idioma, { style: 'currency', currency: moeda }).format(Number(valor));
+}
+
+/**
+ * Data YYYY-MM-DD no formato do idioma atual. A data é formatada em
+ * UTC para não cair no dia anterior em fusos negativos (o mesmo
+ * cuidado do lerDataISO do validacoes.mjs).
+ *
+ * @param {string|null} isoDate - Ex: "2026-10-19" (ou data e hora ISO)
+ * @returns {string} Ex: "19/10/2026" (pt-BR, es), "10/19/2026" (en); vazio se inválida
+ */
+export function formatarData(isoDate) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(isoDate ?? ''));
+    if (!m) return '';
+
+    const data = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+    if (data.getUTCMonth() !== Number(m[2]) - 1) return '';
+
+    return new Intl.DateTimeFormat(idioma, {
+        day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'UTC',
+    }).format(data);
+}
@@ -0,0 +1,395 @@
+/**
+ * ============================================================
+ * CHECKOUT CONVÊNIOS - TKS VANTAGENS
+ * Arquivo: js/idiomas/en.mjs
+ *
+ * Descrição: Textos do checkout em inglês. Mesmas chaves do
+ * pt-BR.mjs (tests/i18n.test.mjs confere).
+ * ============================================================
+ */
+
+export default {
+    // --- Página ---
+    'pagina.titulo': 'TKS Vantagens — Subscribe Now',
+    'pagina.rodape': '© 2026 TKS Vantagens. All rights reserved.',
+    'idioma.rotulo': 'Language',
+
+    // --- Comuns ---
+    'comum.voltar': 'Back',
+    'comum.continuar': 'Continue',
+    'comum.aguarde': 'Please wait...',
+    'comum.processando': 'Please wait, processing...',
+    'comum.copiar': 'Copy',
+    'comum.copiado': 'Copied!',
+    'comum.remover': 'Remove',
+    'comum.fechar': 'Close',
+
+    // --- Indicador de progresso ---
+    'etapas.rotulo': 'Subscription steps',
+    'etapas.cpf': 'CPF',
+    'etapas.plano': 'Plan',
+    'etapas.dados': 'Details',
+    'etapas.pagamento': 'Payment',
+    'etapas.concluida': '(completed)',
+    'etapas.atual': '(current step)',
+    'etapas.pendente': '(pending)',
+
+    // --- Etapa 1: CPF ---
+    'cpf.boas_vindas_titulo': 'Welcome!',
+    'cpf.boas_vindas_texto': 'Enter your CPF to get started.',
+    'cpf.rotulo': 'Account holder CPF',
+    'cpf.ja_assinante': 'Already a subscriber?',
+    'cpf.gerenciar': 'Manage your subscription',
+    'cpf.incompleto': 'Invalid CPF. Please enter all 11 digits.',
+    'cpf.invalido': 'Invalid CPF. The number entered is not a valid CPF. Please check it and try again.',
+    'cpf.erro_verificar': 'Could not verify the CPF. Please try again.',
+    'cpf.desafio_stub': 'I am not a robot (local challenge)',
+
+    // --- Etapa 1: "Tenho convênio" ---
+    'convenio.tenho': 'I have a benefit through my company',
+    'convenio.aba_codigo': 'Access code',
+    'convenio.aba_email': 'Work e-mail',
+    'convenio.codigo_placeholder': 'COMPANY CODE',
+    'convenio.codigo_rotulo': 'Company access code',
+    'convenio.validar': 'Validate',
+    'convenio.email_placeholder': 'you@yourcompany.com',
+    'convenio.email_rotulo': 'Work e-mail',
+    'convenio.enviar_codigo': 'Send code',
+    'convenio.otp_rotulo': 'Verification code received by e-mail',
+    'convenio.confirmar': 'Confirm',
+    'convenio.identificado': 'Company benefit found',
+    'convenio.cpf_antes': 'Enter a valid CPF before validating the company benefit.',
+    'convenio.codigo_obrigatorio': 'Enter the code provided by your company.',
+    'convenio.codigo_invalido': 'Invalid access code.',
+    'convenio.erro_validar': 'Could not validate the code. Please try again.',
+    'convenio.email_invalido': 'Invalid e-mail. Enter your work e-mail.',
+    'convenio.envio_falhou': 'The code could not be sent.',
+    'convenio.otp_enviado': 'We sent a 6-digit code to {email}. It is valid for 10 minutes.',
+    'convenio.erro_enviar': 'Could not send the code. Please try again.',
+    'convenio.otp_incompleto': 'Enter the 6 digits of the code.',
+    'convenio.otp_incorreto': 'Incorrect code.',
+    'convenio.erro_confirmar': 'Could not confirm the code. Please try again.',
+
+    // --- Etapa 2: Planos ---
+    'planos.titulo': 'Choose your Plan',
+    'planos.subtitulo': 'Select the plan that suits you best.',
+    'planos.subtitulo_b2c': 'Plans available to you.',
+    'planos.subtitulo_convenio': 'Exclusive plans from your benefit with {empresa}.',
+    'planos.empresa_parceira': 'the partner company',
+    'planos.convenio_comprovar': 'Your CPF is linked to a partner company. Confirm the link with the access code or your work e-mail to see the company plans.',
+    'planos.convenio_comprovar_botao': 'Confirm company plan',
+    'planos.ciclo_rotulo': 'Billing cycle',
+    'planos.carregando': 'Loading plans...',
+    'planos.nenhum': 'No plans available at the moment.',
+    'planos.disponiveis': { one: '{count} plan available.', other: '{count} plans available.' },
+    'planos.erro': 'Could not load the plans. Please try again.',
+    'planos.equivale': 'equivalent to {valor}/month',
+    'planos.economia': 'Save {valor} ({percentual}%)',
+    'planos.ciclo.monthly': 'Monthly',
+    'planos.ciclo.quarterly': 'Quarterly',
+    'planos.ciclo.semiannual': 'Semiannual',
+    'planos.ciclo.annual': 'Annual',
+    'planos.ciclo.other': 'Other',
+    'planos.periodo.monthly': '/month',
+    'planos.periodo.quarterly': '/quarter',
+    'planos.periodo.semiannual': '/6 months',
+    'planos.periodo.annual': '/year',
+    'planos.periodo.meses': { one: '/month', other: '/{count} months' },
+    'planos.periodo.semanas': { one: '/week', other: '/{count} weeks' },
+
+    // --- Etapa 3: Dados pessoais ---
+    'dados.titulo': 'Your Details',
+    'dados.subtitulo': 'Confirm or fill in your information.',
+    'dados.aviso_mascarados': 'For your security, your registered details are partially hidden. Keep them to confirm or type new values.',
+    'dados.nome': 'Full Name *',
+    'dados.nome_placeholder': 'Your full name',
+    'dados.email': 'E-mail *',
+    'dados.email_placeholder': 'you@email.com',
+    'dados.telefone': 'Phone *',
+    'dados.whatsapp': 'This number is on WhatsApp',
+    'dados.nascimento': 'Date of birth *',
+    'dados.nascimento_cadastrado': 'On file: {data}. Leave blank to keep it.',
+    'dados.cep': 'CEP (postal code) *',
+    'dados.numero': 'Number *',
+    'dados.numero_placeholder': '123 or S/N',
+    'dados.rua': 'Street *',
+    'dados.rua_placeholder': 'Street, avenue, block...',
+    'dados.complemento': 'Address line 2',
+    'dados.complemento_placeholder': 'Apt, building...',
+    'dados.bairro': 'Neighborhood *',
+    'dados.bairro_placeholder': 'Neighborhood',
+    'dados.cidade': 'City *',
+    'dados.cidade_placeholder': 'City',
+    'dados.uf': 'State *',
+    'dados.nome_obrigatorio': 'Please enter your full name.',
+    'dados.nome_sobrenome': 'Enter your first and last name.',
+    'dados.email_obrigatorio': 'Please enter your e-mail.',
+    'dados.email_invalido': 'Invalid e-mail. Use the format user@domain.com',
+    'dados.corrija': 'Please fix the fields highlighted in red before continuing.',
+    'dados.cep_nao_encontrado': 'CEP not found. Please fill in the address manually.',
+
+    // --- Etapa 3: Consentimentos LGPD ---
+    'consent.titulo': 'Communications and privacy',
+    'consent.opcional': 'Optional. You can withdraw at any time by writing to contato@tksvantagens.com.br.',
+    'consent.email': 'I want to receive offers and news from TKS Vantagens by e-mail.',
+    'consent.whatsapp': 'I want to receive offers and news on WhatsApp.',
+    'consent.parceiro': 'I authorize sharing my registration details with',
+
+    // --- Etapa 3b: Dependentes ---
+    'dependentes.titulo': 'Dependents',
+    'dependentes.subtitulo': 'Your plan lets you add family members. This step is optional.',
+    'dependentes.nome': 'Full Name',
+    'dependentes.nome_placeholder': 'Dependent name',
+    'dependentes.nascimento': 'Date of birth',
+    'dependentes.parentesco': 'Relationship',
+    'dependentes.selecione': 'Select...',
+    'dependentes.adicionar': 'Add Dependent',
+    'dependentes.pular': 'Skip this step',
+    'dependentes.contador': '{count} of {max}',
+    'dependentes.item': '{parentesco} · CPF {cpf}',
+    'dependentes.remover': 'Remove {nome}',
+    'dependentes.limite': { one: 'Your plan allows up to {count} dependent.', other: 'Your plan allows up to {count} dependents.' },
+    'dependentes.nome_sobrenome': "Enter the dependent's first and last name.",
+    'dependentes.cpf_invalido': 'Invalid CPF. Please check the number.',
+    'dependentes.cpf_repetido': 'This CPF has already been added to this subscription.',
+    'dependentes.parentesco_obrigatorio': 'Select the relationship.',
+    'parentesco.conjuge': 'Spouse',
+    'parentesco.filho': 'Child',
+    'parentesco.pai_mae': 'Parent',
+    'parentesco.outro': 'Other',
+
+    // --- Etapa 4: Pagamento ---
+    'pagamento.titulo': 'Payment',
+    'pagamento.subtitulo': 'Choose how you want to pay.',
+    'pagamento.plano_selecionado': 'Selected Plan',
+    'pagamento.forma_rotulo': 'Payment method',
+    'pagamento.cartao': 'Card',
+    'pagamento.boleto': 'Boleto',
+    'pagamento.pix': 'PIX',
+    'pagamento.folha': 'Payroll',
+    'pagamento.aviso_padrao': 'After clicking "Finish", you will receive the payment code.',
+    'pagamento.aviso_pix': 'After clicking "Finish", a PIX QR Code will be generated for you.',
+    'pagamento.aviso_boleto': 'After clicking "Finish", a boleto (bank slip) will be generated for you.',
+    'pagamento.aviso_folha': 'The amount will be deducted from your payroll by {empresa}. No charge will be created now.',
+    'pagamento.sua_empresa': 'your company',
+    'pagamento.selecione_metodo': 'Please select a payment method.',
+    'pagamento.finalizar': 'Finish Subscription',
+    'pagamento.seguro': '100% secure and encrypted payment',
+    'pagamento.erro_processar': 'Could not process the subscription.',
+    'pagamento.recusado': 'Payment declined. Please check your card details.',
+    'pagamento.erro_inesperado': 'Unexpected error. Please try again.',
+    'pagamento.erro.pagar_pix': 'Pay with PIX',
+    'pagamento.erro.tentar_novamente': 'Try again',
+    'pagamento.erro.ir_assinatura': 'Go to My subscription',
+
+    // --- Etapa 4: Cupom ---
+    'cupom.rotulo': 'Discount Coupon',
+    'cupom.placeholder': 'CODE',
+    'cupom.aplicar': 'Apply',
+    'cupom.invalido': 'Invalid coupon.',
+    'cupom.erro': 'Could not validate the coupon. Please try again.',
+    'cupom.aplicado_recorrente': '{codigo}: -{desconto} on every charge',
+    'cupom.aplicado_primeira': '{codigo}: -{desconto} on the first charge',
+
+    // --- Etapa 4: Cartão ---
+    'cartao.seus_cartoes': 'Your cards',
+    'cartao.usar_outro': 'Use another card',
+    'cartao.salvo': '{bandeira} ending in {final}',
+    'cartao.salvo_generico': 'Card',
+    'cartao.salvo_validade': 'Expires {validade}',
+    'cartao.salvos_acesso': 'Subscribed before? Confirm the code sent to your registered e-mail to use a saved card.',
+    'cartao.numero': 'Card Number',
+    'cartao.nome': 'Name on Card',
+    'cartao.nome_placeholder': 'NAME AS ON CARD',
+    'cartao.validade': 'Expiry date',
+    'cartao.validade_placeholder': 'MM/YY',
+    'cartao.numero_obrigatorio': 'Enter the card number.',
+    'cartao.bandeira_nao_aceita': 'Card brand not accepted. Use Visa, Mastercard, Elo, Amex, Hipercard or Diners.',
+    'cartao.numero_invalido': 'Invalid {bandeira} card number. Please check the digits.',
+    'cartao.nome_obrigatorio': 'Enter the name printed on the card.',
+    'cartao.nome_sobrenome': 'Enter the first and last name as printed on the card.',
+    'cartao.validade_formato': 'Enter the expiry date as MM/YY.',
+    'cartao.validade_mes': 'Invalid expiry month.',
+    'cartao.vencido': 'Card expired. Please check the expiry date.',
+    'cartao.cvv_tamanho': 'The CVV must have {count} digits.',
+    'cartao.dados_invalidos': 'Invalid card details: {detalhe}',
+
+    // --- Etapa 4: Termos e Condições ---
+    'termos.li_aceito': 'I have read and accept the',
+    'termos.link': 'Terms and Conditions',
+    'termos.de_uso': 'of TKS Vantagens.',
+    'termos.texto_rotulo': 'Terms and Conditions text',
+    'termos.carregando': 'Loading the Terms and Conditions...',
+    'termos.erro_carregar': 'Could not load the Terms and Conditions. Close and open again to retry.',
+    'termos.versao': 'Version {versao} · published on {data}',
+    'termos.aviso_idioma': 'The Terms and Conditions are available only in Portuguese, which is the legally binding version.',
+    'termos.declaracao': 'By proceeding with the subscription, the user declares to have read, understood and agreed to all the terms above.',
+    'termos.aceitar': 'I have read and accept the Terms and Conditions',
+
+    // --- Tela de sucesso ---
+    'sucesso.titulo': 'Subscription Confirmed!',
+    'sucesso.mensagem': 'Your access to the Benefits Club has been granted.',
+    'sucesso.valido_ate': 'Access valid until',
+    'sucesso.renovado': ', renewed with each payment.',
+    'sucesso.acessar': 'Go to the Benefits Club',
+    'sucesso.pagamento_confirmado': 'Payment confirmed! Your access has been granted.',
+
+    // --- Tela de pagamento pendente ---
+    'pendente.titulo': 'Awaiting Payment',
+    'pendente.texto': 'Your access will be granted automatically once the payment is confirmed.',
+    'pendente.qrcode_alt': 'PIX QR Code',
+    'pendente.copia_cola': 'PIX copy and paste code',
+    'pendente.linha_digitavel': 'Boleto number',
+    'pendente.vencimento': 'Due date',
+    'pendente.baixar_pdf': 'Download PDF',
+    'pendente.enviar_email': 'Send to my e-mail',
+    'pendente.email_enviado': 'Boleto sent to your e-mail.',
+    'pendente.erro_email': 'Could not send the boleto by e-mail. Please try again.',
+    'pendente.verificando': 'Checking the payment automatically...',
+    'pendente.abrir': 'Open Boleto / PIX',
+    'pendente.link_email': 'The link has also been sent to your e-mail.',
+    'pendente.nao_confirmado': 'The payment was not confirmed and the order was closed. Choose a payment method and finish again.',
+
+    // --- Códigos das validações (js/validacoes.mjs e api/config.php) ---
+    'codigos.phone_foreign': 'Enter a Brazilian phone number (+55).',
+    'codigos.phone_too_short': 'Invalid phone. Enter the area code and the number (e.g. (61) 99618-7769).',
+    'codigos.phone_too_long': 'Invalid phone. The number is too long.',
+    'codigos.phone_invalid_area_code': 'Invalid area code (DDD). Please check the phone area code.',
+    'codigos.phone_mobile_prefix': 'Mobile numbers start with 9 after the area code. For a landline, enter only the 8 digits of the number.',
+    'codigos.phone_missing_nine': 'Mobile numbers have 9 digits after the area code. Add a 9 in front of the number.',
+    'codigos.phone_invalid_prefix': 'Invalid phone number. Please check the digits after the area code.',
+    'codigos.birth_date_required': 'Please enter your date of birth.',
+    'codigos.birth_date_invalid': 'Invalid date of birth.',
+    'codigos.birth_date_future': 'The date of birth cannot be in the future.',
+    'codigos.birth_date_min_age': 'You must be at least {min_age} years old to sign up.',
+    'codigos.address_zip_code_invalid': 'Invalid CEP. Enter all 8 digits.',
+    'codigos.address_street_required': 'Enter the street.',
+    'codigos.address_number_required': 'Enter the number (or S/N).',
+    'codigos.address_district_required': 'Enter the neighborhood.',
+    'codigos.address_city_required': 'Enter the city.',
+    'codigos.address_state_invalid': 'Select the state.',
+
+    // --- Códigos da API (api/*.php) ---
+    'codigos.method_not_allowed': 'Method not allowed.',
+    'codigos.invalid_body': 'Invalid request body.',
+    'codigos.missing_field': 'Missing required field: {field}.',
+    'codigos.masked_data_mismatch': 'Could not confirm a registered detail. Please type it again in the personal details step.',
+    'codigos.invalid_payment_method': 'Invalid payment method.',
+    'codigos.card_token_required': 'Enter the card details or choose a saved card.',
+    'codigos.invalid_idempotency_key': 'Could not identify this purchase attempt. Reload the page and try again.',
+    'codigos.terms_unavailable': 'Could not load the Terms and Conditions. Please try again.',
+    'codigos.terms_not_accepted': 'You must accept the Terms and Conditions to continue.',
+    'codigos.terms_outdated': 'The Terms and Conditions have been updated. Read and accept the new version to continue.',
+    'codigos.terms_not_published': 'No version of the Terms and Conditions has been published.',
+    'codigos.coupon_required': 'Enter the coupon code.',
+    'codigos.coupon_not_found': 'Invalid or unknown coupon.',
+    'codigos.coupon_not_started': 'This coupon is not valid yet.',
+    'codigos.coupon_expired': 'This coupon has expired.',
+    'codigos.coupon_limit_reached': 'This coupon has reached its usage limit.',
+    'codigos.coupon_reservation_failed': 'The coupon could not be applied right now. Please try again.',
+    'codigos.coupon_wrong_company': 'This coupon is not valid for your company benefit.',
+    'codigos.coupon_wrong_plan': 'This coupon is not valid for the selected plan.',
+    'codigos.coupon_not_allowed_payroll': 'Discount coupons do not apply to payroll deduction.',
+    'codigos.plan_not_found': 'Plan not found.',
+    'codigos.plan_mismatch': 'The selected plan does not match. Please choose the plan again.',
+    'codigos.dependents_limit': 'The selected plan allows at most {max} dependent(s).',
+    'codigos.dependent_name_required': 'Dependent {index}: enter first and last name.',
+    'codigos.dependent_cpf_invalid': 'Dependent {index}: invalid CPF.',
+    'codigos.dependent_cpf_duplicate': 'Dependent {index}: CPF already added to this subscription.',
+    'codigos.dependent_birth_date_required': 'Dependent {index}: enter the date of birth.',
+    'codigos.dependent_birth_date_invalid': 'Dependent {index}: invalid date of birth.',
+    'codigos.dependent_birth_date_future': 'Dependent {index}: the date of birth cannot be in the future.',
+    'codigos.dependent_relationship_invalid': 'Dependent {index}: invalid relationship.',
+    'codigos.payroll_requires_company': 'Payroll deduction is only available for company benefit plans.',
+    'codigos.payroll_no_account': 'The company has no active benefit account.',
+    'codigos.payroll_not_allowed': "Your company's contract does not allow payroll deduction.",
+    'codigos.payroll_plan_not_in_contract': "The chosen plan is not part of your company's contract.",
+    'codigos.payroll_not_member': 'Payroll deduction is only available to employees linked to the company.',
+    'codigos.request_in_progress': 'Your subscription is already being processed. Please wait a few seconds.',
+    'codigos.request_changed': 'The order details changed since the last attempt. Click Finish again.',
+    'codigos.request_registration_failed': 'Could not register the request. Please try again.',
+    'codigos.profile_save_failed': 'Could not save your details. Please try again.',
+    'codigos.consent_save_failed': 'Could not record your consent choices. Please try again.',
+    'codigos.subscription_save_failed': 'Could not save the subscription. Please try again.',
+    'codigos.terms_acceptance_save_failed': 'Your subscription was registered, but an error occurred while recording the acceptance of the Terms and Conditions. Contact our support.',
+    'codigos.dependents_save_failed': 'Your subscription was registered, but an error occurred while saving the dependents. Contact our support.',
+    'codigos.iugu_customer_failed': 'Could not register your billing details. Check your e-mail, phone and address.',
+    'codigos.saved_card_not_found': 'Saved card not found. Please enter the card details again.',
+    'codigos.saved_card_session_required': 'Confirm the code sent to your e-mail to use a saved card.',
+    'codigos.iugu_payment_method_failed': 'Could not register the card. Check the details or pay with PIX.',
+    'codigos.iugu_subscription_failed': 'Could not create the subscription. Check the details or choose another payment method.',
+    'codigos.payroll_activated': 'Subscription activated! The amount will be deducted from your payroll.',
+    'codigos.payment_approved': 'Payment approved! Your access has been granted.',
+    'codigos.payment_pending': 'Awaiting payment confirmation.',
+    'codigos.payment_declined': 'Payment declined. Use another card or pay with PIX.',
+    'codigos.payment_status_unknown': 'Unknown status.',
+
+    // --- Cartão recusado (código LR da Iugu) ---
+    'codigos.card_declined': 'Payment declined by the card issuer. Use another card or pay with PIX.',
+    'codigos.card_insufficient_funds': 'The card has no available limit. Use another card or pay with PIX.',
+    'codigos.card_expired': 'The card has expired. Check the expiry date or use another card.',
+    'codigos.card_invalid_cvv': 'Invalid security code (CVV). Check the back of the card.',
+    'codigos.card_invalid_number': 'Invalid card number. Check the digits.',
+
+    // --- Sistema de pagamento e cadastro ---
+    'codigos.iugu_timeout': 'The payment system took too long to respond. Please try again.',
+    'codigos.iugu_unavailable': 'The payment system is unstable right now. Please try again in a moment.',
+    'codigos.payment_unconfirmed': 'We could not confirm your subscription with the payment system. Do not try again now: check your e-mail in a few minutes or contact our support.',
+    'codigos.subscription_already_active': 'This CPF already has an active subscription. Go to "My subscription" to view or change the plan.',
+    'codigos.subscription_not_recorded': 'Your subscription was created in the payment system, but an error occurred while completing the registration. Do not try again: contact our support.',
+    'codigos.network_error': 'Could not reach the server. Check your connection and try again.',
+    'codigos.database_error': 'Database query failed. Please try again.',
+    'codigos.invalid_parameter': 'Invalid parameter.',
+    'codigos.invalid_token': 'Invalid token.',
+    'codigos.export_disabled': 'Export disabled.',
+    'codigos.invalid_event': 'Invalid event.',
+    'codigos.event_save_failed': 'Could not record the event.',
+
+    // --- CPF, CEP e códigos de verificação ---
+    'codigos.cpf_incomplete': 'Invalid CPF. Enter all 11 digits.',
+    'codigos.cpf_invalid': 'Invalid CPF. The number entered is not a valid CPF.',
+    'codigos.challenge_required': 'Confirm you are not a robot to continue.',
+    'codigos.rate_limited': 'Too many lookups in a short time. Wait a few minutes and try again.',
+    'codigos.zip_invalid': 'Invalid ZIP code (CEP). Enter all 8 digits.',
+    'codigos.cep_lookup_failed': 'Could not look up the ZIP code. Fill in the address manually.',
+    'codigos.email_invalid': 'Invalid e-mail. Enter an e-mail like user@company.com',
+    'codigos.email_domain_not_partner': 'This e-mail domain does not belong to a partner company.',
+    'codigos.email_send_failed': 'Could not send the e-mail. Please try again.',
+    'codigos.access_code_not_found': 'Access code not found. Check with your company\'s HR.',
+    'codigos.company_not_found': 'Partner company not found.',
+    'codigos.company_link_failed': 'Could not register the link with the company.',
+    'codigos.verification_fields_required': 'Enter the CPF, the e-mail and the 6-digit code.',
+    'codigos.verification_code_recently_sent': 'A code was just sent. Wait a minute before requesting another one.',
+    'codigos.verification_code_failed': 'Could not generate the verification code.',
+    'codigos.verification_code_expired': 'Code expired or not requested. Request a new code.',
+    'codigos.verification_code_locked': 'Too many incorrect attempts. Request a new code.',
+    'codigos.verification_code_incorrect': 'Incorrect code. Check the e-mail and try again.',
+    'codigos.verification_check_failed': 'We couldn\'t check the code. Please try again.',
+
+    // --- Minha assinatura e LGPD ---
+    'codigos.session_expired': 'Your session has expired. Sign in again with your CPF.',
+    'codigos.session_start_failed': 'Could not start the session. Please try again.',
+    'codigos.subscription_not_found': 'Subscription not found.',
+    'codigos.subscription_not_active': 'Only an active subscription can change plans.',
+    'codigos.subscription_update_failed': 'Could not update the subscription.',
+    'codigos.no_active_subscription': 'You do not have an active subscription.',
+    'codigos.no_open_invoice': 'There is no open bank slip for this subscription.',
+    'codigos.invoice_not_found': 'Could not find the bank slip.',
+    'codigos.invoice_email_failed': 'Could not send the bank slip by e-mail. Please try again.',
+    'codigos.payroll_has_no_card': 'Your subscription is paid by payroll deduction and does not use a card.',
+    'codigos.card_save_failed': 'Could not save the card. Check the details and try again.',
+    'codigos.plan_already_current': 'You are already on this plan.',
+    'codigos.plan_not_in_contract': 'The chosen plan is not part of your company\'s contract.',
+    'codigos.plan_not_available': 'Plan not available for your subscription.',
+    'codigos.plan_dependents_exceeded': 'The chosen plan allows at most {max} dependent(s). You have {count}.',
+    'codigos.plan_change_failed': 'Could not change the plan.',
+    'codigos.cancel_failed': 'Could not cancel the subscription. Please try again.',
+    'codigos.access_revoke_failed': 'Subscription canceled, but an error occurred while ending the access. Contact our support.',
+    'codigos.data_not_found': 'No data found for this CPF.',
+    'codigos.data_export_failed': 'Could not gather the data subject\'s data. Please try again.',
+    'codigos.confirmation_required': 'Confirm the data deletion. This action cannot be undone.',
+    'codigos.open_subscription': 'There is an open subscription. Cancel it before requesting data deletion.',
+    'codigos.access_still_active': 'The data subject still has active access to the Benefits Club. End it before requesting data deletion.',
+    'codigos.benefits_deactivation_failed': 'Could not deactivate the user in the Benefits Club. No data was deleted; please try again.',
+    'codigos.anonymization_failed': 'Could not anonymize the profile.',
+};
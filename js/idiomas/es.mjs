@@ -0,0 +1,396 @@
+/**
+ * ============================================================
+ * CHECKOUT CONVÊNIOS - TKS VANTAGENS
+ * Arquivo: js/idiomas/es.mjs
+ *
+ * Descrição: Textos do checkout em espanhol (membros de convênios
+ * em regiões de fronteira). Mesmas chaves do pt-BR.mjs
+ * (tests/i18n.test.mjs confere).
+ * ============================================================
+ */
+
+export default {
+    // --- Página ---
+    'pagina.titulo': 'TKS Vantagens — Suscríbete Ahora',
+    'pagina.rodape': '© 2026 TKS Vantagens. Todos los derechos reservados.',
+    'idioma.rotulo': 'Idioma',
+
+    // --- Comuns ---
+    'comum.voltar': 'Volver',
+    'comum.continuar': 'Continuar',
+    'comum.aguarde': 'Espera...',
+    'comum.processando': 'Espera, procesando...',
+    'comum.copiar': 'Copiar',
+    'comum.copiado': '¡Copiado!',
+    'comum.remover': 'Quitar',
+    'comum.fechar': 'Cerrar',
+
+    // --- Indicador de progresso ---
+    'etapas.rotulo': 'Pasos de la suscripción',
+    'etapas.cpf': 'CPF',
+    'etapas.plano': 'Plan',
+    'etapas.dados': 'Datos',
+    'etapas.pagamento': 'Pago',
+    'etapas.concluida': '(completado)',
+    'etapas.atual': '(paso actual)',
+    'etapas.pendente': '(pendiente)',
+
+    // --- Etapa 1: CPF ---
+    'cpf.boas_vindas_titulo': '¡Bienvenido!',
+    'cpf.boas_vindas_texto': 'Ingresa tu CPF para comenzar.',
+    'cpf.rotulo': 'CPF del titular',
+    'cpf.ja_assinante': '¿Ya eres suscriptor?',
+    'cpf.gerenciar': 'Administra tu suscripción',
+    'cpf.incompleto': 'CPF inválido. Por favor, ingresa los 11 dígitos.',
+    'cpf.invalido': 'CPF inválido. El número ingresado no es un CPF válido. Verifícalo e inténtalo de nuevo.',
+    'cpf.erro_verificar': 'Error al verificar el CPF. Inténtalo de nuevo.',
+    'cpf.desafio_stub': 'No soy un robot (desafío local)',
+
+    // --- Etapa 1: "Tenho convênio" ---
+    'convenio.tenho': 'Tengo convenio por mi empresa',
+    'convenio.aba_codigo': 'Código de acceso',
+    'convenio.aba_email': 'Correo corporativo',
+    'convenio.codigo_placeholder': 'CÓDIGO DE LA EMPRESA',
+    'convenio.codigo_rotulo': 'Código de acceso de la empresa',
+    'convenio.validar': 'Validar',
+    'convenio.email_placeholder': 'tu@tuempresa.com',
+    'convenio.email_rotulo': 'Correo corporativo',
+    'convenio.enviar_codigo': 'Enviar código',
+    'convenio.otp_rotulo': 'Código de verificación recibido por correo',
+    'convenio.confirmar': 'Confirmar',
+    'convenio.identificado': 'Convenio identificado',
+    'convenio.cpf_antes': 'Ingresa un CPF válido antes de validar el convenio.',
+    'convenio.codigo_obrigatorio': 'Ingresa el código proporcionado por tu empresa.',
+    'convenio.codigo_invalido': 'Código de acceso inválido.',
+    'convenio.erro_validar': 'Error al validar el código. Inténtalo de nuevo.',
+    'convenio.email_invalido': 'Correo inválido. Ingresa tu correo corporativo.',
+    'convenio.envio_falhou': 'No fue posible enviar el código.',
+    'convenio.otp_enviado': 'Enviamos un código de 6 dígitos a {email}. Es válido por 10 minutos.',
+    'convenio.erro_enviar': 'Error al enviar el código. Inténtalo de nuevo.',
+    'convenio.otp_incompleto': 'Ingresa los 6 dígitos del código.',
+    'convenio.otp_incorreto': 'Código incorrecto.',
+    'convenio.erro_confirmar': 'Error al confirmar el código. Inténtalo de nuevo.',
+
+    // --- Etapa 2: Planos ---
+    'planos.titulo': 'Elige tu Plan',
+    'planos.subtitulo': 'Selecciona el plan ideal para ti.',
+    'planos.subtitulo_b2c': 'Planes disponibles para ti.',
+    'planos.subtitulo_convenio': 'Planes exclusivos de tu convenio con {empresa}.',
+    'planos.empresa_parceira': 'la empresa asociada',
+    'planos.convenio_comprovar': 'Tu CPF tiene convenio con una empresa asociada. Confirma el vínculo con el código de acceso o el correo corporativo para ver los planes de la empresa.',
+    'planos.convenio_comprovar_botao': 'Confirmar convenio',
+    'planos.ciclo_rotulo': 'Ciclo de cobro',
+    'planos.carregando': 'Cargando planes...',
+    'planos.nenhum': 'No hay planes disponibles en este momento.',
+    'planos.disponiveis': { one: '{count} plan disponible.', other: '{count} planes disponibles.' },
+    'planos.erro': 'Error al cargar los planes. Inténtalo de nuevo.',
+    'planos.equivale': 'equivale a {valor}/mes',
+    'planos.economia': 'Ahorra {valor} ({percentual}%)',
+    'planos.ciclo.monthly': 'Mensual',
+    'planos.ciclo.quarterly': 'Trimestral',
+    'planos.ciclo.semiannual': 'Semestral',
+    'planos.ciclo.annual': 'Anual',
+    'planos.ciclo.other': 'Otros',
+    'planos.periodo.monthly': '/mes',
+    'planos.periodo.quarterly': '/trimestre',
+    'planos.periodo.semiannual': '/semestre',
+    'planos.periodo.annual': '/año',
+    'planos.periodo.meses': { one: '/mes', other: '/{count} meses' },
+    'planos.periodo.semanas': { one: '/semana', other: '/{count} semanas' },
+
+    // --- Etapa 3: Dados pessoais ---
+    'dados.titulo': 'Tus Datos',
+    'dados.subtitulo': 'Confirma o completa tu información.',
+    'dados.aviso_mascarados': 'Por seguridad, tus datos registrados aparecen parcialmente ocultos. Mantenlos para confirmar o escribe nuevos valores.',
+    'dados.nome': 'Nombre Completo *',
+    'dados.nome_placeholder': 'Tu nombre completo',
+    'dados.email': 'Correo *',
+    'dados.email_placeholder': 'tu@correo.com',
+    'dados.telefone': 'Teléfono *',
+    'dados.whatsapp': 'Este número es de WhatsApp',
+    'dados.nascimento': 'Nacimiento *',
+    'dados.nascimento_cadastrado': 'Registrado: {data}. Déjalo en blanco para mantenerlo.',
+    'dados.cep': 'CEP (código postal) *',
+    'dados.numero': 'Número *',
+    'dados.numero_placeholder': '123 o S/N',
+    'dados.rua': 'Calle *',
+    'dados.rua_placeholder': 'Calle, avenida, manzana...',
+    'dados.complemento': 'Complemento',
+    'dados.complemento_placeholder': 'Depto., bloque...',
+    'dados.bairro': 'Barrio *',
+    'dados.bairro_placeholder': 'Barrio',
+    'dados.cidade': 'Ciudad *',
+    'dados.cidade_placeholder': 'Ciudad',
+    'dados.uf': 'Estado *',
+    'dados.nome_obrigatorio': 'Por favor, ingresa tu nombre completo.',
+    'dados.nome_sobrenome': 'Ingresa tu nombre y apellido.',
+    'dados.email_obrigatorio': 'Por favor, ingresa tu correo.',
+    'dados.email_invalido': 'Correo inválido. Usa el formato usuario@dominio.com',
+    'dados.corrija': 'Por favor, corrige los campos marcados en rojo antes de continuar.',
+    'dados.cep_nao_encontrado': 'CEP no encontrado. Completa la dirección manualmente.',
+
+    // --- Etapa 3: Consentimentos LGPD ---
+    'consent.titulo': 'Comunicaciones y privacidad',
+    'consent.opcional': 'Opcional. Puedes revocarlo en cualquier momento escribiendo a contato@tksvantagens.com.br.',
+    'consent.email': 'Quiero recibir ofertas y novedades de TKS Vantagens por correo.',
+    'consent.whatsapp': 'Quiero recibir ofertas y novedades por WhatsApp.',
+    'consent.parceiro': 'Autorizo compartir mis datos de registro con',
+
+    // --- Etapa 3b: Dependentes ---
+    'dependentes.titulo': 'Dependientes',
+    'dependentes.subtitulo': 'Tu plan permite incluir familiares. Este paso es opcional.',
+    'dependentes.nome': 'Nombre Completo',
+    'dependentes.nome_placeholder': 'Nombre del dependiente',
+    'dependentes.nascimento': 'Nacimiento',
+    'dependentes.parentesco': 'Parentesco',
+    'dependentes.selecione': 'Selecciona...',
+    'dependentes.adicionar': 'Agregar Dependiente',
+    'dependentes.pular': 'Omitir este paso',
+    'dependentes.contador': '{count} de {max}',
+    'dependentes.item': '{parentesco} · CPF {cpf}',
+    'dependentes.remover': 'Quitar a {nome}',
+    'dependentes.limite': { one: 'Tu plan permite hasta {count} dependiente.', other: 'Tu plan permite hasta {count} dependientes.' },
+    'dependentes.nome_sobrenome': 'Ingresa el nombre y apellido del dependiente.',
+    'dependentes.cpf_invalido': 'CPF inválido. Verifica el número ingresado.',
+    'dependentes.cpf_repetido': 'Este CPF ya fue ingresado en esta suscripción.',
+    'dependentes.parentesco_obrigatorio': 'Selecciona el parentesco.',
+    'parentesco.conjuge': 'Cónyuge',
+    'parentesco.filho': 'Hijo(a)',
+    'parentesco.pai_mae': 'Padre/Madre',
+    'parentesco.outro': 'Otro',
+
+    // --- Etapa 4: Pagamento ---
+    'pagamento.titulo': 'Pago',
+    'pagamento.subtitulo': 'Elige cómo quieres pagar.',
+    'pagamento.plano_selecionado': 'Plan Seleccionado',
+    'pagamento.forma_rotulo': 'Forma de pago',
+    'pagamento.cartao': 'Tarjeta',
+    'pagamento.boleto': 'Boleto',
+    'pagamento.pix': 'PIX',
+    'pagamento.folha': 'Nómina',
+    'pagamento.aviso_padrao': 'Después de hacer clic en "Finalizar", recibirás el código de pago.',
+    'pagamento.aviso_pix': 'Después de hacer clic en "Finalizar", se generará un código QR de PIX para ti.',
+    'pagamento.aviso_boleto': 'Después de hacer clic en "Finalizar", se generará un boleto bancario para ti.',
+    'pagamento.aviso_folha': 'El valor se descontará de tu nómina a través de {empresa}. No se generará ningún cobro ahora.',
+    'pagamento.sua_empresa': 'tu empresa',
+    'pagamento.selecione_metodo': 'Por favor, selecciona una forma de pago.',
+    'pagamento.finalizar': 'Finalizar Suscripción',
+    'pagamento.seguro': 'Pago 100% seguro y cifrado',
+    'pagamento.erro_processar': 'Error al procesar la suscripción.',
+    'pagamento.recusado': 'Pago rechazado. Verifica los datos de la tarjeta.',
+    'pagamento.erro_inesperado': 'Error inesperado. Inténtalo de nuevo.',
+    'pagamento.erro.pagar_pix': 'Pagar con PIX',
+    'pagamento.erro.tentar_novamente': 'Intentar de nuevo',
+    'pagamento.erro.ir_assinatura': 'Ir a Mi suscripción',
+
+    // --- Etapa 4: Cupom ---
+    'cupom.rotulo': 'Cupón de Descuento',
+    'cupom.placeholder': 'CÓDIGO',
+    'cupom.aplicar': 'Aplicar',
+    'cupom.invalido': 'Cupón inválido.',
+    'cupom.erro': 'Error al validar el cupón. Inténtalo de nuevo.',
+    'cupom.aplicado_recorrente': '{codigo}: -{desconto} en todos los cobros',
+    'cupom.aplicado_primeira': '{codigo}: -{desconto} en el primer cobro',
+
+    // --- Etapa 4: Cartão ---
+    'cartao.seus_cartoes': 'Tus tarjetas',
+    'cartao.usar_outro': 'Usar otra tarjeta',
+    'cartao.salvo': '{bandeira} terminada en {final}',
+    'cartao.salvo_generico': 'Tarjeta',
+    'cartao.salvo_validade': 'Vence {validade}',
+    'cartao.salvos_acesso': '¿Ya te suscribiste antes? Confirma el código enviado al e-mail registrado para usar una tarjeta guardada.',
+    'cartao.numero': 'Número de la Tarjeta',
+    'cartao.nome': 'Nombre en la Tarjeta',
+    'cartao.nome_placeholder': 'NOMBRE COMO EN LA TARJETA',
+    'cartao.validade': 'Vencimiento',
+    'cartao.validade_placeholder': 'MM/AA',
+    'cartao.numero_obrigatorio': 'Ingresa el número de la tarjeta.',
+    'cartao.bandeira_nao_aceita': 'Marca no aceptada. Usa Visa, Mastercard, Elo, Amex, Hipercard o Diners.',
+    'cartao.numero_invalido': 'Número de tarjeta {bandeira} inválido. Verifica los dígitos.',
+    'cartao.nome_obrigatorio': 'Ingresa el nombre impreso en la tarjeta.',
+    'cartao.nome_sobrenome': 'Ingresa el nombre y apellido como aparecen en la tarjeta.',
+    'cartao.validade_formato': 'Ingresa el vencimiento en el formato MM/AA.',
+    'cartao.validade_mes': 'Mes de vencimiento inválido.',
+    'cartao.vencido': 'Tarjeta vencida. Verifica el vencimiento.',
+    'cartao.cvv_tamanho': 'El CVV debe tener {count} dígitos.',
+    'cartao.dados_invalidos': 'Datos de la tarjeta inválidos: {detalhe}',
+
+    // --- Etapa 4: Termos e Condições ---
+    'termos.li_aceito': 'He leído y acepto los',
+    'termos.link': 'Términos y Condiciones',
+    'termos.de_uso': 'de uso de TKS Vantagens.',
+    'termos.texto_rotulo': 'Texto de los Términos y Condiciones',
+    'termos.carregando': 'Cargando los Términos y Condiciones...',
+    'termos.erro_carregar': 'No fue posible cargar los Términos y Condiciones. Cierra y abre de nuevo para reintentar.',
+    'termos.versao': 'Versión {versao} · publicada el {data}',
+    'termos.aviso_idioma': 'Los Términos y Condiciones están disponibles solo en portugués, que es la versión jurídicamente vinculante.',
+    'termos.declaracao': 'Al continuar con la contratación, el usuario declara haber leído, comprendido y aceptado todos los términos anteriores.',
+    'termos.aceitar': 'He leído y acepto los Términos y Condiciones',
+
+    // --- Tela de sucesso ---
+    'sucesso.titulo': '¡Suscripción Confirmada!',
+    'sucesso.mensagem': 'Tu acceso al Club de Beneficios fue habilitado con éxito.',
+    'sucesso.valido_ate': 'Acceso válido hasta el',
+    'sucesso.renovado': ', renovado con cada pago.',
+    'sucesso.acessar': 'Ir al Club de Beneficios',
+    'sucesso.pagamento_confirmado': '¡Pago confirmado! Tu acceso fue habilitado.',
+
+    // --- Tela de pagamento pendente ---
+    'pendente.titulo': 'Esperando el Pago',
+    'pendente.texto': 'Tu acceso se habilitará automáticamente después de la confirmación del pago.',
+    'pendente.qrcode_alt': 'Código QR de PIX',
+    'pendente.copia_cola': 'PIX copiar y pegar',
+    'pendente.linha_digitavel': 'Línea digitable',
+    'pendente.vencimento': 'Vencimiento',
+    'pendente.baixar_pdf': 'Descargar PDF',
+    'pendente.enviar_email': 'Enviar a mi correo',
+    'pendente.email_enviado': 'Boleto enviado a tu correo.',
+    'pendente.erro_email': 'Error al enviar el boleto por correo. Inténtalo de nuevo.',
+    'pendente.verificando': 'Verificando el pago automáticamente...',
+    'pendente.abrir': 'Abrir Boleto / PIX',
+    'pendente.link_email': 'El enlace también fue enviado a tu correo.',
+    'pendente.nao_confirmado': 'El pago no fue confirmado y el pedido se cerró. Elige la forma de pago y finaliza de nuevo.',
+
+    // --- Códigos das validações (js/validacoes.mjs e api/config.php) ---
+    'codigos.phone_foreign': 'Ingresa un teléfono de Brasil (+55).',
+    'codigos.phone_too_short': 'Teléfono inválido. Ingresa el código de área (DDD) y el número (ej.: (61) 99618-7769).',
+    'codigos.phone_too_long': 'Teléfono inválido. El número es demasiado largo.',
+    'codigos.phone_invalid_area_code': 'Código de área (DDD) inválido. Verifica el código de área del teléfono.',
+    'codigos.phone_mobile_prefix': 'El celular debe comenzar con 9 después del DDD. Si es un teléfono fijo, ingresa solo los 8 dígitos del número.',
+    'codigos.phone_missing_nine': 'El celular tiene 9 dígitos después del DDD. Agrega el 9 delante del número.',
+    'codigos.phone_invalid_prefix': 'Número de teléfono inválido. Verifica los dígitos después del DDD.',
+    'codigos.birth_date_required': 'Por favor, ingresa tu fecha de nacimiento.',
+    'codigos.birth_date_invalid': 'Fecha de nacimiento inválida.',
+    'codigos.birth_date_future': 'La fecha de nacimiento no puede ser una fecha futura.',
+    'codigos.birth_date_min_age': 'Debes tener al menos {min_age} años para registrarte.',
+    'codigos.address_zip_code_invalid': 'CEP inválido. Ingresa los 8 dígitos.',
+    'codigos.address_street_required': 'Ingresa la calle.',
+    'codigos.address_number_required': 'Ingresa el número (o S/N).',
+    'codigos.address_district_required': 'Ingresa el barrio.',
+    'codigos.address_city_required': 'Ingresa la ciudad.',
+    'codigos.address_state_invalid': 'Selecciona el estado.',
+
+    // --- Códigos da API (api/*.php) ---
+    'codigos.method_not_allowed': 'Método no permitido.',
+    'codigos.invalid_body': 'Cuerpo de la solicitud inválido.',
+    'codigos.missing_field': 'Falta un campo obligatorio: {field}.',
+    'codigos.masked_data_mismatch': 'No fue posible confirmar un dato ya registrado. Escríbelo de nuevo en el paso de datos personales.',
+    'codigos.invalid_payment_method': 'Forma de pago inválida.',
+    'codigos.card_token_required': 'Ingresa los datos de la tarjeta o elige una tarjeta guardada.',
+    'codigos.invalid_idempotency_key': 'No fue posible identificar este intento de compra. Recarga la página e inténtalo de nuevo.',
+    'codigos.terms_unavailable': 'No fue posible cargar los Términos y Condiciones. Inténtalo de nuevo.',
+    'codigos.terms_not_accepted': 'Debes aceptar los Términos y Condiciones para continuar.',
+    'codigos.terms_outdated': 'Los Términos y Condiciones fueron actualizados. Lee y acepta la nueva versión para continuar.',
+    'codigos.terms_not_published': 'No hay ninguna versión publicada de los Términos y Condiciones.',
+    'codigos.coupon_required': 'Ingresa el código del cupón.',
+    'codigos.coupon_not_found': 'Cupón inválido o inexistente.',
+    'codigos.coupon_not_started': 'Este cupón todavía no es válido.',
+    'codigos.coupon_expired': 'Este cupón expiró.',
+    'codigos.coupon_limit_reached': 'Este cupón alcanzó el límite de usos.',
+    'codigos.coupon_reservation_failed': 'No fue posible aplicar el cupón ahora. Inténtalo de nuevo.',
+    'codigos.coupon_wrong_company': 'Este cupón no es válido para tu convenio.',
+    'codigos.coupon_wrong_plan': 'Este cupón no es válido para el plan seleccionado.',
+    'codigos.coupon_not_allowed_payroll': 'Los cupones de descuento no se aplican al descuento por nómina.',
+    'codigos.plan_not_found': 'Plan no encontrado.',
+    'codigos.plan_mismatch': 'El plan elegido no coincide. Elige el plan de nuevo.',
+    'codigos.dependents_limit': 'El plan seleccionado permite como máximo {max} dependiente(s).',
+    'codigos.dependent_name_required': 'Dependiente {index}: ingresa nombre y apellido.',
+    'codigos.dependent_cpf_invalid': 'Dependiente {index}: CPF inválido.',
+    'codigos.dependent_cpf_duplicate': 'Dependiente {index}: CPF ya ingresado en esta suscripción.',
+    'codigos.dependent_birth_date_required': 'Dependiente {index}: ingresa la fecha de nacimiento.',
+    'codigos.dependent_birth_date_invalid': 'Dependiente {index}: fecha de nacimiento inválida.',
+    'codigos.dependent_birth_date_future': 'Dependiente {index}: la fecha de nacimiento no puede ser una fecha futura.',
+    'codigos.dependent_relationship_invalid': 'Dependiente {index}: parentesco inválido.',
+    'codigos.payroll_requires_company': 'El descuento por nómina solo está disponible para planes de convenio.',
+    'codigos.payroll_no_account': 'La empresa no tiene una cuenta de convenio activa.',
+    'codigos.payroll_not_allowed': 'El contrato de tu empresa no permite descuento por nómina.',
+    'codigos.payroll_plan_not_in_contract': 'El plan elegido no forma parte del contrato de tu empresa.',
+    'codigos.payroll_not_member': 'El descuento en nómina solo está disponible para empleados vinculados a la empresa.',
+    'codigos.request_in_progress': 'Tu suscripción ya se está procesando. Espera unos segundos.',
+    'codigos.request_changed': 'Los datos del pedido cambiaron desde el último intento. Haz clic en Finalizar de nuevo.',
+    'codigos.request_registration_failed': 'Error al registrar la solicitud. Inténtalo de nuevo.',
+    'codigos.profile_save_failed': 'Error al guardar tus datos. Inténtalo de nuevo.',
+    'codigos.consent_save_failed': 'Error al registrar tus consentimientos. Inténtalo de nuevo.',
+    'codigos.subscription_save_failed': 'Error al guardar la suscripción. Inténtalo de nuevo.',
+    'codigos.terms_acceptance_save_failed': 'Tu suscripción fue registrada, pero hubo un error al guardar la aceptación de los Términos y Condiciones. Habla con nuestro soporte.',
+    'codigos.dependents_save_failed': 'Tu suscripción fue registrada, pero hubo un error al guardar los dependientes. Habla con nuestro soporte.',
+    'codigos.iugu_customer_failed': 'No fue posible registrar tus datos de cobro. Revisa correo, teléfono y dirección.',
+    'codigos.saved_card_not_found': 'Tarjeta guardada no encontrada. Ingresa los datos de la tarjeta de nuevo.',
+    'codigos.saved_card_session_required': 'Confirma el código enviado a tu e-mail para usar una tarjeta guardada.',
+    'codigos.iugu_payment_method_failed': 'No fue posible registrar la tarjeta. Revisa los datos o paga con PIX.',
+    'codigos.iugu_subscription_failed': 'No fue posible crear la suscripción. Revisa los datos o elige otra forma de pago.',
+    'codigos.payroll_activated': '¡Suscripción activada! El valor se descontará de tu nómina.',
+    'codigos.payment_approved': '¡Pago aprobado! Tu acceso fue habilitado.',
+    'codigos.payment_pending': 'Esperando la confirmación del pago.',
+    'codigos.payment_declined': 'Pago rechazado. Usa otra tarjeta o paga con PIX.',
+    'codigos.payment_status_unknown': 'Estado desconocido.',
+
+    // --- Cartão recusado (código LR da Iugu) ---
+    'codigos.card_declined': 'Pago rechazado por el banco emisor de la tarjeta. Usa otra tarjeta o paga con PIX.',
+    'codigos.card_insufficient_funds': 'La tarjeta no tiene límite disponible. Usa otra tarjeta o paga con PIX.',
+    'codigos.card_expired': 'Tarjeta vencida. Revisa la fecha de vencimiento o usa otra tarjeta.',
+    'codigos.card_invalid_cvv': 'Código de seguridad (CVV) inválido. Revisa el reverso de la tarjeta.',
+    'codigos.card_invalid_number': 'Número de tarjeta inválido. Revisa los dígitos.',
+
+    // --- Sistema de pagamento e cadastro ---
+    'codigos.iugu_timeout': 'El sistema de pago tardó en responder. Inténtalo de nuevo.',
+    'codigos.iugu_unavailable': 'El sistema de pago está inestable en este momento. Inténtalo de nuevo en unos instantes.',
+    'codigos.payment_unconfirmed': 'No pudimos confirmar tu suscripción con el sistema de pago. No lo intentes de nuevo ahora: revisa tu correo en unos minutos o habla con nuestro soporte.',
+    'codigos.subscription_already_active': 'Este CPF ya tiene una suscripción activa. Ve a "Mi suscripción" para verla o cambiar el plan.',
+    'codigos.subscription_not_recorded': 'Tu suscripción se creó en el sistema de pago, pero hubo un error al completar el registro. No lo intentes de nuevo: habla con nuestro soporte.',
+    'codigos.network_error': 'No fue posible comunicarse con el servidor. Revisa tu conexión e inténtalo de nuevo.',
+    'codigos.database_error': 'Error al consultar la base de datos. Inténtalo de nuevo.',
+    'codigos.invalid_parameter': 'Parámetro inválido.',
+    'codigos.invalid_token': 'Token inválido.',
+    'codigos.export_disabled': 'Exportación deshabilitada.',
+    'codigos.invalid_event': 'Evento inválido.',
+    'codigos.event_save_failed': 'Error al registrar el evento.',
+
+    // --- CPF, CEP e códigos de verificação ---
+    'codigos.cpf_incomplete': 'CPF inválido. Ingresa los 11 dígitos.',
+    'codigos.cpf_invalid': 'CPF inválido. El número ingresado no es un CPF válido.',
+    'codigos.challenge_required': 'Confirma que no eres un robot para continuar.',
+    'codigos.rate_limited': 'Demasiadas consultas en poco tiempo. Espera unos minutos e inténtalo de nuevo.',
+    'codigos.zip_invalid': 'Código postal (CEP) inválido. Ingresa los 8 dígitos.',
+    'codigos.cep_lookup_failed': 'No fue posible consultar el código postal. Completa la dirección manualmente.',
+    'codigos.email_invalid': 'Correo inválido. Ingresa un correo con el formato usuario@empresa.com',
+    'codigos.email_domain_not_partner': 'Este dominio de correo no pertenece a una empresa con convenio.',
+    'codigos.email_send_failed': 'No fue posible enviar el correo. Inténtalo de nuevo.',
+    'codigos.access_code_not_found': 'Código de acceso no encontrado. Consulta con RR. HH. de tu empresa.',
+    'codigos.company_not_found': 'Empresa con convenio no encontrada.',
+    'codigos.company_link_failed': 'Error al registrar el vínculo con la empresa.',
+    'codigos.verification_fields_required': 'Ingresa el CPF, el correo y el código de 6 dígitos.',
+    'codigos.verification_code_recently_sent': 'Se acaba de enviar un código. Espera un minuto para pedir otro.',
+    'codigos.verification_code_failed': 'Error al generar el código de verificación.',
+    'codigos.verification_code_expired': 'Código vencido o no solicitado. Pide un código nuevo.',
+    'codigos.verification_code_locked': 'Demasiados intentos incorrectos. Pide un código nuevo.',
+    'codigos.verification_code_incorrect': 'Código incorrecto. Revisa el correo e inténtalo de nuevo.',
+    'codigos.verification_check_failed': 'No fue posible verificar el código. Inténtalo de nuevo.',
+
+    // --- Minha assinatura e LGPD ---
+    'codigos.session_expired': 'Tu sesión expiró. Ingresa de nuevo con tu CPF.',
+    'codigos.session_start_failed': 'Error al iniciar la sesión. Inténtalo de nuevo.',
+    'codigos.subscription_not_found': 'Suscripción no encontrada.',
+    'codigos.subscription_not_active': 'Solo se puede cambiar el plan de una suscripción activa.',
+    'codigos.subscription_update_failed': 'Error al actualizar la suscripción.',
+    'codigos.no_active_subscription': 'No tienes una suscripción activa.',
+    'codigos.no_open_invoice': 'No hay boleto pendiente para esta suscripción.',
+    'codigos.invoice_not_found': 'No fue posible encontrar el boleto.',
+    'codigos.invoice_email_failed': 'Error al enviar el boleto por correo. Inténtalo de nuevo.',
+    'codigos.payroll_has_no_card': 'Tu suscripción se paga por descuento de nómina y no usa tarjeta.',
+    'codigos.card_save_failed': 'No fue posible guardar la tarjeta. Revisa los datos e inténtalo de nuevo.',
+    'codigos.plan_already_current': 'Ya estás en este plan.',
+    'codigos.plan_not_in_contract': 'El plan elegido no forma parte del contrato de tu empresa.',
+    'codigos.plan_not_available': 'Plan no disponible para tu suscripción.',
+    'codigos.plan_dependents_exceeded': 'El plan elegido permite como máximo {max} dependiente(s). Tienes {count}.',
+    'codigos.plan_change_failed': 'Error al cambiar el plan.',
+    'codigos.cancel_failed': 'Error al cancelar la suscripción. Inténtalo de nuevo.',
+    'codigos.access_revoke_failed': 'Suscripción cancelada, pero hubo un error al cerrar el acceso. Habla con nuestro soporte.',
+    'codigos.data_not_found': 'No se encontraron datos para este CPF.',
+    'codigos.data_export_failed': 'Error al reunir los datos del titular. Inténtalo de nuevo.',
+    'codigos.confirmation_required': 'Confirma la eliminación de los datos. Esta acción no se puede deshacer.',
+    'codigos.open_subscription': 'Hay una suscripción abierta. Cancélala antes de solicitar la eliminación de los datos.',
+    'codigos.access_still_active': 'El titular aún tiene acceso activo al Club de Beneficios. Ciérralo antes de solicitar la eliminación de los datos.',
+    'codigos.benefits_deactivation_failed': 'No fue posible desactivar al usuario en el Club de Beneficios. No se eliminó ningún dato; inténtalo de nuevo.',
+    'codigos.anonymization_failed': 'Error al anonimizar el perfil.',
+};
@@ -0,0 +1,398 @@
+/**
+ * ============================================================
+ * CHECKOUT CONVÊNIOS - TKS VANTAGENS
+ * Arquivo: js/idiomas/pt-BR.mjs
+ *
+ * Descrição: Textos do checkout em português (idioma padrão).
+ *   - Chaves agrupadas por etapa; "codigos.*" traduz o `code` das
+ *     validações e das respostas da API
+ *   - "{nome}" é trocado pelo parâmetro de mesmo nome; { one, other }
+ *     escolhe a forma pelo parâmetro count (ver t() em js/i18n.mjs)
+ * ============================================================
+ */
+
+export default {
+    // --- Página ---
+    'pagina.titulo': 'TKS Vantagens — Assine Agora',
+    'pagina.rodape': '© 2026 TKS Vantagens. Todos os direitos reservados.',
+    'idioma.rotulo': 'Idioma',
+
+    // --- Comuns ---
+    'comum.voltar': 'Voltar',
+    'comum.continuar': 'Continuar',
+    'comum.aguarde': 'Aguarde...',
+    'comum.processando': 'Aguarde, processando...',
+    'comum.copiar': 'Copiar',
+    'comum.copiado': 'Copiado!',
+    'comum.remover': 'Remover',
+    'comum.fechar': 'Fechar',
+
+    // --- Indicador de progresso ---
+    'etapas.rotulo': 'Etapas da assinatura',
+    'etapas.cpf': 'CPF',
+    'etapas.plano': 'Plano',
+    'etapas.dados': 'Dados',
+    'etapas.pagamento': 'Pagamento',
+    'etapas.concluida': '(concluída)',
+    'etapas.atual': '(etapa atual)',
+    'etapas.pendente': '(pendente)',
+
+    // --- Etapa 1: CPF ---
+    'cpf.boas_vindas_titulo': 'Bem-vindo!',
+    'cpf.boas_vindas_texto': 'Digite seu CPF para começar.',
+    'cpf.rotulo': 'CPF do Titular',
+    'cpf.ja_assinante': 'Já é assinante?',
+    'cpf.gerenciar': 'Gerencie sua assinatura',
+    'cpf.incompleto': 'CPF inválido. Por favor, informe todos os 11 dígitos.',
+    'cpf.invalido': 'CPF inválido. O número informado não é um CPF válido. Verifique e tente novamente.',
+    'cpf.erro_verificar': 'Erro ao verificar CPF. Tente novamente.',
+    'cpf.desafio_stub': 'Não sou um robô (desafio local)',
+
+    // --- Etapa 1: "Tenho convênio" ---
+    'convenio.tenho': 'Tenho convênio pela minha empresa',
+    'convenio.aba_codigo': 'Código de acesso',
+    'convenio.aba_email': 'E-mail corporativo',
+    'convenio.codigo_placeholder': 'CÓDIGO DA EMPRESA',
+    'convenio.codigo_rotulo': 'Código de acesso da empresa',
+    'convenio.validar': 'Validar',
+    'convenio.email_placeholder': 'voce@suaempresa.com.br',
+    'convenio.email_rotulo': 'E-mail corporativo',
+    'convenio.enviar_codigo': 'Enviar código',
+    'convenio.otp_rotulo': 'Código de verificação recebido por e-mail',
+    'convenio.confirmar': 'Confirmar',
+    'convenio.identificado': 'Convênio Identificado',
+    'convenio.cpf_antes': 'Informe um CPF válido antes de validar o convênio.',
+    'convenio.codigo_obrigatorio': 'Informe o código fornecido pela sua empresa.',
+    'convenio.codigo_invalido': 'Código de acesso inválido.',
+    'convenio.erro_validar': 'Erro ao validar o código. Tente novamente.',
+    'convenio.email_invalido': 'E-mail inválido. Informe seu e-mail corporativo.',
+    'convenio.envio_falhou': 'Não foi possível enviar o código.',
+    'convenio.otp_enviado': 'Enviamos um código de 6 dígitos para {email}. Ele vale por 10 minutos.',
+    'convenio.erro_enviar': 'Erro ao enviar o código. Tente novamente.',
+    'convenio.otp_incompleto': 'Informe os 6 dígitos do código.',
+    'convenio.otp_incorreto': 'Código incorreto.',
+    'convenio.erro_confirmar': 'Erro ao confirmar o código. Tente novamente.',
+
+    // --- Etapa 2: Planos ---
+    'planos.titulo': 'Escolha seu Plano',
+    'planos.subtitulo': 'Selecione o plano ideal para você.',
+    'planos.subtitulo_b2c': 'Planos disponíveis para você.',
+    'planos.subtitulo_convenio': 'Planos exclusivos do seu convênio com {empresa}.',
+    'planos.empresa_parceira': 'a empresa parceira',
+    'planos.convenio_comprovar': 'Seu CPF tem convênio com uma empresa parceira. Confirme o vínculo pelo código de acesso ou pelo e-mail corporativo para ver os planos da empresa.',
+    'planos.convenio_comprovar_botao': 'Confirmar convênio',
+    'planos.ciclo_rotulo': 'Ciclo de cobrança',
+    'planos.carregando': 'Carregando planos...',
+    'planos.nenhum': 'Nenhum plano disponível no momento.',
+    'planos.disponiveis': { one: '{count} plano disponível.', other: '{count} planos disponíveis.' },
+    'planos.erro': 'Erro ao carregar planos. Tente novamente.',
+    'planos.equivale': 'equivale a {valor}/mês',
+    'planos.economia': 'Economize {valor} ({percentual}%)',
+    'planos.ciclo.monthly': 'Mensal',
+    'planos.ciclo.quarterly': 'Trimestral',
+    'planos.ciclo.semiannual': 'Semestral',
+    'planos.ciclo.annual': 'Anual',
+    'planos.ciclo.other': 'Outros',
+    'planos.periodo.monthly': '/mês',
+    'planos.periodo.quarterly': '/trimestre',
+    'planos.periodo.semiannual': '/semestre',
+    'planos.periodo.annual': '/ano',
+    'planos.periodo.meses': { one: '/mês', other: '/{count} meses' },
+    'planos.periodo.semanas': { one: '/semana', other: '/{count} semanas' },
+
+    // --- Etapa 3: Dados pessoais ---
+    'dados.titulo': 'Seus Dados',
+    'dados.subtitulo': 'Confirme ou preencha suas informações.',
+    'dados.aviso_mascarados': 'Por segurança, seus dados cadastrados aparecem parcialmente ocultos. Mantenha-os para confirmar ou digite novos valores.',
+    'dados.nome': 'Nome Completo *',
+    'dados.nome_placeholder': 'Seu nome completo',
+    'dados.email': 'E-mail *',
+    'dados.email_placeholder': 'seu@email.com',
+    'dados.telefone': 'Telefone *',
+    'dados.whatsapp': 'Este número é WhatsApp',
+    'dados.nascimento': 'Nascimento *',
+    'dados.nascimento_cadastrado': 'Cadastrado: {data}. Deixe em branco para manter.',
+    'dados.cep': 'CEP *',
+    'dados.numero': 'Número *',
+    'dados.numero_placeholder': '123 ou S/N',
+    'dados.rua': 'Rua *',
+    'dados.rua_placeholder': 'Rua, avenida, quadra...',
+    'dados.complemento': 'Complemento',
+    'dados.complemento_placeholder': 'Apto, bloco...',
+    'dados.bairro': 'Bairro *',
+    'dados.bairro_placeholder': 'Bairro',
+    'dados.cidade': 'Cidade *',
+    'dados.cidade_placeholder': 'Cidade',
+    'dados.uf': 'UF *',
+    'dados.nome_obrigatorio': 'Por favor, informe seu nome completo.',
+    'dados.nome_sobrenome': 'Informe seu nome e sobrenome.',
+    'dados.email_obrigatorio': 'Por favor, informe seu e-mail.',
+    'dados.email_invalido': 'E-mail inválido. Informe um e-mail no formato usuario@dominio.com',
+    'dados.corrija': 'Por favor, corrija os campos destacados em vermelho antes de continuar.',
+    'dados.cep_nao_encontrado': 'CEP não encontrado. Preencha o endereço manualmente.',
+
+    // --- Etapa 3: Consentimentos LGPD ---
+    'consent.titulo': 'Comunicações e privacidade',
+    'consent.opcional': 'Opcional. Você pode revogar a qualquer momento pelo e-mail contato@tksvantagens.com.br.',
+    'consent.email': 'Quero receber ofertas e novidades da TKS Vantagens por e-mail.',
+    'consent.whatsapp': 'Quero receber ofertas e novidades pelo WhatsApp.',
+    'consent.parceiro': 'Autorizo o compartilhamento dos meus dados cadastrais com',
+
+    // --- Etapa 3b: Dependentes ---
+    'dependentes.titulo': 'Dependentes',
+    'dependentes.subtitulo': 'Seu plano permite incluir familiares. Esta etapa é opcional.',
+    'dependentes.nome': 'Nome Completo',
+    'dependentes.nome_placeholder': 'Nome do dependente',
+    'dependentes.nascimento': 'Nascimento',
+    'dependentes.parentesco': 'Parentesco',
+    'dependentes.selecione': 'Selecione...',
+    'dependentes.adicionar': 'Adicionar Dependente',
+    'dependentes.pular': 'Pular esta etapa',
+    'dependentes.contador': '{count} de {max}',
+    'dependentes.item': '{parentesco} · CPF {cpf}',
+    'dependentes.remover': 'Remover {nome}',
+    'dependentes.limite': { one: 'Seu plano permite até {count} dependente.', other: 'Seu plano permite até {count} dependentes.' },
+    'dependentes.nome_sobrenome': 'Informe o nome e sobrenome do dependente.',
+    'dependentes.cpf_invalido': 'CPF inválido. Verifique o número informado.',
+    'dependentes.cpf_repetido': 'Este CPF já foi informado nesta assinatura.',
+    'dependentes.parentesco_obrigatorio': 'Selecione o grau de parentesco.',
+    'parentesco.conjuge': 'Cônjuge',
+    'parentesco.filho': 'Filho(a)',
+    'parentesco.pai_mae': 'Pai/Mãe',
+    'parentesco.outro': 'Outro',
+
+    // --- Etapa 4: Pagamento ---
+    'pagamento.titulo': 'Pagamento',
+    'pagamento.subtitulo': 'Escolha como deseja pagar.',
+    'pagamento.plano_selecionado': 'Plano Selecionado',
+    'pagamento.forma_rotulo': 'Forma de pagamento',
+    'pagamento.cartao': 'Cartão',
+    'pagamento.boleto': 'Boleto',
+    'pagamento.pix': 'PIX',
+    'pagamento.folha': 'Folha',
+    'pagamento.aviso_padrao': 'Após clicar em "Finalizar", você receberá o código para pagamento.',
+    'pagamento.aviso_pix': 'Após clicar em "Finalizar", um QR Code PIX será gerado para você.',
+    'pagamento.aviso_boleto': 'Após clicar em "Finalizar", um boleto bancário será gerado para você.',
+    'pagamento.aviso_folha': 'O valor será descontado na sua folha de pagamento pela {empresa}. Nenhuma cobrança será gerada agora.',
+    'pagamento.sua_empresa': 'sua empresa',
+    'pagamento.selecione_metodo': 'Por favor, selecione um método de pagamento.',
+    'pagamento.finalizar': 'Finalizar Assinatura',
+    'pagamento.seguro': 'Pagamento 100% seguro e criptografado',
+    'pagamento.erro_processar': 'Erro ao processar assinatura.',
+    'pagamento.recusado': 'Pagamento recusado. Verifique os dados do cartão.',
+    'pagamento.erro_inesperado': 'Erro inesperado. Tente novamente.',
+    'pagamento.erro.pagar_pix': 'Pagar com PIX',
+    'pagamento.erro.tentar_novamente': 'Tentar novamente',
+    'pagamento.erro.ir_assinatura': 'Ir para Minha assinatura',
+
+    // --- Etapa 4: Cupom ---
+    'cupom.rotulo': 'Cupom de Desconto',
+    'cupom.placeholder': 'CÓDIGO',
+    'cupom.aplicar': 'Aplicar',
+    'cupom.invalido': 'Cupom inválido.',
+    'cupom.erro': 'Erro ao validar o cupom. Tente novamente.',
+    'cupom.aplicado_recorrente': '{codigo}: -{desconto} em todas as cobranças',
+    'cupom.aplicado_primeira': '{codigo}: -{desconto} na 1ª cobrança',
+
+    // --- Etapa 4: Cartão ---
+    'cartao.seus_cartoes': 'Seus cartões',
+    'cartao.usar_outro': 'Usar outro cartão',
+    'cartao.salvo': '{bandeira} final {final}',
+    'cartao.salvo_generico': 'Cartão',
+    'cartao.salvo_validade': 'Validade {validade}',
+    'cartao.salvos_acesso': 'Já assinou antes? Confirme o código enviado ao e-mail do cadastro para usar um cartão salvo.',
+    'cartao.numero': 'Número do Cartão',
+    'cartao.nome': 'Nome no Cartão',
+    'cartao.nome_placeholder': 'NOME COMO NO CARTÃO',
+    'cartao.validade': 'Validade',
+    'cartao.validade_placeholder': 'MM/AA',
+    'cartao.numero_obrigatorio': 'Informe o número do cartão.',
+    'cartao.bandeira_nao_aceita': 'Bandeira não aceita. Use Visa, Mastercard, Elo, Amex, Hipercard ou Diners.',
+    'cartao.numero_invalido': 'Número de cartão {bandeira} inválido. Verifique os dígitos.',
+    'cartao.nome_obrigatorio': 'Informe o nome impresso no cartão.',
+    'cartao.nome_sobrenome': 'Informe o nome e sobrenome como impresso no cartão.',
+    'cartao.validade_formato': 'Informe a validade no formato MM/AA.',
+    'cartao.validade_mes': 'Mês de validade inválido.',
+    'cartao.vencido': 'Cartão vencido. Verifique a validade.',
+    'cartao.cvv_tamanho': 'O CVV deve ter {count} dígitos.',
+    'cartao.dados_invalidos': 'Dados do cartão inválidos: {detalhe}',
+
+    // --- Etapa 4: Termos e Condições ---
+    'termos.li_aceito': 'Li e aceito os',
+    'termos.link': 'Termos e Condições',
+    'termos.de_uso': 'de uso da TKS Vantagens.',
+    'termos.texto_rotulo': 'Texto dos Termos e Condições',
+    'termos.carregando': 'Carregando os Termos e Condições...',
+    'termos.erro_carregar': 'Não foi possível carregar os Termos e Condições. Feche e abra novamente para tentar de novo.',
+    'termos.versao': 'Versão {versao} · publicada em {data}',
+    'termos.aviso_idioma': '',
+    'termos.declaracao': 'Ao prosseguir com a contratação, o usuário declara ter lido, compreendido e concordado com todos os termos acima.',
+    'termos.aceitar': 'Li e aceito os Termos e Condições',
+
+    // --- Tela de sucesso ---
+    'sucesso.titulo': 'Assinatura Confirmada!',
+    'sucesso.mensagem': 'Seu acesso ao Clube de Vantagens foi liberado com sucesso.',
+    'sucesso.valido_ate': 'Acesso válido até',
+    'sucesso.renovado': ', renovado a cada pagamento.',
+    'sucesso.acessar': 'Acessar o Clube de Vantagens',
+    'sucesso.pagamento_confirmado': 'Pagamento confirmado! Seu acesso foi liberado.',
+
+    // --- Tela de pagamento pendente ---
+    'pendente.titulo': 'Aguardando Pagamento',
+    'pendente.texto': 'Seu acesso será liberado automaticamente após a confirmação do pagamento.',
+    'pendente.qrcode_alt': 'QR Code PIX',
+    'pendente.copia_cola': 'PIX Copia e Cola',
+    'pendente.linha_digitavel': 'Linha Digitável',
+    'pendente.vencimento': 'Vencimento',
+    'pendente.baixar_pdf': 'Baixar PDF',
+    'pendente.enviar_email': 'Enviar para meu e-mail',
+    'pendente.email_enviado': 'Boleto enviado para o seu e-mail.',
+    'pendente.erro_email': 'Erro ao enviar o boleto por e-mail. Tente novamente.',
+    'pendente.verificando': 'Verificando o pagamento automaticamente...',
+    'pendente.abrir': 'Abrir Boleto / PIX',
+    'pendente.link_email': 'O link também foi enviado para o seu e-mail.',
+    'pendente.nao_confirmado': 'O pagamento não foi confirmado e o pedido foi encerrado. Escolha a forma de pagamento e finalize de novo.',
+
+    // --- Códigos das validações (js/validacoes.mjs e api/config.php) ---
+    'codigos.phone_foreign': 'Informe um telefone do Brasil (+55).',
+    'codigos.phone_too_short': 'Telefone inválido. Informe o DDD e o número (ex: (61) 99618-7769).',
+    'codigos.phone_too_long': 'Telefone inválido. Número muito longo.',
+    'codigos.phone_invalid_area_code': 'DDD inválido. Verifique o código de área do telefone.',
+    'codigos.phone_mobile_prefix': 'Celular deve começar com 9 após o DDD. Se for telefone fixo, informe só os 8 dígitos do número.',
+    'codigos.phone_missing_nine': 'Celular tem 9 dígitos após o DDD. Acrescente o 9 na frente do número.',
+    'codigos.phone_invalid_prefix': 'Número de telefone inválido. Verifique os dígitos após o DDD.',
+    'codigos.birth_date_required': 'Por favor, informe sua data de nascimento.',
+    'codigos.birth_date_invalid': 'Data de nascimento inválida.',
+    'codigos.birth_date_future': 'A data de nascimento não pode ser uma data futura.',
+    'codigos.birth_date_min_age': 'Você deve ter pelo menos {min_age} anos para se cadastrar.',
+    'codigos.address_zip_code_invalid': 'CEP inválido. Informe os 8 dígitos.',
+    'codigos.address_street_required': 'Informe a rua.',
+    'codigos.address_number_required': 'Informe o número (ou S/N).',
+    'codigos.address_district_required': 'Informe o bairro.',
+    'codigos.address_city_required': 'Informe a cidade.',
+    'codigos.address_state_invalid': 'Selecione a UF.',
+
+    // --- Códigos da API (api/*.php) ---
+    'codigos.method_not_allowed': 'Método não permitido.',
+    'codigos.invalid_body': 'Corpo da requisição inválido.',
+    'codigos.missing_field': 'Campo obrigatório ausente: {field}.',
+    'codigos.masked_data_mismatch': 'Não foi possível confirmar um dado já cadastrado. Digite-o novamente na etapa de dados pessoais.',
+    'codigos.invalid_payment_method': 'Método de pagamento inválido.',
+    'codigos.card_token_required': 'Informe os dados do cartão ou escolha um cartão salvo.',
+    'codigos.invalid_idempotency_key': 'Não foi possível identificar esta tentativa de compra. Recarregue a página e tente novamente.',
+    'codigos.terms_unavailable': 'Não foi possível carregar os Termos e Condições. Tente novamente.',
+    'codigos.terms_not_accepted': 'Você precisa aceitar os Termos e Condições para continuar.',
+    'codigos.terms_outdated': 'Os Termos e Condições foram atualizados. Leia e aceite a nova versão para continuar.',
+    'codigos.terms_not_published': 'Nenhuma versão dos Termos e Condições publicada.',
+    'codigos.coupon_required': 'Informe o código do cupom.',
+    'codigos.coupon_not_found': 'Cupom inválido ou inexistente.',
+    'codigos.coupon_not_started': 'Este cupom ainda não está válido.',
+    'codigos.coupon_expired': 'Este cupom expirou.',
+    'codigos.coupon_limit_reached': 'Este cupom atingiu o limite de utilizações.',
+    'codigos.coupon_reservation_failed': 'Não foi possível aplicar o cupom agora. Tente novamente.',
+    'codigos.coupon_wrong_company': 'Este cupom não é válido para o seu convênio.',
+    'codigos.coupon_wrong_plan': 'Este cupom não é válido para o plano selecionado.',
+    'codigos.coupon_not_allowed_payroll': 'Cupons de desconto não se aplicam ao desconto em folha.',
+    'codigos.plan_not_found': 'Plano não encontrado.',
+    'codigos.plan_mismatch': 'O plano escolhido não confere. Escolha o plano novamente.',
+    'codigos.dependents_limit': 'O plano selecionado permite no máximo {max} dependente(s).',
+    'codigos.dependent_name_required': 'Dependente {index}: informe nome e sobrenome.',
+    'codigos.dependent_cpf_invalid': 'Dependente {index}: CPF inválido.',
+    'codigos.dependent_cpf_duplicate': 'Dependente {index}: CPF já informado nesta assinatura.',
+    'codigos.dependent_birth_date_required': 'Dependente {index}: informe a data de nascimento.',
+    'codigos.dependent_birth_date_invalid': 'Dependente {index}: data de nascimento inválida.',
+    'codigos.dependent_birth_date_future': 'Dependente {index}: a data de nascimento não pode ser uma data futura.',
+    'codigos.dependent_relationship_invalid': 'Dependente {index}: grau de parentesco inválido.',
+    'codigos.payroll_requires_company': 'Desconto em folha disponível apenas para planos de convênio.',
+    'codigos.payroll_no_account': 'Empresa sem conta de convênio ativa.',
+    'codigos.payroll_not_allowed': 'O contrato da sua empresa não permite desconto em folha.',
+    'codigos.payroll_plan_not_in_contract': 'O plano escolhido não faz parte do contrato da sua empresa.',
+    'codigos.payroll_not_member': 'Desconto em folha disponível apenas para funcionários vinculados à empresa.',
+    'codigos.request_in_progress': 'Sua assinatura já está sendo processada. Aguarde alguns segundos.',
+    'codigos.request_changed': 'Os dados do pedido mudaram desde a última tentativa. Clique em Finalizar novamente.',
+    'codigos.request_registration_failed': 'Erro ao registrar a requisição. Tente novamente.',
+    'codigos.profile_save_failed': 'Erro ao salvar seus dados. Tente novamente.',
+    'codigos.consent_save_failed': 'Erro ao registrar os consentimentos. Tente novamente.',
+    'codigos.subscription_save_failed': 'Erro ao salvar a assinatura. Tente novamente.',
+    'codigos.terms_acceptance_save_failed': 'Sua assinatura foi registrada, mas houve um erro ao gravar o aceite dos Termos e Condições. Fale com o nosso suporte.',
+    'codigos.dependents_save_failed': 'Sua assinatura foi registrada, mas houve um erro ao salvar os dependentes. Fale com o nosso suporte.',
+    'codigos.iugu_customer_failed': 'Não foi possível registrar seus dados de cobrança. Confira e-mail, telefone e endereço.',
+    'codigos.saved_card_not_found': 'Cartão salvo não encontrado. Informe os dados do cartão novamente.',
+    'codigos.saved_card_session_required': 'Confirme o código enviado ao seu e-mail para usar um cartão salvo.',
+    'codigos.iugu_payment_method_failed': 'Não foi possível cadastrar o cartão. Confira os dados ou pague com PIX.',
+    'codigos.iugu_subscription_failed': 'Não foi possível criar a assinatura. Confira os dados ou escolha outra forma de pagamento.',
+    'codigos.payroll_activated': 'Assinatura ativada! O valor será descontado na sua folha de pagamento.',
+    'codigos.payment_approved': 'Pagamento aprovado! Seu acesso foi liberado.',
+    'codigos.payment_pending': 'Aguardando confirmação do pagamento.',
+    'codigos.payment_declined': 'Pagamento recusado. Use outro cartão ou pague com PIX.',
+    'codigos.payment_status_unknown': 'Status desconhecido.',
+
+    // --- Cartão recusado (código LR da Iugu) ---
+    'codigos.card_declined': 'Pagamento recusado pelo banco emissor do cartão. Use outro cartão ou pague com PIX.',
+    'codigos.card_insufficient_funds': 'Cartão sem limite disponível. Use outro cartão ou pague com PIX.',
+    'codigos.card_expired': 'Cartão vencido. Confira a validade ou use outro cartão.',
+    'codigos.card_invalid_cvv': 'Código de segurança (CVV) inválido. Confira o verso do cartão.',
+    'codigos.card_invalid_number': 'Número do cartão inválido. Confira os dígitos.',
+
+    // --- Sistema de pagamento e cadastro ---
+    'codigos.iugu_timeout': 'O sistema de pagamento demorou a responder. Tente novamente.',
+    'codigos.iugu_unavailable': 'O sistema de pagamento está instável no momento. Tente novamente em instantes.',
+    'codigos.payment_unconfirmed': 'Não conseguimos confirmar sua assinatura com o sistema de pagamento. Não tente de novo agora: confira seu e-mail em alguns minutos ou fale com o nosso suporte.',
+    'codigos.subscription_already_active': 'Este CPF já tem uma assinatura ativa. Acesse "Minha assinatura" para ver ou trocar o plano.',
+    'codigos.subscription_not_recorded': 'Sua assinatura foi criada no sistema de pagamento, mas houve um erro ao concluir o cadastro. Não tente de novo: fale com o nosso suporte.',
+    'codigos.network_error': 'Não foi possível falar com o servidor. Confira sua conexão e tente novamente.',
+    'codigos.database_error': 'Erro ao consultar o banco de dados. Tente novamente.',
+    'codigos.invalid_parameter': 'Parâmetro inválido.',
+    'codigos.invalid_token': 'Token inválido.',
+    'codigos.export_disabled': 'Exportação desabilitada.',
+    'codigos.invalid_event': 'Evento inválido.',
+    'codigos.event_save_failed': 'Erro ao registrar o evento.',
+
+    // --- CPF, CEP e códigos de verificação ---
+    'codigos.cpf_incomplete': 'CPF inválido. Informe todos os 11 dígitos.',
+    'codigos.cpf_invalid': 'CPF inválido. O número informado não é um CPF válido.',
+    'codigos.challenge_required': 'Confirme que você não é um robô para continuar.',
+    'codigos.rate_limited': 'Muitas consultas em pouco tempo. Aguarde alguns minutos e tente novamente.',
+    'codigos.zip_invalid': 'CEP inválido. Informe os 8 dígitos.',
+    'codigos.cep_lookup_failed': 'Não foi possível consultar o CEP. Preencha o endereço manualmente.',
+    'codigos.email_invalid': 'E-mail inválido. Informe um e-mail no formato usuario@empresa.com.br',
+    'codigos.email_domain_not_partner': 'Este domínio de e-mail não pertence a uma empresa conveniada.',
+    'codigos.email_send_failed': 'Não foi possível enviar o e-mail. Tente novamente.',
+    'codigos.access_code_not_found': 'Código de acesso não encontrado. Confira com o RH da sua empresa.',
+    'codigos.company_not_found': 'Empresa conveniada não encontrada.',
+    'codigos.company_link_failed': 'Erro ao registrar o vínculo com a empresa.',
+    'codigos.verification_fields_required': 'Informe o CPF, o e-mail e o código de 6 dígitos.',
+    'codigos.verification_code_recently_sent': 'Um código acabou de ser enviado. Aguarde um minuto para pedir outro.',
+    'codigos.verification_code_failed': 'Erro ao gerar o código de verificação.',
+    'codigos.verification_code_expired': 'Código expirado ou não solicitado. Peça um novo código.',
+    'codigos.verification_code_locked': 'Muitas tentativas incorretas. Peça um novo código.',
+    'codigos.verification_code_incorrect': 'Código incorreto. Confira o e-mail e tente novamente.',
+    'codigos.verification_check_failed': 'Não foi possível conferir o código. Tente novamente.',
+
+    // --- Minha assinatura e LGPD ---
+    'codigos.session_expired': 'Sua sessão expirou. Entre novamente com seu CPF.',
+    'codigos.session_start_failed': 'Erro ao iniciar a sessão. Tente novamente.',
+    'codigos.subscription_not_found': 'Assinatura não encontrada.',
+    'codigos.subscription_not_active': 'Só é possível trocar o plano de uma assinatura ativa.',
+    'codigos.subscription_update_failed': 'Erro ao atualizar a assinatura.',
+    'codigos.no_active_subscription': 'Você não tem uma assinatura ativa.',
+    'codigos.no_open_invoice': 'Não há boleto em aberto para esta assinatura.',
+    'codigos.invoice_not_found': 'Não foi possível localizar o boleto.',
+    'codigos.invoice_email_failed': 'Erro ao enviar o boleto por e-mail. Tente novamente.',
+    'codigos.payroll_has_no_card': 'Sua assinatura é paga por desconto em folha e não usa cartão.',
+    'codigos.card_save_failed': 'Não foi possível salvar o cartão. Confira os dados e tente novamente.',
+    'codigos.plan_already_current': 'Você já está neste plano.',
+    'codigos.plan_not_in_contract': 'O plano escolhido não faz parte do contrato da sua empresa.',
+    'codigos.plan_not_available': 'Plano não disponível para a sua assinatura.',
+    'codigos.plan_dependents_exceeded': 'O plano escolhido permite no máximo {max} dependente(s). Você tem {count}.',
+    'codigos.plan_change_failed': 'Erro ao trocar o plano.',
+    'codigos.cancel_failed': 'Erro ao cancelar a assinatura. Tente novamente.',
+    'codigos.access_revoke_failed': 'Assinatura cancelada, mas houve um erro ao encerrar o acesso. Fale com o nosso suporte.',
+    'codigos.data_not_found': 'Nenhum dado encontrado para este CPF.',
+    'codigos.data_export_failed': 'Erro ao reunir os dados do titular. Tente novamente.',
+    'codigos.confirmation_required': 'Confirme a exclusão dos dados. Esta ação não pode ser desfeita.',
+    'codigos.open_subscription': 'Há uma assinatura em aberto. Cancele a assinatura antes de solicitar a exclusão dos dados.',
+    'codigos.access_still_active': 'O titular ainda tem acesso ativo ao Clube de Vantagens. Encerre o acesso antes de solicitar a exclusão dos dados.',
+    'codigos.benefits_deactivation_failed': 'Não foi possível desativar o usuário no Clube de Vantagens. Nenhum dado foi apagado; tente novamente.',
+    'codigos.anonymization_failed': 'Erro ao anonimizar o perfil.',
+};
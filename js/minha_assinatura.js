@@ -0,0 +1,506 @@
+/**
+ * ============================================================
+ * MINHA ASSINATURA - TKS VANTAGENS
+ * Arquivo: js/minha_assinatura.js
+ * Versão: 1.0.0
+ *
+ * Descrição: Área de autoatendimento de quem já assinou.
+ *   - Login por CPF + código enviado ao e-mail cadastrado
+ *   - Plano atual, status, validade e faturas recentes
+ *   - Troca do cartão (tokenizado pelo SDK da Iugu)
+ *   - Troca de plano e cancelamento
+ *
+ * Depende de js/validacoes.mjs e js/i18n.mjs (validações, textos e
+ * formatação de moeda, expostos em `window` pela página) e de
+ * js/checkout.js (carregado antes), que fornece as máscaras,
+ * tokenizarCartao(), rotuloPeriodo() e os utilitários de UI.
+ * ============================================================
+ */
+
+// ============================================================
+// ESTADO DA ÁREA DO MEMBRO
+// ============================================================
+const membro = {
+    token: null,         // Sessão criada por confirmar_codigo_acesso.php
+    cpf: '',
+    assinatura: null,    // subscription retornada por minha_assinatura.php
+    planosTroca: [],     // Planos de listar_planos.php (exceto o atual)
+    planoTrocaId: null,  // Plano escolhido para a troca
+};
+
+// Sessão guardada só na aba atual (sessionStorage), nunca o CPF:
+// MEMBER_STORAGE_KEY e lerSessaoMembro() vêm do checkout.js, que
+// também a usa para liberar os cartões salvos
+
+const SUBSCRIPTION_STATUS_LABELS = {
+    active: ['Ativa', 'bg-green-50 text-green-700'],
+    pending_payment: ['Aguardando pagamento', 'bg-yellow-50 text-yellow-700'],
+    past_due: ['Pagamento em atraso', 'bg-red-50 text-red-600'],
+    suspended: ['Suspensa', 'bg-red-50 text-red-600'],
+    expired: ['Expirada', 'bg-red-50 text-red-600'],
+    canceled: ['Cancelada', 'bg-slate-100 text-slate-500'],
+    refunded: ['Estornada', 'bg-slate-100 text-slate-500'],
+    chargeback: ['Contestada no cartão', 'bg-slate-100 text-slate-500'],
+};
+
+// Mesmos status de MEMBER_CLOSED_STATUSES (api/membros.php)
+const CLOSED_SUBSCRIPTION_STATUSES = ['canceled', 'refunded', 'chargeback'];
+
+const PAYMENT_METHOD_LABELS = {
+    credit_card: 'Cartão de crédito',
+    bank_slip: 'Boleto',
+    pix: 'PIX',
+    payroll: 'Desconto em folha',
+};
+
+const INVOICE_STATUS_LABELS = {
+    paid: ['Paga', 'text-green-600'],
+    pending: ['Em aberto', 'text-yellow-600'],
+    in_analysis: ['Em análise', 'text-yellow-600'],
+    expired: ['Vencida', 'text-red-500'],
+    canceled: ['Cancelada', 'text-slate-400'],
+    refunded: ['Reembolsada', 'text-slate-400'],
+    partially_refunded: ['Reembolsada parcialmente', 'text-slate-400'],
+};
+
+// ============================================================
+// INICIALIZAÇÃO
+// ============================================================
+document.addEventListener('DOMContentLoaded', () => {
+    // Login
+    document.getElementById('input-cpf').addEventListener('input', maskCPF);
+    document.getElementById('input-cpf').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') handleEnviarCodigoAcesso();
+    });
+    document.getElementById('btn-enviar-codigo-acesso').addEventListener('click', handleEnviarCodigoAcesso);
+    document.getElementById('btn-confirmar-codigo-acesso').addEventListener('click', handleConfirmarCodigoAcesso);
+    document.getElementById('input-otp-acesso').addEventListener('input', (e) => {
+        clearFieldError('input-otp-acesso');
+        e.target.value = e.target.value.replace(/\D/g, '').slice(0, 6);
+        if (e.target.value.length === 6) handleConfirmarCodigoAcesso();
+    });
+    document.getElementById('btn-sair').addEventListener('click', sairDaConta);
+
+    // Troca de plano
+    document.getElementById('btn-abrir-troca-plano').addEventListener('click', abrirTrocaPlano);
+    document.getElementById('btn-confirmar-troca-plano').addEventListener('click', handleConfirmarTrocaPlano);
+
+    // Troca de cartão (mesmas máscaras e validações da Etapa 4 do checkout)
+    document.getElementById('btn-abrir-troca-cartao').addEventListener('click', () => {
+        document.getElementById('troca-cartao-panel').classList.toggle('hidden');
+    });
+    document.getElementById('input-card-number').addEventListener('input', maskCardNumber);
+    document.getElementById('input-card-expiry').addEventListener('input', maskCardExpiry);
+    document.getElementById('input-card-cvv').addEventListener('input', maskCardCvv);
+    Object.values(CARD_FIELDS).forEach(id => {
+        document.getElementById(id).addEventListener('input', () => clearFieldError(id));
+    });
+    document.getElementById('btn-salvar-cartao').addEventListener('click', handleSalvarCartao);
+
+    // Cancelamento (pede confirmação antes)
+    document.getElementById('btn-abrir-cancelamento').addEventListener('click', () => {
+        document.getElementById('cancelamento-panel').classList.remove('hidden');
+    });
+    document.getElementById('btn-manter-assinatura').addEventListener('click', () => {
+        document.getElementById('cancelamento-panel').classList.add('hidden');
+    });
+    document.getElementById('btn-confirmar-cancelamento').addEventListener('click', handleCancelarAssinatura);
+
+    // Garante que a Iugu está configurada (evita "AccountID inválido")
+    if (window.Iugu && typeof Iugu.setAccountID === 'function') {
+        Iugu.setAccountID(window.IUGU_ACCOUNT_ID || "B07088D648D048B3B450CCB6B5371BD3");
+        Iugu.setTestMode(!!window.IUGU_TEST_MODE);
+    }
+
+    // Sessão ainda válida nesta aba (recarregamento da página)
+    const sessao = lerSessaoMembro();
+    if (sessao) {
+        membro.token = sessao.token;
+        carregarAssinatura();
+    }
+});
+
+// ============================================================
+// SESSÃO DO MEMBRO
+// ============================================================
+
+/** Encerra a sessão e volta para o login. */
+function sairDaConta() {
+    sessionStorage.removeItem(MEMBER_STORAGE_KEY);
+    membro.token = null;
+    membro.assinatura = null;
+
+    document.getElementById('painel-assinatura').classList.add('hidden');
+    document.getElementById('painel-login').classList.remove('hidden');
+    document.getElementById('acesso-otp').classList.add('hidden');
+    document.getElementById('input-otp-acesso').value = '';
+}
+
+/**
+ * Chamada autenticada à API da área do membro.
+ * Sessão expirada (401) volta para o login.
+ *
+ * @param {string} url
+ * @param {object} [body] - Enviado como JSON via POST; sem body, faz GET
+ * @returns {Promise<object>} JSON da resposta
+ */
+async function apiMembro(url, body) {
+    const options = { headers: { Authorization: `Bearer ${membro.token}` } };
+    if (body !== undefined) {
+        options.method = 'POST';
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    const res = await fetch(url, options);
+    const data = await res.json();
+
+    if (res.status === 401) sairDaConta();
+    if (data.error) throw new Error(data.error);
+
+    return data;
+}
+
+// ============================================================
+// LOGIN: CPF + CÓDIGO
+// ============================================================
+
+/** Envia o código de acesso para o e-mail cadastrado no CPF. */
+async function handleEnviarCodigoAcesso() {
+    const cpf = document.getElementById('input-cpf').value.replace(/\D/g, '');
+
+    if (!validarCPF(cpf)) {
+        showError('CPF inválido. Verifique os números digitados.');
+        document.getElementById('input-cpf').focus();
+        return;
+    }
+
+    setButtonLoading('btn-enviar-codigo-acesso', 'btn-enviar-codigo-acesso-text',
+        'btn-enviar-codigo-acesso-loader', 'btn-enviar-codigo-acesso-icon', true);
+
+    try {
+        const res = await fetch('api/enviar_codigo_acesso.php', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ cpf }),
+        });
+        const data = await res.json();
+
+        if (data.error) throw new Error(data.error);
+
+        if (!data.sent) {
+            showError(data.message || 'Não foi possível enviar o código.');
+            return;
+        }
+
+        membro.cpf = cpf;
+        document.getElementById('acesso-otp-text').textContent =
+            `Enviamos um código de 6 dígitos para ${data.email_masked}. Ele vale por 10 minutos.`;
+        document.getElementById('acesso-otp').classList.remove('hidden');
+        document.getElementById('input-otp-acesso').focus();
+
+    } catch (err) {
+        showError(err.message || 'Erro ao enviar o código. Tente novamente.');
+        console.error(err);
+    } finally {
+        setButtonLoading('btn-enviar-codigo-acesso', 'btn-enviar-codigo-acesso-text',
+            'btn-enviar-codigo-acesso-loader', 'btn-enviar-codigo-acesso-icon', false);
+    }
+}
+
+/** Confere o código digitado e abre a sessão do membro. */
+async function handleConfirmarCodigoAcesso() {
+    const code = document.getElementById('input-otp-acesso').value.replace(/\D/g, '');
+    if (code.length !== 6) {
+        showFieldError('input-otp-acesso', 'Informe o código de 6 dígitos.');
+        return;
+    }
+
+    setButtonLoading('btn-confirmar-codigo-acesso', 'btn-confirmar-codigo-acesso-text',
+        'btn-confirmar-codigo-acesso-loader', 'btn-confirmar-codigo-acesso-icon', true);
+
+    try {
+        const res = await fetch('api/confirmar_codigo_acesso.php', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ cpf: membro.cpf, code }),
+        });
+        const data = await res.json();
+
+        if (data.error) throw new Error(data.error);
+
+        if (!data.authenticated) {
+            showFieldError('input-otp-acesso', data.message || 'Código incorreto.');
+            return;
+        }
+
+        membro.token = data.token;
+        sessionStorage.setItem(MEMBER_STORAGE_KEY, JSON.stringify({ token: data.token, expiresAt: data.expires_at }));
+        document.getElementById('input-cpf').value = '';
+        await carregarAssinatura();
+
+    } catch (err) {
+        showError(err.message || 'Erro ao confirmar o código. Tente novamente.');
+        console.error(err);
+    } finally {
+        setButtonLoading('btn-confirmar-codigo-acesso', 'btn-confirmar-codigo-acesso-text',
+            'btn-confirmar-codigo-acesso-loader', 'btn-confirmar-codigo-acesso-icon', false);
+    }
+}
+
+// ============================================================
+// PAINEL DA ASSINATURA
+// ============================================================
+
+/** Busca os dados da assinatura e exibe o painel. */
+async function carregarAssinatura() {
+    try {
+        const data = await apiMembro('api/minha_assinatura.php');
+
+        document.getElementById('painel-login').classList.add('hidden');
+        document.getElementById('painel-assinatura').classList.remove('hidden');
+        document.getElementById('membro-nome').textContent = data.profile.full_name || 'Olá!';
+        document.getElementById('membro-email').textContent = data.profile.email_masked || '';
+
+        membro.assinatura = data.subscription;
+        renderizarAssinatura();
+
+    } catch (err) {
+        if (membro.token) showError(err.message || 'Erro ao carregar a sua assinatura. Tente novamente.');
+        console.error(err);
+    }
+}
+
+/** Preenche os cards do painel com membro.assinatura. */
+function renderizarAssinatura() {
+    const sub = membro.assinatura;
+    const ativa = !!sub && !CLOSED_SUBSCRIPTION_STATUSES.includes(sub.status);
+
+    document.getElementById('sem-assinatura').classList.toggle('hidden', !!sub);
+    document.getElementById('card-plano').classList.toggle('hidden', !sub);
+    document.getElementById('card-cartao').classList.toggle('hidden', !ativa || !sub.can_update_card);
+    document.getElementById('card-faturas').classList.toggle('hidden', !sub || sub.invoices.length === 0);
+    document.getElementById('card-cancelamento').classList.toggle('hidden', !ativa);
+    document.getElementById('secao-troca-plano').classList.toggle('hidden', !sub || sub.status !== 'active');
+    if (!sub) return;
+
+    // Plano e status
+    const [statusLabel, statusClass] = SUBSCRIPTION_STATUS_LABELS[sub.status] || [sub.status, 'bg-slate-100 text-slate-500'];
+    const statusEl = document.getElementById('assinatura-status');
+    statusEl.textContent = statusLabel;
+    statusEl.className = `text-xs font-bold rounded-full px-3 py-1 ${statusClass}`;
+
+    document.getElementById('assinatura-plano').textContent = sub.plan.name;
+    document.getElementById('assinatura-valor').textContent = formatarMoeda(sub.plan.price) + rotuloPeriodo(sub.plan);
+    document.getElementById('assinatura-pagamento').textContent = PAYMENT_METHOD_LABELS[sub.payment_method] || '—';
+    document.getElementById('assinatura-inicio').textContent = formatDateBR(sub.created_at) || '—';
+    document.getElementById('assinatura-validade').textContent =
+        !ativa ? 'Encerrado' : (formatDateBR(sub.expires_at) || '—');
+
+    // Cartão
+    document.getElementById('cartao-atual').textContent = sub.card
+        ? `${rotuloBandeira(sub.card.brand)} final ${sub.card.last4} · validade ${sub.card.expiry}`
+        : 'Nenhum cartão cadastrado';
+    document.getElementById('troca-cartao-aviso').textContent = sub.payment_method === 'credit_card'
+        ? 'O novo cartão será usado nas próximas cobranças.'
+        : 'As próximas cobranças passarão a ser feitas neste cartão, e não mais por boleto ou PIX.';
+
+    renderizarFaturas(sub.invoices);
+
+    // Fecha os painéis de ação abertos antes da atualização
+    ['troca-plano-panel', 'troca-cartao-panel', 'cancelamento-panel'].forEach(id => {
+        document.getElementById(id).classList.add('hidden');
+    });
+}
+
+/** Nome da bandeira para exibição (ex: "mastercard" → "Mastercard"). */
+function rotuloBandeira(brand) {
+    const conhecida = CARD_BRANDS.find(b => b.id === brand);
+    return conhecida ? conhecida.label : (brand ? brand.charAt(0).toUpperCase() + brand.slice(1) : 'Cartão');
+}
+
+/**
+ * Lista as faturas recentes com status e link para a segunda via.
+ *
+ * @param {Array<{ id, due_date, status, total, secure_url }>} invoices
+ */
+function renderizarFaturas(invoices) {
+    const lista = document.getElementById('faturas-lista');
+    lista.innerHTML = '';
+
+    invoices.forEach(inv => {
+        const [label, cor] = INVOICE_STATUS_LABELS[inv.status] || [inv.status || '—', 'text-slate-400'];
+        const item = document.createElement('div');
+        item.className = 'flex items-center justify-between py-3 text-sm';
+        item.innerHTML = `
+            <div>
+                <p class="font-semibold text-slate-700">${inv.total || '—'}</p>
+                <p class="text-xs text-slate-400">Vencimento ${formatDateBR(inv.due_date) || '—'}</p>
+            </div>
+            <div class="text-right">
+                <p class="text-xs font-bold ${cor}">${label}</p>
+                ${inv.secure_url ? `<a href="${inv.secure_url}" target="_blank" rel="noopener" class="text-xs text-tks-primary font-semibold hover:underline">${inv.status === 'paid' ? 'Comprovante' : 'Pagar'}</a>` : ''}
+            </div>
+        `;
+        lista.appendChild(item);
+    });
+}
+
+// ============================================================
+// TROCA DE PLANO
+// ============================================================
+
+/**
+ * Abre o painel de troca com os planos que o checkout ofereceria ao
+ * membro (listar_planos.php com o mesmo tipo e empresa), exceto o atual.
+ */
+async function abrirTrocaPlano() {
+    const panel = document.getElementById('troca-plano-panel');
+    const container = document.getElementById('planos-troca');
+    const sub = membro.assinatura;
+
+    if (!panel.classList.contains('hidden')) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    panel.classList.remove('hidden');
+    container.innerHTML = '<p class="text-center text-slate-400 py-4"><i class="fas fa-circle-notch fa-spin"></i></p>';
+    membro.planoTrocaId = null;
+    document.getElementById('btn-confirmar-troca-plano').disabled = true;
+
+    let url = `api/listar_planos.php?plan_type=${sub.plan_type}`;
+    if (sub.company_id) url += `&company_id=${encodeURIComponent(sub.company_id)}`;
+
+    try {
+        const res = await fetch(url);
+        const data = await res.json();
+
+        membro.planosTroca = (data.plans || []).filter(p => p.id !== sub.plan.id);
+        container.innerHTML = '';
+
+        if (membro.planosTroca.length === 0) {
+            container.innerHTML = '<p class="text-center text-slate-400 py-4 text-sm">Nenhum outro plano disponível para você.</p>';
+            return;
+        }
+
+        membro.planosTroca.forEach(plan => {
+            const card = document.createElement('div');
+            card.className = 'plan-card';
+            card.dataset.planId = plan.id;
+            card.innerHTML = `
+                <div class="plan-radio"></div>
+                <div class="flex-grow">
+                    <p class="font-bold text-slate-800">${plan.name}</p>
+                    <p class="text-xs text-slate-400">${plan.billing_cycle ? t(`planos.ciclo.${plan.billing_cycle}`) : ''}</p>
+                </div>
+                <div class="text-right flex-shrink-0">
+                    <p class="text-lg font-bold text-tks-primary">${formatarMoeda(plan.price)}</p>
+                    <p class="text-xs text-slate-400">${rotuloPeriodo(plan)}</p>
+                </div>
+            `;
+            card.addEventListener('click', () => {
+                container.querySelectorAll('.plan-card').forEach(c => c.classList.remove('selected'));
+                card.classList.add('selected');
+                membro.planoTrocaId = plan.id;
+                document.getElementById('btn-confirmar-troca-plano').disabled = false;
+            });
+            container.appendChild(card);
+        });
+
+    } catch (err) {
+        container.innerHTML = '<p class="text-center text-red-400 py-4 text-sm">Erro ao carregar planos. Tente novamente.</p>';
+        console.error(err);
+    }
+}
+
+/** Confirma a troca para o plano escolhido. */
+async function handleConfirmarTrocaPlano() {
+    if (!membro.planoTrocaId) return;
+
+    setButtonLoading('btn-confirmar-troca-plano', 'btn-confirmar-troca-plano-text',
+        'btn-confirmar-troca-plano-loader', 'btn-confirmar-troca-plano-icon', true);
+
+    try {
+        const data = await apiMembro('api/trocar_plano.php', { plan_id: membro.planoTrocaId });
+        showSuccessToast(`Plano alterado para ${data.plan.name}.`);
+        await carregarAssinatura();
+
+    } catch (err) {
+        showError(err.message || 'Erro ao trocar o plano. Tente novamente.');
+        console.error(err);
+    } finally {
+        setButtonLoading('btn-confirmar-troca-plano', 'btn-confirmar-troca-plano-text',
+            'btn-confirmar-troca-plano-loader', 'btn-confirmar-troca-plano-icon', false);
+        document.getElementById('btn-confirmar-troca-plano').disabled = !membro.planoTrocaId;
+    }
+}
+
+// ============================================================
+// TROCA DE CARTÃO
+// ============================================================
+
+/** Tokeniza o novo cartão (mesmas validações do checkout) e salva como padrão. */
+async function handleSalvarCartao() {
+    setButtonLoading('btn-salvar-cartao', 'btn-salvar-cartao-text',
+        'btn-salvar-cartao-loader', 'btn-salvar-cartao-icon', true);
+
+    try {
+        const cardToken = await tokenizarCartao();
+        if (!cardToken) return;
+
+        await apiMembro('api/atualizar_cartao.php', { card_token: cardToken });
+
+        Object.values(CARD_FIELDS).forEach(id => { document.getElementById(id).value = ''; });
+        atualizarBandeira(null);
+        showSuccessToast('Cartão atualizado com sucesso.');
+        await carregarAssinatura();
+
+    } catch (err) {
+        showError(err.message || 'Erro ao salvar o cartão. Tente novamente.');
+        console.error(err);
+    } finally {
+        setButtonLoading('btn-salvar-cartao', 'btn-salvar-cartao-text',
+            'btn-salvar-cartao-loader', 'btn-salvar-cartao-icon', false);
+    }
+}
+
+// ============================================================
+// CANCELAMENTO
+// ============================================================
+
+/** Cancela a assinatura (já confirmado no painel de aviso). */
+async function handleCancelarAssinatura() {
+    setButtonLoading('btn-confirmar-cancelamento', 'btn-confirmar-cancelamento-text',
+        'btn-confirmar-cancelamento-loader', 'btn-confirmar-cancelamento-icon', true);
+
+    try {
+        await apiMembro('api/cancelar_assinatura.php', {});
+        showSuccessToast('Sua assinatura foi cancelada.');
+        await carregarAssinatura();
+
+    } catch (err) {
+        showError(err.message || 'Erro ao cancelar a assinatura. Tente novamente.');
+        console.error(err);
+    } finally {
+        setButtonLoading('btn-confirmar-cancelamento', 'btn-confirmar-cancelamento-text',
+            'btn-confirmar-cancelamento-loader', 'btn-confirmar-cancelamento-icon', false);
+    }
+}
+
+/**
+ * Toast de confirmação (versão verde do showError do checkout).
+ * Remove automaticamente após 5 segundos.
+ */
+function showSuccessToast(message) {
+    document.getElementById('toast-success')?.remove();
+
+    const toast = document.createElement('div');
+    toast.id = 'toast-success';
+    toast.className = 'fixed top-4 left-1/2 -translate-x-1/2 z-50 bg-green-600 text-white px-6 py-3 rounded-xl shadow-lg text-sm font-semibold flex items-center gap-2';
+    toast.innerHTML = `<i class="fas fa-check-circle" aria-hidden="true"></i> ${message}`;
+    document.body.appendChild(toast);
+    anunciar(toast.textContent.trim());
+
+    setTimeout(() => toast.remove(), 5000);
+}
@@ -0,0 +1,380 @@
+/**
+ * ============================================================
+ * CHECKOUT CONVÊNIOS - TKS VANTAGENS
+ * Arquivo: js/validacoes.mjs
+ *
+ * Descrição: Validações e formatações dos campos do checkout.
+ *   - Validações de CPF, e-mail, telefone (celular ou fixo), data de
+ *     nascimento e endereço
+ *   - Normalização do telefone em E.164
+ *   - Máscaras de digitação e formatação de CPF, telefone, CEP e datas
+ *   - Cada recusa traz um `code` estável (o mesmo do api/config.php),
+ *     que o checkout traduz pelo catálogo de js/i18n.mjs; a `message`
+ *     em português fica como texto padrão
+ *   - Módulo ES sem acesso ao DOM: o index.html e o
+ *     minha-assinatura.html o importam e expõem as funções em
+ *     `window` para o checkout.js; os testes (tests/) o importam
+ *     direto no Node
+ *
+ * As mesmas regras existem em PHP (api/config.php). Os casos de
+ * tests/fixtures/validacoes.json são conferidos nas duas camadas:
+ * ao mudar uma regra aqui, mude lá e acrescente o caso à fixture.
+ * ============================================================
+ */
+
+// ============================================================
+// LISTAS DE REFERÊNCIA
+// ============================================================
+
+// Unidades federativas aceitas no endereço (mesma lista de UFS_BRASIL no config.php)
+export const UFS_BRASIL = [
+    'AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA',
+    'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO',
+];
+
+// Códigos de área (DDD) em uso no Plano de Numeração da Anatel
+// (mesma lista de DDDS_BRASIL no config.php). Dezenas como 20, 23,
+// 25, 26, 29, 30, 36, 39, 40, 50, 52, 56-60, 70, 72, 76, 78, 80 e 90
+// não existem.
+export const DDDS_BRASIL = [
+    11, 12, 13, 14, 15, 16, 17, 18, 19,
+    21, 22, 24, 27, 28,
+    31, 32, 33, 34, 35, 37, 38,
+    41, 42, 43, 44, 45, 46, 47, 48, 49,
+    51, 53, 54, 55,
+    61, 62, 63, 64, 65, 66, 67, 68, 69,
+    71, 73, 74, 75, 77, 79,
+    81, 82, 83, 84, 85, 86, 87, 88, 89,
+    91, 92, 93, 94, 95, 96, 97, 98, 99,
+];
+
+// Formato de e-mail aceito (mesmo padrão de EMAIL_PATTERN no config.php):
+// parte local com os caracteres permitidos e sem pontos nas pontas ou
+// seguidos, domínio com ao menos um ponto e terminação de 2+ letras.
+const EMAIL_REGEX = /^[A-Za-z0-9!#$%&'*+\/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&'*+\/=?^_`{|}~-]+)*@(?:[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?\.)+[A-Za-z]{2,}$/;
+const EMAIL_MAX_LENGTH = 254;
+
+// ============================================================
+// VALIDAÇÕES
+// ============================================================
+
+/**
+ * Valida o CPF usando o algoritmo oficial dos dois dígitos verificadores.
+ *
+ * Regras:
+ *  - Deve ter exatamente 11 dígitos (a máscara é ignorada)
+ *  - Não pode ser uma sequência repetida (ex: 111.111.111-11)
+ *  - Os dois últimos dígitos devem ser calculados corretamente
+ *
+ * @param {string} cpf - CPF com ou sem máscara
+ * @returns {boolean}
+ */
+export function validarCPF(cpf) {
+    // Remove qualquer caractere não numérico
+    cpf = String(cpf ?? '').replace(/\D/g, '');
+
+    // Deve ter exatamente 11 dígitos
+    if (cpf.length !== 11) return false;
+
+    // Rejeita sequências repetidas (ex: 00000000000, 11111111111, etc.)
+    if (/^(\d)\1{10}$/.test(cpf)) return false;
+
+    // --- Cálculo do 1º dígito verificador ---
+    let soma = 0;
+    for (let i = 0; i < 9; i++) {
+        soma += parseInt(cpf[i]) * (10 - i);
+    }
+    let resto = (soma * 10) % 11;
+    if (resto === 10 || resto === 11) resto = 0;
+    if (resto !== parseInt(cpf[9])) return false;
+
+    // --- Cálculo do 2º dígito verificador ---
+    soma = 0;
+    for (let i = 0; i < 10; i++) {
+        soma += parseInt(cpf[i]) * (11 - i);
+    }
+    resto = (soma * 10) % 11;
+    if (resto === 10 || resto === 11) resto = 0;
+    if (resto !== parseInt(cpf[10])) return false;
+
+    return true;
+}
+
+/**
+ * Valida o e-mail.
+ *
+ * Regras:
+ *  - Formato usuario@dominio.extensao (ver EMAIL_REGEX)
+ *  - No máximo 254 caracteres
+ *  - Espaços nas pontas são ignorados
+ *
+ * @param {string} email
+ * @returns {boolean}
+ */
+export function validarEmail(email) {
+    const valor = String(email ?? '').trim();
+    return valor.length <= EMAIL_MAX_LENGTH && EMAIL_REGEX.test(valor);
+}
+
+/**
+ * Dígitos do telefone sem o código do país. Aceita o número nacional
+ * (DDD + número, com ou sem máscara) ou em E.164 ("+55 61 99618-7769").
+ * Com 12 ou 13 dígitos começando com 55, o 55 só pode ser o código do
+ * país: nenhum número nacional passa de 11 dígitos.
+ *
+ * @param {string} phone
+ * @returns {string} Apenas dígitos (DDD + número)
+ */
+export function digitosTelefoneNacional(phone) {
+    const digits = String(phone ?? '').replace(/\D/g, '');
+    if ((digits.length === 12 || digits.length === 13) && digits.startsWith('55')) {
+        return digits.slice(2);
+    }
+    return digits;
+}
+
+/**
+ * Valida o telefone brasileiro, celular ou fixo.
+ *
+ * Regras:
+ *  - O DDD deve existir no plano de numeração (DDDS_BRASIL)
+ *  - Celular: 9 dígitos após o DDD, começando com 9
+ *  - Fixo: 8 dígitos após o DDD, começando com 2, 3, 4 ou 5
+ *  - Aceita o número com o código do país, que precisa ser +55
+ *
+ * @param {string} phone - Telefone com ou sem máscara
+ * @returns {{ valid: boolean, code: string|null, message: string, type: 'mobile'|'landline'|null }}
+ */
+export function validarTelefone(phone) {
+    const digits = digitosTelefoneNacional(phone);
+    const invalido = (code, message) => ({ valid: false, code, message, type: null });
+
+    // Com código de país, só o do Brasil
+    if (/^\s*\+/.test(String(phone ?? '')) && !/^\s*\+\s*55/.test(String(phone))) {
+        return invalido('phone_foreign', 'Informe um telefone do Brasil (+55).');
+    }
+    if (digits.length < 10) {
+        return invalido('phone_too_short', 'Telefone inválido. Informe o DDD e o número (ex: (61) 99618-7769).');
+    }
+    if (digits.length > 11) {
+        return invalido('phone_too_long', 'Telefone inválido. Número muito longo.');
+    }
+
+    const ddd = parseInt(digits.substring(0, 2));
+    const primeiro = digits[2]; // 1º dígito após o DDD: 9 = celular, 2 a 5 = fixo
+
+    if (!DDDS_BRASIL.includes(ddd)) {
+        return invalido('phone_invalid_area_code', 'DDD inválido. Verifique o código de área do telefone.');
+    }
+
+    if (digits.length === 11) {
+        if (primeiro !== '9') {
+            return invalido('phone_mobile_prefix', 'Celular deve começar com 9 após o DDD. Se for telefone fixo, informe só os 8 dígitos do número.');
+        }
+        return { valid: true, code: null, message: '', type: 'mobile' };
+    }
+
+    // 10 dígitos: fixo, ou celular digitado sem o 9 na frente
+    if (['6', '7', '8', '9'].includes(primeiro)) {
+        return invalido('phone_missing_nine', 'Celular tem 9 dígitos após o DDD. Acrescente o 9 na frente do número.');
+    }
+    if (!['2', '3', '4', '5'].includes(primeiro)) {
+        return invalido('phone_invalid_prefix', 'Número de telefone inválido. Verifique os dígitos após o DDD.');
+    }
+    return { valid: true, code: null, message: '', type: 'landline' };
+}
+
+/**
+ * Normaliza o telefone para o formato E.164 (+55 + DDD + número), usado
+ * no envio ao processar_assinatura.php e gravado no perfil.
+ *
+ * @param {string} phone - Telefone com ou sem máscara
+ * @returns {string|null} Ex: "+5561996187769"; null se o telefone for inválido
+ */
+export function telefoneE164(phone) {
+    return validarTelefone(phone).valid ? `+55${digitosTelefoneNacional(phone)}` : null;
+}
+
+/**
+ * Lê uma data YYYY-MM-DD (padrão do input type="date") como dia do
+ * calendário, sem passar por `new Date('YYYY-MM-DD')`: esse construtor
+ * interpreta a string como meia-noite UTC, que no Brasil (UTC-3) ainda
+ * é o dia anterior.
+ *
+ * @param {string} isoDate
+ * @returns {{ ano: number, mes: number, dia: number }|null} null se a data não existir
+ */
+export function lerDataISO(isoDate) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(isoDate ?? ''));
+    if (!m) return null;
+
+    const ano = parseInt(m[1]);
+    const mes = parseInt(m[2]);
+    const dia = parseInt(m[3]);
+
+    // Dia 0 do mês seguinte = último dia do mês (considera anos bissextos)
+    const diasNoMes = new Date(ano, mes, 0).getDate();
+    if (ano < 1 || mes < 1 || mes > 12 || dia < 1 || dia > diasNoMes) return null;
+
+    return { ano, mes, dia };
+}
+
+/**
+ * Idade completa em anos numa data de referência. Quem nasceu em
+ * 29/02 completa anos em 01/03 nos anos não bissextos.
+ *
+ * @param {{ ano: number, mes: number, dia: number }} nascimento - Retorno de lerDataISO()
+ * @param {Date} [hoje=new Date()] - Data de referência (no fuso do navegador)
+ * @returns {number}
+ */
+export function calcularIdade(nascimento, hoje = new Date()) {
+    const mesAtual = hoje.getMonth() + 1;
+    const diaAtual = hoje.getDate();
+
+    let idade = hoje.getFullYear() - nascimento.ano;
+
+    // Se ainda não fez aniversário este ano, subtrai 1
+    if (mesAtual < nascimento.mes || (mesAtual === nascimento.mes && diaAtual < nascimento.dia)) {
+        idade--;
+    }
+    return idade;
+}
+
+/**
+ * Valida a data de nascimento.
+ *
+ * Regras:
+ *  - Deve ser uma data existente no formato YYYY-MM-DD
+ *  - Não pode ser uma data futura
+ *  - O usuário deve ter a idade mínima na data atual (15 anos para o titular)
+ *
+ * @param {string} birthDate - Data no formato YYYY-MM-DD (padrão do input type="date")
+ * @param {number} [idadeMinima=15] - Idade mínima exigida (0 para dependentes)
+ * @param {Date} [hoje=new Date()] - Data de referência (os testes fixam uma)
+ * @returns {{ valid: boolean, code: string|null, message: string, params?: { min_age: number } }}
+ */
+export function validarDataNascimento(birthDate, idadeMinima = 15, hoje = new Date()) {
+    if (!birthDate) {
+        return { valid: false, code: 'birth_date_required', message: 'Por favor, informe sua data de nascimento.' };
+    }
+
+    const nascimento = lerDataISO(birthDate);
+    if (!nascimento) {
+        return { valid: false, code: 'birth_date_invalid', message: 'Data de nascimento inválida.' };
+    }
+
+    // Compara só o dia do calendário (AAAAMMDD), nunca o horário
+    const chaveNascimento = nascimento.ano * 10000 + nascimento.mes * 100 + nascimento.dia;
+    const chaveHoje = hoje.getFullYear() * 10000 + (hoje.getMonth() + 1) * 100 + hoje.getDate();
+    if (chaveNascimento > chaveHoje) {
+        return { valid: false, code: 'birth_date_future', message: 'A data de nascimento não pode ser uma data futura.' };
+    }
+
+    if (calcularIdade(nascimento, hoje) < idadeMinima) {
+        return {
+            valid: false,
+            code: 'birth_date_min_age',
+            message: `Você deve ter pelo menos ${idadeMinima} anos para se cadastrar.`,
+            params: { min_age: idadeMinima },
+        };
+    }
+
+    return { valid: true, code: null, message: '' };
+}
+
+/**
+ * Valida o endereço do titular (exigido pela Iugu para registro de boletos).
+ *
+ * Regras:
+ *  - CEP com exatamente 8 dígitos
+ *  - Rua, número, bairro e cidade obrigatórios (número aceita "S/N")
+ *  - UF deve ser uma das 27 unidades federativas
+ *  - Complemento é opcional
+ *
+ * @param {object} address - { zipCode, street, number, complement, district, city, state }
+ * @returns {Array<{ field: string, code: string, message: string }>} Lista de erros (vazia se válido)
+ */
+export function validarEndereco(address) {
+    const erros = [];
+
+    if ((address.zipCode || '').replace(/\D/g, '').length !== 8) {
+        erros.push({ field: 'zipCode', code: 'address_zip_code_invalid', message: 'CEP inválido. Informe os 8 dígitos.' });
+    }
+    if (!address.street) erros.push({ field: 'street', code: 'address_street_required', message: 'Informe a rua.' });
+    if (!address.number) erros.push({ field: 'number', code: 'address_number_required', message: 'Informe o número (ou S/N).' });
+    if (!address.district) erros.push({ field: 'district', code: 'address_district_required', message: 'Informe o bairro.' });
+    if (!address.city) erros.push({ field: 'city', code: 'address_city_required', message: 'Informe a cidade.' });
+    if (!UFS_BRASIL.includes((address.state || '').toUpperCase())) {
+        erros.push({ field: 'state', code: 'address_state_invalid', message: 'Selecione a UF.' });
+    }
+
+    return erros;
+}
+
+// ============================================================
+// MÁSCARAS DE DIGITAÇÃO
+// Recebem o valor parcial do input e devolvem o valor mascarado.
+// ============================================================
+
+/** Máscara de CPF: 000.000.000-00 */
+export function mascaraCpf(valor) {
+    let v = String(valor ?? '').replace(/\D/g, '').slice(0, 11);
+    v = v.replace(/(\d{3})(\d)/, '$1.$2');
+    v = v.replace(/(\d{3})(\d)/, '$1.$2');
+    v = v.replace(/(\d{3})(\d{1,2})$/, '$1-$2');
+    return v;
+}
+
+/** Máscara de Telefone: (00) 0000-0000 (fixo) ou (00) 00000-0000 (celular) */
+export function mascaraTelefone(valor) {
+    let v = String(valor ?? '').replace(/\D/g, '').slice(0, 11);
+    if (v.length === 11) return v.replace(/(\d{2})(\d{5})(\d{4})/, '($1) $2-$3');
+    v = v.replace(/(\d{2})(\d)/, '($1) $2');
+    v = v.replace(/(\d{4})(\d)/, '$1-$2');
+    return v;
+}
+
+/** Máscara de CEP: 00000-000 */
+export function mascaraCep(valor) {
+    let v = String(valor ?? '').replace(/\D/g, '').slice(0, 8);
+    v = v.replace(/(\d{5})(\d)/, '$1-$2');
+    return v;
+}
+
+/** Máscara de Validade do Cartão: MM/AA */
+export function mascaraValidadeCartao(valor) {
+    let v = String(valor ?? '').replace(/\D/g, '').slice(0, 4);
+    if (v.length >= 3) v = v.slice(0, 2) + '/' + v.slice(2);
+    return v;
+}
+
+// ============================================================
+// FORMATAÇÃO DE VALORES COMPLETOS
+// ============================================================
+
+/** Formata um CEP de dígitos para o padrão 00000-000. */
+export function formatCep(digits) {
+    const d = (digits || '').replace(/\D/g, '');
+    return d.length === 8 ? `${d.slice(0, 5)}-${d.slice(5)}` : (digits || '');
+}
+
+/** Formata um CPF de dígitos para o padrão 000.000.000-00. */
+export function formatCpf(digits) {
+    const d = (digits || '').replace(/\D/g, '');
+    if (d.length !== 11) return digits || '';
+    return `${d.slice(0, 3)}.${d.slice(3, 6)}.${d.slice(6, 9)}-${d.slice(9)}`;
+}
+
+/** Formata um telefone (dígitos ou E.164) para o padrão com máscara. */
+export function formatPhone(digits) {
+    const d = digitosTelefoneNacional(digits);
+    if (d.length === 11) return `(${d.slice(0, 2)}) ${d.slice(2, 7)}-${d.slice(7)}`;
+    if (d.length === 10) return `(${d.slice(0, 2)}) ${d.slice(2, 6)}-${d.slice(6)}`;
+    return digits || '';
+}
+
+/** Formata uma data YYYY-MM-DD para DD/MM/AAAA (sem passar por Date, evitando fuso). */
+export function formatDateBR(isoDate) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(isoDate || '');
+    return m ? `${m[3]}/${m[2]}/${m[1]}` : '';
+}
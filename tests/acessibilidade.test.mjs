@@ -0,0 +1,343 @@
+/**
+ * ============================================================
+ * CHECKOUT CONVÊNIOS - TKS VANTAGENS
+ * Arquivo: tests/acessibilidade.test.mjs
+ *
+ * Descrição: Acessibilidade do checkout (WCAG 2.1 AA) no Chrome headless.
+ *   - Regras wcag2a, wcag2aa, wcag21a e wcag21aa do axe-core em cada
+ *     etapa e com o modal de Termos e Condições aberto
+ *   - Foco ao trocar de etapa, planos como grupo de radio pelo teclado,
+ *     erros ligados aos campos, regiões "ao vivo" e o foco preso no modal
+ *   - Painel de erro da finalização com a ação de recuperação
+ *   - Pagamento pendente não confirmado: volta da tela de espera à Etapa 4
+ *   - Troca de idioma pelo seletor (lang da página e textos)
+ *
+ * A API é simulada (as chamadas a api/*.php são interceptadas), então
+ * não é preciso PHP nem banco. O Tailwind e as fontes vêm das CDNs da
+ * própria página: o teste precisa de internet.
+ *
+ * Dependências (não versionadas; sem elas os testes são pulados):
+ *     npm install --no-save puppeteer axe-core
+ * ============================================================
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+let puppeteer = null;
+let axeSource = null;
+try {
+    puppeteer = (await import('puppeteer')).default;
+    axeSource = (await import('axe-core')).default.source;
+} catch {
+    // Dependências ausentes: a suíte inteira é pulada
+}
+
+const RAIZ = fileURLToPath(new URL('..', import.meta.url));
+
+const TIPOS = {
+    '.html': 'text/html; charset=utf-8',
+    '.js':   'text/javascript; charset=utf-8',
+    '.mjs':  'text/javascript; charset=utf-8',
+    '.css':  'text/css; charset=utf-8',
+    '.json': 'application/json',
+};
+
+// Respostas da API simulada, por arquivo chamado
+const API_SIMULADA = {
+    'termos_vigentes.php': {
+        version: '2026-01',
+        title: 'Termos e Condições de Uso',
+        published_at: '2026-01-05',
+        sections: [
+            { title: '1. Objeto', paragraphs: ['1.1. O Clube de Vantagens oferece descontos em parceiros.'] },
+            { title: '2. Assinatura', paragraphs: ['2.1. A assinatura é renovada a cada ciclo de cobrança.'] },
+        ],
+    },
+    'verificar_cpf.php': {
+        found: false, is_new_user: true, cpf: '52998224725', plan_type: 'b2c',
+    },
+    'listar_planos.php': {
+        plan_type: 'b2c',
+        payroll_allowed: false,
+        plans: [
+            { id: 'essencial', name: 'Essencial', description: 'Acesso a todos os parceiros', billing_cycle: 'monthly', price_formatted: 'R$ 19,90', period_label: '/mês', iugu_plan_identifier: 'essencial' },
+            { id: 'premium', name: 'Premium', description: 'Parceiros e sorteios mensais', billing_cycle: 'monthly', price_formatted: 'R$ 29,90', period_label: '/mês', iugu_plan_identifier: 'premium' },
+            { id: 'essencial-anual', name: 'Essencial Anual', billing_cycle: 'annual', price_formatted: 'R$ 199,00', period_label: '/ano', monthly_equivalent_formatted: 'R$ 16,58', savings_formatted: 'R$ 39,80', savings_percent: 17, iugu_plan_identifier: 'essencial-anual' },
+        ],
+    },
+    'buscar_cep.php': {
+        found: true,
+        address: { street: 'Setor Bancário Sul Quadra 1', district: 'Asa Sul', city: 'Brasília', state: 'DF' },
+    },
+    'processar_assinatura.php': {
+        error: 'O sistema de pagamento demorou a responder. Tente novamente.',
+        code: 'iugu_timeout',
+        retryable: true,
+    },
+};
+
+// Status HTTP das respostas simuladas que não são 200
+const API_STATUS = {
+    'processar_assinatura.php': 504,
+};
+
+/** Serve os arquivos do repositório (só leitura, sem sair da raiz). */
+function iniciarServidor() {
+    const server = createServer(async (req, res) => {
+        const caminho = normalize(decodeURIComponent(new URL(req.url, 'http://localhost').pathname));
+        const arquivo = join(RAIZ, caminho === '/' ? 'index.html' : caminho);
+        if (!arquivo.startsWith(RAIZ)) {
+            res.writeHead(403).end();
+            return;
+        }
+        try {
+            const corpo = await readFile(arquivo);
+            res.writeHead(200, { 'Content-Type': TIPOS[extname(arquivo)] || 'application/octet-stream' }).end(corpo);
+        } catch {
+            res.writeHead(404).end();
+        }
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/** Roda o axe na página e falha listando as violações (regra: seletores). */
+async function verificarAxe(page, contexto) {
+    const violacoes = await page.evaluate(async () => {
+        const { violations } = await window.axe.run(document, {
+            runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] },
+        });
+        return violations.map(v => `${v.id}: ${v.nodes.map(n => n.target.join(' ')).join(', ')}`);
+    });
+    assert.deepEqual(violacoes, [], `violações do axe (${contexto})`);
+}
+
+/** Identificação do elemento em foco: título da etapa ("#step-2 h2") ou id. */
+function elementoEmFoco(page) {
+    return page.evaluate(() => {
+        const el = document.activeElement;
+        const painel = el.closest('.step-panel');
+        if (painel && el.tagName === 'H2') return `#${painel.id} h2`;
+        return el.id ? `#${el.id}` : el.tagName.toLowerCase();
+    });
+}
+
+/** Aguarda as regiões "ao vivo" serem preenchidas (anunciar usa um timeout). */
+const aguardarAnuncio = () => new Promise(resolve => setTimeout(resolve, 300));
+
+describe('acessibilidade do checkout', {
+    skip: !puppeteer && 'instale as dependências: npm install --no-save puppeteer axe-core',
+    timeout: 120000,
+}, () => {
+    let server;
+    let browser;
+    let page;
+
+    before(async () => {
+        server = await iniciarServidor();
+        const base = `http://127.0.0.1:${server.address().port}`;
+
+        browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
+        page = await browser.newPage();
+        await page.emulateMediaFeatures([{ name: 'prefers-reduced-motion', value: 'reduce' }]);
+        await page.evaluateOnNewDocument(axeSource);
+
+        await page.setRequestInterception(true);
+        page.on('request', (req) => {
+            const url = new URL(req.url());
+            if (url.origin === base && url.pathname.startsWith('/api/')) {
+                const arquivo = url.pathname.slice('/api/'.length);
+                const corpo = API_SIMULADA[arquivo] || {};
+                req.respond({ status: API_STATUS[arquivo] || 200, contentType: 'application/json', body: JSON.stringify(corpo) });
+            } else if (url.hostname === 'js.iugu.com') {
+                req.abort(); // tokenização não é exercitada aqui
+            } else {
+                req.continue();
+            }
+        });
+
+        // Textos conferidos em pt-BR (o Chrome headless se apresenta em inglês)
+        await page.goto(`${base}/index.html?lang=pt-BR`, { waitUntil: 'networkidle0' });
+    });
+
+    after(async () => {
+        await browser?.close();
+        server?.close();
+    });
+
+    test('Etapa 1 (CPF) sem violações', async () => {
+        assert.equal(await page.$eval('[data-step="1"]', el => el.getAttribute('aria-current')), 'step');
+        await verificarAxe(page, 'Etapa 1');
+    });
+
+    test('erro geral é anunciado na região de alerta', async () => {
+        await page.click('#btn-verificar-cpf');
+        await aguardarAnuncio();
+        assert.match(await page.$eval('#anuncio-alerta', el => el.textContent), /CPF inválido/);
+    });
+
+    test('ao avançar, o foco vai para o título da Etapa 2 e o progresso é atualizado', async () => {
+        await page.type('#input-cpf', '52998224725');
+        await page.click('#btn-verificar-cpf');
+        await page.waitForSelector('#planos-container [role="radio"]');
+
+        assert.equal(await elementoEmFoco(page), '#step-2 h2');
+        assert.equal(await page.$eval('[data-step="2"]', el => el.getAttribute('aria-current')), 'step');
+        assert.equal(await page.$eval('[data-step="1"]', el => el.hasAttribute('aria-current')), false);
+        assert.equal(await page.$eval('[data-step="1"] .step-status', el => el.textContent), '(concluída)');
+        await aguardarAnuncio();
+        assert.match(await page.$eval('#anuncio-status', el => el.textContent), /planos disponíveis/);
+        await verificarAxe(page, 'Etapa 2');
+    });
+
+    test('planos são um grupo de radio operável pelo teclado', async () => {
+        const estado = () => page.$$eval('#planos-container [role="radio"]', cards => cards.map(c => ({
+            plano: c.dataset.planId, marcado: c.getAttribute('aria-checked'), tab: c.tabIndex,
+        })));
+
+        // Nenhum marcado: só o primeiro entra na ordem do Tab
+        assert.deepEqual(await estado(), [
+            { plano: 'essencial', marcado: 'false', tab: 0 },
+            { plano: 'premium', marcado: 'false', tab: -1 },
+        ]);
+
+        await page.focus('#planos-container [tabindex="0"]');
+        await page.keyboard.press('Space');
+        assert.equal(await page.$eval('#btn-selecionar-plano', b => b.disabled), false);
+        assert.deepEqual((await estado()).map(c => c.marcado), ['true', 'false']);
+
+        await page.keyboard.press('ArrowDown');
+        assert.deepEqual(await estado(), [
+            { plano: 'essencial', marcado: 'false', tab: -1 },
+            { plano: 'premium', marcado: 'true', tab: 0 },
+        ]);
+        assert.equal(await page.evaluate(() => document.activeElement.dataset.planId), 'premium');
+
+        // Setas circulam: do último volta ao primeiro
+        await page.keyboard.press('ArrowDown');
+        assert.equal(await page.evaluate(() => document.activeElement.dataset.planId), 'essencial');
+        assert.deepEqual((await estado()).map(c => c.marcado), ['true', 'false']);
+        await verificarAxe(page, 'Etapa 2 com plano marcado');
+    });
+
+    test('erros da Etapa 3 ficam ligados aos campos e são anunciados', async () => {
+        await page.click('#btn-selecionar-plano');
+        assert.equal(await elementoEmFoco(page), '#step-3 h2');
+
+        await page.click('#btn-confirmar-dados');
+        await aguardarAnuncio();
+
+        const nome = await page.$eval('#input-nome', el => ({
+            invalido: el.getAttribute('aria-invalid'),
+            descricao: el.getAttribute('aria-describedby'),
+        }));
+        assert.deepEqual(nome, { invalido: 'true', descricao: 'error-input-nome' });
+        assert.match(await page.$eval('#anuncio-alerta', el => el.textContent), /corrija os campos/);
+        assert.match(await page.$eval('#anuncio-status', el => el.textContent), /informe seu nome completo/);
+        await verificarAxe(page, 'Etapa 3 com erros');
+
+        // Corrigir o campo remove o vínculo com a mensagem
+        await page.type('#input-nome', 'Maria da Silva');
+        assert.deepEqual(await page.$eval('#input-nome', el => [el.hasAttribute('aria-invalid'), el.hasAttribute('aria-describedby')]), [false, false]);
+    });
+
+    test('Etapa 4 (pagamento) sem violações', async () => {
+        await page.type('#input-email', 'maria@exemplo.com.br');
+        await page.type('#input-telefone', '61996187769');
+        await page.$eval('#input-nascimento', el => { el.value = '1990-05-12'; });
+        await page.type('#input-cep', '70040010');
+        await page.waitForFunction(() => document.getElementById('input-rua').value !== '');
+        await page.type('#input-numero', 'S/N');
+
+        await page.click('#btn-confirmar-dados');
+        await page.waitForSelector('#step-4:not(.hidden)');
+        assert.equal(await elementoEmFoco(page), '#step-4 h2');
+
+        await page.click('.payment-method-btn[data-method="pix"]');
+        assert.equal(await page.$eval('.payment-method-btn[data-method="pix"]', b => b.getAttribute('aria-pressed')), 'true');
+        await verificarAxe(page, 'Etapa 4');
+    });
+
+    test('modal de termos prende o foco e o devolve ao fechar', async () => {
+        await page.focus('#link-termos');
+        await page.keyboard.press('Enter');
+        await page.waitForSelector('#modal-termos:not(.hidden)');
+
+        assert.equal(await elementoEmFoco(page), '#modal-termos-titulo');
+        assert.equal(await page.$eval('main', el => el.inert), true);
+        await verificarAxe(page, 'modal de termos aberto');
+
+        // Shift+Tab no início vai para o último elemento; Tab no último volta ao primeiro
+        await page.keyboard.down('Shift');
+        await page.keyboard.press('Tab');
+        await page.keyboard.up('Shift');
+        assert.equal(await elementoEmFoco(page), '#btn-aceitar-termos');
+        await page.keyboard.press('Tab');
+        assert.equal(await elementoEmFoco(page), '#btn-fechar-termos');
+
+        await page.keyboard.press('Escape');
+        assert.equal(await page.$eval('#modal-termos', el => el.classList.contains('hidden')), true);
+        assert.equal(await page.$eval('main', el => el.inert), false);
+        assert.equal(await elementoEmFoco(page), '#link-termos');
+    });
+
+    test('erro da finalização fica no painel com a ação de recuperação', async () => {
+        await page.click('#chk-termos');
+        await page.click('#btn-finalizar');
+        await page.waitForSelector('#erro-pagamento:not(.hidden)');
+
+        assert.equal(await page.$eval('#erro-pagamento-texto', el => el.textContent), 'O sistema de pagamento demorou a responder. Tente novamente.');
+        // Falha temporária: só "Tentar novamente" (o PIX é para cartão recusado)
+        const acoes = await page.$$eval('#erro-pagamento button, #erro-pagamento a', els =>
+            els.filter(el => !el.classList.contains('hidden')).map(el => el.id));
+        assert.deepEqual(acoes, ['btn-erro-tentar']);
+        await aguardarAnuncio();
+        assert.match(await page.$eval('#anuncio-alerta', el => el.textContent), /demorou a responder/);
+        await verificarAxe(page, 'erro da finalização');
+
+        // Trocar a forma de pagamento (pelo teclado) esconde o painel
+        await page.focus('.payment-method-btn[data-method="bank_slip"]');
+        await page.keyboard.press('Enter');
+        assert.equal(await page.$eval('#erro-pagamento', el => el.classList.contains('hidden')), true);
+    });
+
+    test('PIX não confirmado volta da tela de espera para a Etapa 4', async () => {
+        API_SIMULADA['processar_assinatura.php'] = {
+            payment_status: 'pending',
+            subscription_id: '3f0c9a52-7d1e-4b8a-9c61-2e5f8d4a7b10',
+            payment_url: 'https://faturas.iugu.com/exemplo',
+            pix: { qrcode_text: '00020126580014br.gov.bcb.pix' },
+        };
+        API_STATUS['processar_assinatura.php'] = 200;
+        API_SIMULADA['status_assinatura.php'] = { status: 'pending_payment', payment_status: 'pending' };
+
+        await page.click('.payment-method-btn[data-method="pix"]');
+        await page.click('#btn-finalizar');
+        await page.waitForSelector('#step-pending:not(.hidden)');
+
+        // A fatura venceu: o polling leva de volta ao pagamento com o aviso
+        API_SIMULADA['status_assinatura.php'] = { status: 'canceled', payment_status: 'failed' };
+        await page.waitForSelector('#step-4:not(.hidden)', { timeout: 15000 });
+
+        assert.equal(await page.$eval('#step-pending', el => el.classList.contains('hidden')), true);
+        assert.equal(await page.$eval('#progress-steps', el => el.classList.contains('hidden')), false);
+        assert.equal(await page.$eval('#erro-pagamento', el => el.classList.contains('hidden')), false);
+        assert.match(await page.$eval('#erro-pagamento-texto', el => el.textContent), /não foi confirmado/);
+        await aguardarAnuncio();
+        assert.match(await page.$eval('#anuncio-alerta', el => el.textContent), /não foi confirmado/);
+        await verificarAxe(page, 'pagamento não confirmado');
+    });
+
+    test('trocar o idioma atualiza o lang da página e os textos', async () => {
+        await page.select('#select-idioma', 'en');
+
+        assert.equal(await page.$eval('html', el => el.lang), 'en');
+        assert.equal(await page.$eval('#step-4 h2', el => el.textContent), 'Payment');
+        assert.equal(await page.$eval('[data-step="1"] .step-status', el => el.textContent), '(completed)');
+        await verificarAxe(page, 'Etapa 4 em inglês');
+    });
+});
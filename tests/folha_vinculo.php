@@ -0,0 +1,59 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /tests/folha_vinculo.php
+ * USO:     php tests/folha_vinculo.php   (linha de comando)
+ *
+ * DESCRIÇÃO:
+ *  Confere quem pode assinar por desconto em folha
+ *  (avaliarVinculoFolha() em api/folha.php): só CPFs com vínculo
+ *  ativo na empresa, ou pendente comprovado por código de acesso
+ *  ou e-mail corporativo.
+ *
+ *  Não acessa o Supabase nem a Iugu: só carrega as funções puras
+ *  do config.php e do folha.php.
+ *
+ * RETORNO:
+ *  Uma linha por caso com divergência e o resumo. Código de saída
+ *  0 se todos os casos passaram, 1 se algum falhou.
+ * ============================================================
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit;
+}
+
+require __DIR__ . '/../api/config.php';
+require __DIR__ . '/../api/folha.php';
+
+$casos = [
+    ['case' => 'CPF sem vínculo com a empresa',          'member' => null,                                                          'ok' => false],
+    ['case' => 'vínculo ativo',                          'member' => ['status' => 'active', 'verification_method' => null],          'ok' => true],
+    ['case' => 'pendente por código de acesso',          'member' => ['status' => 'pending', 'verification_method' => 'access_code'], 'ok' => true],
+    ['case' => 'pendente por e-mail corporativo',        'member' => ['status' => 'pending', 'verification_method' => 'email'],       'ok' => true],
+    ['case' => 'pendente sem comprovação no checkout',   'member' => ['status' => 'pending', 'verification_method' => null],          'ok' => false],
+    ['case' => 'vínculo encerrado pela empresa',         'member' => ['status' => 'inactive', 'verification_method' => 'email'],      'ok' => false],
+];
+
+$total  = 0;
+$falhas = [];
+
+foreach ($casos as $caso) {
+    $result   = avaliarVinculoFolha($caso['member']);
+    $esperado = $caso['ok'] ? null : 'payroll_not_member';
+    $total++;
+    if ($result['ok'] !== $caso['ok'] || $result['code'] !== $esperado) {
+        $falhas[] = sprintf('%s: esperado %s, obtido %s', $caso['case'], json_encode($esperado), json_encode($result['code']));
+    }
+}
+
+// ============================================================
+// RESUMO
+// ============================================================
+foreach ($falhas as $falha) {
+    echo "FALHOU  {$falha}\n";
+}
+printf("%d casos, %d falha(s)\n", $total, count($falhas));
+
+exit(empty($falhas) ? 0 : 1);
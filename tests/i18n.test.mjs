@@ -0,0 +1,248 @@
+/**
+ * ============================================================
+ * CHECKOUT CONVÊNIOS - TKS VANTAGENS
+ * Arquivo: tests/i18n.test.mjs
+ *
+ * Descrição: Testes de js/i18n.mjs e dos catálogos de js/idiomas/
+ * (node --test, sem dependências).
+ *   - Os três idiomas têm as mesmas chaves, marcadores e plurais
+ *   - Todo código das validações e da API tem tradução
+ *   - Detecção do idioma, t() e formatação de moeda e data
+ *
+ * O fuso é fixado em America/Sao_Paulo (APP_TIMEZONE do backend),
+ * onde uma data lida como meia-noite UTC cai no dia anterior.
+ * ============================================================
+ */
+
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+import {
+    IDIOMA_PADRAO, IDIOMAS,
+    normalizarIdioma, detectarIdioma, definirIdioma, idiomaAtual,
+    existeChave, t, mensagemDoCodigo, formatarMoeda, formatarData,
+} from '../js/i18n.mjs';
+import { validarEndereco } from '../js/validacoes.mjs';
+
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/validacoes.json', import.meta.url), 'utf8'));
+
+// Cada teste começa no idioma padrão
+afterEach(() => definirIdioma(IDIOMA_PADRAO));
+
+// "{nome}" usados por um texto (nas duas formas, se tiver plural)
+const marcadores = (texto) => {
+    const formas = typeof texto === 'object' ? Object.values(texto) : [texto];
+    return [...new Set(formas.flatMap(f => f.match(/\{\w+\}/g) || []))].sort();
+};
+
+// ============================================================
+// CATÁLOGOS
+// ============================================================
+
+describe('catálogos', () => {
+    const padrao = IDIOMAS[IDIOMA_PADRAO];
+
+    for (const [idioma, catalogo] of Object.entries(IDIOMAS)) {
+        test(`${idioma}: mesmas chaves do ${IDIOMA_PADRAO}`, () => {
+            assert.deepEqual(Object.keys(catalogo).sort(), Object.keys(padrao).sort());
+        });
+
+        test(`${idioma}: mesmos marcadores e formas de plural`, () => {
+            for (const [chave, texto] of Object.entries(padrao)) {
+                assert.equal(typeof catalogo[chave], typeof texto, chave);
+                if (typeof texto === 'object') assert.deepEqual(Object.keys(catalogo[chave]).sort(), ['one', 'other'], chave);
+                assert.deepEqual(marcadores(catalogo[chave]), marcadores(texto), chave);
+            }
+        });
+    }
+
+    test('o aviso de idioma dos termos só aparece fora do pt-BR', () => {
+        for (const [idioma, catalogo] of Object.entries(IDIOMAS)) {
+            assert.equal(catalogo['termos.aviso_idioma'] === '', idioma === IDIOMA_PADRAO, idioma);
+        }
+    });
+});
+
+describe('códigos traduzidos', () => {
+    test('validações do frontend (fixture e endereço)', () => {
+        const codigos = [
+            ...fixture.phone.map(c => c.code),
+            ...fixture.birth_date.map(c => c.code),
+            ...validarEndereco({}).map(e => e.code),
+        ].filter(Boolean);
+
+        assert.ok(codigos.length > 0);
+        for (const code of codigos) assert.ok(existeChave(`codigos.${code}`), code);
+    });
+
+    test('respostas da API (api/*.php)', () => {
+        const api = new URL('../api/', import.meta.url);
+        const codigos = new Set([
+            // Montados a partir do código da validação da data (dependentes.php)
+            'dependent_birth_date_required', 'dependent_birth_date_invalid', 'dependent_birth_date_future',
+            // Falha de rede no navegador (checkout.js)
+            'network_error',
+        ]);
+        const padroes = [
+            /'code'\s*=>\s*'([a-z_]+)'/g,
+            /\$(?:invalid|invalido|fail)\(\s*'([a-z_]+)'/g,
+            /(?<!'field'\s*)=>\s*'(payment_[a-z_]+)'/g,
+            // responderErro(400, 'code', ...), responderFalhaIugu($res, 'code', ...) e $fail(409, 'code', ...)
+            /(?:responderErro|\$fail)\(\s*\d+,\s*'([a-z_]+)'/g,
+            /responderFalhaIugu\(\s*\$\w+,\s*'([a-z_]+)'/g,
+        ];
+
+        for (const arquivo of readdirSync(api).filter(f => f.endsWith('.php'))) {
+            const fonte = readFileSync(new URL(arquivo, api), 'utf8');
+            for (const padrao of padroes) {
+                for (const [, code] of fonte.matchAll(padrao)) codigos.add(code);
+            }
+        }
+
+        assert.ok(codigos.size > 40);
+        for (const code of codigos) assert.ok(existeChave(`codigos.${code}`), code);
+    });
+});
+
+// ============================================================
+// IDIOMA
+// ============================================================
+
+describe('normalizarIdioma', () => {
+    test('aceita variantes regionais e maiúsculas', () => {
+        assert.equal(normalizarIdioma('pt'), 'pt-BR');
+        assert.equal(normalizarIdioma('pt-PT'), 'pt-BR');
+        assert.equal(normalizarIdioma('EN-us'), 'en');
+        assert.equal(normalizarIdioma('es_AR'), 'es');
+    });
+
+    test('devolve null sem catálogo', () => {
+        assert.equal(normalizarIdioma('fr-FR'), null);
+        assert.equal(normalizarIdioma(''), null);
+        assert.equal(normalizarIdioma(null), null);
+    });
+});
+
+describe('detectarIdioma', () => {
+    test('?lang= vence a escolha salva e o navegador', () => {
+        assert.equal(detectarIdioma({ busca: '?empresa=conter&lang=es', armazenado: 'en', navegador: ['en-US'] }), 'es');
+    });
+
+    test('escolha salva vence o navegador', () => {
+        assert.equal(detectarIdioma({ busca: '', armazenado: 'en', navegador: ['es-AR'] }), 'en');
+    });
+
+    test('usa o primeiro idioma do navegador com catálogo', () => {
+        assert.equal(detectarIdioma({ navegador: ['fr-FR', 'es-MX', 'en'] }), 'es');
+    });
+
+    test('valores sem catálogo são ignorados e o padrão é pt-BR', () => {
+        assert.equal(detectarIdioma({ busca: '?lang=xx', armazenado: 'de', navegador: ['fr'] }), 'pt-BR');
+        assert.equal(detectarIdioma(), 'pt-BR');
+    });
+});
+
+describe('definirIdioma', () => {
+    test('normaliza a etiqueta e volta ao padrão sem catálogo', () => {
+        assert.equal(definirIdioma('en-GB'), 'en');
+        assert.equal(idiomaAtual(), 'en');
+        assert.equal(definirIdioma('it'), 'pt-BR');
+        assert.equal(idiomaAtual(), 'pt-BR');
+    });
+});
+
+// ============================================================
+// TRADUÇÃO
+// ============================================================
+
+describe('t', () => {
+    test('traduz no idioma atual', () => {
+        assert.equal(t('comum.voltar'), 'Voltar');
+        definirIdioma('en');
+        assert.equal(t('comum.voltar'), 'Back');
+        definirIdioma('es');
+        assert.equal(t('comum.voltar'), 'Volver');
+    });
+
+    test('troca os marcadores e mantém os sem valor', () => {
+        definirIdioma('en');
+        assert.equal(t('dependentes.contador', { count: 1, max: 3 }), '1 of 3');
+        assert.equal(t('dependentes.contador', { count: 1 }), '1 of {max}');
+    });
+
+    test('escolhe a forma do plural pelo count', () => {
+        assert.equal(t('planos.disponiveis', { count: 1 }), '1 plano disponível.');
+        assert.equal(t('planos.disponiveis', { count: 3 }), '3 planos disponíveis.');
+        definirIdioma('es');
+        assert.equal(t('planos.periodo.meses', { count: 1 }), '/mes');
+        assert.equal(t('planos.periodo.meses', { count: 2 }), '/2 meses');
+    });
+
+    test('chave inexistente aparece como a própria chave', () => {
+        definirIdioma('en');
+        assert.equal(t('nao.existe'), 'nao.existe');
+    });
+});
+
+describe('mensagemDoCodigo', () => {
+    test('traduz o código com os parâmetros da resposta', () => {
+        definirIdioma('en');
+        const resposta = { error: 'Dependente 2: CPF inválido.', code: 'dependent_cpf_invalid', params: { index: 2 } };
+        assert.equal(mensagemDoCodigo(resposta), 'Dependent 2: invalid CPF.');
+    });
+
+    test('traduz o cupom inválido do validar_cupom.php', () => {
+        definirIdioma('es');
+        const resposta = { valid: false, code: 'coupon_expired', message: 'Cupom expirado.' };
+        assert.equal(mensagemDoCodigo(resposta), 'Este cupón expiró.');
+    });
+
+    test('sem tradução, usa o texto da resposta e depois a chave padrão', () => {
+        definirIdioma('en');
+        assert.equal(mensagemDoCodigo({ code: 'codigo_novo', error: 'Erro novo.' }), 'Erro novo.');
+        assert.equal(mensagemDoCodigo({ message: 'Mensagem.' }), 'Mensagem.');
+        assert.equal(mensagemDoCodigo({}, 'pagamento.erro_inesperado'), 'Unexpected error. Please try again.');
+        assert.equal(mensagemDoCodigo({}), '');
+    });
+});
+
+// ============================================================
+// FORMATAÇÃO
+// ============================================================
+
+describe('formatarMoeda', () => {
+    test('real no formato de cada idioma', () => {
+        assert.equal(formatarMoeda(1234.5).replace(/\s/g, ' '), 'R$ 1.234,50');
+        definirIdioma('en');
+        assert.equal(formatarMoeda(1234.5), 'R$1,234.50');
+        definirIdioma('es');
+        assert.match(formatarMoeda(29.9), /29,90/);
+    });
+
+    test('aceita texto numérico e devolve vazio para o resto', () => {
+        definirIdioma('en');
+        assert.equal(formatarMoeda('29.9'), 'R$29.90');
+        assert.equal(formatarMoeda(null), '');
+        assert.equal(formatarMoeda(''), '');
+        assert.equal(formatarMoeda('abc'), '');
+    });
+});
+
+describe('formatarData', () => {
+    test('dia, mês e ano na ordem de cada idioma, sem deslocamento de fuso', () => {
+        assert.equal(formatarData('2026-03-01'), '01/03/2026');
+        definirIdioma('en');
+        assert.equal(formatarData('2026-03-01'), '03/01/2026');
+        definirIdioma('es');
+        assert.equal(formatarData('2026-03-01T00:00:00-03:00'), '01/03/2026');
+    });
+
+    test('datas inválidas ficam vazias', () => {
+        assert.equal(formatarData('2026-02-30'), '');
+        assert.equal(formatarData('01/03/2026'), '');
+        assert.equal(formatarData(null), '');
+    });
+});
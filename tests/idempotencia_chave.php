@@ -0,0 +1,63 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /tests/idempotencia_chave.php
+ * USO:     php tests/idempotencia_chave.php   (linha de comando)
+ *
+ * DESCRIÇÃO:
+ *  Confere quando uma chave de idempotência já registrada pode
+ *  ser retomada (chaveIdempotenciaRetomavel() em
+ *  api/idempotencia.php): falhas antes da Iugu e requisições
+ *  presas em "processing" além do prazo.
+ *
+ *  Não acessa o Supabase nem a Iugu: só carrega as funções puras
+ *  do config.php e do idempotencia.php.
+ *
+ * RETORNO:
+ *  Uma linha por caso com divergência e o resumo. Código de saída
+ *  0 se todos os casos passaram, 1 se algum falhou.
+ * ============================================================
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit;
+}
+
+require __DIR__ . '/../api/config.php';
+require __DIR__ . '/../api/idempotencia.php';
+
+$agora   = strtotime('2026-10-19T12:00:00Z');
+$minutos = fn(int $min) => gmdate('Y-m-d\TH:i:s\Z', $agora - $min * 60);
+$prazo   = IDEMPOTENCY_PROCESSING_TIMEOUT_MIN;
+
+$casos = [
+    ['case' => 'falhou antes de criar a assinatura',       'row' => ['status' => 'failed',     'updated_at' => $minutos(0)],          'ok' => true],
+    ['case' => 'em andamento há 1 minuto',                 'row' => ['status' => 'processing', 'updated_at' => $minutos(1)],          'ok' => false],
+    ['case' => 'em andamento exatamente no prazo',         'row' => ['status' => 'processing', 'updated_at' => $minutos($prazo)],     'ok' => false],
+    ['case' => 'presa em processing além do prazo',        'row' => ['status' => 'processing', 'updated_at' => $minutos($prazo + 1)], 'ok' => true],
+    ['case' => 'processing com updated_at do PostgREST',   'row' => ['status' => 'processing', 'updated_at' => '2026-10-19T11:30:00.123456+00:00'], 'ok' => true],
+    ['case' => 'processing sem updated_at',                'row' => ['status' => 'processing', 'updated_at' => null],                 'ok' => false],
+    ['case' => 'resposta já gravada (replay)',             'row' => ['status' => 'completed',  'updated_at' => $minutos(60)],         'ok' => false],
+];
+
+$total  = 0;
+$falhas = [];
+
+foreach ($casos as $caso) {
+    $result = chaveIdempotenciaRetomavel($caso['row'], $agora);
+    $total++;
+    if ($result !== $caso['ok']) {
+        $falhas[] = sprintf('%s: esperado %s, obtido %s', $caso['case'], json_encode($caso['ok']), json_encode($result));
+    }
+}
+
+// ============================================================
+// RESUMO
+// ============================================================
+foreach ($falhas as $falha) {
+    echo "FALHOU  {$falha}\n";
+}
+printf("%d casos, %d falha(s)\n", $total, count($falhas));
+
+exit(empty($falhas) ? 0 : 1);
@@ -0,0 +1,278 @@
+/**
+ * ============================================================
+ * CHECKOUT CONVÊNIOS - TKS VANTAGENS
+ * Arquivo: tests/validacoes.test.mjs
+ *
+ * Descrição: Testes de js/validacoes.mjs (node --test, sem dependências).
+ *   - Casos compartilhados de tests/fixtures/validacoes.json, que
+ *     tests/validacoes_fixture.php confere contra o api/config.php
+ *   - Casos que só existem no frontend (máscaras de digitação,
+ *     endereço e a leitura da data sem deslocamento de fuso)
+ *
+ * O fuso é fixado em America/Sao_Paulo (APP_TIMEZONE do backend):
+ * é nele que `new Date('YYYY-MM-DD')` cai no dia anterior.
+ * ============================================================
+ */
+
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    UFS_BRASIL, DDDS_BRASIL,
+    validarCPF, validarEmail, validarTelefone, validarDataNascimento, validarEndereco,
+    digitosTelefoneNacional, telefoneE164,
+    lerDataISO, calcularIdade,
+    mascaraCpf, mascaraTelefone, mascaraCep, mascaraValidadeCartao,
+    formatCpf, formatPhone, formatCep, formatDateBR,
+} from '../js/validacoes.mjs';
+
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/validacoes.json', import.meta.url), 'utf8'));
+
+// "today" da fixture é horário local (sem fuso): lido no fuso do processo
+const hojeFixture = (caso) => new Date(caso.today || fixture.today);
+
+// ============================================================
+// CASOS COMPARTILHADOS COM O PHP
+// ============================================================
+
+describe('fixture compartilhada', () => {
+    test('UFs e DDDs são as mesmas listas da fixture', () => {
+        assert.deepEqual(UFS_BRASIL, fixture.ufs);
+        assert.deepEqual(DDDS_BRASIL, fixture.area_codes);
+    });
+
+    for (const caso of fixture.cpf) {
+        test(`CPF: ${caso.case} (${JSON.stringify(caso.input)})`, () => {
+            assert.equal(validarCPF(caso.input), caso.valid);
+        });
+    }
+
+    for (const caso of fixture.email) {
+        test(`e-mail: ${caso.case} (${JSON.stringify(caso.input)})`, () => {
+            assert.equal(validarEmail(caso.input), caso.valid);
+        });
+    }
+
+    for (const caso of fixture.phone) {
+        test(`telefone: ${caso.case} (${JSON.stringify(caso.input)})`, () => {
+            const result = validarTelefone(caso.input);
+            assert.equal(result.valid, caso.valid, result.message);
+            assert.equal(result.type, caso.type);
+            assert.equal(result.code, caso.code);
+            assert.equal(telefoneE164(caso.input), caso.e164);
+        });
+    }
+
+    for (const caso of fixture.birth_date) {
+        test(`nascimento: ${caso.case} (${JSON.stringify(caso.input)})`, () => {
+            const result = validarDataNascimento(caso.input, caso.min_age, hojeFixture(caso));
+            assert.equal(result.valid, caso.valid, result.message);
+            assert.equal(result.code, caso.code);
+        });
+    }
+
+    const formatadores = { cpf: formatCpf, phone: formatPhone, cep: formatCep, date: formatDateBR };
+    for (const [campo, casos] of Object.entries(fixture.format)) {
+        for (const caso of casos) {
+            test(`formatação de ${campo}: ${JSON.stringify(caso.input)}`, () => {
+                assert.equal(formatadores[campo](caso.input), caso.output);
+            });
+        }
+    }
+});
+
+// ============================================================
+// CPF
+// ============================================================
+
+describe('validarCPF', () => {
+    test('não quebra com valores ausentes', () => {
+        assert.equal(validarCPF(undefined), false);
+        assert.equal(validarCPF(null), false);
+    });
+
+    test('nenhuma das 10 sequências repetidas é aceita', () => {
+        for (let d = 0; d <= 9; d++) {
+            assert.equal(validarCPF(String(d).repeat(11)), false, String(d).repeat(11));
+        }
+    });
+
+    test('trocar qualquer dígito de um CPF válido o invalida', () => {
+        const cpf = '52998224725';
+        for (let i = 0; i < cpf.length; i++) {
+            const trocado = cpf.slice(0, i) + ((Number(cpf[i]) + 1) % 10) + cpf.slice(i + 1);
+            assert.equal(validarCPF(trocado), false, trocado);
+        }
+    });
+});
+
+// ============================================================
+// E-MAIL
+// ============================================================
+
+describe('validarEmail', () => {
+    test('aceita até 254 caracteres', () => {
+        const dominio = '@' + 'a'.repeat(60) + '.com.br';
+        const noLimite = 'x'.repeat(254 - dominio.length) + dominio;
+        assert.equal(noLimite.length, 254);
+        assert.equal(validarEmail(noLimite), true);
+        assert.equal(validarEmail('x' + noLimite), false);
+    });
+});
+
+// ============================================================
+// TELEFONE
+// ============================================================
+
+describe('validarTelefone', () => {
+    test('todo DDD fora da lista da Anatel é recusado', () => {
+        for (let ddd = 10; ddd <= 99; ddd++) {
+            const result = validarTelefone(`${ddd}999998888`);
+            assert.equal(result.valid, DDDS_BRASIL.includes(ddd), `DDD ${ddd}`);
+        }
+    });
+
+    test('explica o motivo da recusa', () => {
+        assert.match(validarTelefone('(20) 99999-9999').message, /DDD inválido/);
+        assert.match(validarTelefone('(61) 89618-7769').message, /começar com 9/);
+        assert.match(validarTelefone('(61) 9961-8776').message, /Acrescente o 9/);
+        assert.match(validarTelefone('(61) 1333-4444').message, /dígitos após o DDD/);
+        assert.match(validarTelefone('613333444').message, /DDD e o número/);
+        assert.match(validarTelefone('619961877690').message, /muito longo/);
+        assert.match(validarTelefone('+351 61 9961 8776').message, /\+55/);
+    });
+
+    test('fixo e celular são identificados em todos os DDDs', () => {
+        for (const ddd of DDDS_BRASIL) {
+            assert.equal(validarTelefone(`${ddd}33334444`).type, 'landline', `DDD ${ddd}`);
+            assert.equal(validarTelefone(`${ddd}999998888`).type, 'mobile', `DDD ${ddd}`);
+        }
+    });
+});
+
+describe('digitosTelefoneNacional', () => {
+    test('remove o +55 só quando ele não pode ser o DDD', () => {
+        assert.equal(digitosTelefoneNacional('+55 (61) 99618-7769'), '61996187769');
+        assert.equal(digitosTelefoneNacional('556133334444'), '6133334444');
+        assert.equal(digitosTelefoneNacional('(55) 99999-8888'), '55999998888');
+        assert.equal(digitosTelefoneNacional('(55) 3333-4444'), '5533334444');
+        assert.equal(digitosTelefoneNacional(undefined), '');
+    });
+});
+
+// ============================================================
+// DATA DE NASCIMENTO
+// ============================================================
+
+describe('lerDataISO', () => {
+    test('lê o dia do calendário, sem deslocamento de fuso', () => {
+        // O bug que o módulo evita: em UTC-3 a string vira o dia anterior
+        assert.equal(new Date('2011-03-01').getDate(), 28);
+        assert.deepEqual(lerDataISO('2011-03-01'), { ano: 2011, mes: 3, dia: 1 });
+    });
+
+    test('considera anos bissextos, inclusive a regra dos séculos', () => {
+        assert.ok(lerDataISO('2024-02-29'));
+        assert.ok(lerDataISO('2000-02-29'));
+        assert.equal(lerDataISO('1900-02-29'), null);
+        assert.equal(lerDataISO('2100-02-29'), null);
+    });
+
+    test('recusa datas inexistentes e outros formatos', () => {
+        for (const valor of ['2024-04-31', '2024-00-01', '2024-01-00', '2024-1-1', '01/01/2024', '', null, undefined]) {
+            assert.equal(lerDataISO(valor), null, String(valor));
+        }
+    });
+});
+
+describe('calcularIdade', () => {
+    const nascimento = { ano: 2000, mes: 6, dia: 15 };
+
+    test('só completa o ano no dia do aniversário', () => {
+        assert.equal(calcularIdade(nascimento, new Date(2026, 5, 14, 23, 59)), 25);
+        assert.equal(calcularIdade(nascimento, new Date(2026, 5, 15, 0, 0)), 26);
+    });
+
+    test('não depende do horário do dia de referência', () => {
+        for (const hora of [0, 3, 12, 21, 23]) {
+            assert.equal(calcularIdade(nascimento, new Date(2026, 5, 15, hora, 30)), 26, `${hora}h`);
+        }
+    });
+});
+
+describe('validarDataNascimento', () => {
+    test('às 21h ou depois (já é o dia seguinte em UTC) a idade e a data futura usam o dia local', () => {
+        const hoje = new Date(2026, 2, 1, 22, 0);
+        assert.equal(validarDataNascimento('2011-03-01', 15, hoje).valid, true);
+        assert.equal(validarDataNascimento('2011-03-02', 15, hoje).valid, false);
+        assert.equal(validarDataNascimento('2026-03-01', 0, hoje).valid, true);
+        assert.equal(validarDataNascimento('2026-03-02', 0, hoje).valid, false);
+    });
+
+    test('a idade mínima aparece na mensagem e nos parâmetros do código', () => {
+        const result = validarDataNascimento('2015-01-01', 18, new Date(2026, 2, 1));
+        assert.equal(result.message, 'Você deve ter pelo menos 18 anos para se cadastrar.');
+        assert.equal(result.code, 'birth_date_min_age');
+        assert.deepEqual(result.params, { min_age: 18 });
+    });
+
+    test('usa a data atual quando nenhuma é informada', () => {
+        assert.equal(validarDataNascimento('1990-05-12').valid, true);
+        assert.equal(validarDataNascimento('2999-01-01', 0).valid, false);
+    });
+});
+
+// ============================================================
+// ENDEREÇO
+// ============================================================
+
+describe('validarEndereco', () => {
+    const endereco = {
+        zipCode: '70040-010', street: 'Setor Bancário Sul Quadra 1', number: 'S/N',
+        complement: '', district: 'Asa Sul', city: 'Brasília', state: 'df',
+    };
+
+    test('aceita endereço completo (UF sem diferenciar maiúsculas)', () => {
+        assert.deepEqual(validarEndereco(endereco), []);
+    });
+
+    test('lista todos os campos com erro', () => {
+        const erros = validarEndereco({ ...endereco, zipCode: '7004001', street: '', state: 'XX' });
+        assert.deepEqual(erros.map(e => e.field), ['zipCode', 'street', 'state']);
+        assert.deepEqual(erros.map(e => e.code), ['address_zip_code_invalid', 'address_street_required', 'address_state_invalid']);
+    });
+});
+
+// ============================================================
+// MÁSCARAS DE DIGITAÇÃO
+// ============================================================
+
+describe('máscaras de digitação', () => {
+    test('CPF é mascarado à medida que é digitado', () => {
+        assert.equal(mascaraCpf('529'), '529');
+        assert.equal(mascaraCpf('5299'), '529.9');
+        assert.equal(mascaraCpf('5299822'), '529.982.2');
+        assert.equal(mascaraCpf('5299822472'), '529.982.247-2');
+        assert.equal(mascaraCpf('529.982.247-2599'), '529.982.247-25');
+    });
+
+    test('telefone é mascarado à medida que é digitado', () => {
+        assert.equal(mascaraTelefone('6'), '6');
+        assert.equal(mascaraTelefone('619'), '(61) 9');
+        assert.equal(mascaraTelefone('6199618'), '(61) 9961-8');
+        assert.equal(mascaraTelefone('6133334444'), '(61) 3333-4444');
+        assert.equal(mascaraTelefone('61996187769'), '(61) 99618-7769');
+        assert.equal(mascaraTelefone('61996187769123'), '(61) 99618-7769');
+    });
+
+    test('CEP e validade do cartão', () => {
+        assert.equal(mascaraCep('700400'), '70040-0');
+        assert.equal(mascaraCep('70040-0109'), '70040-010');
+        assert.equal(mascaraValidadeCartao('12'), '12');
+        assert.equal(mascaraValidadeCartao('1228'), '12/28');
+        assert.equal(mascaraValidadeCartao('12/2830'), '12/28');
+    });
+});
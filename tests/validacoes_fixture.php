@@ -0,0 +1,98 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /tests/validacoes_fixture.php
+ * USO:     php tests/validacoes_fixture.php   (linha de comando)
+ *
+ * DESCRIÇÃO:
+ *  Confere as validações do backend (api/config.php) com os casos
+ *  de tests/fixtures/validacoes.json — os mesmos que
+ *  tests/validacoes.test.mjs confere em js/validacoes.mjs. Se uma
+ *  regra mudar só em uma das camadas, um dos dois lados falha.
+ *
+ *  Não acessa o Supabase nem a Iugu: só carrega as funções puras
+ *  do config.php.
+ *
+ * RETORNO:
+ *  Uma linha por caso com divergência e o resumo. Código de saída
+ *  0 se todos os casos passaram, 1 se algum falhou.
+ * ============================================================
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit;
+}
+
+require __DIR__ . '/../api/config.php';
+
+$fixture = json_decode(file_get_contents(__DIR__ . '/fixtures/validacoes.json'), true);
+if (!is_array($fixture)) {
+    fwrite(STDERR, "Fixture inválida: tests/fixtures/validacoes.json\n");
+    exit(1);
+}
+
+$total  = 0;
+$falhas = [];
+
+/**
+ * Registra o resultado de um caso (só as divergências são impressas).
+ */
+function conferir(string $descricao, $obtido, $esperado): void {
+    global $total, $falhas;
+    $total++;
+    if ($obtido !== $esperado) {
+        $falhas[] = sprintf('%s: esperado %s, obtido %s', $descricao, json_encode($esperado, JSON_UNESCAPED_UNICODE), json_encode($obtido, JSON_UNESCAPED_UNICODE));
+    }
+}
+
+// "today" da fixture é horário local do negócio (APP_TIMEZONE)
+$hojeFixture = fn(array $caso) => new DateTimeImmutable($caso['today'] ?? $fixture['today'], new DateTimeZone(APP_TIMEZONE));
+
+// ============================================================
+// LISTAS DE REFERÊNCIA
+// ============================================================
+conferir('UFS_BRASIL', UFS_BRASIL, $fixture['ufs']);
+conferir('DDDS_BRASIL', DDDS_BRASIL, $fixture['area_codes']);
+
+// ============================================================
+// VALIDAÇÕES
+// ============================================================
+foreach ($fixture['cpf'] as $caso) {
+    conferir("CPF: {$caso['case']} (\"{$caso['input']}\")", validarCPF($caso['input']), $caso['valid']);
+}
+
+foreach ($fixture['email'] as $caso) {
+    conferir("e-mail: {$caso['case']} (\"{$caso['input']}\")", validarEmail($caso['input']), $caso['valid']);
+}
+
+foreach ($fixture['phone'] as $caso) {
+    $result = validarTelefone($caso['input']);
+    conferir("telefone: {$caso['case']} (\"{$caso['input']}\")", $result['valid'], $caso['valid']);
+    conferir("tipo do telefone: {$caso['case']} (\"{$caso['input']}\")", $result['type'], $caso['type']);
+    conferir("código do telefone: {$caso['case']} (\"{$caso['input']}\")", $result['code'], $caso['code']);
+    conferir("telefone E.164: {$caso['case']} (\"{$caso['input']}\")", telefoneE164($caso['input']), $caso['e164']);
+}
+
+foreach ($fixture['birth_date'] as $caso) {
+    $result = validarDataNascimento($caso['input'], $caso['min_age'], $hojeFixture($caso));
+    conferir("nascimento: {$caso['case']} (\"{$caso['input']}\")", $result['valid'], $caso['valid']);
+    conferir("código do nascimento: {$caso['case']} (\"{$caso['input']}\")", $result['code'], $caso['code']);
+}
+
+// ============================================================
+// FORMATAÇÃO (só o que também existe no backend)
+// ============================================================
+foreach ($fixture['format']['cpf'] as $caso) {
+    conferir("formatação de cpf (\"{$caso['input']}\")", formatCpf($caso['input']), $caso['output']);
+}
+
+// ============================================================
+// RESUMO
+// ============================================================
+foreach ($falhas as $falha) {
+    echo "FALHOU  {$falha}\n";
+}
+printf("%d casos, %d falha(s)\n", $total, count($falhas));
+
+exit(empty($falhas) ? 0 : 1);
@@ -0,0 +1,70 @@
+<?php
+/**
+ * ============================================================
+ * ARQUIVO: /tests/webhook_eventos.php
+ * USO:     php tests/webhook_eventos.php   (linha de comando)
+ *
+ * DESCRIÇÃO:
+ *  Confere a ação do webhook para cada evento da Iugu
+ *  (acaoEventoIugu() em api/webhook_eventos.php). Em especial,
+ *  uma cobrança recusada na renovação não revoga o acesso: a Iugu
+ *  tenta de novo, e só a fatura expirada ou a suspensão revogam.
+ *
+ *  Não acessa o Supabase nem a Iugu: só carrega as funções puras
+ *  do config.php e do webhook_eventos.php.
+ *
+ * RETORNO:
+ *  Uma linha por caso com divergência e o resumo. Código de saída
+ *  0 se todos os casos passaram, 1 se algum falhou.
+ * ============================================================
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit;
+}
+
+require __DIR__ . '/../api/config.php';
+require __DIR__ . '/../api/webhook_eventos.php';
+
+// 'action' => null: evento sem ação (registrado como ignored)
+$casos = [
+    ['case' => 'fatura paga',                           'event' => 'invoice.status_changed', 'data' => ['status' => 'paid', 'subscription_id' => 'S1'],       'action' => 'activate', 'status' => null],
+    ['case' => 'fatura paga fora da Iugu',              'event' => 'invoice.status_changed', 'data' => ['status' => 'externally_paid', 'subscription_id' => 'S1'], 'action' => 'activate', 'status' => null],
+    ['case' => 'cobrança recusada na renovação',        'event' => 'invoice.payment_failed', 'data' => ['status' => 'pending', 'subscription_id' => 'S1'],    'action' => null,       'status' => null],
+    ['case' => 'fatura ainda pendente após a recusa',   'event' => 'invoice.status_changed', 'data' => ['status' => 'pending', 'subscription_id' => 'S1'],    'action' => null,       'status' => null],
+    ['case' => 'fatura de renovação expirada',          'event' => 'invoice.status_changed', 'data' => ['status' => 'expired', 'subscription_id' => 'S1'],    'action' => 'revoke',   'status' => 'past_due'],
+    ['case' => 'fatura cancelada',                      'event' => 'invoice.status_changed', 'data' => ['status' => 'canceled', 'subscription_id' => 'S1'],   'action' => 'revoke',   'status' => 'past_due'],
+    ['case' => 'estorno total',                         'event' => 'invoice.refund',         'data' => ['status' => 'refunded', 'subscription_id' => 'S1'],   'action' => 'revoke',   'status' => 'refunded'],
+    ['case' => 'estorno parcial',                       'event' => 'invoice.refund',         'data' => ['status' => 'partially_refunded', 'subscription_id' => 'S1'], 'action' => null, 'status' => null],
+    ['case' => 'chargeback',                            'event' => 'invoice.status_changed', 'data' => ['status' => 'chargeback', 'subscription_id' => 'S1'], 'action' => 'revoke',   'status' => 'chargeback'],
+    ['case' => 'assinatura suspensa pela Iugu',         'event' => 'subscription.suspended', 'data' => ['id' => 'S1'],                                        'action' => 'revoke',   'status' => 'suspended'],
+    ['case' => 'assinatura expirada na Iugu',           'event' => 'subscription.expired',   'data' => ['id' => 'S1'],                                        'action' => 'revoke',   'status' => 'expired'],
+    ['case' => 'evento não tratado',                    'event' => 'invoice.created',        'data' => ['id' => 'I1'],                                        'action' => null,       'status' => null],
+];
+
+$total  = 0;
+$falhas = [];
+
+foreach ($casos as $caso) {
+    $result = acaoEventoIugu($caso['event'], $caso['data']);
+    $obtido = [$result['action'] ?? null, $result['status'] ?? null];
+    $total++;
+    if ($obtido !== [$caso['action'], $caso['status']]) {
+        $falhas[] = sprintf('%s: esperado %s, obtido %s', $caso['case'], json_encode([$caso['action'], $caso['status']]), json_encode($obtido));
+    }
+    // Revogações por renovação não paga não sobrescrevem cancelamentos e estornos
+    if ($result && $result['status'] === 'past_due' && !$result['only_if_active']) {
+        $falhas[] = sprintf('%s: past_due deveria valer só para assinaturas ativas', $caso['case']);
+    }
+}
+
+// ============================================================
+// RESUMO
+// ============================================================
+foreach ($falhas as $falha) {
+    echo "FALHOU  {$falha}\n";
+}
+printf("%d casos, %d falha(s)\n", $total, count($falhas));
+
+exit(empty($falhas) ? 0 : 1);